@@ -10,11 +10,37 @@ import { PlayerCharacterTab } from "./components/PlayerCharacterTab.jsx";
 import { CompactParticipantRow } from "./components/CompactParticipantRow.jsx";
 import { useModal } from "./components/Modal.jsx";
 import { Settings, useSettings } from "./components/Settings.jsx";
-import { initializeDiceRoller, rollDice } from "./utils/diceRoller.js";
+import { initializeDiceRoller, rollDice, diceRollerClosed } from "./utils/diceRoller.js";
 import { ThreeDDice, ThreeDDiceAPI } from "dddice-js";
 import CampaignManager from "./components/CampaignManager.jsx";
 import EncounterTreeView from "./components/EncounterTreeView.jsx";
 import { ShareCodeModal } from "./components/ShareCodeModal.jsx";
+import { CombatLogModal } from "./components/CombatLogModal.jsx";
+import { CombatSummaryModal } from "./components/CombatSummaryModal.jsx";
+import { DifficultyBadge } from "./components/DifficultyBadge.jsx";
+import { SimulationPanel } from "./components/SimulationPanel.jsx";
+import { EncounterGeneratorModal } from "./components/EncounterGeneratorModal.jsx";
+import { PlayerSubmissionsPanel } from "./components/PlayerSubmissionsPanel.jsx";
+import { InitiativeCollectionPanel } from "./components/InitiativeCollectionPanel.jsx";
+import { DisplayProfileSelector } from "./components/DisplayProfileSelector.jsx";
+import { TurnTimer } from "./components/TurnTimer.jsx";
+import { EffectChips, EffectEditor } from "./components/EffectEditor.jsx";
+import { EffectSavePrompts } from "./components/EffectSavePrompts.jsx";
+import { DamageModal } from "./components/DamageModal.jsx";
+import { AttackModal } from "./components/AttackModal.jsx";
+import { SaveEffectModal } from "./components/SaveEffectModal.jsx";
+import { MacroButtons, MacroEditor } from "./components/RollMacros.jsx";
+import { CustomConditionEditor } from "./components/CustomConditionEditor.jsx";
+import { parseDamageInput, damageInputError, calculateDamage } from "./utils/damageTypes.js";
+import { useDisplayProfiles } from "./hooks/useDisplayProfiles.js";
+import { useRollMacros } from "./hooks/useRollMacros.js";
+import { useCustomConditions } from "./hooks/useCustomConditions.js";
+import { macroKey, attackNotation } from "./utils/rollMacros.js";
+import { naturalD20 } from "./utils/diceExpression.js";
+import { normalizeAbility } from "./utils/saveEffects.js";
+import { setConditionRules, conditionDefinition, describeConditionEffects, conditionStatus, conditionNames } from "./utils/conditionEngine.js";
+import { mergeEncounters } from "./utils/encounterMerge.js";
+import { isPlayerCharacter, isPlayerSide } from "../../shared/combatants.js";
 
 // jQuery and Select2 are loaded via CDN in index.html
 
@@ -336,26 +362,6 @@ function rollD20() {
   return rollSingleDie(20);
 }
 
-function parseDiceRoll(notation) {
-  // Support formats like "2d6+3" or "1d20"
-  const match = notation.match(/^(\d+)d(\d+)([+\-]\d+)?$/i);
-  if (!match) return null;
-
-  const count = parseInt(match[1]);
-  const sides = parseInt(match[2]);
-  const modifier = match[3] ? parseInt(match[3]) : 0;
-
-  let total = modifier;
-  const rolls = [];
-  for (let i = 0; i < count; i++) {
-    const roll = rollSingleDie(sides);
-    rolls.push(roll);
-    total += roll;
-  }
-
-  return { rolls, total, notation, modifier };
-}
-
 function SlotEditor({ slots, onChange }) {
   const [levels, setLevels] = useState(() =>
     Object.keys(slots || {})
@@ -460,9 +466,47 @@ function SlotEditor({ slots, onChange }) {
   );
 }
 
+// Normalize combatants to fix any object fields that should be primitives
+function normalizeEncounter(data) {
+  if (!data || !data.combatants) return data;
+  const normalizedCombatants = {};
+  Object.entries(data.combatants).forEach(([key, c]) => {
+    normalizedCombatants[key] = {
+      ...c,
+      // Ensure hp and baseHP are numbers, not objects
+      hp:
+        typeof c.hp === "object"
+          ? c.hp?.average || c.hp?.formula || 0
+          : c.hp || 0,
+      baseHP:
+        typeof c.baseHP === "object"
+          ? c.baseHP?.average || c.baseHP?.formula || 0
+          : c.baseHP || 0,
+      // Ensure ac is a number
+      ac: typeof c.ac === "object" ? c.ac?.value || 10 : c.ac || 10,
+      // Ensure senses is a string, not an object
+      senses:
+        typeof c.senses === "object" && c.senses !== null
+          ? Object.entries(c.senses)
+              .map(([key, val]) => `${key}: ${val}`)
+              .join(", ")
+          : c.senses,
+    };
+  });
+  return { ...data, combatants: normalizedCombatants };
+}
+
 function useEncounter(id, onEncounterUpdate) {
   const [enc, setEnc] = useState(null);
+  // Last encounter state confirmed by the server (carries the revision for If-Match)
+  const serverEnc = useRef(null);
+  const [savedEnc, setSavedEnc] = useState(null);
+  const setConfirmed = (encounter) => {
+    serverEnc.current = encounter;
+    setSavedEnc(encounter);
+  };
   useEffect(() => {
+    setConfirmed(null);
     if (!id) return;
 
     // Skip API call for temporary IDs (optimistic creation)
@@ -482,35 +526,9 @@ function useEncounter(id, onEncounterUpdate) {
     apiGet(`/api/encounters/${id}`)
       .then((r) => r.json())
       .then((data) => {
-        // Normalize combatants to fix any object fields that should be primitives
-        if (data && data.combatants) {
-          const normalizedCombatants = {};
-          Object.entries(data.combatants).forEach(([key, c]) => {
-            normalizedCombatants[key] = {
-              ...c,
-              // Ensure hp and baseHP are numbers, not objects
-              hp:
-                typeof c.hp === "object"
-                  ? c.hp?.average || c.hp?.formula || 0
-                  : c.hp || 0,
-              baseHP:
-                typeof c.baseHP === "object"
-                  ? c.baseHP?.average || c.baseHP?.formula || 0
-                  : c.baseHP || 0,
-              // Ensure ac is a number
-              ac: typeof c.ac === "object" ? c.ac?.value || 10 : c.ac || 10,
-              // Ensure senses is a string, not an object
-              senses:
-                typeof c.senses === "object" && c.senses !== null
-                  ? Object.entries(c.senses)
-                      .map(([key, val]) => `${key}: ${val}`)
-                      .join(", ")
-                  : c.senses,
-            };
-          });
-          data.combatants = normalizedCombatants;
-        }
-        setEnc(data);
+        const encounter = normalizeEncounter(data);
+        setConfirmed(encounter);
+        setEnc(encounter);
       })
       .catch((err) => {
         console.error('Failed to load encounter:', err);
@@ -525,6 +543,37 @@ function useEncounter(id, onEncounterUpdate) {
         });
       });
   }, [id]);
+  // Saves and combat actions are sent one after another so the server applies them in order
+  const requestQueue = useRef(Promise.resolve());
+  const enqueue = (task) => {
+    const run = requestQueue.current.then(task, task);
+    requestQueue.current = run.catch(() => {});
+    return run;
+  };
+
+  // PUT our change, merging in concurrent changes from other devices on 409
+  const push = async (base, mine) => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const server = serverEnc.current;
+      const outgoing = server ? mergeEncounters(base, mine, server) : mine;
+      const headers = server?.revision !== undefined ? { "If-Match": `"${server.revision}"` } : {};
+
+      try {
+        const response = await apiPut(`/api/encounters/${id}`, outgoing, headers);
+        const saved = await response.json();
+        setConfirmed(saved);
+        // Bring the new revision (and any merged remote changes) into the local state
+        setEnc((current) => (current ? mergeEncounters(mine, current, saved) : saved));
+        return;
+      } catch (err) {
+        if (err.status !== 409 || !err.body?.encounter) throw err;
+        console.warn(`Encounter changed on another device (revision ${err.body.encounter.revision}), merging`);
+        setConfirmed(err.body.encounter);
+      }
+    }
+    throw new Error("Encounter konnte wegen wiederholter Konflikte nicht gespeichert werden");
+  };
+
   const save = async (next) => {
     // Optimistic update: Update UI immediately
     const previous = enc;
@@ -537,7 +586,8 @@ function useEncounter(id, onEncounterUpdate) {
 
     // Background API call
     try {
-      await apiPut(`/api/encounters/${id}`, next);
+      await enqueue(() => push(previous, next));
+      return true;
     } catch (err) {
       console.error('Failed to save encounter:', err);
       // Rollback on error
@@ -545,9 +595,49 @@ function useEncounter(id, onEncounterUpdate) {
       if (onEncounterUpdate && previous.id && previous.name) {
         onEncounterUpdate(previous.id, previous.name);
       }
+      return false;
     }
   };
-  return { enc, setEnc, save };
+
+  // Apply combat actions on the server (see server/utils/combatEngine.js)
+  // Returns the events produced by the actions (rolls, notifications)
+  const dispatchAction = (actions, rules) =>
+    enqueue(async () => {
+      const response = await apiPost(`/api/encounters/${id}/actions`, {
+        actions: Array.isArray(actions) ? actions : [actions],
+        rules,
+      });
+      const data = await response.json();
+      const encounter = normalizeEncounter(data.encounter);
+      const before = serverEnc.current;
+      setConfirmed(encounter);
+      // Keep local edits that are still waiting to be saved
+      setEnc((current) => (current && before ? mergeEncounters(before, current, encounter) : encounter));
+      return data.events;
+    });
+
+  // Step through the encounter's server-side undo/redo history
+  const moveHistory = (direction, steps = 1) =>
+    enqueue(async () => {
+      const response = await apiPost(`/api/encounters/${id}/${direction}`, { steps });
+      const encounter = normalizeEncounter(await response.json());
+      setConfirmed(encounter);
+      setEnc(encounter);
+    });
+  const undo = (steps) => moveHistory("undo", steps);
+  const redo = (steps) => moveHistory("redo", steps);
+
+  // Reload after the encounter changed elsewhere (e.g. auto-accepted player submissions)
+  const refresh = () =>
+    enqueue(async () => {
+      const response = await apiGet(`/api/encounters/${id}`);
+      const encounter = normalizeEncounter(await response.json());
+      const before = serverEnc.current;
+      setConfirmed(encounter);
+      setEnc((current) => (current && before ? mergeEncounters(before, current, encounter) : encounter));
+    });
+
+  return { enc, savedEnc, setEnc, save, dispatchAction, undo, redo, refresh };
 }
 
 function sortByInitiative(enc, combatMode = true) {
@@ -665,91 +755,6 @@ export default function App() {
   }); // Context menu for dice rolls
   const { alert, confirm, prompt, initiativePrompt, hpManagement, modal } = useModal(rollDice, setDiceContextMenu);
 
-  // Unified HP change logic - always applies temp HP first for damage
-  function applyHPChange(combatant, inputValue) {
-    const trimmed = inputValue.trim();
-    const currentHP = combatant.hp ?? 0;
-    const currentTempHP = combatant.tempHP || 0;
-    const maxHP = combatant.baseHP;
-
-    if (trimmed.startsWith('+')) {
-      // Healing - only affects normal HP
-      const amount = parseInt(trimmed.substring(1)) || 0;
-      const newHP = Math.min(maxHP, currentHP + amount);
-      const updates = { hp: newHP };
-
-      // Remove dying, stable and dead status if HP > 0
-      if (newHP > 0) {
-        if (combatant.isDying) updates.isDying = false;
-        if (combatant.isStable) updates.isStable = false;
-        if (combatant.isDead) updates.isDead = false;
-        // Reset death saves when HP goes above 0
-        updates.deathSaves = { successes: 0, failures: 0 };
-      }
-
-      return updates;
-    } else if (trimmed.startsWith('-')) {
-      // Damage - ALWAYS applies to temp HP first
-      const damage = parseInt(trimmed.substring(1)) || 0;
-      const updates = {};
-
-      if (currentTempHP > 0) {
-        if (damage <= currentTempHP) {
-          // All damage absorbed by temp HP
-          updates.tempHP = currentTempHP - damage;
-        } else {
-          // Temp HP absorbed, rest goes to normal HP
-          const remaining = damage - currentTempHP;
-          const newHP = Math.max(0, currentHP - remaining);
-          updates.tempHP = 0;
-          updates.hp = newHP;
-
-          // Handle HP = 0 case
-          if (newHP === 0) {
-            // Auto-kill non-PCs if setting is enabled
-            if (settings.deathSavesForPCsOnly && !combatant.isPC) {
-              updates.isDead = true;
-              updates.isDying = false;
-              updates.isStable = false;
-            } else {
-              // Set dying status if not already stable or dead
-              if (!combatant.isStable && !combatant.isDead) {
-                updates.isDying = true;
-              }
-            }
-          }
-        }
-      } else {
-        // No temp HP, damage goes straight to normal HP
-        const newHP = Math.max(0, currentHP - damage);
-        updates.hp = newHP;
-
-        // Handle HP = 0 case
-        if (newHP === 0) {
-          // Auto-kill non-PCs if setting is enabled
-          if (settings.deathSavesForPCsOnly && !combatant.isPC) {
-            updates.isDead = true;
-            updates.isDying = false;
-            updates.isStable = false;
-          } else {
-            // Set dying status if not already stable or dead
-            if (!combatant.isStable && !combatant.isDead) {
-              updates.isDying = true;
-            }
-          }
-        }
-      }
-
-      return updates;
-    } else {
-      // Absolute value - set HP directly (doesn't touch temp HP)
-      const amount = parseInt(trimmed) || 0;
-      return {
-        hp: Math.max(0, Math.min(maxHP, amount))
-      };
-    }
-  }
-
   const [encounters, setEncounters] = useState([]);
   const [encountersLoading, setEncountersLoading] = useState(true);
   const [currentId, setCurrentId] = useState(null);
@@ -795,7 +800,8 @@ export default function App() {
   });
   const [showRollHistory, setShowRollHistory] = useState(false);
   const [toastDismissTimer, setToastDismissTimer] = useState(null);
-  const [rechargeNotifications, setRechargeNotifications] = useState([]); // Array of {id, message, success, timestamp}
+  const [rechargeNotifications, setRechargeNotifications] = useState([]); // Array of {id, title?, message, success, timestamp}
+  const [effectSavePrompts, setEffectSavePrompts] = useState([]); // effectSave events waiting for the DM
   const [spellTooltip, setSpellTooltip] = useState({
     show: false,
     x: 0,
@@ -803,6 +809,9 @@ export default function App() {
     spell: null,
   });
   const [showShareCodeModal, setShowShareCodeModal] = useState(false);
+  const [showCombatLogModal, setShowCombatLogModal] = useState(false);
+  const [showGeneratorModal, setShowGeneratorModal] = useState(false);
+  const [showCombatSummaryModal, setShowCombatSummaryModal] = useState(false);
 
   // Helper function for spell tooltip handlers
   const getSpellTooltipHandlers = (spellName) => ({
@@ -848,12 +857,13 @@ export default function App() {
   const getConditionTooltipHandlers = (conditionName) => ({
     onMouseEnter: (e) => {
       const conditionData = conditionsData[conditionName.toLowerCase()];
-      if (conditionData) {
+      // Homebrew conditions have no rules text, only their description and effects
+      if (conditionData || conditionDefinition(conditionName)) {
         setConditionTooltip({
           show: true,
           x: e.clientX,
           y: e.clientY,
-          condition: conditionData,
+          condition: conditionData || { legacy: null, reprinted: null },
           name: conditionName,
         });
       }
@@ -878,7 +888,21 @@ export default function App() {
   // Collapse states for panels
   const [encounterTreeCollapsed, setEncounterTreeCollapsed] = useState(false);
   const [quickActionsCollapsed, setQuickActionsCollapsed] = useState(false);
+  const [historyCollapsed, setHistoryCollapsed] = useState(true);
   const [playerScreenControlsCollapsed, setPlayerScreenControlsCollapsed] = useState(false);
+  const [selectedDisplayProfileId, setSelectedDisplayProfileId] = useState(null); // null = encounter default
+  const {
+    profiles: displayProfiles,
+    presets: displayProfilePresets,
+    createProfile: createDisplayProfile,
+    updateProfile: updateDisplayProfile,
+    deleteProfile: deleteDisplayProfile,
+    regenerateToken: regenerateDisplayProfileToken
+  } = useDisplayProfiles(!loading && Boolean(user));
+  const { macros: rollMacros, saveMacros: saveRollMacros } = useRollMacros(!loading && Boolean(user));
+  const [macroEditor, setMacroEditor] = useState(null); // { key, title } - key null = the user's own macros
+  const { customConditions, saveCustomConditions } = useCustomConditions(!loading && Boolean(user));
+  const [showConditionEditor, setShowConditionEditor] = useState(false);
   const [activeSidebarPanel, setActiveSidebarPanel] = useState(null); // 'encounters', 'quickActions', 'players', null
   const [sidebarVisible, setSidebarVisible] = useState(true);
   const [monsterBrowserCollapsed, setMonsterBrowserCollapsed] = useState(false);
@@ -924,9 +948,17 @@ export default function App() {
     x: 0,
     y: 0,
   }); // Damage modifier tooltip
+  const [damageModalTargets, setDamageModalTargets] = useState(null); // Preselected ids while the damage modal is open
+  const [damageModalInput, setDamageModalInput] = useState(""); // Prefilled damage ("28 fire" from a macro)
+  const [attackModal, setAttackModal] = useState(null); // { attackerId, action } while an attack is resolved against targets
+  const [saveEffectModal, setSaveEffectModal] = useState(null); // { initial, targets } while an area save is resolved
   const [bloodiedToasts, setBloodiedToasts] = useState([]); // Toast notifications for bloodied creatures
   const settings = useSettings();
 
+  // Rolls, tooltips and the initiative list evaluate conditions with the DM's homebrew list and rules edition.
+  // Set while rendering (not in an effect) so this render's rows already use a new list or edition.
+  setConditionRules({ customConditions, edition: settings.rulesEdition || "2024" });
+
   // Callback to update encounters list when encounter name changes
   const updateEncounterInList = React.useCallback((encId, newName) => {
     setEncounters((prev) =>
@@ -934,7 +966,7 @@ export default function App() {
     );
   }, []);
 
-  const { enc, setEnc, save } = useEncounter(currentId, updateEncounterInList);
+  const { enc, savedEnc, setEnc, save, dispatchAction, undo, redo, refresh } = useEncounter(currentId, updateEncounterInList);
   const order = useMemo(() => (enc ? sortByInitiative(enc, combatMode) : []), [enc, combatMode]);
   const selectedCombatant = useMemo(() => {
     if (!enc || !selectedCombatantId) return null;
@@ -1412,6 +1444,34 @@ export default function App() {
     return () => document.removeEventListener("keydown", handleKeyDown);
   }, [selectedCombatantId, enc, confirm]);
 
+  // Undo/redo shortcuts: Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!enc || !(event.ctrlKey || event.metaKey)) return;
+
+      // Keep the browser's own text undo while typing
+      if (
+        event.target.tagName === "INPUT" ||
+        event.target.tagName === "TEXTAREA" ||
+        event.target.isContentEditable
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undoChanges();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redoChanges();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [enc]);
+
   // Load campaigns
   useEffect(() => {
     // Wait for auth to finish loading before making API calls
@@ -1473,6 +1533,21 @@ export default function App() {
     }
   }
 
+  // Create a new encounter from a generated monster group (Encounter Generator)
+  async function createEncounterFromGroup(group, name, campaignId) {
+    const r = await apiPost("/api/encounters", { name, campaignId: campaignId || null });
+    const created = await r.json();
+
+    let next = created;
+    group.monsters.forEach(({ monster, count }) => {
+      for (let i = 0; i < count; i++) next = addMonsterTo(next, monster);
+    });
+
+    const saved = await (await apiPut(`/api/encounters/${created.id}`, next)).json();
+    setEncounters((prev) => [...prev, { id: saved.id, name: saved.name, updatedAt: saved.updatedAt, campaignId: saved.campaignId }]);
+    setCurrentId(saved.id);
+  }
+
   // Add all campaign players to encounter
   async function addCampaignPlayersToEncounter(campaignId) {
     if (!enc) {
@@ -1512,6 +1587,8 @@ export default function App() {
             initiative: 0,
             initiativeTieBreaker: 0,
             player: true,
+            characterId: pc.id,
+            level: pc.level,
             notes: '',
             concentration: false,
             concentrationMod: 0,
@@ -1528,15 +1605,7 @@ export default function App() {
       });
 
       // Save the updated encounter
-      const updateResponse = await apiPut(`/api/encounters/${enc.id}`, {
-        ...enc,
-        combatants,
-      });
-
-      if (updateResponse.ok) {
-        const updatedEnc = await updateResponse.json();
-        setEnc(updatedEnc);
-
+      if (await save({ ...enc, combatants })) {
         let message = `${addedCount} Spieler hinzugefügt`;
         if (skippedCount > 0) {
           message += `, ${skippedCount} bereits vorhanden (übersprungen)`;
@@ -1590,7 +1659,7 @@ export default function App() {
       const conMod = combatant.concentrationMod || 0;
 
       // Check if this is a player character or sidekick
-      const isPC = combatant.player || combatant.isPC || combatant.source === "ddb-import" || combatant.source === "player-character";
+      const isPC = isPlayerCharacter(combatant);
       const isSidekick = combatant.sidekickOf;
 
       if (isPC || isSidekick) {
@@ -1649,13 +1718,7 @@ export default function App() {
     const isNowBloodied = newHPPercent < 50 && newHPPercent > 0;
 
     if (wasNotBloodied && isNowBloodied) {
-      // Show bloodied toast
-      const toastId = `${id}-${Date.now()}`;
-      setBloodiedToasts(prev => [...prev, { id: toastId, name: combatant.name }]);
-      // Auto-remove toast after 4 seconds
-      setTimeout(() => {
-        setBloodiedToasts(prev => prev.filter(t => t.id !== toastId));
-      }, 4000);
+      showBloodiedToast(id, combatant.name);
     }
 
     // If initiative was changed and this combatant has sidekicks, sync them
@@ -1693,38 +1756,259 @@ export default function App() {
     save(next);
   }
 
-  function applyDamage(id, damage) {
-    const c = enc.combatants[id];
-    const tempHP = c.tempHP || 0;
+  function showBloodiedToast(id, name) {
+    const toastId = `${id}-${Date.now()}`;
+    setBloodiedToasts(prev => [...prev, { id: toastId, name }]);
+    // Auto-remove toast after 4 seconds
+    setTimeout(() => {
+      setBloodiedToasts(prev => prev.filter(t => t.id !== toastId));
+    }, 4000);
+  }
 
-    if (tempHP > 0) {
-      const remainingDamage = damage - tempHP;
-      if (remainingDamage <= 0) {
-        updateCombatant(id, { tempHP: tempHP - damage });
-      } else {
-        const newHP = Math.max(0, c.hp - remainingDamage);
-        const updates = {
-          tempHP: 0,
-          hp: newHP,
-        };
+  async function undoChanges(steps = 1) {
+    if (!enc || (enc.history?.position || 0) < steps) return;
+    try {
+      await undo(steps);
+    } catch (err) {
+      console.error('Failed to undo:', err);
+    }
+  }
 
-        // Auto-kill non-PCs if setting is enabled and HP reaches 0
-        if (newHP === 0 && settings.deathSavesForPCsOnly && !c.isPC) {
-          updates.isDead = true;
-        }
+  async function redoChanges(steps = 1) {
+    const history = enc?.history;
+    if (!history || history.position + steps > history.entries.length) return;
+    try {
+      await redo(steps);
+    } catch (err) {
+      console.error('Failed to redo:', err);
+    }
+  }
 
-        updateCombatant(id, updates);
-      }
-    } else {
-      const newHP = Math.max(0, c.hp - damage);
-      const updates = { hp: newHP };
+  // Apply combat actions on the server and show the resulting rolls and notifications
+  async function runCombatActions(actions) {
+    if (!enc) return;
+    try {
+      const events = await dispatchAction(actions, {
+        deathSavesForPCsOnly: settings.deathSavesForPCsOnly,
+        autoRollConcentrationNPCs: settings.autoRollConcentrationNPCs,
+        autoRollEffectSavesNPCs: settings.autoRollEffectSavesNPCs,
+        edition: settings.rulesEdition || "2024",
+      });
+      handleCombatEvents(events);
+    } catch (err) {
+      console.error('Failed to apply combat action:', err);
+      // The server explains rejected actions ("Combatant nicht gefunden", "Der Kampf ist bereits beendet", ...)
+      showNotifications([{
+        id: Date.now() + Math.random(),
+        title: "Action failed",
+        message: err.body?.error || err.message,
+        success: false,
+        timestamp: Date.now()
+      }]);
+    }
+  }
+
+  function handleCombatEvents(events) {
+    const notifications = [];
 
-      // Auto-kill non-PCs if setting is enabled and HP reaches 0
-      if (newHP === 0 && settings.deathSavesForPCsOnly && !c.isPC) {
-        updates.isDead = true;
+    events.forEach((event) => {
+      switch (event.type) {
+        case "concentration":
+          // PCs and sidekicks only get a reminder if enabled
+          if (!event.isPlayerCharacter || settings.concentrationCheckReminder) {
+            setDiceRollResult({ ...event, type: "concentration" });
+          }
+          break;
+        case "deathSave":
+          setDiceRollResult({
+            type: "deathSave",
+            name: event.name,
+            roll: event.roll,
+            total: event.total,
+            passed: event.passed,
+            critical: event.critical,
+          });
+          break;
+        case "bloodied":
+          showBloodiedToast(event.combatantId, event.name);
+          break;
+        case "recharge":
+          notifications.push({
+            id: Date.now() + Math.random(),
+            message: `${event.name}: ${event.actionName} (rolled ${event.roll}, need ${event.trigger}+)`,
+            success: event.success,
+            timestamp: Date.now()
+          });
+          break;
+        case "effectEnded":
+          notifications.push({
+            id: Date.now() + Math.random(),
+            title: event.reason === "concentration" ? "Concentration ended" : "Effect expired",
+            message: `${event.effectName} on ${event.name} ended`,
+            success: false,
+            timestamp: Date.now()
+          });
+          break;
+        case "effectSave":
+          if (event.roll === null) {
+            setEffectSavePrompts((prev) => [...prev.filter((p) => p.effectId !== event.effectId), event]);
+          } else {
+            // NPC saves are rolled by the server
+            notifications.push({
+              id: Date.now() + Math.random(),
+              title: event.passed ? "Save succeeded" : "Save failed",
+              message: `${event.name}: DC ${event.dc} ${event.ability.toUpperCase()} save against ${event.effectName} (${event.autoFail ? "automatic failure" : `rolled ${event.rolls.join(" / ")} ${event.modifier >= 0 ? "+" : "-"} ${Math.abs(event.modifier)} = ${event.total}`}${event.reasons.length > 0 ? `; ${event.reasons.map((r) => `${r.text}: ${r.effect}`).join(", ")}` : ""})${event.passed ? ", effect ended" : ""}`,
+              success: event.passed,
+              timestamp: Date.now()
+            });
+          }
+          break;
+        case "turnSkipped":
+          notifications.push({
+            id: Date.now() + Math.random(),
+            title: "Turn skipped",
+            message: `${event.name} (${event.conditions.join(", ")})`,
+            success: false,
+            timestamp: Date.now()
+          });
+          break;
+        default:
+          break;
       }
+    });
+
+    showNotifications(notifications);
+  }
+
+  // Toast for HP input with an unknown damage type - returns true if the input was rejected
+  function showDamageInputError(input) {
+    const error = damageInputError(input);
+    if (!error) return false;
+    showNotifications([{
+      id: Date.now() + Math.random(),
+      title: "Damage not applied",
+      message: error,
+      success: false,
+      timestamp: Date.now()
+    }]);
+    return true;
+  }
+
+  function showNotifications(notifications) {
+    if (notifications.length > 0) {
+      setRechargeNotifications(notifications);
+
+      // Auto-dismiss notifications after 5 seconds
+      setTimeout(() => {
+        setRechargeNotifications([]);
+      }, 5000);
+    }
+  }
+
+  // Typed damage ("14 fire") against one or more targets - resistances, immunities and
+  // vulnerabilities are applied per target and the calculation is shown
+  function applyTypedDamage(targetIds, damage) {
+    const results = targetIds
+      .filter((id) => enc.combatants[id])
+      .map((id) => ({ id, name: enc.combatants[id].name, ...calculateDamage(enc.combatants[id], damage) }));
+    if (results.length === 0) return;
+
+    runCombatActions(results.map((r) => ({ type: "damage", target: r.id, amount: r.amount, damageType: r.damageType })));
+    showNotifications(results.map((r) => ({
+      id: Date.now() + Math.random(),
+      icon: r.immune ? "🛡️" : "💥",
+      title: "Damage",
+      message: `${r.name}: ${r.text}`,
+      success: r.immune || (r.resistant && !r.vulnerable),
+      timestamp: Date.now()
+    })));
+  }
+
+  // Confirmed damage from the attack and save effect modals - already calculated against each target's defenses,
+  // the damage action takes temp HP first
+  function applyRolledDamage(hits, title) {
+    const actions = hits.flatMap((hit) => hit.damages
+      .filter((d) => d.amount > 0)
+      .map((d) => ({ type: "damage", target: hit.id, amount: d.amount, damageType: d.damageType || undefined })));
+    if (actions.length > 0) runCombatActions(actions);
+    showNotifications(hits.map((hit) => ({
+      id: Date.now() + Math.random(),
+      icon: "⚔️",
+      title,
+      message: `${hit.name}: ${hit.damages.map((d) => d.text).join(", ")}`,
+      success: false,
+      timestamp: Date.now()
+    })));
+  }
+
+  // Saved roll macro: attack, damage and save DC in one click - a natural 20 doubles the damage dice.
+  // Typed damage opens the damage modal afterwards, so it can be applied to the targets right away.
+  async function rollMacro(macro, combatant) {
+    const character = combatant?.name || "DM";
+    const parts = [];
+    let critical = false;
+
+    if (macro.attackBonus !== null) {
+      const attack = await rollDice({
+        notation: attackNotation(macro),
+        label: `${character} - ${macro.name} - Attack`,
+        character,
+        combatant,
+        rollType: "attack",
+      });
+      if (!attack) return;
+      const natural = naturalD20(attack);
+      critical = natural === 20;
+      parts.push(`attack ${attack.total}${critical ? " (critical hit)" : natural === 1 ? " (natural 1)" : ""}`);
+    }
+
+    let damage = null;
+    if (macro.damage) {
+      damage = await rollDice({
+        notation: macro.damage,
+        critical,
+        label: `${character} - ${macro.name} - Damage`,
+        character,
+      });
+      if (!damage) return;
+      parts.push(`${damage.total}${macro.damageType ? ` ${macro.damageType}` : ""} damage`);
+    }
+
+    if (macro.save) parts.push(`DC ${macro.save.dc} ${macro.save.ability.toUpperCase()} save`);
+
+    showNotifications([{
+      id: Date.now() + Math.random(),
+      icon: "🎯",
+      title: macro.name,
+      message: `${character}: ${parts.join(", ")}`,
+      success: true,
+      timestamp: Date.now()
+    }]);
+
+    if (damage && macro.damageType) {
+      setDamageModalInput(`${Math.max(0, damage.total)} ${macro.damageType}`);
+      setDamageModalTargets([]);
+    }
+  }
+
+  // Unified HP input: "+5" heals, "-5" damages (temp HP first), "-14 fire" applies typed damage
+  // against the combatant's defenses, "5" sets HP directly. Misspelled damage types are rejected.
+  function changeHP(id, inputValue) {
+    const trimmed = String(inputValue).trim();
+    if (showDamageInputError(trimmed)) return;
+    const typedDamage = trimmed.startsWith("-") ? parseDamageInput(trimmed) : null;
+    if (typedDamage) {
+      applyTypedDamage([id], typedDamage);
+      return;
+    }
+    const amount = Math.max(0, parseInt(trimmed.replace(/^[+-]/, "")) || 0);
 
-      updateCombatant(id, updates);
+    if (trimmed.startsWith("+")) {
+      runCombatActions({ type: "heal", target: id, amount });
+    } else if (trimmed.startsWith("-")) {
+      runCombatActions({ type: "damage", target: id, amount });
+    } else {
+      runCombatActions({ type: "setHP", target: id, hp: amount });
     }
   }
 
@@ -1804,10 +2088,10 @@ export default function App() {
 
     // Separate PCs from monsters
     const playerCharacters = combatants.filter(
-      (c) => (c.player || c.isPC || c.source === "ddb-import" || c.source === "player-character") && !c.sidekickOf
+      (c) => isPlayerCharacter(c) && !c.sidekickOf
     );
     const monsters = combatants.filter(
-      (c) => !c.player && !c.isPC && c.source !== "ddb-import" && c.source !== "player-character" && !c.sidekickOf
+      (c) => !isPlayerSide(c)
     );
 
     // Auto-roll initiative for monsters (excluding sidekicks - they'll be handled later)
@@ -1852,8 +2136,52 @@ export default function App() {
       }
     });
 
+    updated.initiativeOrder = await buildInitiativeOrder(updated.combatants);
+
+    save(updated);
+  }
+
+  // Roll for the monsters and let the players send their own rolls (player screen / companion)
+  // The server finalises the order as soon as the last player has submitted
+  async function startInitiativeCollection() {
+    const updated = { ...enc, combatants: { ...enc.combatants } };
+    const combatants = Object.values(updated.combatants);
+    const playerCharacters = combatants.filter(
+      (c) => isPlayerCharacter(c) && !c.sidekickOf
+    );
+
+    if (playerCharacters.length === 0) {
+      await alert("There are no player characters in this encounter.");
+      return;
+    }
+
+    combatants
+      .filter((c) => !playerCharacters.includes(c) && !c.sidekickOf)
+      .forEach((c) => {
+        const roll = rollD20();
+        updated.combatants[c.id] = { ...c, initiative: roll + (c.initiativeMod || 0), initiativeRoll: roll };
+      });
+
+    updated.initiativeOrder = await buildInitiativeOrder(updated.combatants);
+    updated.turnIndex = 0;
+    updated.initiativeCollection = {
+      combatantIds: playerCharacters.map((c) => c.id),
+      received: {},
+      startedAt: new Date().toISOString(),
+    };
+
+    save(updated);
+  }
+
+  function cancelInitiativeCollection() {
+    const { initiativeCollection, ...rest } = enc;
+    save(rest);
+  }
+
+  // Initiative order incl. lair action markers (loads missing lair actions first)
+  async function buildInitiativeOrder(combatants) {
     // Sort initiative order (by initiative, then by tie-breaker descending)
-    const sortedCombatants = Object.values(updated.combatants)
+    const sortedCombatants = Object.values(combatants)
       .sort((a, b) => {
         const initDiff = (b.initiative ?? 0) - (a.initiative ?? 0);
         if (initDiff !== 0) return initDiff;
@@ -1935,9 +2263,8 @@ export default function App() {
       }
     }
 
-    updated.initiativeOrder = initiativeOrder;
 
-    save(updated);
+    return initiativeOrder;
   }
 
   async function resetCombat() {
@@ -2142,6 +2469,18 @@ export default function App() {
   async function addMonster(mon) {
     console.log('Adding monster:', mon.name, 'bonus:', mon.bonus);
 
+    // Check if an encounter is loaded
+    if (!enc) {
+      await alert("Bitte erstelle oder wähle zuerst ein Encounter aus.");
+      return;
+    }
+
+    save(addMonsterTo(enc, mon));
+  }
+
+  // Returns a copy of "base" with the monster added as a new combatant
+  // (unique name, inserted into the initiative order if it was already rolled)
+  function addMonsterTo(base, mon) {
     // HOTFIX: Fix Chasme's Drone ability (should be bonus action, not trait)
     // This is a temporary fix until compact data is regenerated with correct structure
     if (mon.name === 'Chasme' && (!mon.bonus || mon.bonus.length === 0)) {
@@ -2154,12 +2493,6 @@ export default function App() {
       }
     }
 
-    // Check if an encounter is loaded
-    if (!enc) {
-      await alert("Bitte erstelle oder wähle zuerst ein Encounter aus.");
-      return;
-    }
-
     const id = crypto.randomUUID();
     // Handle HP - could be a number or an object with {formula, average}
     const hpValue =
@@ -2233,7 +2566,7 @@ export default function App() {
 
     // Auto-generate unique name based on settings if duplicate exists
     const baseName = mon.name || mon.n;
-    const existingNames = Object.values(enc.combatants).map(c => c.name);
+    const existingNames = Object.values(base.combatants).map(c => c.name);
     const nameCount = existingNames.filter(name =>
       name === baseName || name.endsWith(baseName)
     ).length;
@@ -2248,7 +2581,7 @@ export default function App() {
       finalName = formatCreatureName(identifier, baseName, namingMode);
 
       // Also add identifier to the first creature if it doesn't have one yet
-      const firstCreature = Object.values(enc.combatants).find(c => c.name === baseName);
+      const firstCreature = Object.values(base.combatants).find(c => c.name === baseName);
       if (firstCreature) {
         const firstIdentifier = getUniqueIdentifier(baseName, [...existingNames, finalName], namingMode);
         firstCreature.name = formatCreatureName(firstIdentifier, baseName, namingMode);
@@ -2298,6 +2631,7 @@ export default function App() {
       reactionUsed: false,
       // Basic info
       name: finalName,
+      monsterName: baseName, // Unrenamed name, shared by all copies (roll macros)
       ac: acValue,
       acFrom: acFrom,
       initiativeMod: initiativeModValue,
@@ -2398,7 +2732,7 @@ export default function App() {
       })(),
     };
 
-    const next = { ...enc, combatants: { ...enc.combatants, [id]: c } };
+    const next = { ...base, combatants: { ...base.combatants, [id]: c } };
 
     // If initiative has already been rolled, add the new combatant to the initiative order
     if (next.initiativeOrder && next.initiativeOrder.length > 0) {
@@ -2438,7 +2772,7 @@ export default function App() {
       next.initiativeOrder = newInitiativeOrder;
     }
 
-    save(next);
+    return next;
   }
 
   async function addCustom() {
@@ -2501,239 +2835,17 @@ export default function App() {
   }
 
   function rollDeathSave(id) {
-    const roll = rollD20();
-    const c = enc.combatants[id];
-    const deathSaves = { ...c.deathSaves };
-
-    if (roll === 20) {
-      // Nat 20: regain 1 HP - removes all death-related statuses
-      updateCombatant(id, {
-        hp: 1,
-        deathSaves: { successes: 0, failures: 0 },
-        isStable: false,
-        isDying: false,
-        isDead: false
-      });
-      setDiceRollResult({
-        type: "deathSave",
-        name: c.name,
-        roll,
-        total: roll,
-        passed: true,
-        critical: true,
-      });
-    } else if (roll === 1) {
-      // Nat 1: two failures
-      deathSaves.failures = Math.min(3, deathSaves.failures + 2);
-      const updates = { deathSaves };
-
-      // Set dead status if 3 failures
-      if (deathSaves.failures >= 3) {
-        updates.isDead = true;
-        updates.isDying = false;
-        updates.isStable = false;
-      } else {
-        // Still dying if not dead yet
-        updates.isDying = true;
-      }
-
-      updateCombatant(id, updates);
-      setDiceRollResult({
-        type: "deathSave",
-        name: c.name,
-        roll,
-        total: roll,
-        passed: false,
-        critical: true,
-      });
-    } else if (roll >= 10) {
-      // Success
-      deathSaves.successes++;
-      const updates = { deathSaves };
-
-      if (deathSaves.successes >= 3) {
-        // Stabilized - reset death saves and set stable
-        updates.deathSaves = { successes: 0, failures: 0 };
-        updates.isStable = true;
-        updates.isDying = false;
-        updates.isDead = false;
-      } else {
-        // Still dying until 3 successes
-        updates.isDying = true;
-      }
-
-      updateCombatant(id, updates);
-      setDiceRollResult({
-        type: "deathSave",
-        name: c.name,
-        roll,
-        total: roll,
-        passed: true,
-      });
-    } else {
-      // Failure
-      deathSaves.failures++;
-      const updates = { deathSaves };
-
-      // Set dead status if 3 failures
-      if (deathSaves.failures >= 3) {
-        updates.isDead = true;
-        updates.isDying = false;
-        updates.isStable = false;
-      } else {
-        // Still dying if not dead yet
-        updates.isDying = true;
-      }
-
-      updateCombatant(id, updates);
-      setDiceRollResult({
-        type: "deathSave",
-        name: c.name,
-        roll,
-        total: roll,
-        passed: false,
-      });
-    }
+    runCombatActions({ type: "deathSave", target: id });
   }
 
   function nextTurn() {
-    const count = Object.keys(enc?.combatants || {}).length;
-    if (!count || !enc) return;
-    let { round, turnIndex } = enc;
-
-    // Skip dead creatures
-    let attempts = 0;
-    do {
-      turnIndex = (turnIndex + 1) % count;
-      attempts++;
-
-      // Check if we've completed a round
-      if (turnIndex === 0) round += 1;
-
-      const nextCombatantId = enc.initiativeOrder[turnIndex];
-      const nextCombatant = enc.combatants[nextCombatantId];
-
-      // Break if we find a living combatant or if all are dead
-      if (!nextCombatant?.isDead || attempts >= count) break;
-    } while (attempts < count);
-
-    const isNewRound = turnIndex === 0;
-
-    // Reset legendary actions at the top of each round (initiative count 20)
-    let updatedCombatants = { ...enc.combatants };
-    if (isNewRound) {
-      Object.keys(updatedCombatants).forEach(id => {
-        const combatant = updatedCombatants[id];
-        // Reset legendary actions if the combatant has them
-        if (combatant.legendary && combatant.legendary.actions && combatant.legendary.actions.length > 0) {
-          updatedCombatants[id] = {
-            ...combatant,
-            legendaryActionsRemaining: 3,
-          };
-        }
-        // Also reset old legendary points system for backwards compatibility
-        if (combatant.legendaryPointsMax > 0) {
-          updatedCombatants[id] = {
-            ...updatedCombatants[id],
-            legendaryPoints: combatant.legendaryPointsMax,
-          };
-        }
-      });
-    }
-
-    // Get the combatant who is now active
-    const nextCombatantId = enc.initiativeOrder[turnIndex];
-    const nextCombatant = updatedCombatants[nextCombatantId];
-
-    // Reset reaction for the creature whose turn it is
-    if (nextCombatant && !nextCombatant.isLairAction) {
-      updatedCombatants[nextCombatantId] = {
-        ...nextCombatant,
-        reactionUsed: false
-      };
-    }
-
-    // Check for recharge abilities that need to be rolled
-    if (
-      nextCombatant &&
-      nextCombatant.actions &&
-      Array.isArray(nextCombatant.actions)
-    ) {
-      const rechargeRolls = [];
-
-      nextCombatant.actions.forEach((action, idx) => {
-        const actionName = action.n || action.name || "";
-
-        // Check for recharge using formatActionName
-        const formatted = formatActionName(actionName);
-        if (formatted.recharge) {
-          // Parse the recharge threshold (e.g., "5-6" -> 5, "6" -> 6)
-          const rechargeTrigger = parseInt(formatted.recharge.split('-')[0]);
-          const rechargeKey = `recharge_action_${idx}`;
-          const rechargeAbilities = nextCombatant.rechargeAbilities || {};
-          const isAvailable = rechargeAbilities[rechargeKey] ?? true; // Default to available
-
-          // If not available (used), queue for rolling
-          if (!isAvailable) {
-            rechargeRolls.push({
-              actionName: formatted.name,
-              rechargeTrigger,
-              combatantId: nextCombatantId,
-              rechargeKey,
-              rechargeAbilities,
-            });
-          }
-        }
-      });
-
-      // Roll for all recharge abilities simultaneously
-      if (rechargeRolls.length > 0) {
-        setTimeout(() => {
-          const newRechargeAbilities = { ...nextCombatant.rechargeAbilities };
-          const notifications = [];
-
-          rechargeRolls.forEach((rechargeInfo) => {
-            // Roll 1d6 for each recharge ability
-            const roll = Math.floor(Math.random() * 6) + 1;
-            const success = roll >= rechargeInfo.rechargeTrigger;
-
-            // Update the recharge status
-            newRechargeAbilities[rechargeInfo.rechargeKey] = success;
-
-            // Create notification
-            const message = `${nextCombatant.name}: ${rechargeInfo.actionName} (rolled ${roll}, need ${rechargeInfo.rechargeTrigger}+)`;
-            notifications.push({
-              id: Date.now() + Math.random(),
-              message,
-              success,
-              timestamp: Date.now()
-            });
-          });
-
-          // Update combatant with all recharge results
-          updateCombatant(nextCombatantId, { rechargeAbilities: newRechargeAbilities });
-
-          // Show all notifications
-          setRechargeNotifications(notifications);
-
-          // Auto-dismiss notifications after 5 seconds
-          setTimeout(() => {
-            setRechargeNotifications([]);
-          }, 5000);
-        }, 500); // Small delay to let the turn change render first
-      }
-    }
-
-    save({ ...enc, combatants: updatedCombatants, round, turnIndex });
+    if (!enc || !enc.initiativeOrder?.length) return;
+    runCombatActions({ type: "nextTurn" });
   }
 
   function prevTurn() {
-    const count = Object.keys(enc?.combatants || {}).length;
-    if (!count || !enc) return;
-    let { round, turnIndex } = enc;
-    turnIndex = (turnIndex - 1 + count) % count;
-    if (turnIndex === count - 1) round = Math.max(1, round - 1);
-    save({ ...enc, round, turnIndex });
+    if (!enc || !enc.initiativeOrder?.length) return;
+    runCombatActions({ type: "prevTurn" });
   }
 
   // Function to load spell details
@@ -3354,7 +3466,7 @@ export default function App() {
     return (
       <div className={
         inSidebar
-          ? `card bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800 flex flex-col transition-all duration-300 ease-in-out overflow-hidden ${quickActionsCollapsed ? 'h-14 justify-center' : 'h-[240px]'}`
+          ? `card bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800 flex flex-col transition-all duration-300 ease-in-out overflow-hidden ${quickActionsCollapsed ? 'h-14 justify-center' : 'h-[370px]'}`
           : 'fixed left-20 top-24 w-64 bg-white dark:bg-slate-800 rounded-xl shadow-2xl border border-slate-200 dark:border-slate-700 z-40 p-4 transition-all duration-300 ease-out'
       }>
         <div
@@ -3371,7 +3483,7 @@ export default function App() {
           </div>
         </div>
         {!quickActionsCollapsed && (
-        <div className="flex-1 overflow-hidden">
+        <div className="flex-1 overflow-y-auto">
         {(() => {
           const isCompleted = enc.combatStatus === 'completed';
           return (
@@ -3386,6 +3498,17 @@ export default function App() {
               >
                 🎲 Roll Initiative
               </button>
+              <button
+                disabled={isCompleted || Boolean(enc.initiativeCollection)}
+                className={`btn w-full bg-amber-600 text-white hover:bg-amber-700 border-amber-600 ${inSidebar ? 'text-sm py-1' : ''} ${isCompleted || enc.initiativeCollection ? 'opacity-50 cursor-not-allowed' : ''}`}
+                title="Roll for the monsters and let the players send their own rolls from the player screen or their phones"
+                onClick={() => {
+                  startInitiativeCollection();
+                  if (isFloating) setActiveSidebarPanel(null);
+                }}
+              >
+                📱 Collect Initiative from Players
+              </button>
               <button
                 className={`btn w-full bg-yellow-600 text-white hover:bg-yellow-700 border-yellow-600 ${inSidebar ? 'text-sm py-1' : ''}`}
                 onClick={() => {
@@ -3406,8 +3529,7 @@ export default function App() {
                       combatStatus: 'completed',
                       completedAt: new Date().toISOString()
                     };
-                    setEnc(updated);
-                    await apiPut(`/api/encounters/${enc.id}`, updated);
+                    if (await save(updated)) setShowCombatSummaryModal(true);
                     const encountersResponse = await apiGet('/api/encounters');
                     const encountersData = await encountersResponse.json();
                     setEncounters(encountersData);
@@ -3428,6 +3550,46 @@ export default function App() {
               >
                 ➕ Add Custom
               </button>
+              <button
+                disabled={isCompleted}
+                className={`btn w-full bg-purple-600 text-white hover:bg-purple-700 border-purple-600 ${inSidebar ? 'text-sm py-1' : ''} ${isCompleted ? 'opacity-50 cursor-not-allowed' : ''}`}
+                title="Saving throw with damage against several combatants (Fireball, breath weapons)"
+                onClick={() => {
+                  setSaveEffectModal({ initial: {}, targets: [] });
+                  if (isFloating) setActiveSidebarPanel(null);
+                }}
+              >
+                🌀 Save Effect
+              </button>
+              <button
+                className={`btn w-full ${inSidebar ? 'text-sm py-1' : ''}`}
+                onClick={() => {
+                  setShowCombatLogModal(true);
+                  if (isFloating) setActiveSidebarPanel(null);
+                }}
+              >
+                📜 Combat Log
+              </button>
+              <button
+                className={`btn w-full ${inSidebar ? 'text-sm py-1' : ''}`}
+                onClick={() => {
+                  setShowCombatSummaryModal(true);
+                  if (isFloating) setActiveSidebarPanel(null);
+                }}
+              >
+                📊 Combat Summary
+              </button>
+              <div className="pt-2 border-t border-red-200 dark:border-red-800">
+                <div className="text-xs font-semibold text-red-900 dark:text-red-300 mb-1" title="Rolled for the selected combatant">
+                  🎯 My Macros
+                </div>
+                <MacroButtons
+                  macros={rollMacros.user}
+                  disabled={isCompleted}
+                  onRoll={(macro) => rollMacro(macro, selectedCombatant)}
+                  onManage={() => setMacroEditor({ key: null, title: "My macros" })}
+                />
+              </div>
             </div>
           );
         })()}
@@ -3437,6 +3599,89 @@ export default function App() {
     );
   };
 
+  const renderHistoryPanel = () => {
+    const inSidebar = sidebarVisible;
+    const history = enc.history || { entries: [], position: 0 };
+    const canUndo = history.position > 0;
+    const canRedo = history.position < history.entries.length;
+
+    return (
+      <div className={
+        inSidebar
+          ? `card bg-indigo-50 dark:bg-indigo-900/20 border-indigo-200 dark:border-indigo-800 flex flex-col transition-all duration-300 ease-in-out overflow-hidden ${historyCollapsed ? 'h-14 justify-center' : 'h-[320px]'}`
+          : 'fixed left-20 top-24 w-80 max-h-[calc(100vh-120px)] bg-white dark:bg-slate-800 rounded-xl shadow-2xl border border-slate-200 dark:border-slate-700 z-40 p-4 flex flex-col transition-all duration-300 ease-out'
+      }>
+        <div
+          className={`flex items-center justify-between flex-shrink-0 ${historyCollapsed ? 'mb-0 w-full' : 'mb-2'} ${inSidebar ? 'cursor-pointer' : ''}`}
+          onClick={() => inSidebar ? setHistoryCollapsed(!historyCollapsed) : setActiveSidebarPanel(null)}
+          title={inSidebar ? (historyCollapsed ? "Ausklappen" : "Einklappen") : "Close"}
+        >
+          <h2 className={inSidebar ? "text-sm font-bold text-indigo-900 dark:text-indigo-300" : "text-lg font-bold text-indigo-900 dark:text-indigo-300"}>
+            ⏪ History
+          </h2>
+          <div className="w-8 h-8 flex items-center justify-center flex-shrink-0">
+            {inSidebar ? (historyCollapsed ? '▼' : '▲') : '✕'}
+          </div>
+        </div>
+        {(!inSidebar || !historyCollapsed) && (
+          <div className="flex-1 flex flex-col min-h-0 gap-2">
+            <div className="grid grid-cols-2 gap-2 flex-shrink-0">
+              <button
+                disabled={!canUndo}
+                className={`btn text-sm py-1 ${!canUndo ? 'opacity-50 cursor-not-allowed' : ''}`}
+                onClick={() => undoChanges()}
+                title="Undo (Ctrl+Z)"
+              >
+                ↶ Undo
+              </button>
+              <button
+                disabled={!canRedo}
+                className={`btn text-sm py-1 ${!canRedo ? 'opacity-50 cursor-not-allowed' : ''}`}
+                onClick={() => redoChanges()}
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                ↷ Redo
+              </button>
+            </div>
+            <div className="flex-1 overflow-y-auto space-y-1 pr-1">
+              {history.entries.length === 0 && (
+                <p className="text-xs text-slate-500 dark:text-slate-400">Noch keine Änderungen</p>
+              )}
+              {history.entries.map((entry, index) => ({ entry, index })).reverse().map(({ entry, index }) => {
+                const undone = index >= history.position;
+                const isCurrent = index === history.position - 1;
+                return (
+                  <button
+                    key={entry.id}
+                    className={`w-full text-left px-2 py-1 rounded text-xs transition-colors ${
+                      isCurrent
+                        ? 'bg-indigo-200 dark:bg-indigo-800 text-indigo-900 dark:text-indigo-100 font-semibold'
+                        : undone
+                        ? 'text-slate-400 dark:text-slate-500 line-through hover:bg-slate-100 dark:hover:bg-slate-700'
+                        : 'text-slate-700 dark:text-slate-300 hover:bg-indigo-100 dark:hover:bg-indigo-900/40'
+                    }`}
+                    onClick={() => {
+                      // Jump to the state right after this entry
+                      const target = index + 1;
+                      if (target < history.position) undoChanges(history.position - target);
+                      else if (target > history.position) redoChanges(target - history.position);
+                    }}
+                    title={undone ? "Wiederherstellen bis hier" : "Zurücksetzen bis hier"}
+                  >
+                    <span className="text-slate-400 dark:text-slate-500 mr-1">
+                      {new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                    {entry.label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const renderPlayerScreenControlsPanel = () => {
     const inSidebar = sidebarVisible;
     const isFloating = !sidebarVisible && activeSidebarPanel === 'playerScreen';
@@ -3462,29 +3707,64 @@ export default function App() {
         </div>
 
         {!playerScreenControlsCollapsed && (
-        <div className="flex-1 overflow-hidden">
+        <div className="flex-1 overflow-y-auto">
         {(() => {
           const isCompleted = enc.combatStatus === 'completed';
+          const selectedProfile = displayProfiles.find(p => p.id === selectedDisplayProfileId) || null;
+          // Layout settings of the selected display, falling back to the encounter's own
+          const displaySettings = { ...enc.playerScreenSettings, ...selectedProfile?.settings };
+          const updateDisplaySetting = (key, value) => {
+            if (selectedProfile) {
+              updateDisplayProfile(selectedProfile.id, { settings: { [key]: value } });
+              return;
+            }
+            save({
+              ...enc,
+              playerScreenSettings: {
+                ...enc.playerScreenSettings,
+                [key]: value
+              }
+            });
+          };
+          const playerScreenUrl = (token) => {
+            const baseUrl = window.location.origin + window.location.pathname.replace('index.html', '');
+            return `${baseUrl}player.html?follow=true&token=${encodeURIComponent(token)}`;
+          };
           return (
             <div className="space-y-5">
+              <DisplayProfileSelector
+                profiles={displayProfiles}
+                presets={displayProfilePresets}
+                selectedId={selectedProfile?.id || null}
+                onSelect={setSelectedDisplayProfileId}
+                onCreate={createDisplayProfile}
+                onRename={(id, name) => updateDisplayProfile(id, { name })}
+                onDelete={deleteDisplayProfile}
+                onRegenerateToken={regenerateDisplayProfileToken}
+                profileUrl={(profile) => playerScreenUrl(profile.token)}
+                disabled={isCompleted}
+              />
+
               <button
                 disabled={isCompleted}
                 className={`w-full btn bg-gradient-to-r from-indigo-500 to-blue-600 text-white hover:from-indigo-600 hover:to-blue-700 border-none shadow-lg ${inSidebar ? 'text-sm' : ''} ${isCompleted ? 'opacity-50 cursor-not-allowed' : ''}`}
                 onClick={async () => {
+                  // Profiles have a permanent token, each opens in its own window
+                  if (selectedProfile) {
+                    window.open(playerScreenUrl(selectedProfile.token), `playerScreen-${selectedProfile.id}`, 'width=800,height=600,menubar=no,toolbar=no,location=no');
+                    return;
+                  }
                   try {
                     const response = await apiPost('/api/player-screen/token');
                     const data = await response.json();
-                    const token = data.token;
-                    const baseUrl = window.location.origin + window.location.pathname.replace('index.html', '');
-                    const url = `${baseUrl}player.html?follow=true&token=${encodeURIComponent(token)}`;
-                    window.open(url, 'playerScreen', 'width=800,height=600,menubar=no,toolbar=no,location=no');
+                    window.open(playerScreenUrl(data.token), 'playerScreen', 'width=800,height=600,menubar=no,toolbar=no,location=no');
                   } catch (error) {
                     console.error('Failed to generate player screen token:', error);
                     alert('Failed to open player screen');
                   }
                 }}
               >
-                📺 Open Player Screen (Auto-Follow)
+                📺 {selectedProfile ? `Open ${selectedProfile.name}` : 'Open Player Screen (Auto-Follow)'}
               </button>
 
               <button
@@ -3512,8 +3792,7 @@ export default function App() {
                             blankScreen: e.target.checked
                           }
                         };
-                        setEnc(updated);
-                        apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
+                        save(updated);
                       }}
                     />
                     <span className="toggle-slider"></span>
@@ -3521,70 +3800,53 @@ export default function App() {
                 </label>
               </div>
 
-              <div>
-                <label className={`flex items-center justify-between ${isCompleted ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
-                  <span className="text-sm text-slate-700 dark:text-slate-300">Black Background</span>
-                  <label className="toggle-switch">
-                    <input
-                      type="checkbox"
-                      disabled={isCompleted}
-                      checked={enc.playerScreenSettings?.blackMode || false}
-                      onChange={(e) => {
-                        const updated = {
-                          ...enc,
-                          playerScreenSettings: {
-                            ...enc.playerScreenSettings,
-                            blackMode: e.target.checked
-                          }
-                        };
-                        setEnc(updated);
-                        apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
-                      }}
-                    />
-                    <span className="toggle-slider"></span>
-                  </label>
+              <div className={`grid grid-cols-2 gap-2 ${isCompleted ? 'opacity-50' : ''}`}>
+                <label className="text-sm text-slate-700 dark:text-slate-300">
+                  Layout
+                  <select
+                    className="input text-sm py-1 w-full mt-1"
+                    disabled={isCompleted}
+                    value={displaySettings.layout || 'standard'}
+                    onChange={(e) => updateDisplaySetting('layout', e.target.value)}
+                  >
+                    <option value="standard">Standard</option>
+                    <option value="compact">Compact</option>
+                    <option value="overlay-horizontal">Overlay (horizontal)</option>
+                    <option value="overlay-vertical">Overlay (vertical)</option>
+                  </select>
+                </label>
+                <label className="text-sm text-slate-700 dark:text-slate-300">
+                  Theme
+                  <select
+                    className="input text-sm py-1 w-full mt-1"
+                    disabled={isCompleted}
+                    value={displaySettings.theme || (displaySettings.blackMode ? 'black' : 'default')}
+                    onChange={(e) => updateDisplaySetting('theme', e.target.value)}
+                  >
+                    <option value="default">Slate</option>
+                    <option value="black">Black</option>
+                    <option value="midnight">Midnight</option>
+                    <option value="crimson">Crimson</option>
+                    <option value="forest">Forest</option>
+                  </select>
                 </label>
               </div>
 
               <div className={isCompleted ? 'opacity-50' : ''}>
                 <label className="text-sm text-slate-700 dark:text-slate-300 block mb-2">
-                  Rotation: {enc.playerScreenSettings?.rotation || 0}°
+                  Rotation: {displaySettings.rotation || 0}°
                 </label>
                 <div className="flex gap-2">
                   <button
                     disabled={isCompleted}
-                    onClick={() => {
-                      const current = enc.playerScreenSettings?.rotation || 0;
-                      const newRotation = (current - 90 + 360) % 360;
-                      const updated = {
-                        ...enc,
-                        playerScreenSettings: {
-                          ...enc.playerScreenSettings,
-                          rotation: newRotation
-                        }
-                      };
-                      setEnc(updated);
-                      apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
-                    }}
+                    onClick={() => updateDisplaySetting('rotation', ((displaySettings.rotation || 0) - 90 + 360) % 360)}
                     className="btn flex-1 bg-slate-600 text-white hover:bg-slate-700 text-xs py-2"
                   >
                     ↶ Left
                   </button>
                   <button
                     disabled={isCompleted}
-                    onClick={() => {
-                      const current = enc.playerScreenSettings?.rotation || 0;
-                      const newRotation = (current + 90) % 360;
-                      const updated = {
-                        ...enc,
-                        playerScreenSettings: {
-                          ...enc.playerScreenSettings,
-                          rotation: newRotation
-                        }
-                      };
-                      setEnc(updated);
-                      apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
-                    }}
+                    onClick={() => updateDisplaySetting('rotation', ((displaySettings.rotation || 0) + 90) % 360)}
                     className="btn flex-1 bg-slate-600 text-white hover:bg-slate-700 text-xs py-2"
                   >
                     Right ↷
@@ -3593,99 +3855,109 @@ export default function App() {
               </div>
 
               <div className={isCompleted ? 'opacity-50 pointer-events-none' : ''}>
-                <div style={{ margin: '1em 0' }}>
-                  <label className="flex items-center justify-between cursor-pointer">
-                    <span className="text-sm text-slate-700 dark:text-slate-300">Current Turn Image</span>
-                    <label className="toggle-switch">
-                      <input
-                        type="checkbox"
-                        disabled={isCompleted}
-                        checked={enc.playerScreenSettings?.showCurrentTurnImage !== false}
-                        onChange={(e) => {
-                          const updated = {
-                            ...enc,
-                            playerScreenSettings: {
-                              ...enc.playerScreenSettings,
-                              showCurrentTurnImage: e.target.checked
-                            }
-                          };
-                          setEnc(updated);
-                          apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
-                        }}
-                      />
-                      <span className="toggle-slider"></span>
+                {[
+                  { key: 'showEncounterName', label: 'Encounter Name', defaultOn: true },
+                  { key: 'showCurrentTurnImage', label: 'Current Turn Image', defaultOn: true },
+                  { key: 'showInitiativeImages', label: 'Initiative Order Images', defaultOn: true },
+                  { key: 'showInitiativeValues', label: 'Initiative Values', defaultOn: true },
+                  { key: 'showConditions', label: 'Conditions', defaultOn: true },
+                  { key: 'showConcentration', label: 'Concentration', defaultOn: true },
+                  { key: 'showTurnButton', label: 'Show Turn Button', defaultOn: true },
+                  { key: 'hideScrollbars', label: 'Hide Scrollbars', defaultOn: false },
+                ].map(({ key, label, defaultOn }) => (
+                  <div key={key} style={{ margin: '1em 0' }}>
+                    <label className="flex items-center justify-between cursor-pointer">
+                      <span className="text-sm text-slate-700 dark:text-slate-300">{label}</span>
+                      <label className="toggle-switch">
+                        <input
+                          type="checkbox"
+                          disabled={isCompleted}
+                          checked={defaultOn ? displaySettings[key] !== false : displaySettings[key] || false}
+                          onChange={(e) => updateDisplaySetting(key, e.target.checked)}
+                        />
+                        <span className="toggle-slider"></span>
+                      </label>
                     </label>
+                  </div>
+                ))}
+
+                <div>
+                  <label className="text-sm text-slate-700 dark:text-slate-300 block mb-1">
+                    Zoom: {Math.round((displaySettings.zoom || 100))}%
                   </label>
+                  <input
+                    type="range"
+                    min="50"
+                    max="150"
+                    step="5"
+                    disabled={isCompleted}
+                    value={displaySettings.zoom || 100}
+                    onChange={(e) => updateDisplaySetting('zoom', parseInt(e.target.value))}
+                    className="w-full"
+                  />
                 </div>
 
-                <div style={{ margin: '1em 0' }}>
-                  <label className="flex items-center justify-between cursor-pointer">
-                    <span className="text-sm text-slate-700 dark:text-slate-300">Initiative Order Images</span>
-                    <label className="toggle-switch">
-                      <input
-                        type="checkbox"
-                        disabled={isCompleted}
-                        checked={enc.playerScreenSettings?.showInitiativeImages !== false}
-                        onChange={(e) => {
-                          const updated = {
-                            ...enc,
-                            playerScreenSettings: {
-                              ...enc.playerScreenSettings,
-                              showInitiativeImages: e.target.checked
-                            }
-                          };
-                          setEnc(updated);
-                          apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
-                        }}
-                      />
-                      <span className="toggle-slider"></span>
-                    </label>
-                  </label>
+                <hr className="my-4 border-slate-200 dark:border-slate-700" />
+                <div className="text-xs font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400 mb-2">
+                  All displays
                 </div>
 
-                <div style={{ margin: '1em 0' }}>
-                  <label className="flex items-center justify-between cursor-pointer">
-                    <span className="text-sm text-slate-700 dark:text-slate-300">Show Turn Button</span>
-                    <label className="toggle-switch">
-                      <input
-                        type="checkbox"
+                {[
+                  { side: 'pc', label: '❤️ PC HP' },
+                  { side: 'monster', label: '🩸 Monster HP' },
+                ].map(({ side, label }) => (
+                  <div key={side}>
+                    <label className="flex items-center justify-between gap-2">
+                      <span className="text-sm text-slate-700 dark:text-slate-300">{label}</span>
+                      <select
+                        className="input text-sm py-1 w-32"
                         disabled={isCompleted}
-                        checked={enc.playerScreenSettings?.showTurnButton !== false}
+                        value={enc.playerScreenSettings?.hpDisplay?.[side] || (enc.playerScreenSettings?.showBloodiedInPlayerView ? 'descriptor' : 'hidden')}
                         onChange={(e) => {
+                          const settings = enc.playerScreenSettings || {};
+                          // Explicit modes replace the old bloodied flag
+                          const legacyMode = settings.showBloodiedInPlayerView ? 'descriptor' : 'hidden';
                           const updated = {
                             ...enc,
                             playerScreenSettings: {
-                              ...enc.playerScreenSettings,
-                              showTurnButton: e.target.checked
+                              ...settings,
+                              showBloodiedInPlayerView: false,
+                              hpDisplay: {
+                                pc: settings.hpDisplay?.pc || legacyMode,
+                                monster: settings.hpDisplay?.monster || legacyMode,
+                                [side]: e.target.value
+                              }
                             }
                           };
-                          setEnc(updated);
-                          apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
+                          save(updated);
                         }}
-                      />
-                      <span className="toggle-slider"></span>
+                      >
+                        <option value="hidden">Hidden</option>
+                        <option value="descriptor">Descriptor</option>
+                        <option value="bar">HP Bar</option>
+                        <option value="exact">Exact</option>
+                      </select>
                     </label>
-                  </label>
-                </div>
+                  </div>
+                ))}
 
-                <div style={{ margin: '1em 0' }}>
+                <div>
                   <label className="flex items-center justify-between cursor-pointer">
-                    <span className="text-sm text-slate-700 dark:text-slate-300">Hide Scrollbars</span>
+                    <span className="text-sm text-slate-700 dark:text-slate-300" title="Hit, heal and death animations on the player screen">💥 HP Animations</span>
                     <label className="toggle-switch">
                       <input
                         type="checkbox"
                         disabled={isCompleted}
-                        checked={enc.playerScreenSettings?.hideScrollbars || false}
+                        checked={enc.playerScreenSettings?.hpAnimations || false}
                         onChange={(e) => {
                           const updated = {
                             ...enc,
                             playerScreenSettings: {
                               ...enc.playerScreenSettings,
-                              hideScrollbars: e.target.checked
+                              hpAnimations: e.target.checked
                             }
                           };
-                          setEnc(updated);
-                          apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
+                          save(updated);
                         }}
                       />
                       <span className="toggle-slider"></span>
@@ -3693,50 +3965,23 @@ export default function App() {
                   </label>
                 </div>
 
-                <div>
-                  <label className="text-sm text-slate-700 dark:text-slate-300 block mb-1">
-                    Zoom: {Math.round((enc.playerScreenSettings?.zoom || 100))}%
-                  </label>
-                  <input
-                    type="range"
-                    min="50"
-                    max="150"
-                    step="5"
-                    disabled={isCompleted}
-                    value={enc.playerScreenSettings?.zoom || 100}
-                    onChange={(e) => {
-                      const updated = {
-                        ...enc,
-                        playerScreenSettings: {
-                          ...enc.playerScreenSettings,
-                          zoom: parseInt(e.target.value)
-                        }
-                      };
-                      setEnc(updated);
-                      apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
-                    }}
-                    className="w-full"
-                  />
-                </div>
-
                 <div>
                   <label className="flex items-center justify-between cursor-pointer">
-                    <span className="text-sm text-slate-700 dark:text-slate-300">🩸 Bloodied Status</span>
+                    <span className="text-sm text-slate-700 dark:text-slate-300" title="Apply initiative, damage and healing sent from the players' companion view without asking">📱 Auto-Accept Player Input</span>
                     <label className="toggle-switch">
                       <input
                         type="checkbox"
                         disabled={isCompleted}
-                        checked={enc.playerScreenSettings?.showBloodiedInPlayerView || false}
+                        checked={enc.playerScreenSettings?.autoAcceptSubmissions || false}
                         onChange={(e) => {
                           const updated = {
                             ...enc,
                             playerScreenSettings: {
                               ...enc.playerScreenSettings,
-                              showBloodiedInPlayerView: e.target.checked
+                              autoAcceptSubmissions: e.target.checked
                             }
                           };
-                          setEnc(updated);
-                          apiPut(`/api/encounters/${enc.id}`, updated).catch(console.error);
+                          save(updated);
                         }}
                       />
                       <span className="toggle-slider"></span>
@@ -3908,7 +4153,14 @@ export default function App() {
               className="btn bg-blue-500 text-white hover:bg-blue-600 border-blue-500"
               onClick={createEncounter}
             >
-              + New Encounter
+              + New Encounter
+            </button>
+            <button
+              className="btn"
+              onClick={() => setShowGeneratorModal(true)}
+              title="Zufälliges Encounter generieren"
+            >
+              🎲 Generate
             </button>
             <label className="btn cursor-pointer">
               📥 Import
@@ -4024,6 +4276,9 @@ export default function App() {
               {/* Combat Mode Quick Actions - Top of Sidebar */}
               {combatMode && enc && renderQuickActionsPanel()}
 
+              {/* Undo/Redo History */}
+              {combatMode && enc && renderHistoryPanel()}
+
               {/* Player Screen Controls - Second position when active */}
               {combatMode && enc && renderPlayerScreenControlsPanel()}
 
@@ -4121,6 +4376,21 @@ export default function App() {
                   </button>
                 )}
 
+                {/* History Icon (Combat Mode Only) */}
+                {combatMode && enc && (
+                  <button
+                    className={`w-14 h-14 rounded-lg flex items-center justify-center text-2xl transition-all ${
+                      activeSidebarPanel === 'history'
+                        ? 'bg-indigo-500 text-white shadow-lg'
+                        : 'bg-white dark:bg-slate-800 hover:bg-indigo-50 dark:hover:bg-slate-700 border border-slate-200 dark:border-slate-700'
+                    }`}
+                    onClick={() => setActiveSidebarPanel(activeSidebarPanel === 'history' ? null : 'history')}
+                    title="History (Undo/Redo)"
+                  >
+                    ⏪
+                  </button>
+                )}
+
                 {/* Monster Browser Icon (Combat Mode Only) */}
                 {combatMode && (
                   <button
@@ -4188,6 +4458,7 @@ export default function App() {
         {/* Floating Sidebar Panels (Mini Mode Only) */}
         {/* Combat panels now render using the same helper functions */}
         {!sidebarVisible && activeSidebarPanel === 'quickActions' && combatMode && enc && renderQuickActionsPanel()}
+        {!sidebarVisible && activeSidebarPanel === 'history' && combatMode && enc && renderHistoryPanel()}
         {!sidebarVisible && activeSidebarPanel === 'monsters' && combatMode && renderMonsterBrowserPanel()}
         {!sidebarVisible && activeSidebarPanel === 'players' && combatMode && enc && renderPlayerCharactersPanel()}
         {activeSidebarPanel === 'playerScreen' && enc && renderPlayerScreenControlsPanel()}
@@ -4361,6 +4632,7 @@ export default function App() {
                       onChange={(e) => setEnc({ ...enc, name: e.target.value })}
                       placeholder="Encounter Name"
                     />
+                    <DifficultyBadge encounter={savedEnc || enc} />
                     <button
                       className="btn bg-blue-500 text-white hover:bg-blue-600 border-blue-500 flex items-center gap-1"
                       onClick={async () => {
@@ -4374,6 +4646,11 @@ export default function App() {
                 </div>
               )}
 
+              {/* Balance Simulation - Prep Mode only */}
+              {!combatMode && order.length > 0 && (
+                <SimulationPanel encounterId={enc.id} />
+              )}
+
               {/* Participants/Initiative - Always on right */}
               {order.length === 0 ? (
                 <div className="card text-center py-8">
@@ -4388,7 +4665,9 @@ export default function App() {
                   {combatMode && (
                     <div className="sticky top-[4.5rem] z-[5] card bg-gradient-to-r from-orange-50 to-amber-50 dark:from-orange-900/90 dark:to-amber-900/90 border-orange-200 dark:border-orange-700 shadow-lg">
                       <div className="flex items-center justify-between gap-4">
-                        <div className="flex-1"></div>
+                        <div className="flex-1">
+                          <TurnTimer encounter={enc} onAction={runCombatActions} disabled={isCompleted} />
+                        </div>
                         <div className="flex items-center gap-6">
                           <button
                             disabled={isCompleted}
@@ -4461,7 +4740,7 @@ export default function App() {
                               )
                             }
                             onChange={(patch) => updateCombatant(c.id, patch)}
-                            onDamage={(amount) => applyDamage(c.id, amount)}
+                            onHPChange={(value) => changeHP(c.id, value)}
                             combatMode={combatMode}
                             allPlayers={order.filter(p => p.player)}
                             hpManagement={hpManagement}
@@ -4473,6 +4752,10 @@ export default function App() {
                             settings={settings}
                             isCompleted={isCompleted}
                             setInitiativeTooltip={setInitiativeTooltip}
+                            combatants={enc.combatants}
+                            onAddEffect={(effect) => runCombatActions({ type: "addEffect", target: c.id, effect })}
+                            onRemoveEffect={(effectId) => runCombatActions({ type: "removeEffect", target: c.id, effectId })}
+                            onSetExhaustion={(level) => runCombatActions({ type: "setExhaustion", target: c.id, level })}
                           />
                         </div>
                       );
@@ -4535,6 +4818,28 @@ export default function App() {
 
       </main>
 
+      {/* Initiative Collection & Player Submissions - Bottom Right */}
+      {currentId && enc?.id === currentId && enc.combatStatus !== 'completed' && (
+        <div className="fixed bottom-6 right-6 z-50 w-80 space-y-2">
+          {enc.initiativeCollection && (
+            <InitiativeCollectionPanel
+              encounter={enc}
+              onSubmit={(target, initiative) => runCombatActions({ type: "submitInitiative", target, initiative })}
+              onFinalize={() => runCombatActions({ type: "finalizeInitiative" })}
+              onCancel={cancelInitiativeCollection}
+            />
+          )}
+          <PlayerSubmissionsPanel
+            encounterId={currentId}
+            revision={enc.revision}
+            onResolve={(submission, accept) =>
+              runCombatActions({ type: "resolveSubmission", submissionId: submission.id, accept })
+            }
+            onRemoteChange={() => refresh().catch((err) => console.error('Failed to reload encounter:', err))}
+          />
+        </div>
+      )}
+
       {/* Recharge Notifications - Top Right */}
       {rechargeNotifications.length > 0 && (
         <div className="fixed top-20 right-6 z-50 space-y-2 max-w-md">
@@ -4549,7 +4854,7 @@ export default function App() {
             >
               <div className="flex items-start gap-3">
                 <div className="text-2xl flex-shrink-0">
-                  {notification.success ? '✅' : '❌'}
+                  {notification.icon || (notification.success ? '✅' : '❌')}
                 </div>
                 <div className="flex-1 min-w-0">
                   <div className={`font-semibold text-sm mb-1 ${
@@ -4557,7 +4862,7 @@ export default function App() {
                       ? 'text-green-800 dark:text-green-200'
                       : 'text-red-800 dark:text-red-200'
                   }`}>
-                    {notification.success ? 'Recharged!' : 'Not Recharged'}
+                    {notification.title || (notification.success ? 'Recharged!' : 'Not Recharged')}
                   </div>
                   <div className="text-sm text-slate-700 dark:text-slate-300 break-words">
                     {notification.message}
@@ -4579,6 +4884,59 @@ export default function App() {
         </div>
       )}
 
+      {/* Saves requested by timed effects */}
+      <EffectSavePrompts
+        prompts={effectSavePrompts}
+        onResolve={(prompt, passed) => {
+          setEffectSavePrompts((prev) => prev.filter((p) => p.effectId !== prompt.effectId));
+          if (passed && enc?.combatants[prompt.combatantId]?.effects?.some((e) => e.id === prompt.effectId)) {
+            runCombatActions({ type: "removeEffect", target: prompt.combatantId, effectId: prompt.effectId });
+          }
+        }}
+      />
+
+      {damageModalTargets && enc && (
+        <DamageModal
+          combatants={order.filter((c) => !c.isLairAction)}
+          initialTargets={damageModalTargets}
+          initialInput={damageModalInput}
+          onApply={applyTypedDamage}
+          onClose={() => {
+            setDamageModalTargets(null);
+            setDamageModalInput("");
+          }}
+        />
+      )}
+
+      {attackModal && enc?.combatants[attackModal.attackerId] && (
+        <AttackModal
+          attacker={enc.combatants[attackModal.attackerId]}
+          action={attackModal.action}
+          combatants={order.filter((c) => !c.isLairAction)}
+          onApply={(hits) => applyRolledDamage(hits, "Hit")}
+          onClose={() => setAttackModal(null)}
+        />
+      )}
+
+      {saveEffectModal && enc && (
+        <SaveEffectModal
+          combatants={order.filter((c) => !c.isLairAction)}
+          initial={saveEffectModal.initial}
+          initialTargets={saveEffectModal.targets}
+          onApply={(hits) => applyRolledDamage(hits, saveEffectModal.initial.name || "Save effect")}
+          onClose={() => setSaveEffectModal(null)}
+        />
+      )}
+
+      {macroEditor && (
+        <MacroEditor
+          title={macroEditor.title}
+          macros={macroEditor.key === null ? rollMacros.user : rollMacros.combatants[macroEditor.key] || []}
+          onSave={(list) => saveRollMacros(macroEditor.key, list)}
+          onClose={() => setMacroEditor(null)}
+        />
+      )}
+
       {/* Dice Roll Toast - Right of the button - 384px width */}
       {diceRollResult && diceRollResult.type === "generic" && (
         <div
@@ -4631,6 +4989,13 @@ export default function App() {
             {diceRollResult.rolls &&
               diceRollResult.rolls.length > 0 &&
               (() => {
+                if (diceRollResult.breakdown) {
+                  return (
+                    <div className="mb-2 text-center text-sm text-slate-700 dark:text-slate-400 font-mono">
+                      {diceRollResult.breakdown}
+                    </div>
+                  );
+                }
                 const modifierMatch =
                   diceRollResult.notation?.match(/([+-]\d+)$/);
                 const modifier = modifierMatch ? parseInt(modifierMatch[1]) : 0;
@@ -4771,6 +5136,11 @@ export default function App() {
                       {diceRollResult.passed ? "✅ Success" : "❌ Failed"}
                     </div>
                   )}
+                  {diceRollResult.type === "concentration" && diceRollResult.reasons?.length > 0 && (
+                    <div className="mt-1 text-xs text-slate-500 dark:text-slate-400">
+                      {diceRollResult.reasons.map((r) => `${r.text} (${r.effect})`).join(", ")}
+                    </div>
+                  )}
                   {!diceRollResult.passed &&
                     diceRollResult.type === "concentration" && (
                       <div className="mt-2 text-sm text-red-700 dark:text-red-300 font-medium">
@@ -4853,6 +5223,7 @@ export default function App() {
             setDiceRollerInitialNotation(null);
             setDiceRollerAutoRoll(false);
             setDiceRollerInitialRollMode("normal");
+            diceRollerClosed();
             setDiceRollerLabel('');
             setDiceRollerCharacter('');
           }}
@@ -4881,6 +5252,7 @@ export default function App() {
                 roll: result.rolls[0],
                 total: result.total,
                 rolls: result.rolls,
+                breakdown: result.breakdown,
                 notation: `${combatantName}: ${actionName} (Recharge ${rechargeTrigger}+)`,
                 rollMode: result.rollMode,
                 timestamp: Date.now(),
@@ -4917,6 +5289,7 @@ export default function App() {
                 roll: result.rolls[0],
                 total: result.total,
                 rolls: result.rolls,
+                breakdown: result.breakdown,
                 notation: `${result.notation} (Recharge ${rechargeTrigger}+)`,
                 rollMode: result.rollMode,
                 timestamp: Date.now(),
@@ -4941,6 +5314,7 @@ export default function App() {
                 roll: result.rolls[0],
                 total: result.total,
                 rolls: result.rolls,
+                breakdown: result.breakdown,
                 notation: result.notation,
                 rollMode: result.rollMode,
                 label: diceRollerLabel,
@@ -4996,6 +5370,7 @@ export default function App() {
             setDiceRollerInitialNotation(null);
             setDiceRollerAutoRoll(false);
             setDiceRollerInitialRollMode("normal");
+            diceRollerClosed();
           }}
           onResult={(result) => {
             // Check if this is an auto-recharge roll (from Next Turn)
@@ -5020,6 +5395,7 @@ export default function App() {
                 roll: result.rolls[0],
                 total: result.total,
                 rolls: result.rolls,
+                breakdown: result.breakdown,
                 notation: `${combatantName}: ${actionName} (Recharge ${rechargeTrigger}+)`,
                 rollMode: result.rollMode,
                 timestamp: Date.now(),
@@ -5041,6 +5417,7 @@ export default function App() {
                 roll: result.rolls[0],
                 total: result.total,
                 rolls: result.rolls,
+                breakdown: result.breakdown,
                 notation: result.notation,
                 rollMode: result.rollMode,
                 label: diceRollerLabel,
@@ -5061,7 +5438,21 @@ export default function App() {
       )}
 
       {/* Settings Modal */}
-      <Settings isOpen={showSettings} onClose={() => setShowSettings(false)} />
+      <Settings
+        isOpen={showSettings}
+        onClose={() => setShowSettings(false)}
+        onManageConditions={() => {
+          setShowSettings(false);
+          setShowConditionEditor(true);
+        }}
+      />
+      {showConditionEditor && (
+        <CustomConditionEditor
+          conditions={customConditions}
+          onSave={saveCustomConditions}
+          onClose={() => setShowConditionEditor(false)}
+        />
+      )}
 
       {/* Floating Action Buttons */}
       <div className="fixed bottom-6 left-6 z-30 flex flex-col gap-3">
@@ -5148,6 +5539,13 @@ export default function App() {
                     {roll.rolls &&
                       roll.rolls.length > 0 &&
                       (() => {
+                        if (roll.breakdown) {
+                          return (
+                            <div className="text-xs text-slate-700 dark:text-slate-400 font-mono">
+                              {roll.breakdown}
+                            </div>
+                          );
+                        }
                         const modifierMatch =
                           roll.notation?.match(/([+-]\d+)$/);
                         const modifier = modifierMatch
@@ -5436,6 +5834,25 @@ export default function App() {
               </span>
             </div>
 
+            {(() => {
+              const definition = conditionDefinition(conditionTooltip.name || "");
+              const effects = describeConditionEffects(conditionTooltip.name || "");
+              if (!definition?.description && effects.length === 0) return null;
+              return (
+                <div className="text-xs text-slate-700 dark:text-slate-300 border-t border-amber-200 dark:border-amber-800 pt-2">
+                  {definition?.description && <p className="leading-relaxed mb-1">{definition.description}</p>}
+                  {effects.length > 0 && (
+                    <>
+                      <div className="font-semibold text-amber-800 dark:text-amber-400 mb-0.5">Effects</div>
+                      <ul className="list-disc list-inside space-y-0.5">
+                        {effects.map((line) => <li key={line} className="leading-relaxed">{line}</li>)}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              );
+            })()}
+
             <div className="text-xs text-slate-700 dark:text-slate-300 border-t border-amber-200 dark:border-amber-800 pt-2 max-h-64 overflow-y-auto">
               {(() => {
                 const { legacy, reprinted } = conditionTooltip.condition;
@@ -6207,10 +6624,7 @@ export default function App() {
                 const modifier = 2;
                 const damage = Math.ceil(damageModifier.damage * modifier);
                 const input = document.getElementById(`hp-quick-${damageModifier.combatantId}`);
-                updateCombatant(damageModifier.combatantId, applyHPChange(
-                  enc.combatants[damageModifier.combatantId],
-                  `-${damage}`
-                ));
+                changeHP(damageModifier.combatantId, `-${damage}`);
                 if (input) input.value = '';
                 setDamageModifier({ show: false, combatantId: null, x: 0, y: 0 });
               }}
@@ -6223,10 +6637,7 @@ export default function App() {
               onClick={() => {
                 const damage = damageModifier.damage;
                 const input = document.getElementById(`hp-quick-${damageModifier.combatantId}`);
-                updateCombatant(damageModifier.combatantId, applyHPChange(
-                  enc.combatants[damageModifier.combatantId],
-                  `-${damage}`
-                ));
+                changeHP(damageModifier.combatantId, `-${damage}`);
                 if (input) input.value = '';
                 setDamageModifier({ show: false, combatantId: null, x: 0, y: 0 });
               }}
@@ -6240,10 +6651,7 @@ export default function App() {
                 const modifier = 0.5;
                 const damage = Math.ceil(damageModifier.damage * modifier);
                 const input = document.getElementById(`hp-quick-${damageModifier.combatantId}`);
-                updateCombatant(damageModifier.combatantId, applyHPChange(
-                  enc.combatants[damageModifier.combatantId],
-                  `-${damage}`
-                ));
+                changeHP(damageModifier.combatantId, `-${damage}`);
                 if (input) input.value = '';
                 setDamageModifier({ show: false, combatantId: null, x: 0, y: 0 });
               }}
@@ -6257,10 +6665,7 @@ export default function App() {
                 const modifier = 0.25;
                 const damage = Math.ceil(damageModifier.damage * modifier);
                 const input = document.getElementById(`hp-quick-${damageModifier.combatantId}`);
-                updateCombatant(damageModifier.combatantId, applyHPChange(
-                  enc.combatants[damageModifier.combatantId],
-                  `-${damage}`
-                ));
+                changeHP(damageModifier.combatantId, `-${damage}`);
                 if (input) input.value = '';
                 setDamageModifier({ show: false, combatantId: null, x: 0, y: 0 });
               }}
@@ -7164,6 +7569,33 @@ export default function App() {
         />
       )}
 
+      {/* Combat Log Modal */}
+      {showCombatLogModal && currentId && enc && (
+        <CombatLogModal
+          encounterId={currentId}
+          encounterName={enc.name}
+          revision={enc.revision}
+          onClose={() => setShowCombatLogModal(false)}
+        />
+      )}
+
+      {/* Encounter Generator Modal */}
+      {showGeneratorModal && (
+        <EncounterGeneratorModal
+          campaigns={campaigns}
+          onCreate={createEncounterFromGroup}
+          onClose={() => setShowGeneratorModal(false)}
+        />
+      )}
+
+      {/* Combat Summary Modal */}
+      {showCombatSummaryModal && currentId && (
+        <CombatSummaryModal
+          encounterId={currentId}
+          onClose={() => setShowCombatSummaryModal(false)}
+        />
+      )}
+
       {/* Statblock Sidebar - Overlay */}
       {selectedCombatant && !selectedCombatant.isLair && (
         <div
@@ -7396,83 +7828,15 @@ export default function App() {
                       key={`hp-${selectedCombatant.id}-${selectedCombatant.hp}-${selectedCombatant.tempHP || 0}`}
                       onBlur={(e) => {
                         const value = e.target.value.trim();
-                        // Handle +/- shortcuts on blur using applyHPChange
-                        if (value.startsWith('+') || value.startsWith('-')) {
-                          updateCombatant(selectedCombatant.id, applyHPChange(selectedCombatant, value));
-                        } else {
-                          // Direct number input
-                          const num = parseInt(value);
-                          if (!isNaN(num) || value === '') {
-                            const updates = { hp: num || 0 };
-
-                            // Remove stable and dying status if HP > 0
-                            if (num > 0) {
-                              if (selectedCombatant.isStable) updates.isStable = false;
-                              if (selectedCombatant.isDying) updates.isDying = false;
-                              if (selectedCombatant.isDead) updates.isDead = false;
-                              // Reset death saves when HP goes above 0
-                              updates.deathSaves = { successes: 0, failures: 0 };
-                            }
-
-                            // Handle HP = 0 case
-                            if (num === 0) {
-                              // Auto-kill non-PCs if setting is enabled
-                              if (settings.deathSavesForPCsOnly && !selectedCombatant.isPC) {
-                                updates.isDead = true;
-                                updates.isDying = false;
-                                updates.isStable = false;
-                              } else {
-                                // Set dying status for PCs or when death saves are enabled
-                                if (!selectedCombatant.isStable && !selectedCombatant.isDead) {
-                                  updates.isDying = true;
-                                }
-                              }
-                            }
-
-                            updateCombatant(selectedCombatant.id, updates);
-                          }
+                        // "+5"/"-5" heal or damage, plain numbers set HP directly
+                        if (value === String(selectedCombatant.hp ?? '')) return;
+                        if (value.startsWith('+') || value.startsWith('-') || !isNaN(parseInt(value)) || value === '') {
+                          changeHP(selectedCombatant.id, value);
                         }
                       }}
                       onKeyDown={(e) => {
                         if (e.key === 'Enter') {
-                          const value = e.target.value.trim();
-                          // Handle +/- shortcuts on Enter using applyHPChange
-                          if (value.startsWith('+') || value.startsWith('-')) {
-                            updateCombatant(selectedCombatant.id, applyHPChange(selectedCombatant, value));
-                          } else {
-                            // Direct number input
-                            const num = parseInt(value);
-                            if (!isNaN(num) || value === '') {
-                              const updates = { hp: num || 0 };
-
-                              // Remove stable and dying status if HP > 0
-                              if (num > 0) {
-                                if (selectedCombatant.isStable) updates.isStable = false;
-                                if (selectedCombatant.isDying) updates.isDying = false;
-                                if (selectedCombatant.isDead) updates.isDead = false;
-                                // Reset death saves when HP goes above 0
-                                updates.deathSaves = { successes: 0, failures: 0 };
-                              }
-
-                              // Handle HP = 0 case
-                              if (num === 0) {
-                                // Auto-kill non-PCs if setting is enabled
-                                if (settings.deathSavesForPCsOnly && !selectedCombatant.isPC) {
-                                  updates.isDead = true;
-                                  updates.isDying = false;
-                                  updates.isStable = false;
-                                } else {
-                                  // Set dying status for PCs or when death saves are enabled
-                                  if (!selectedCombatant.isStable && !selectedCombatant.isDead) {
-                                    updates.isDying = true;
-                                  }
-                                }
-                              }
-
-                              updateCombatant(selectedCombatant.id, updates);
-                            }
-                          }
-                          // Always blur on Enter
+                          // Blurring applies the value (see onBlur)
                           e.target.blur();
                         }
                       }}
@@ -7507,15 +7871,21 @@ export default function App() {
                     />
                   </div>
                   <input
-                    type="number"
+                    type="text"
                     className="input w-full text-center py-1 text-sm mb-1"
-                    placeholder="HP Amount"
+                    placeholder="HP Amount / 14 fire"
                     id={`hp-quick-${selectedCombatant.id}`}
                     onKeyDown={(e) => {
                       if (e.key === 'Enter') {
-                        const val = e.target.value;
+                        const val = e.target.value.trim();
                         if (val) {
-                          updateCombatant(selectedCombatant.id, applyHPChange(selectedCombatant, val));
+                          // "14 fire" is always damage, even without a minus
+                          const typedDamage = parseDamageInput(val);
+                          if (typedDamage) {
+                            applyTypedDamage([selectedCombatant.id], typedDamage);
+                          } else {
+                            changeHP(selectedCombatant.id, val);
+                          }
                           e.target.value = '';
                         }
                       }
@@ -7531,7 +7901,14 @@ export default function App() {
                       onClick={(e) => {
                         e.stopPropagation();
                         const input = document.getElementById(`hp-quick-${selectedCombatant.id}`);
-                        if (input && input.value) {
+                        const typedDamage = input ? parseDamageInput(input.value) : null;
+                        if (input && showDamageInputError(input.value)) {
+                          // Unknown damage type - the input stays so it can be corrected
+                        } else if (typedDamage) {
+                          // Typed damage already knows resistances - no manual modifier needed
+                          applyTypedDamage([selectedCombatant.id], typedDamage);
+                          input.value = '';
+                        } else if (input && input.value) {
                           // Show damage modifier tooltip
                           const rect = e.currentTarget.getBoundingClientRect();
                           setDamageModifier({
@@ -7553,7 +7930,7 @@ export default function App() {
                         e.stopPropagation();
                         const input = document.getElementById(`hp-quick-${selectedCombatant.id}`);
                         if (input && input.value) {
-                          updateCombatant(selectedCombatant.id, applyHPChange(selectedCombatant, `+${input.value}`));
+                          changeHP(selectedCombatant.id, `+${input.value}`);
                           input.value = '';
                         }
                       }}
@@ -7562,6 +7939,17 @@ export default function App() {
                       HEAL
                     </button>
                   </div>
+                  <button
+                    className="w-full mt-1 px-3 py-1 bg-red-100 hover:bg-red-200 dark:bg-red-900/30 dark:hover:bg-red-900/50 text-red-700 dark:text-red-300 text-xs font-semibold rounded"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setDamageModalTargets([selectedCombatant.id]);
+                    }}
+                    disabled={isCompleted}
+                    title="Typed damage against several targets"
+                  >
+                    💥 Multiple targets
+                  </button>
                 </div>
               </div>
 
@@ -7586,7 +7974,7 @@ export default function App() {
                         {/* Ability Score - Clickable */}
                         <button
                           className="w-full bg-slate-50 dark:bg-slate-800 hover:bg-slate-100 dark:hover:bg-slate-700 p-2 text-center transition-colors cursor-pointer"
-                          onClick={() => handleRoll({ notation: abilityNotation, label: abilityLabel, rollMode: 'normal', character: selectedCombatant.name })}
+                          onClick={() => rollDice({ notation: abilityNotation, label: abilityLabel, character: selectedCombatant.name, combatant: selectedCombatant, rollType: 'check', ability })}
                           onContextMenu={(e) => {
                             e.preventDefault();
                             e.stopPropagation();
@@ -7610,7 +7998,7 @@ export default function App() {
                         {/* Saving Throw - Clickable */}
                         <button
                           className="w-full bg-green-50 dark:bg-green-900/20 hover:bg-green-100 dark:hover:bg-green-900/40 p-1.5 text-center transition-colors cursor-pointer border-t border-slate-200 dark:border-slate-700"
-                          onClick={() => handleRoll({ notation: saveNotation, label: saveLabel, rollMode: 'normal', character: selectedCombatant.name })}
+                          onClick={() => rollDice({ notation: saveNotation, label: saveLabel, character: selectedCombatant.name, combatant: selectedCombatant, rollType: 'save', ability })}
                           onContextMenu={(e) => {
                             e.preventDefault();
                             e.stopPropagation();
@@ -8588,6 +8976,20 @@ export default function App() {
                 </div>
               )}
 
+              {/* Roll Macros - saved per creature, all copies of a monster share them */}
+              <div className="space-y-2">
+                <div className="h2 text-violet-700 dark:text-violet-400">Macros</div>
+                <MacroButtons
+                  macros={rollMacros.combatants[macroKey(selectedCombatant)] || []}
+                  disabled={isCompleted}
+                  onRoll={(macro) => rollMacro(macro, selectedCombatant)}
+                  onManage={() => setMacroEditor({
+                    key: macroKey(selectedCombatant),
+                    title: `Macros for ${macroKey(selectedCombatant)}`,
+                  })}
+                />
+              </div>
+
               {/* Actions */}
               {selectedCombatant.actions && selectedCombatant.actions.length > 0 && (
                 <div className="space-y-2">
@@ -8648,7 +9050,9 @@ export default function App() {
                                       notation: notation,
                                       rollMode: "normal",
                                       label: `${selectedCombatant.name} - ${action.name} - Attack`,
-                                      character: selectedCombatant.name
+                                      character: selectedCombatant.name,
+                                      combatant: selectedCombatant,
+                                      rollType: "attack"
                                     });
                                     handleRoll();
                                   }}
@@ -8670,6 +9074,14 @@ export default function App() {
                                 >
                                   ⚔️ {parsed.toHit.startsWith('+') || parsed.toHit.startsWith('-') ? parsed.toHit : `+${parsed.toHit}`}
                                 </button>
+                                <button
+                                  className="ml-1 inline-flex items-center gap-1 px-2 py-0.5 bg-red-100 dark:bg-red-900/40 hover:bg-red-200 dark:hover:bg-red-800/60 text-red-800 dark:text-red-300 rounded text-xs font-semibold transition-colors border border-red-300 dark:border-red-700 disabled:opacity-50"
+                                  disabled={isCompleted}
+                                  onClick={() => setAttackModal({ attackerId: selectedCombatant.id, action: { ...parsed, name: formatted.name } })}
+                                  title="Roll against targets' AC and apply damage"
+                                >
+                                  🎯 Attack...
+                                </button>
                               </div>
 
                               {parsed.reach && (
@@ -8769,6 +9181,24 @@ export default function App() {
                               <div className="font-semibold text-slate-600 dark:text-slate-400">Save:</div>
                               <div className="text-slate-700 dark:text-slate-300">
                                 DC {parsed.dc} {parsed.ability.charAt(0).toUpperCase() + parsed.ability.slice(1)}
+                                <button
+                                  className="ml-2 inline-flex items-center px-2 py-0.5 bg-purple-100 dark:bg-purple-900/40 hover:bg-purple-200 dark:hover:bg-purple-800/60 text-purple-800 dark:text-purple-300 rounded text-xs font-semibold transition-colors border border-purple-300 dark:border-purple-700 disabled:opacity-50"
+                                  disabled={isCompleted}
+                                  onClick={() => setSaveEffectModal({
+                                    initial: {
+                                      name: `${selectedCombatant.name}: ${formatted.name}`,
+                                      dc: parsed.dc,
+                                      ability: normalizeAbility(parsed.ability) || 'dex',
+                                      damage: parsed.damage?.dice.replace(/\s+/g, '') || '',
+                                      damageType: parsed.damage?.type.toLowerCase() || '',
+                                      halfOnSuccess: Boolean(parsed.damage?.halfOnSuccess)
+                                    },
+                                    targets: []
+                                  })}
+                                  title="Roll saves for the targets and apply the damage"
+                                >
+                                  🌀 Save effect...
+                                </button>
                               </div>
 
                               {parsed.damage && (
@@ -8893,6 +9323,14 @@ export default function App() {
                                 >
                                   {parsed.toHit}
                                 </button>
+                                <button
+                                  className="ml-1 px-2 py-0.5 bg-red-500 hover:bg-red-600 text-white text-xs rounded shadow-sm disabled:opacity-50"
+                                  disabled={isCompleted}
+                                  onClick={() => setAttackModal({ attackerId: selectedCombatant.id, action: { ...parsed, name: formatted.name } })}
+                                  title="Roll against targets' AC and apply damage"
+                                >
+                                  🎯 Attack...
+                                </button>
                               </div>
 
                               <div className="font-semibold text-slate-600 dark:text-slate-400">Reach/Range:</div>
@@ -8938,7 +9376,27 @@ export default function App() {
                               <div className="text-slate-700 dark:text-slate-300">{parsed.ability.toUpperCase()} Saving Throw</div>
 
                               <div className="font-semibold text-slate-600 dark:text-slate-400">DC:</div>
-                              <div className="text-slate-700 dark:text-slate-300">{parsed.dc}</div>
+                              <div className="text-slate-700 dark:text-slate-300">
+                                {parsed.dc}
+                                <button
+                                  className="ml-2 px-2 py-0.5 bg-purple-500 hover:bg-purple-600 text-white text-xs rounded shadow-sm disabled:opacity-50"
+                                  disabled={isCompleted}
+                                  onClick={() => setSaveEffectModal({
+                                    initial: {
+                                      name: `${selectedCombatant.name}: ${formatted.name}`,
+                                      dc: parsed.dc,
+                                      ability: normalizeAbility(parsed.ability) || 'dex',
+                                      damage: parsed.damage?.dice.replace(/\s+/g, '') || '',
+                                      damageType: parsed.damage?.type.toLowerCase() || '',
+                                      halfOnSuccess: Boolean(parsed.damage?.halfOnSuccess)
+                                    },
+                                    targets: []
+                                  })}
+                                  title="Roll saves for the targets and apply the damage"
+                                >
+                                  🌀 Save effect...
+                                </button>
+                              </div>
 
                               {parsed.targetInfo && (
                                 <>
@@ -10255,22 +10713,8 @@ function ConditionAutocomplete({ value, onChange, conditionImmunities = [], sett
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [pendingImmune, setPendingImmune] = useState({}); // Tracks immune conditions awaiting confirmation
 
-  const commonConditions = [
-    "Blinded",
-    "Charmed",
-    "Deafened",
-    "Frightened",
-    "Grappled",
-    "Incapacitated",
-    "Invisible",
-    "Paralyzed",
-    "Petrified",
-    "Poisoned",
-    "Prone",
-    "Restrained",
-    "Stunned",
-    "Unconscious",
-  ];
+  // Standard conditions and the DM's homebrew conditions
+  const commonConditions = conditionNames();
   const conditions = value || [];
   const filtered = commonConditions.filter(
     (c) =>
@@ -10660,9 +11104,8 @@ function QuickHPInput({
       const amount = parseInt(val.substring(1)) || 0;
       onHeal(amount);
     } else if (val.startsWith("-")) {
-      // Damage
-      const amount = parseInt(val.substring(1)) || 0;
-      onDamage(amount);
+      // Damage - "-14 fire" keeps its damage type, unknown words are rejected by changeHP
+      onDamage(val.substring(1).trim());
     } else {
       // Absolute value
       const amount = parseInt(val) || 0;
@@ -10696,7 +11139,7 @@ function QuickHPInput({
           onBlur={onClose}
         />
         <div className="text-xs text-slate-500 dark:text-slate-400">
-          +10 (heal) | -5 (dmg) | 20 (set)
+          +10 (heal) | -5 (dmg) | -5 fire | 20 (set)
         </div>
       </div>
     </div>
@@ -10816,7 +11259,7 @@ function CombatantRow({
   onChange,
   onSelect,
   isSelected,
-  onDamage,
+  onHPChange,
   allPlayers = [],
   hpManagement,
   conditionsData = {},
@@ -10827,6 +11270,10 @@ function CombatantRow({
   settings,
   isCompleted = false,
   setInitiativeTooltip,
+  combatants = {},
+  onAddEffect,
+  onRemoveEffect,
+  onSetExhaustion,
 }) {
   const [open, setOpen] = useState(false);
   const [showHPInput, setShowHPInput] = useState(false);
@@ -10871,6 +11318,7 @@ function CombatantRow({
       ? "bg-yellow-500"
       : "bg-red-500";
   const isBloodied = hpPercent > 0 && hpPercent < 50;
+  const conditionState = conditionStatus(c);
 
   return (
     <div
@@ -10892,15 +11340,15 @@ function CombatantRow({
           maxHP={c.baseHP}
           tempHP={c.tempHP ?? 0}
           onHeal={(amount) => {
-            onChange({ hp: Math.min(c.baseHP, c.hp + amount) });
+            onHPChange(`+${amount}`);
             setShowHPInput(false);
           }}
           onDamage={(amount) => {
-            onDamage(amount);
+            onHPChange(`-${amount}`);
             setShowHPInput(false);
           }}
           onSetHP={(hp) => {
-            onChange({ hp: Math.max(0, Math.min(c.baseHP, hp)) });
+            onHPChange(`${hp}`);
             setShowHPInput(false);
           }}
           onClose={() => setShowHPInput(false)}
@@ -10934,6 +11382,31 @@ function CombatantRow({
             💔 Dying
           </div>
         )}
+
+        {/* Mechanical effects of conditions (see utils/conditionEngine.js) */}
+        {conditionState.skipTurn.length > 0 && (
+          <div className="px-2 py-1 bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-300 text-xs font-semibold rounded-full flex items-center gap-1" title={conditionState.skipTurn.join(", ")}>
+            ⏭️ Skips turn
+          </div>
+        )}
+
+        {conditionState.incapacitated.length > 0 && (
+          <div className="px-2 py-1 bg-amber-100 dark:bg-amber-900/50 text-amber-800 dark:text-amber-300 text-xs font-semibold rounded-full flex items-center gap-1" title={conditionState.incapacitated.join(", ")}>
+            🚫 No actions/reactions
+          </div>
+        )}
+
+        {conditionState.speedZero.length > 0 && (
+          <div className="px-2 py-1 bg-amber-100 dark:bg-amber-900/50 text-amber-800 dark:text-amber-300 text-xs font-semibold rounded-full flex items-center gap-1" title={conditionState.speedZero.join(", ")}>
+            Speed 0
+          </div>
+        )}
+
+        {conditionState.exhaustion && (
+          <div className="px-2 py-1 bg-stone-200 dark:bg-stone-700 text-stone-800 dark:text-stone-200 text-xs font-semibold rounded-full flex items-center gap-1" title={conditionState.exhaustion.lines.join("\n")}>
+            😩 Exhaustion {conditionState.exhaustion.level}
+          </div>
+        )}
       </div>
 
       <div className="space-y-2">
@@ -11109,6 +11582,24 @@ function CombatantRow({
         </div>
       )}
 
+      {/* Rules reminders of the current conditions, e.g. "Can't move or speak" */}
+      {active && conditionState.reminders.length > 0 && (
+        <ul className="mt-2 text-xs text-amber-800 dark:text-amber-300 space-y-0.5">
+          {conditionState.reminders.map((reminder) => (
+            <li key={reminder.name}>
+              <span className="font-semibold">{reminder.name}:</span> {reminder.text}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <EffectChips
+        effects={c.effects}
+        combatants={combatants}
+        onRemove={onRemoveEffect}
+        disabled={isCompleted}
+      />
+
       {open && (
         <div className="mt-4 pt-4 border-t grid md:grid-cols-2 gap-4">
           <div className="space-y-3">
@@ -11167,6 +11658,38 @@ function CombatantRow({
                 onStatusChange={(updates) => onChange(updates)}
               />
             </div>
+
+            <div>
+              <label className="lbl mb-1 block">Exhaustion</label>
+              <select
+                className="input w-full"
+                value={c.exhaustion || 0}
+                onChange={(e) => onSetExhaustion(parseInt(e.target.value, 10))}
+                disabled={isCompleted}
+              >
+                {[0, 1, 2, 3, 4, 5, 6].map((level) => (
+                  <option key={level} value={level}>
+                    {level === 0 ? "Not exhausted" : `Level ${level}${level === 6 ? " (death)" : ""}`}
+                  </option>
+                ))}
+              </select>
+              {conditionState.exhaustion && (
+                <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                  {conditionState.exhaustion.edition} rules: {conditionState.exhaustion.lines.join(", ")}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label className="lbl mb-1 block">Effects</label>
+              <EffectEditor
+                combatant={c}
+                combatants={combatants}
+                conditionNames={conditionNames()}
+                onAdd={onAddEffect}
+                disabled={isCompleted}
+              />
+            </div>
           </div>
 
           <div className="space-y-4">
@@ -11192,10 +11715,27 @@ function CombatantRow({
   );
 }
 
+// Alignment filter values for the monster search (matched word by word on the server)
+const MONSTER_ALIGNMENTS = [
+  "lawful good", "neutral good", "chaotic good",
+  "lawful neutral", "neutral", "chaotic neutral",
+  "lawful evil", "neutral evil", "chaotic evil",
+  "unaligned", "any alignment",
+];
+
 function MonsterBrowser({ onPick, onEdit, disabled, RollableText, combatMode, selectedCombatant }) {
   const [q, setQ] = useState("");
   const [list, setList] = useState([]);
-  const [allMonsters, setAllMonsters] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [filterOptions, setFilterOptions] = useState({
+    types: [],
+    sizes: [],
+    sources: [],
+    environments: [],
+    immunities: [],
+  });
   const [sourceTooltip, setSourceTooltip] = useState({
     source: null,
     fullName: null,
@@ -11209,53 +11749,39 @@ function MonsterBrowser({ onPick, onEdit, disabled, RollableText, combatMode, se
   const [selectedTypes, setSelectedTypes] = useState([]);
   const [selectedSources, setSelectedSources] = useState([]);
   const [selectedSizes, setSelectedSizes] = useState([]);
+  const [alignment, setAlignment] = useState("");
+  const [environment, setEnvironment] = useState("");
+  const [immunity, setImmunity] = useState("");
+  const [legendaryOnly, setLegendaryOnly] = useState(false);
+  const [lairOnly, setLairOnly] = useState(false);
+  const [spellcasterOnly, setSpellcasterOnly] = useState(false);
+  const [sort, setSort] = useState("");
 
   // Refs for Select2
   const typeSelectRef = useRef(null);
   const sizeSelectRef = useRef(null);
   const sourceSelectRef = useRef(null);
 
-  // Load all monsters once for filtering
+  // Load the available filter values once (search itself runs on the server)
   useEffect(() => {
-    apiGet("/api/monsters?search=")
+    apiGet("/api/monsters/filters")
       .then((r) => r.json())
-      .then(setAllMonsters);
+      .then(setFilterOptions)
+      .catch((err) => console.error("Failed to load monster filters:", err));
   }, []);
 
-  // Get unique values for dropdowns - MUST be defined before useEffect that uses them
-  const availableTypes = useMemo(() => {
-    const types = new Set();
-    allMonsters.forEach((m) => {
-      if (m.type) {
-        const typeStr = typeof m.type === "string" ? m.type : m.type?.type;
-        if (typeStr && typeof typeStr === "string") {
-          // Capitalize first letter
-          const capitalized =
-            typeStr.charAt(0).toUpperCase() + typeStr.slice(1);
-          types.add(capitalized);
-        }
-      }
-    });
-    return Array.from(types).sort();
-  }, [allMonsters]);
-
-  const availableSources = useMemo(() => {
-    const sources = new Set();
-    allMonsters.forEach((m) => {
-      // Check source, src, and meta.source fields
-      const src = m.source || m.src || m.meta?.source;
-      if (src) sources.add(src);
-    });
-    return Array.from(sources).sort();
-  }, [allMonsters]);
+  const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
 
-  const availableSizes = useMemo(() => {
-    const sizes = new Set();
-    allMonsters.forEach((m) => {
-      if (m.size) sizes.add(m.size);
-    });
-    return Array.from(sizes).sort();
-  }, [allMonsters]);
+  // Get unique values for dropdowns - MUST be defined before useEffect that uses them
+  const availableTypes = useMemo(
+    () => filterOptions.types.map(capitalize),
+    [filterOptions]
+  );
+  const availableSources = filterOptions.sources;
+  const availableSizes = useMemo(
+    () => filterOptions.sizes.map(capitalize),
+    [filterOptions]
+  );
 
   // Initialize Select2 for multi-select dropdowns
   useEffect(() => {
@@ -11356,79 +11882,23 @@ function MonsterBrowser({ onPick, onEdit, disabled, RollableText, combatMode, se
     };
   }, [availableTypes, availableSizes, availableSources]);
 
-  // Apply all filters
-  useEffect(() => {
-    const t = setTimeout(() => {
-      let filtered = [...allMonsters];
-
-      // Name/Type/Source search - also searches full source names
-      if (q) {
-        const lowerQ = q.toLowerCase();
-        filtered = filtered.filter((m) => {
-          const name = m.name?.toLowerCase() || "";
-          const typeStr =
-            typeof m.type === "string" ? m.type : m.type?.type || "";
-          const typeStrLower = String(typeStr).toLowerCase();
-
-          // Get source and its full name
-          const sourceAbbrev = m.source || m.src || m.meta?.source;
-          const sourceAbbrevLower = sourceAbbrev?.toLowerCase() || "";
-          const sourceFullName = sourceAbbrev
-            ? (SOURCE_VOCAB[sourceAbbrev]?.name || "").toLowerCase()
-            : "";
-
-          return (
-            name.includes(lowerQ) ||
-            typeStrLower.includes(lowerQ) ||
-            sourceAbbrevLower.includes(lowerQ) ||
-            sourceFullName.includes(lowerQ)
-          );
-        });
-      }
-
-      // CR filter
-      if (crMin !== "") {
-        const min = parseFloat(crMin);
-        filtered = filtered.filter((m) => {
-          const cr = m.cr !== undefined ? parseFloat(m.cr) : -1;
-          return cr >= min;
-        });
-      }
-      if (crMax !== "") {
-        const max = parseFloat(crMax);
-        filtered = filtered.filter((m) => {
-          const cr = m.cr !== undefined ? parseFloat(m.cr) : -1;
-          return cr <= max;
-        });
-      }
-
-      // Type filter - Multi-select
-      if (selectedTypes.length > 0) {
-        filtered = filtered.filter((m) => {
-          const typeStr = typeof m.type === "string" ? m.type : m.type?.type;
-          if (!typeStr) return false;
-          const capitalized =
-            typeStr.charAt(0).toUpperCase() + typeStr.slice(1);
-          return selectedTypes.includes(capitalized);
-        });
-      }
-
-      // Source filter - Multi-select
-      if (selectedSources.length > 0) {
-        filtered = filtered.filter((m) => {
-          const src = m.source || m.src || m.meta?.source;
-          return selectedSources.includes(src);
-        });
-      }
-
-      // Size filter - Multi-select
-      if (selectedSizes.length > 0) {
-        filtered = filtered.filter((m) => selectedSizes.includes(m.size));
-      }
-
-      setList(filtered.slice(0, 100)); // Limit to 100 results
-    }, 200);
-    return () => clearTimeout(t);
+  // Query parameters for /api/monsters/search
+  const searchParams = useMemo(() => {
+    const params = new URLSearchParams({ limit: "50" });
+    if (q) params.set("q", q);
+    if (crMin !== "") params.set("crMin", crMin);
+    if (crMax !== "") params.set("crMax", crMax);
+    if (selectedTypes.length > 0) params.set("type", selectedTypes.join(",").toLowerCase());
+    if (selectedSizes.length > 0) params.set("size", selectedSizes.join(",").toLowerCase());
+    if (selectedSources.length > 0) params.set("source", selectedSources.join(","));
+    if (alignment) params.set("alignment", alignment);
+    if (environment) params.set("environment", environment);
+    if (immunity) params.set("immune", immunity);
+    if (legendaryOnly) params.set("legendary", "true");
+    if (lairOnly) params.set("lair", "true");
+    if (spellcasterOnly) params.set("spellcaster", "true");
+    if (sort) params.set("sort", sort);
+    return params;
   }, [
     q,
     crMin,
@@ -11436,9 +11906,51 @@ function MonsterBrowser({ onPick, onEdit, disabled, RollableText, combatMode, se
     selectedTypes,
     selectedSources,
     selectedSizes,
-    allMonsters,
+    alignment,
+    environment,
+    immunity,
+    legendaryOnly,
+    lairOnly,
+    spellcasterOnly,
+    sort,
   ]);
 
+  // Search on the server (debounced) - only the first page is loaded
+  useEffect(() => {
+    let cancelled = false;
+    const t = setTimeout(() => {
+      apiGet(`/api/monsters/search?${searchParams}`)
+        .then((r) => r.json())
+        .then((page) => {
+          if (cancelled) return;
+          setList(page.items);
+          setTotal(page.total);
+          setNextCursor(page.nextCursor);
+        })
+        .catch((err) => console.error("Monster search failed:", err));
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(t);
+    };
+  }, [searchParams]);
+
+  const loadMore = async () => {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const params = new URLSearchParams(searchParams);
+      params.set("cursor", nextCursor);
+      const page = await (await apiGet(`/api/monsters/search?${params}`)).json();
+      setList((prev) => [...prev, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error("Failed to load more monsters:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const clearFilters = () => {
     setQ("");
     setCrMin("");
@@ -11446,6 +11958,13 @@ function MonsterBrowser({ onPick, onEdit, disabled, RollableText, combatMode, se
     setSelectedTypes([]);
     setSelectedSources([]);
     setSelectedSizes([]);
+    setAlignment("");
+    setEnvironment("");
+    setImmunity("");
+    setLegendaryOnly(false);
+    setLairOnly(false);
+    setSpellcasterOnly(false);
+    setSort("");
 
     // Clear Select2 selections
     const $ = window.$;
@@ -11463,7 +11982,13 @@ function MonsterBrowser({ onPick, onEdit, disabled, RollableText, combatMode, se
     crMax ||
     selectedTypes.length > 0 ||
     selectedSources.length > 0 ||
-    selectedSizes.length > 0;
+    selectedSizes.length > 0 ||
+    alignment ||
+    environment ||
+    immunity ||
+    legendaryOnly ||
+    lairOnly ||
+    spellcasterOnly;
 
   return (
     <div>
@@ -11628,14 +12153,102 @@ function MonsterBrowser({ onPick, onEdit, disabled, RollableText, combatMode, se
               </select>
             </div>
           </div>
+
+          {/* Alignment, Environment, Immunity */}
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="text-xs text-green-800 dark:text-green-300 font-semibold block mb-1.5">
+                Gesinnung
+              </label>
+              <select
+                className="input w-full text-sm"
+                value={alignment}
+                onChange={(e) => setAlignment(e.target.value)}
+              >
+                <option value="">Alle</option>
+                {MONSTER_ALIGNMENTS.map((a) => (
+                  <option key={a} value={a}>
+                    {capitalize(a)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-green-800 dark:text-green-300 font-semibold block mb-1.5">
+                Umgebung
+              </label>
+              <select
+                className="input w-full text-sm"
+                value={environment}
+                onChange={(e) => setEnvironment(e.target.value)}
+              >
+                <option value="">Alle</option>
+                {filterOptions.environments.map((env) => (
+                  <option key={env} value={env}>
+                    {capitalize(env)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-green-800 dark:text-green-300 font-semibold block mb-1.5">
+                Immun gegen
+              </label>
+              <select
+                className="input w-full text-sm"
+                value={immunity}
+                onChange={(e) => setImmunity(e.target.value)}
+              >
+                <option value="">Alle</option>
+                {filterOptions.immunities.map((damageType) => (
+                  <option key={damageType} value={damageType}>
+                    {capitalize(damageType)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Flags and sorting */}
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-green-800 dark:text-green-300 font-semibold">
+            {[
+              ["Legendär", legendaryOnly, setLegendaryOnly],
+              ["Lair", lairOnly, setLairOnly],
+              ["Zauberwirker", spellcasterOnly, setSpellcasterOnly],
+            ].map(([label, checked, setChecked]) => (
+              <label key={label} className="flex items-center gap-1.5 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  onChange={(e) => setChecked(e.target.checked)}
+                />
+                {label}
+              </label>
+            ))}
+            <label className="flex items-center gap-1.5 ml-auto">
+              Sortierung
+              <select
+                className="input text-xs py-1"
+                value={sort}
+                onChange={(e) => setSort(e.target.value)}
+              >
+                <option value="">{q ? "Relevanz" : "Name"}</option>
+                <option value="name">Name</option>
+                <option value="cr">CR</option>
+                <option value="type">Typ</option>
+                <option value="size">Größe</option>
+                <option value="source">Quelle</option>
+              </select>
+            </label>
+          </div>
         </div>
       </div>
 
       {/* Results count */}
       {list.length > 0 && (
         <div className="text-xs text-green-800 dark:text-green-300 mb-1 px-1 font-semibold">
-          {list.length} {list.length === 100 ? "+ " : ""}Ergebnis
-          {list.length !== 1 ? "se" : ""}
+          {total} Ergebnis{total !== 1 ? "se" : ""}
+          {list.length < total && ` (${list.length} geladen)`}
         </div>
       )}
 
@@ -11731,6 +12344,17 @@ function MonsterBrowser({ onPick, onEdit, disabled, RollableText, combatMode, se
             );
           })
         )}
+        {nextCursor && (
+          <li className="py-2 px-3 text-center">
+            <button
+              className="btn text-xs px-3 py-1"
+              onClick={loadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? "Lade..." : "Mehr laden"}
+            </button>
+          </li>
+        )}
       </ul>
 
       {/* Source Tooltip (Hover) */}
@@ -0,0 +1,346 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { createRoot } from 'react-dom/client';
+import './index.css';
+import { useEventStream } from './hooks/useEventStream.js';
+
+const API = (p) => `${import.meta.env.VITE_API_URL || 'http://localhost:4000'}${p}`;
+
+// The companion view is pushed via its own stream (exact HP of the claimed character),
+// polling only while the stream is down
+const POLL_INTERVAL = 5000;
+
+const claimKey = (code) => `companionClaim:${code}`;
+
+function loadClaim(code) {
+  try {
+    return JSON.parse(localStorage.getItem(claimKey(code)));
+  } catch {
+    return null;
+  }
+}
+
+async function request(path, { claimToken, ...options } = {}) {
+  const response = await fetch(API(path), {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(claimToken ? { 'X-Claim-Token': claimToken } : {}),
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+function CodeEntry({ onSubmit }) {
+  const [value, setValue] = useState('');
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (value.trim()) onSubmit(value.trim().toUpperCase());
+      }}
+    >
+      <p className="text-slate-400">Enter the share code your DM gave you.</p>
+      <input
+        className="w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded text-white text-center text-3xl font-mono tracking-widest uppercase"
+        maxLength={4}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        autoFocus
+      />
+      <button type="submit" className="w-full px-4 py-3 bg-blue-600 hover:bg-blue-700 rounded font-medium">
+        Connect
+      </button>
+    </form>
+  );
+}
+
+function CharacterPicker({ code, onClaim, onError }) {
+  const [characters, setCharacters] = useState(null);
+
+  useEffect(() => {
+    request(`/api/player-screen/${code}/characters`)
+      .then((data) => setCharacters(data.characters))
+      .catch((err) => onError(err.message));
+  }, [code]);
+
+  const claim = async (character) => {
+    try {
+      const data = await request(`/api/player-screen/${code}/claim`, {
+        method: 'POST',
+        body: JSON.stringify({ combatantId: character.id }),
+      });
+      onClaim({ claimToken: data.claimToken, name: data.name });
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  if (!characters) return <p className="text-slate-400">Loading characters...</p>;
+  if (characters.length === 0) {
+    return <p className="text-slate-400">There are no player characters in the current encounter yet.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-slate-400 mb-2">Who are you playing?</p>
+      {characters.map((character) => (
+        <button
+          key={character.id}
+          onClick={() => claim(character)}
+          className="w-full px-4 py-3 bg-slate-700 hover:bg-slate-600 rounded text-left font-medium"
+        >
+          {character.name}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function DeathSaves({ deathSaves }) {
+  const dots = (count, color) =>
+    [0, 1, 2].map((i) => (
+      <span key={i} className={`inline-block w-4 h-4 rounded-full mx-0.5 ${i < count ? color : 'bg-slate-600'}`} />
+    ));
+  return (
+    <div className="flex justify-around text-sm">
+      <div>Successes {dots(deathSaves.successes, 'bg-green-500')}</div>
+      <div>Failures {dots(deathSaves.failures, 'bg-red-500')}</div>
+    </div>
+  );
+}
+
+function Companion({ code, claim, onRelease }) {
+  const [error, setError] = useState(null);
+  const [initiative, setInitiative] = useState('');
+  const [amount, setAmount] = useState('');
+  const [sending, setSending] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await request(`/api/player-screen/${code}/me`, { claimToken: claim.claimToken });
+      setError(null);
+      return data;
+    } catch (err) {
+      // Claim is gone (code regenerated or revoked)
+      if (err.status === 401 || err.status === 410) {
+        onRelease();
+        return undefined;
+      }
+      setError(err.message);
+      return undefined;
+    }
+  }, [code, claim.claimToken]);
+
+  const view = useEventStream(
+    API(`/api/player-screen/${code}/me/stream?claim=${encodeURIComponent(claim.claimToken)}`),
+    load,
+    POLL_INTERVAL
+  );
+
+  const submit = async (type, value) => {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number)) return;
+    setSending(true);
+    try {
+      const data = await request(`/api/player-screen/${code}/submissions`, {
+        method: 'POST',
+        claimToken: claim.claimToken,
+        body: JSON.stringify({ type, amount: number }),
+      });
+      const concentration = data.events.find((e) => e.type === 'concentration');
+      setNotice(
+        concentration
+          ? `Make a concentration save: DC ${concentration.dc}`
+          : data.accepted ? 'Applied.' : 'Sent to your DM.'
+      );
+      if (type === 'initiative') setInitiative('');
+      else setAmount('');
+    } catch (err) {
+      setNotice(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!view) {
+    return <p className="text-slate-400">{error || 'Loading...'}</p>;
+  }
+
+  const me = view.me;
+  const activeId = view.initiativeOrder?.[view.turnIndex];
+  const active = activeId ? view.combatants[activeId] : null;
+
+  return (
+    <div className="space-y-4">
+      <div className="text-center text-sm text-slate-400">
+        {view.name} · Round {view.round || 1}
+        {active && (
+          <div className={`mt-1 text-base ${me && active.id === me.id ? 'text-yellow-300 font-bold' : 'text-slate-300'}`}>
+            {me && active.id === me.id ? "⚔️ It's your turn!" : `Current turn: ${active.name}`}
+          </div>
+        )}
+      </div>
+
+      {!me ? (
+        <p className="text-slate-400 text-center">{claim.name} is not part of the current encounter.</p>
+      ) : (
+        <>
+          <div className="bg-slate-800 rounded-lg p-4 space-y-3">
+            <div className="flex items-baseline justify-between">
+              <h2 className="text-2xl font-bold">{me.name}</h2>
+              {me.ac !== null && <span className="text-slate-400">AC {me.ac}</span>}
+            </div>
+            <div>
+              <div className="flex justify-between text-sm mb-1">
+                <span>HP {me.hp} / {me.maxHP}</span>
+                {me.tempHP > 0 && <span className="text-cyan-300">+{me.tempHP} temp</span>}
+              </div>
+              <div className="h-3 bg-slate-700 rounded overflow-hidden">
+                <div
+                  className={`h-full ${me.hp * 2 < me.maxHP ? 'bg-red-500' : 'bg-green-500'}`}
+                  style={{ width: `${me.maxHP > 0 ? Math.min(100, (me.hp / me.maxHP) * 100) : 0}%` }}
+                />
+              </div>
+            </div>
+            {me.isDead && <p className="text-red-400 font-semibold">💀 Dead</p>}
+            {!me.isDead && me.hp === 0 && (
+              me.isStable ? <p className="text-green-300">Stable</p> : <DeathSaves deathSaves={me.deathSaves} />
+            )}
+            <div className="flex flex-wrap gap-1 text-xs">
+              {me.concentration && <span className="px-2 py-0.5 bg-purple-700 rounded">🧠 Concentrating</span>}
+              {me.conditions.map((condition) => (
+                <span key={condition} className="px-2 py-0.5 bg-slate-600 rounded">{condition}</span>
+              ))}
+            </div>
+            <div className="text-sm text-slate-400">Initiative: {me.initiative ?? '–'}</div>
+          </div>
+
+          <div className="bg-slate-800 rounded-lg p-4 space-y-3">
+            {view.initiativeCollection?.waitingFor.includes(me.id) && (
+              <p className="text-yellow-300 font-semibold">🎲 Roll initiative! Your DM is waiting for your roll.</p>
+            )}
+            <div className="flex gap-2">
+              <input
+                type="number"
+                inputMode="numeric"
+                min="-10"
+                max="50"
+                className="flex-1 min-w-0 px-3 py-2 bg-slate-700 border border-slate-600 rounded"
+                placeholder="Initiative roll"
+                value={initiative}
+                onChange={(e) => setInitiative(e.target.value)}
+              />
+              <button
+                disabled={sending || initiative === ''}
+                onClick={() => submit('initiative', initiative)}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded disabled:opacity-50"
+              >
+                🎲 Send
+              </button>
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                inputMode="numeric"
+                min="0"
+                max="999"
+                className="flex-1 min-w-0 px-3 py-2 bg-slate-700 border border-slate-600 rounded"
+                placeholder="Amount"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+              />
+              <button
+                disabled={sending || amount === ''}
+                onClick={() => submit('damage', amount)}
+                className="px-3 py-2 bg-red-600 hover:bg-red-700 rounded disabled:opacity-50"
+              >
+                💥 Damage
+              </button>
+              <button
+                disabled={sending || amount === ''}
+                onClick={() => submit('heal', amount)}
+                className="px-3 py-2 bg-green-600 hover:bg-green-700 rounded disabled:opacity-50"
+              >
+                💚 Heal
+              </button>
+            </div>
+            {notice && <p className="text-sm text-slate-300">{notice}</p>}
+          </div>
+
+          {view.pending.length > 0 && (
+            <div className="bg-slate-800 rounded-lg p-4 text-sm">
+              <p className="text-slate-400 mb-1">Waiting for your DM:</p>
+              <ul className="space-y-1">
+                {view.pending.map((submission) => (
+                  <li key={submission.id}>
+                    {submission.type === 'initiative' ? '🎲 Initiative' : submission.type === 'damage' ? '💥 Damage' : '💚 Healing'}{' '}
+                    {submission.amount}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+
+      <button onClick={onRelease} className="w-full text-sm text-slate-400 hover:text-white">
+        Switch character
+      </button>
+    </div>
+  );
+}
+
+function CompanionApp() {
+  const [code, setCode] = useState(() => new URLSearchParams(window.location.search).get('code')?.toUpperCase() || '');
+  const [claim, setClaim] = useState(() => (code ? loadClaim(code) : null));
+  const [error, setError] = useState(null);
+
+  const selectCode = (value) => {
+    setCode(value);
+    setClaim(loadClaim(value));
+    setError(null);
+  };
+
+  const storeClaim = (value) => {
+    localStorage.setItem(claimKey(code), JSON.stringify(value));
+    setClaim(value);
+  };
+
+  const release = () => {
+    localStorage.removeItem(claimKey(code));
+    setClaim(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-800 to-slate-900 text-white p-4">
+      <div className="max-w-md mx-auto space-y-4">
+        <h1 className="text-xl font-bold text-center">⚔️ Encounter++ Companion</h1>
+        {error && (
+          <div className="bg-red-900/20 border border-red-500 rounded p-3 text-sm text-red-400">
+            {error}
+            <button className="ml-2 underline" onClick={() => { setError(null); setCode(''); }}>
+              Change code
+            </button>
+          </div>
+        )}
+        {!code ? (
+          <CodeEntry onSubmit={selectCode} />
+        ) : !claim ? (
+          <CharacterPicker code={code} onClaim={storeClaim} onError={setError} />
+        ) : (
+          <Companion code={code} claim={claim} onRelease={release} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+createRoot(document.getElementById('root')).render(<CompanionApp />);
@@ -0,0 +1,246 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { rollDice } from '../utils/diceRoller.js';
+import { calculateDamage, DAMAGE_TYPES } from '../utils/damageTypes.js';
+import { armorClass, attackRollMode, isRangedAttack, resolveAttack } from '../utils/attackResolution.js';
+
+const ROLL_MODE_LABELS = { normal: 'Normal', advantage: 'Advantage', disadvantage: 'Disadvantage' };
+
+function signed(value) {
+  return `${value >= 0 ? '+' : ''}${value}`;
+}
+
+/**
+ * AttackModal - Resolve one attack action against one or more targets
+ * Rolls to hit per target (advantage/disadvantage and exhaustion from the condition engine), compares against the target's AC,
+ * rolls damage on a hit (dice doubled on a critical hit) and applies it after one confirmation.
+ * @param {Object} attacker - Attacking combatant
+ * @param {Object} action - { name, toHit: "+5", attackType: "mw", damages: [{ dice, type }] } from the stat block
+ * @param {Array} combatants - Possible targets in initiative order
+ * @param {function} onApply - Called with [{ id, name, damages: [calculateDamage result] }] for every confirmed hit
+ * @param {function} onClose - Close the modal
+ */
+export function AttackModal({ attacker, action, combatants, onApply, onClose }) {
+  const bonus = parseInt(action.toHit, 10) || 0;
+  const canChooseRange = /m/i.test(action.attackType) && /r/i.test(action.attackType);
+  const [ranged, setRanged] = useState(isRangedAttack(action.attackType));
+  const [magical, setMagical] = useState(false);
+  const [targets, setTargets] = useState(new Set());
+  const [overrides, setOverrides] = useState({}); // Target id -> roll mode chosen by the DM
+  const [phase, setPhase] = useState('setup'); // setup | rolling | results
+  const [results, setResults] = useState([]);
+  const closed = useRef(false);
+
+  useEffect(() => () => { closed.current = true; }, []);
+
+  const candidates = combatants.filter((c) => c.id !== attacker.id);
+  const selected = candidates.filter((c) => targets.has(c.id));
+  const damages = (action.damages || []).map((dmg) => {
+    const type = String(dmg.type || '').toLowerCase();
+    return { notation: dmg.dice.replace(/\s+/g, ''), type: DAMAGE_TYPES.includes(type) ? type : null, label: dmg.type };
+  });
+
+  const toggle = (id) => {
+    setTargets((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const modeFor = (target) => {
+    const auto = attackRollMode(attacker, target, { ranged });
+    return { ...auto, rollMode: overrides[target.id] || auto.rollMode };
+  };
+
+  const rollDamage = async (target, critical) => {
+    const rolled = [];
+    for (const dmg of damages) {
+      const result = await rollDice({
+        notation: dmg.notation,
+        critical,
+        label: `${attacker.name} - ${action.name} - ${dmg.label} Damage`,
+        character: attacker.name,
+      });
+      if (!result || closed.current) return null;
+      const amount = Math.max(0, result.total);
+      rolled.push(dmg.type
+        ? calculateDamage(target, { amount, damageType: dmg.type, magical, silvered: false, adamantine: false })
+        : { amount, original: amount, damageType: null, immune: false, resistant: false, vulnerable: false, conditional: [], text: `${amount} ${dmg.label || ''}`.trim() });
+    }
+    return rolled;
+  };
+
+  const rollAttacks = async () => {
+    if (selected.length === 0) return;
+    setPhase('rolling');
+    const rows = [];
+
+    for (const target of selected) {
+      const { rollMode, modifier, reasons, autoCrit } = modeFor(target);
+      const ac = armorClass(target);
+      const attack = await rollDice({
+        notation: `1d20${signed(bonus + modifier)}`,
+        rollMode,
+        label: `${attacker.name} - ${action.name} vs ${target.name}`,
+        character: attacker.name,
+      });
+      if (!attack || closed.current) break;
+
+      const outcome = resolveAttack(attack, ac, autoCrit);
+      const row = { id: target.id, name: target.name, ac, rollMode, reasons, ...outcome, damages: [], apply: outcome.hit };
+      if (outcome.hit && damages.length > 0) {
+        const rolled = await rollDamage(target, outcome.critical);
+        if (!rolled) break;
+        row.damages = rolled;
+      }
+      rows.push(row);
+      setResults([...rows]);
+    }
+
+    if (!closed.current) setPhase('results');
+  };
+
+  const confirmed = results.filter((r) => r.apply && r.damages.length > 0);
+
+  const apply = () => {
+    onApply(confirmed.map((r) => ({ id: r.id, name: r.name, damages: r.damages })));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4" onClick={phase === 'rolling' ? undefined : onClose}>
+      <div className="card w-full max-w-xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold">⚔️ {attacker.name}: {action.name}</h2>
+        <div className="text-sm text-slate-500 dark:text-slate-400 mb-3">
+          {signed(bonus)} to hit
+          {damages.length > 0 && ` • ${damages.map((d) => `${d.notation} ${d.label || ''}`.trim()).join(' + ')}`}
+        </div>
+
+        {phase === 'setup' && (
+          <>
+            <div className="flex flex-wrap items-center gap-4 text-sm mb-3">
+              {canChooseRange && (
+                <div className="flex gap-1">
+                  <button className={`btn text-xs ${!ranged ? 'bg-blue-600 text-white border-blue-600' : ''}`} onClick={() => setRanged(false)}>Melee</button>
+                  <button className={`btn text-xs ${ranged ? 'bg-blue-600 text-white border-blue-600' : ''}`} onClick={() => setRanged(true)}>Ranged</button>
+                </div>
+              )}
+              <label className="flex items-center gap-1 cursor-pointer" title="Ignores resistance and immunity to nonmagical attacks">
+                <input type="checkbox" checked={magical} onChange={(e) => setMagical(e.target.checked)} />
+                Magical
+              </label>
+            </div>
+
+            <div className="lbl mb-1">Targets</div>
+            <div className="flex-1 overflow-y-auto space-y-1">
+              {candidates.map((c) => {
+                const { rollMode, reasons, autoCrit } = targets.has(c.id) ? modeFor(c) : {};
+                return (
+                  <div
+                    key={c.id}
+                    className={`p-2 rounded-lg border ${
+                      targets.has(c.id)
+                        ? 'border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/20'
+                        : 'border-slate-200 dark:border-slate-700'
+                    }`}
+                  >
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input type="checkbox" checked={targets.has(c.id)} onChange={() => toggle(c.id)} />
+                      <span className="flex-1 truncate">{c.name}</span>
+                      <span className="text-xs text-slate-500 dark:text-slate-400">AC {armorClass(c)} • {c.hp ?? 0} HP</span>
+                    </label>
+                    {targets.has(c.id) && (
+                      <div className="flex items-center gap-2 mt-1 ml-6 text-xs">
+                        <select
+                          className="input py-0.5 text-xs w-32"
+                          value={rollMode}
+                          onChange={(e) => setOverrides((prev) => ({ ...prev, [c.id]: e.target.value }))}
+                        >
+                          {Object.entries(ROLL_MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                        </select>
+                        <span className="text-slate-500 dark:text-slate-400 truncate">
+                          {[...reasons.map((r) => `${r.text} (${r.effect})`), autoCrit && 'hits are critical'].filter(Boolean).join(', ')}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+
+        {phase !== 'setup' && (
+          <div className="flex-1 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                  <th className="py-1"></th>
+                  <th className="py-1">Target</th>
+                  <th className="py-1">Attack</th>
+                  <th className="py-1">Result</th>
+                  <th className="py-1 text-right">Damage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((r) => (
+                  <tr key={r.id} className="border-t border-slate-200 dark:border-slate-700 align-top">
+                    <td className="py-1 pr-2">
+                      <input
+                        type="checkbox"
+                        disabled={phase !== 'results' || r.damages.length === 0}
+                        checked={r.apply}
+                        onChange={(e) => setResults((prev) => prev.map((x) => (x.id === r.id ? { ...x, apply: e.target.checked } : x)))}
+                        title="Apply this damage"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">{r.name}</td>
+                    <td className="py-1 pr-2 font-mono whitespace-nowrap">
+                      {r.total} vs AC {r.ac}
+                      {r.rollMode !== 'normal' && <span className="text-xs text-slate-500"> ({r.rollMode === 'advantage' ? 'adv' : 'dis'})</span>}
+                    </td>
+                    <td className={`py-1 pr-2 font-semibold ${r.critical ? 'text-amber-600 dark:text-amber-400' : r.hit ? 'text-green-600 dark:text-green-400' : 'text-slate-500'}`}>
+                      {r.critical ? 'CRIT' : r.hit ? 'Hit' : r.natural === 1 ? 'Miss (nat 1)' : 'Miss'}
+                    </td>
+                    <td className="py-1 text-right text-xs">
+                      {r.damages.map((d, idx) => <div key={idx}>{d.text}</div>)}
+                      {r.damages.length > 1 && (
+                        <div className="font-semibold">= {r.damages.reduce((sum, d) => sum + d.amount, 0)}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {phase === 'rolling' && (
+              <div className="text-sm text-slate-500 dark:text-slate-400 mt-2">Rolling...</div>
+            )}
+          </div>
+        )}
+
+        <div className="flex gap-2 mt-4">
+          <button className="btn flex-1" onClick={onClose}>{phase === 'results' ? 'Discard' : 'Cancel'}</button>
+          {phase === 'setup' && (
+            <button
+              className="btn flex-1 bg-green-600 text-white hover:bg-green-700 border-green-600 disabled:opacity-50"
+              disabled={selected.length === 0}
+              onClick={rollAttacks}
+            >
+              Roll {selected.length === 1 ? 'attack' : `${selected.length} attacks`}
+            </button>
+          )}
+          {phase === 'results' && (
+            <button
+              className="btn flex-1 bg-red-600 text-white hover:bg-red-700 border-red-600 disabled:opacity-50"
+              disabled={confirmed.length === 0}
+              onClick={apply}
+            >
+              Apply damage to {confirmed.length} {confirmed.length === 1 ? 'target' : 'targets'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
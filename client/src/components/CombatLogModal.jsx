@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { apiGet } from '../utils/api.js';
+
+const TYPE_COLORS = {
+  damage: 'text-red-400',
+  heal: 'text-green-400',
+  tempHP: 'text-cyan-400',
+  death: 'text-red-500 font-semibold',
+  deathSave: 'text-purple-400',
+  condition: 'text-yellow-400',
+  effect: 'text-amber-300',
+  turn: 'text-slate-400',
+  note: 'text-slate-500 italic',
+};
+
+/**
+ * CombatLogModal - Shows the combat log of an encounter with filters and export
+ * @param {string} encounterId - The encounter whose log is shown
+ * @param {string} encounterName - Used for the export file names
+ * @param {number} revision - Reloads the log whenever the encounter is saved
+ * @param {function} onClose - Callback when modal is closed
+ */
+export function CombatLogModal({ encounterId, encounterName, revision, onClose }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [round, setRound] = useState('');
+  const [combatant, setCombatant] = useState('');
+
+  useEffect(() => {
+    loadLog();
+  }, [encounterId, revision]);
+
+  const loadLog = async () => {
+    setError(null);
+    try {
+      const response = await apiGet(`/api/encounters/${encounterId}/log`);
+      const data = await response.json();
+      setEntries(data.entries);
+    } catch (err) {
+      console.error('Failed to load combat log:', err);
+      setError('Failed to load combat log.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rounds = useMemo(() => [...new Set(entries.map((e) => e.round))], [entries]);
+
+  const combatants = useMemo(() => {
+    const names = new Map();
+    entries.forEach((e) => {
+      if (e.combatantId && e.combatantName) names.set(e.combatantId, e.combatantName);
+    });
+    return [...names.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [entries]);
+
+  const filtered = entries.filter(
+    (e) =>
+      (round === '' || e.round === Number(round)) &&
+      (combatant === '' || e.combatantId === combatant || e.sourceId === combatant)
+  );
+
+  // Export uses the server formatter with the same filters
+  const download = async (format) => {
+    const params = new URLSearchParams({ format });
+    if (round !== '') params.set('round', round);
+    if (combatant !== '') params.set('combatant', combatant);
+
+    try {
+      const response = await apiGet(`/api/encounters/${encounterId}/log?${params}`);
+      const content = format === 'json'
+        ? JSON.stringify(await response.json(), null, 2)
+        : await response.text();
+      const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/markdown' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${(encounterName || 'encounter').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-combat-log.${format === 'json' ? 'json' : 'md'}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export combat log:', err);
+      setError('Failed to export combat log.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="relative bg-slate-800 rounded-lg shadow-2xl max-w-2xl w-full max-h-[85vh] p-6 flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-white">📜 Combat Log</h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-white text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="flex gap-3 mb-4">
+          <select
+            value={round}
+            onChange={(e) => setRound(e.target.value)}
+            className="px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm"
+          >
+            <option value="">All rounds</option>
+            {rounds.map((r) => (
+              <option key={r} value={r}>Round {r}</option>
+            ))}
+          </select>
+          <select
+            value={combatant}
+            onChange={(e) => setCombatant(e.target.value)}
+            className="flex-1 min-w-0 px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm"
+          >
+            <option value="">All combatants</option>
+            {combatants.map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex flex-col items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mb-4"></div>
+            <p className="text-slate-400">Loading combat log...</p>
+          </div>
+        ) : error ? (
+          <div className="bg-red-900/20 border border-red-500 rounded p-4 mb-4">
+            <p className="text-red-400">{error}</p>
+            <button
+              onClick={loadLog}
+              className="mt-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded"
+            >
+              Retry
+            </button>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto bg-slate-900/50 rounded p-3 space-y-1 text-sm">
+            {filtered.length === 0 && (
+              <p className="text-slate-400">No entries yet.</p>
+            )}
+            {filtered.map((entry) => (
+              <div key={entry.id} className="flex gap-2">
+                <span className="text-slate-500 flex-shrink-0">
+                  {new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </span>
+                <span className={`${TYPE_COLORS[entry.type] || 'text-slate-200'} ${entry.undone ? 'line-through opacity-50' : ''}`} title={entry.undone ? 'Undone' : undefined}>
+                  {entry.text}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Export */}
+        <div className="flex gap-2 mt-4">
+          <button
+            onClick={() => download('markdown')}
+            className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium"
+            disabled={loading}
+          >
+            ⬇️ Markdown
+          </button>
+          <button
+            onClick={() => download('json')}
+            className="flex-1 px-4 py-2 bg-slate-600 hover:bg-slate-500 text-white rounded font-medium"
+            disabled={loading}
+          >
+            ⬇️ JSON
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white rounded font-medium"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
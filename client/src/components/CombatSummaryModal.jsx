@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { apiGet } from '../utils/api.js';
+
+function formatDuration(start, end) {
+  if (!start || !end) return '—';
+  const minutes = Math.round((new Date(end) - new Date(start)) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatSlots(slots) {
+  const levels = Object.keys(slots).sort((a, b) => Number(a) - Number(b));
+  if (levels.length === 0) return '—';
+  return levels.map((level) => `L${level}×${slots[level]}`).join(' ');
+}
+
+/**
+ * CombatSummaryModal - Post-combat summary (damage, healing, kills, XP, ...)
+ * @param {string} encounterId - The encounter to summarize
+ * @param {function} onClose - Callback when modal is closed
+ */
+export function CombatSummaryModal({ encounterId, onClose }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    loadSummary();
+  }, [encounterId]);
+
+  const loadSummary = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiGet(`/api/encounters/${encounterId}/summary`);
+      setSummary(await response.json());
+    } catch (err) {
+      console.error('Failed to load combat summary:', err);
+      setError('Failed to load combat summary.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const players = summary?.combatants.filter((c) => c.isPlayerCharacter) || [];
+  const others = summary?.combatants.filter((c) => !c.isPlayerCharacter) || [];
+
+  const renderTable = (title, rows, showXP) => (
+    <div>
+      <h3 className="text-sm font-semibold text-slate-300 mb-2">{title}</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-slate-200">
+          <thead>
+            <tr className="text-left text-xs text-slate-400 border-b border-slate-700">
+              <th className="py-1 pr-2">Name</th>
+              <th className="py-1 px-2 text-right">Dealt</th>
+              <th className="py-1 px-2 text-right">Taken</th>
+              <th className="py-1 px-2 text-right">Healed</th>
+              <th className="py-1 px-2 text-right">Kills</th>
+              <th className="py-1 px-2">Conditions</th>
+              <th className="py-1 px-2 text-center">Death Saves</th>
+              <th className="py-1 px-2">Slots</th>
+              {showXP && <th className="py-1 pl-2 text-right">XP</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((c) => (
+              <tr key={c.id} className="border-b border-slate-700/50">
+                <td className={`py-1 pr-2 ${c.alive ? '' : 'text-slate-500 line-through'}`}>{c.name}</td>
+                <td className="py-1 px-2 text-right text-red-400">{c.damageDealt}</td>
+                <td className="py-1 px-2 text-right text-orange-400">{c.damageTaken}</td>
+                <td className="py-1 px-2 text-right text-green-400">{c.healingDone}</td>
+                <td className="py-1 px-2 text-right">{c.kills}</td>
+                <td className="py-1 px-2 text-xs">{c.conditionsApplied.join(', ') || '—'}</td>
+                <td className="py-1 px-2 text-center text-xs">
+                  {c.deathSaves.successes || c.deathSaves.failures
+                    ? `✓${c.deathSaves.successes} ✗${c.deathSaves.failures}`
+                    : '—'}
+                </td>
+                <td className="py-1 px-2 text-xs">{formatSlots(c.spellSlotsSpent)}</td>
+                {showXP && <td className="py-1 pl-2 text-right text-yellow-400">{c.xp ?? 0}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="relative bg-slate-800 rounded-lg shadow-2xl max-w-4xl w-full max-h-[85vh] p-6 flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-white">📊 Combat Summary</h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-white text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex flex-col items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mb-4"></div>
+            <p className="text-slate-400">Loading summary...</p>
+          </div>
+        ) : error ? (
+          <div className="bg-red-900/20 border border-red-500 rounded p-4 mb-4">
+            <p className="text-red-400">{error}</p>
+            <button
+              onClick={loadSummary}
+              className="mt-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded"
+            >
+              Retry
+            </button>
+          </div>
+        ) : summary ? (
+          <div className="flex-1 overflow-y-auto space-y-6">
+            {/* Overview */}
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              {[
+                ['Rounds', summary.rounds],
+                ['Duration', formatDuration(summary.startedAt, summary.endedAt)],
+                ['Kills', summary.kills.length],
+                ['XP per PC', summary.xp.perPlayer],
+              ].map(([label, value]) => (
+                <div key={label} className="bg-slate-700/50 rounded p-3 text-center">
+                  <div className="text-2xl font-bold text-white">{value}</div>
+                  <div className="text-xs text-slate-400">{label}</div>
+                </div>
+              ))}
+            </div>
+
+            {players.length > 0 && renderTable('Player Characters', players, true)}
+            {others.length > 0 && renderTable('Monsters & NPCs', others, false)}
+
+            {/* Kills */}
+            {summary.kills.length > 0 && (
+              <div>
+                <h3 className="text-sm font-semibold text-slate-300 mb-2">Kills</h3>
+                <ul className="text-sm text-slate-300 space-y-1">
+                  {summary.kills.map((kill, i) => (
+                    <li key={i}>
+                      <span className="text-slate-500">Round {kill.round}:</span> {kill.target}
+                      {kill.by && <> by <span className="text-white">{kill.by}</span></>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* XP breakdown */}
+            <div className="bg-yellow-900/20 border border-yellow-500/30 rounded p-3 text-sm text-yellow-200">
+              <p className="font-semibold mb-1">
+                {summary.xp.total} XP total{players.length > 0 && ` · ${summary.xp.perPlayer} XP per player character`}
+              </p>
+              {summary.xp.defeated.length > 0 ? (
+                <p className="text-xs text-yellow-300/80">
+                  {summary.xp.defeated.map((d) => `${d.name} (${d.xp})`).join(', ')}
+                </p>
+              ) : (
+                <p className="text-xs text-yellow-300/80">No monsters defeated yet.</p>
+              )}
+            </div>
+          </div>
+        ) : null}
+
+        <button
+          onClick={onClose}
+          className="w-full mt-4 px-4 py-3 bg-slate-700 hover:bg-slate-600 text-white rounded font-medium"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
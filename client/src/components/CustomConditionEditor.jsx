@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { CONDITION_ABILITIES, MODE_EFFECTS, ABILITY_EFFECTS, FLAG_EFFECTS, isBuiltinCondition, describeEffects } from '../utils/conditionEngine.js';
+
+const EMPTY_FORM = { id: null, name: '', description: '', effects: {} };
+
+/**
+ * CustomConditionEditor - Add, edit and delete homebrew conditions with mechanical effects
+ * The effects use the same model as the standard conditions (see utils/conditionEngine.js).
+ * @param {Array} conditions - Current homebrew conditions
+ * @param {function} onSave - Called with the new list, resolves to an error message or null
+ * @param {function} onClose - Close the editor
+ */
+export function CustomConditionEditor({ conditions = [], onSave, onClose }) {
+  const [list, setList] = useState(conditions);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const setEffect = (key, value) => {
+    setForm((prev) => {
+      const effects = { ...prev.effects, [key]: value };
+      if (!value || (Array.isArray(value) && value.length === 0)) delete effects[key];
+      return { ...prev, effects };
+    });
+  };
+
+  const toggleAbility = (key, ability) => {
+    const current = form.effects[key] || [];
+    setEffect(key, current.includes(ability) ? current.filter((a) => a !== ability) : [...current, ability]);
+  };
+
+  const name = form.name.trim();
+  const nameError = !name
+    ? null
+    : isBuiltinCondition(name)
+      ? 'Standard conditions cannot be redefined'
+      : list.some((c) => c.id !== form.id && c.name.toLowerCase() === name.toLowerCase())
+        ? 'A condition with this name already exists'
+        : null;
+
+  const submitForm = () => {
+    if (!name || nameError) return;
+    const condition = { id: form.id || `condition-${Date.now()}`, name, description: form.description.trim(), effects: form.effects };
+    setList((prev) => (form.id ? prev.map((c) => (c.id === form.id ? condition : c)) : [...prev, condition]));
+    setForm(EMPTY_FORM);
+  };
+
+  const saveAll = async () => {
+    setSaving(true);
+    const saveError = await onSave(list);
+    setSaving(false);
+    if (saveError) setError(saveError);
+    else onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="card w-full max-w-2xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-3">🧪 Homebrew Conditions</h2>
+
+        <div className="flex-1 overflow-y-auto space-y-1 mb-3 min-h-[4rem]">
+          {list.length === 0 && (
+            <p className="text-sm text-slate-500 dark:text-slate-400">No homebrew conditions yet</p>
+          )}
+          {list.map((condition) => (
+            <div
+              key={condition.id}
+              className={`flex items-center gap-2 p-2 rounded-lg border ${
+                form.id === condition.id ? 'border-amber-400 bg-amber-50 dark:bg-amber-900/20' : 'border-slate-200 dark:border-slate-700'
+              }`}
+            >
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{condition.name}</div>
+                <div className="text-xs text-slate-500 dark:text-slate-400 truncate">{describeEffects(condition.effects).join(' • ') || 'No mechanical effects'}</div>
+              </div>
+              <button
+                className="text-xs px-2 py-1 rounded hover:bg-slate-200 dark:hover:bg-slate-700"
+                onClick={() => setForm({ id: condition.id, name: condition.name, description: condition.description || '', effects: condition.effects || {} })}
+              >
+                Edit
+              </button>
+              <button
+                className="text-xs px-2 py-1 rounded text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20"
+                onClick={() => setList((prev) => prev.filter((c) => c.id !== condition.id))}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-2 text-sm border-t border-slate-200 dark:border-slate-700 pt-3 overflow-y-auto">
+          <input
+            className={`input w-full ${nameError ? 'ring-2 ring-red-500' : ''}`}
+            placeholder="Name (e.g. Banished, Dazed)"
+            value={form.name}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+          />
+          {nameError && <div className="text-xs text-red-600 dark:text-red-400">{nameError}</div>}
+          <textarea
+            className="input w-full h-16 resize-none"
+            placeholder="Description (shown in the tooltip)"
+            value={form.description}
+            onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+          />
+
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(MODE_EFFECTS).map(([key, label]) => (
+              <label key={key} className="flex items-center justify-between gap-2">
+                <span className="text-slate-600 dark:text-slate-400">{label}</span>
+                <select className="input w-36 py-1" value={form.effects[key] || ''} onChange={(e) => setEffect(key, e.target.value)}>
+                  <option value="">—</option>
+                  <option value="advantage">Advantage</option>
+                  <option value="disadvantage">Disadvantage</option>
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {Object.entries(ABILITY_EFFECTS).map(([key, label]) => (
+            <div key={key} className="flex items-center gap-2">
+              <span className="w-48 text-slate-600 dark:text-slate-400">{label}</span>
+              {CONDITION_ABILITIES.map((ability) => (
+                <label key={ability} className="flex items-center gap-1 text-xs cursor-pointer">
+                  <input type="checkbox" checked={(form.effects[key] || []).includes(ability)} onChange={() => toggleAbility(key, ability)} />
+                  {ability.toUpperCase()}
+                </label>
+              ))}
+            </div>
+          ))}
+
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {Object.entries(FLAG_EFFECTS).map(([key, label]) => (
+              <label key={key} className="flex items-center gap-1 cursor-pointer">
+                <input type="checkbox" checked={Boolean(form.effects[key])} onChange={(e) => setEffect(key, e.target.checked)} />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            {form.id && (
+              <button className="btn" onClick={() => setForm(EMPTY_FORM)}>Cancel edit</button>
+            )}
+            <button
+              className="btn bg-amber-600 text-white hover:bg-amber-700 border-amber-600 disabled:opacity-50"
+              disabled={!name || Boolean(nameError)}
+              onClick={submitForm}
+            >
+              {form.id ? 'Update' : '+ Add'}
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="text-sm text-red-600 dark:text-red-400 mt-2">{error}</div>}
+        <div className="flex gap-2 mt-4">
+          <button className="btn flex-1" onClick={onClose}>Cancel</button>
+          <button className="btn flex-1 bg-blue-600 text-white hover:bg-blue-700 border-blue-600 disabled:opacity-50" disabled={saving} onClick={saveAll}>
+            {saving ? 'Saving...' : 'Save conditions'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
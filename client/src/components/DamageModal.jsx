@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { parseDamageInput, calculateDamage, DAMAGE_TYPES } from '../utils/damageTypes.js';
+
+/**
+ * DamageModal - Apply typed damage ("14 fire", "8 slashing magical") to several combatants at once
+ * Resistances, immunities and vulnerabilities from each stat block are applied automatically
+ * and shown per target before anything is changed.
+ * @param {Array} combatants - Combatants in initiative order
+ * @param {Array<string>} initialTargets - Preselected combatant ids
+ * @param {string} initialInput - Prefilled damage, e.g. "28 fire" from a roll macro
+ * @param {function} onApply - Called with (targetIds, damage) - damage as returned by parseDamageInput
+ * @param {function} onClose - Close the modal
+ */
+export function DamageModal({ combatants, initialTargets = [], initialInput = '', onApply, onClose }) {
+  const [input, setInput] = useState(initialInput);
+  const [targets, setTargets] = useState(new Set(initialTargets));
+
+  const damage = parseDamageInput(input);
+  const selected = combatants.filter((c) => targets.has(c.id));
+
+  const toggle = (id) => {
+    setTargets((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const apply = () => {
+    if (!damage || selected.length === 0) return;
+    onApply(selected.map((c) => c.id), damage);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="card w-full max-w-lg max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-3">💥 Apply Damage</h2>
+
+        <input
+          autoFocus
+          className="input w-full text-lg"
+          placeholder="14 fire, 8 slashing magical..."
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') apply();
+            if (e.key === 'Escape') onClose();
+          }}
+        />
+        <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+          {DAMAGE_TYPES.join(', ')} — add magical, silvered or adamantine if it applies
+        </div>
+
+        <div className="flex items-center justify-between mt-4 mb-1">
+          <span className="lbl">Targets</span>
+          <button
+            className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+            onClick={() => setTargets(targets.size > 0 ? new Set() : new Set(combatants.map((c) => c.id)))}
+          >
+            {targets.size > 0 ? 'Clear' : 'Select all'}
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto space-y-1">
+          {combatants.map((c) => {
+            const result = damage && targets.has(c.id) ? calculateDamage(c, damage) : null;
+            return (
+              <label
+                key={c.id}
+                className={`flex items-center gap-2 p-2 rounded-lg cursor-pointer border ${
+                  targets.has(c.id)
+                    ? 'border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/20'
+                    : 'border-slate-200 dark:border-slate-700'
+                }`}
+              >
+                <input type="checkbox" checked={targets.has(c.id)} onChange={() => toggle(c.id)} />
+                <span className="flex-1 truncate">{c.name}</span>
+                <span className="text-xs text-slate-500 dark:text-slate-400">{c.hp ?? 0} HP</span>
+                {result && (
+                  <span
+                    className={`text-xs font-medium text-right ${
+                      result.immune ? 'text-slate-500' : result.vulnerable && !result.resistant ? 'text-red-600 dark:text-red-400' : result.resistant ? 'text-blue-600 dark:text-blue-400' : ''
+                    }`}
+                  >
+                    {result.text}
+                  </span>
+                )}
+              </label>
+            );
+          })}
+        </div>
+
+        <div className="flex gap-2 mt-4">
+          <button className="btn flex-1" onClick={onClose}>Cancel</button>
+          <button
+            className="btn flex-1 bg-red-600 text-white hover:bg-red-700 border-red-600 disabled:opacity-50"
+            disabled={!damage || selected.length === 0}
+            onClick={apply}
+          >
+            Apply to {selected.length} {selected.length === 1 ? 'target' : 'targets'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
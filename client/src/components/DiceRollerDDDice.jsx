@@ -1,17 +1,38 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { ThreeDDice, ThreeDDiceAPI } from 'dddice-js';
+import {
+  tryParseDiceExpression,
+  formatDiceExpression,
+  evaluateDiceExpression,
+  applyRollMode,
+  diceTerms,
+  getModifier,
+  withDie,
+  withModifier,
+  valueRoller,
+} from '../utils/diceExpression.js';
+
+// Dice dddice can throw - anything else (d3, d7) is rolled digitally
+const DDDICE_SIDES = [4, 6, 8, 10, 12, 20, 100];
 
 export default function DiceRollerDDDice({ onClose, onResult, initialNotation, autoRoll = false, initialRollMode = 'normal', dddiceInstance, dddiceReady }) {
-  const [dicePool, setDicePool] = useState([]);
-  const [modifier, setModifier] = useState(0);
+  const [expression, setExpression] = useState('');
+  const [notationError, setNotationError] = useState(null);
   const [isRolling, setIsRolling] = useState(false);
   const [showUI, setShowUI] = useState(!autoRoll); // Hide UI if auto-rolling
   const [rollMode, setRollMode] = useState('normal'); // 'normal', 'advantage', 'disadvantage'
   const [notationInput, setNotationInput] = useState('');
-  const rolledDiceInfo = useRef([]); // Track what dice were rolled
+  const pendingRoll = useRef(null); // Expression, roll mode and dice of the roll in flight
   const [initialNotationLoaded, setInitialNotationLoaded] = useState(false);
   const [autoRolled, setAutoRolled] = useState(false);
 
+  // The expression is the single source of truth - dice buttons and the modifier edit it
+  const ast = expression ? tryParseDiceExpression(expression).ast : null;
+  const terms = ast ? diceTerms(ast) : [];
+  const hasDice = terms.length > 0;
+  const modifier = getModifier(ast);
+  const diceCount = (sides) => terms.filter(term => term.sides === sides).reduce((sum, term) => sum + term.count, 0);
+
   // Use passed dddice instance
   const dddice = dddiceInstance?.dddice;
   const theme = dddiceInstance?.theme || 'dddice-standard';
@@ -37,8 +58,7 @@ export default function DiceRollerDDDice({ onClose, onResult, initialNotation, a
   }, [dddice]);
 
   // Load initial notation
-  useEffect(() => {    if (initialNotation && !initialNotationLoaded) {      const parsed = parseNotation(initialNotation);      setDicePool(parsed.dice);
-      setModifier(parsed.modifier);
+  useEffect(() => {    if (initialNotation && !initialNotationLoaded) {      loadNotation(initialNotation);
       setInitialNotationLoaded(true);
     }
   }, [initialNotation, initialNotationLoaded]);
@@ -52,86 +72,65 @@ export default function DiceRollerDDDice({ onClose, onResult, initialNotation, a
 
   // Auto-roll
   useEffect(() => {
-    if (autoRoll && initialNotationLoaded && !autoRolled && dicePool.length > 0 && dddiceReady) {
+    if (autoRoll && initialNotationLoaded && !autoRolled && hasDice && dddiceReady) {
       setTimeout(() => {
         roll();
         setAutoRolled(true);
       }, 500);
     }
-  }, [autoRoll, initialNotationLoaded, autoRolled, dicePool.length, dddiceReady]);
-
-  const parseNotation = (notation) => {
-    const parts = notation.split(/([+-])/);
-    let currentModifier = 0;
-    const dice = [];
-
-    parts.forEach(part => {
-      if (part === '+' || part === '-') return;
-
-      const diceMatch = part.match(/(\d+)d(\d+)/i);
-      if (diceMatch) {
-        const count = parseInt(diceMatch[1]);
-        const sides = parseInt(diceMatch[2]);
-        for (let i = 0; i < count; i++) {
-          dice.push({ sides, id: Date.now() + Math.random() + i });
-        }
-      } else if (part.match(/\d+/)) {
-        currentModifier = parseInt(part);
-        if (notation.includes('-' + part)) {
-          currentModifier = -currentModifier;
-        }
-      }
-    });
-
-    return { dice, modifier: currentModifier };
+  }, [autoRoll, initialNotationLoaded, autoRolled, hasDice, dddiceReady]);
+
+  // Typed notation: anything the dice grammar accepts ("2d6+1d4+3", "4d6kh3", "(1d8+2)*2")
+  const loadNotation = (notation) => {
+    const parsed = tryParseDiceExpression(notation);
+    if (parsed.error) {
+      setNotationError(parsed.error);
+      return false;
+    }
+    setExpression(formatDiceExpression(parsed.ast));
+    setNotationError(null);
+    return true;
   };
 
   const addDie = (sides) => {
-    setDicePool([...dicePool, { sides, id: Date.now() + Math.random() }]);
+    setExpression(formatDiceExpression(withDie(ast, sides)));
   };
 
-  const clearPool = () => {
-    setDicePool([]);
-    setModifier(0);
+  const setModifier = (value) => {
+    const next = withModifier(ast, value);
+    setExpression(next ? formatDiceExpression(next) : '');
   };
 
-  const buildNotation = () => {
-    if (dicePool.length === 0) return '';
-    const counts = {};
-    dicePool.forEach(d => {
-      counts[d.sides] = (counts[d.sides] || 0) + 1;
-    });
-    const parts = Object.entries(counts).map(([sides, count]) => `${count}d${sides}`);
-    let notation = parts.join('+');
-    if (modifier !== 0) {
-      notation += modifier > 0 ? `+${modifier}` : modifier;
-    }
-    return notation;
+  const clearPool = () => {
+    setExpression('');
+    setNotationError(null);
   };
 
   const roll = async () => {
-    if (!dddice || dicePool.length === 0 || isRolling) return;
+    if (!dddice || !hasDice || isRolling) return;
 
     setIsRolling(true);
     setShowUI(false); // Hide UI immediately when rolling
 
     try {
-      // Handle advantage/disadvantage for d20 rolls
-      let rollsToMake = [...dicePool];
-      if (rollMode !== 'normal' && dicePool.some(d => d.sides === 20)) {
-        // Add extra d20 for advantage/disadvantage
-        const d20s = dicePool.filter(d => d.sides === 20);
-        rollsToMake = [...dicePool, ...d20s.map(d => ({ ...d, id: Date.now() + Math.random() }))];
-      }
+      // Advantage/disadvantage turns the d20 into 2d20kh1 / 2d20kl1
+      const rolledAst = applyRollMode(ast, rollMode);
+      const sides = diceTerms(rolledAst)
+        .flatMap(term => Array(term.count).fill(term.sides))
+        .filter(s => DDDICE_SIDES.includes(s));
 
-      // Store dice info for later identification (which dice are d20s)
-      rolledDiceInfo.current = rollsToMake.map(die => die.sides);
+      // Stored for handleRollComplete, which also runs from dddice events
+      pendingRoll.current = { ast: rolledAst, notation: formatDiceExpression(ast), rollMode, sides };
 
       // Build roll array for dddice using theme from user's dice box
-      const rolls = rollsToMake.map(die => ({
-        type: `d${die.sides}`,
+      const rolls = sides.map(s => ({
+        type: `d${s}`,
         theme: theme
       }));
+      if (rolls.length === 0) {
+        handleRollComplete({ values: [] });
+        return;
+      }
       // Roll using dddice
       const result = await dddice.roll(rolls);
       // Process result directly after delay for animation to complete
@@ -148,58 +147,43 @@ export default function DiceRollerDDDice({ onClose, onResult, initialNotation, a
       if (error.response?.data?.data) {
         console.error('Error message:', error.response.data.data);
       }
+      pendingRoll.current = null;
       setIsRolling(false);
     }
   };
 
   const handleRollComplete = (data) => {
+    // roll-finished, dice-rolled and the fallback timeout can all report the same roll
+    const pending = pendingRoll.current;
+    if (!pending) return;
+    pendingRoll.current = null;
+
     // Extract roll values from dddice data
     // dddice returns data in format: { uuid, values: [{value, type, ...}], total_value }
-    const values = data.values || [];
-
-    // Map values to their original sides using the stored info
-    let allRolls = values.map((v, index) => ({
+    const values = (data.values || []).map((v, index) => ({
       value: v.value,
-      sides: rolledDiceInfo.current[index] || 0
+      sides: pending.sides[index] || 0
     }));
-    // Handle advantage/disadvantage for d20 rolls
-    let finalRolls = allRolls;
-    let rollsForDisplay = allRolls.map(r => r.value);
-    if (rollMode !== 'normal') {      const d20Rolls = allRolls.filter(r => r.sides === 20).map(r => r.value);
-      const otherRolls = allRolls.filter(r => r.sides !== 20);
-      if (d20Rolls.length >= 2) {
-        // Take highest or lowest d20
-        const selectedD20 = rollMode === 'advantage'
-          ? Math.max(...d20Rolls)
-          : Math.min(...d20Rolls);
-        // For display, keep both d20s; for calculation, use only selected
-        rollsForDisplay = d20Rolls;
-        finalRolls = [...otherRolls, { value: selectedD20, sides: 20 }];
-        console.log(`${rollMode}, using ${selectedD20}`);
-      }
-    }
 
-    const rolls = finalRolls.map(r => r.value);
-    let total = rolls.reduce((sum, val) => sum + val, 0) + (modifier || 0);
+    // The thrown dice feed the expression; rerolls and explosions are rolled digitally
+    const result = evaluateDiceExpression(pending.ast, { roll: valueRoller(values) });
+    const resultData = {
+      rolls: result.rolls,
+      total: result.total,
+      modifier: result.modifier,
+      notation: pending.notation,
+      breakdown: result.breakdown,
+      terms: result.terms,
+      rollMode: pending.rollMode
+    };
+
     if (onResult) {
-      onResult({
-        rolls: rollsForDisplay,
-        total,
-        modifier,
-        notation: buildNotation(),
-        rollMode
-      });
+      onResult(resultData);
     }
 
     // Call the wrapper callback if it exists
     if (window.__diceRollerCallback) {
-      window.__diceRollerCallback({
-        rolls: rollsForDisplay,
-        total,
-        modifier,
-        notation: buildNotation(),
-        rollMode
-      });
+      window.__diceRollerCallback(resultData);
       window.__diceRollerCallback = null; // Clear after use
     }
 
@@ -236,9 +220,9 @@ export default function DiceRollerDDDice({ onClose, onResult, initialNotation, a
               onClick={() => addDie(sides)}
             >
               <span className="text-sm">{label}</span>
-              {dicePool.filter(d => d.sides === sides).length > 0 && (
+              {diceCount(sides) > 0 && (
                 <div className="absolute right-2 w-5 h-5 bg-blue-600 rounded-full flex items-center justify-center text-xs font-bold">
-                  {dicePool.filter(d => d.sides === sides).length}
+                  {diceCount(sides)}
                 </div>
               )}
             </button>
@@ -254,26 +238,31 @@ export default function DiceRollerDDDice({ onClose, onResult, initialNotation, a
       )}
 
       {/* Roll Panel - hide when rolling */}
-      {showUI && dicePool.length > 0 && (
+      {showUI && (hasDice || notationError) && (
         <div className="dice-roller-container fixed left-[162px] z-[110] bg-slate-800/98 backdrop-blur-lg border-2 border-slate-700 rounded-2xl shadow-2xl p-3" style={{ width: '280px', bottom: '96px' }}>
           <div className="text-xs text-slate-400 mb-2 uppercase tracking-wide text-center">Roll Formula</div>
           <input
             type="text"
-            className="w-full bg-slate-900/80 rounded-lg p-2 mb-3 font-mono text-base font-bold text-white text-center focus:outline-none focus:ring-2 focus:ring-blue-500"
-            value={notationInput || buildNotation()}
+            className={`w-full bg-slate-900/80 rounded-lg p-2 ${notationError ? 'mb-1 ring-2 ring-red-500' : 'mb-3'} font-mono text-base font-bold text-white text-center focus:outline-none focus:ring-2 focus:ring-blue-500`}
+            value={notationInput || expression}
             onChange={(e) => setNotationInput(e.target.value)}
             onBlur={() => {
-              if (notationInput) {
-                const parsed = parseNotation(notationInput);
-                setDicePool(parsed.dice);
-                setModifier(parsed.modifier);
+              if (notationInput && loadNotation(notationInput)) {
+                setNotationInput('');
               }
             }}
-            placeholder="1d20+5"
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.target.blur();
+            }}
+            placeholder="2d6+1d4+3, 4d6kh3"
+            title="Dice expression: 2d6+1d4+3, 4d6kh3, 1d20r1, 2d10!, (1d8+2)*2"
           />
+          {notationError && (
+            <div className="text-xs text-red-400 mb-3 text-center">{notationError}</div>
+          )}
 
           {/* Advantage/Disadvantage buttons */}
-          {dicePool.some(d => d.sides === 20) && (
+          {terms.some(term => term.sides === 20) && (
             <div className="flex gap-1 mb-3">
               <button
                 className={`flex-1 py-1.5 text-xs font-semibold rounded transition-all ${
@@ -312,7 +301,7 @@ export default function DiceRollerDDDice({ onClose, onResult, initialNotation, a
             <button
               className="flex-1 py-3 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed uppercase text-sm"
               onClick={roll}
-              disabled={dicePool.length === 0 || isRolling}
+              disabled={!hasDice || isRolling}
             >
               {isRolling ? '...' : 'Roll'}
             </button>
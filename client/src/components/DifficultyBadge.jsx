@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { apiGet } from '../utils/api.js';
+
+const RATING_COLORS = {
+  Trivial: 'bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300',
+  Easy: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  Medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  Hard: 'bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-300',
+  Deadly: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+};
+
+// Everything the rating depends on (see server/utils/encounterDifficulty.js) - HP, conditions
+// and turns don't change it, so they don't trigger a reload
+function difficultyKey(encounter) {
+  const combatants = Object.values(encounter.combatants || {})
+    .map((c) => [c.id, c.name, c.cr, c.xp, c.level, c.characterId, c.player, c.isPC, c.source, c.sidekickOf])
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+  return JSON.stringify([encounter.campaignId, combatants]);
+}
+
+/**
+ * DifficultyBadge - Encounter difficulty for the party (DMG 2014 and 2024)
+ * Reloads when combatants are added, removed or changed in a way that affects the rating,
+ * or the encounter moves to another campaign. Unsaved encounters (temp_ IDs) aren't rated yet.
+ * @param {Object} encounter - The encounter to rate, as last confirmed by the server - the optimistic local
+ *   state would reload the rating before the save lands
+ */
+export function DifficultyBadge({ encounter }) {
+  const [difficulty, setDifficulty] = useState(null);
+  const encounterId = encounter.id;
+  const key = useMemo(() => difficultyKey(encounter), [encounter]);
+
+  useEffect(() => {
+    if (!encounterId || encounterId.startsWith('temp_')) {
+      setDifficulty(null);
+      return undefined;
+    }
+    let cancelled = false;
+    apiGet(`/api/encounters/${encounterId}/difficulty`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (!cancelled) setDifficulty(data);
+      })
+      .catch((err) => console.error('Failed to load encounter difficulty:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [encounterId, key]);
+
+  if (!difficulty) return null;
+
+  const { party, monsters, dmg2014, dmg2024 } = difficulty;
+
+  if (party.size === 0) {
+    return (
+      <span
+        className="px-2 py-1 rounded text-xs font-semibold bg-slate-200 text-slate-600 dark:bg-slate-700 dark:text-slate-300"
+        title="Add player characters (with a level) or link the encounter to a campaign to rate its difficulty"
+      >
+        ⚖️ No party
+      </span>
+    );
+  }
+
+  if (!dmg2014.rating) return null;
+
+  const tooltip = [
+    `Party: ${party.levels.join(', ')} (${party.size} PCs)`,
+    party.unresolved.length > 0 ? `Unknown level: ${party.unresolved.join(', ')}` : null,
+    '',
+    `DMG 2014: ${monsters.xp} XP × ${dmg2014.multiplier} = ${dmg2014.adjustedXP} XP`,
+    Object.entries(dmg2014.thresholds).map(([label, xp]) => `${label} ${xp}`).join(' · '),
+    '',
+    `DMG 2024: ${dmg2024.xp} XP (${dmg2024.budgetUsed}% of High budget)`,
+    Object.entries(dmg2024.budgets).map(([label, xp]) => `${label} ${xp}`).join(' · '),
+  ].filter((line) => line !== null).join('\n');
+
+  return (
+    <span
+      className={`px-2 py-1 rounded text-xs font-semibold whitespace-nowrap cursor-help ${RATING_COLORS[dmg2014.rating]}`}
+      title={tooltip}
+    >
+      ⚖️ {dmg2014.rating}
+      <span className="font-normal opacity-75"> · 2024: {dmg2024.rating}</span>
+    </span>
+  );
+}
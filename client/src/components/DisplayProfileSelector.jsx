@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+
+/**
+ * DisplayProfileSelector - Pick which screen the Player Screen Controls edit
+ * "Encounter default" edits the encounter's own settings (screens opened without a profile);
+ * a profile edits only the screens opened with that profile's link.
+ * @param {Array} profiles - Display profiles of the DM
+ * @param {Object} presets - Templates for new profiles ({ key: { name, settings } })
+ * @param {string|null} selectedId - Selected profile, null for the encounter default
+ * @param {function} onSelect - Called with a profile id or null
+ * @param {function} onCreate - Called with { preset } or { name }
+ * @param {function} onRename - Called with (id, name)
+ * @param {function} onDelete - Called with the profile id
+ * @param {function} onRegenerateToken - Called with the profile id
+ * @param {function} profileUrl - Returns the player screen link of a profile
+ * @param {boolean} disabled - Combat is completed
+ */
+export function DisplayProfileSelector({
+  profiles,
+  presets,
+  selectedId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onRegenerateToken,
+  profileUrl,
+  disabled
+}) {
+  const [copied, setCopied] = useState(false);
+  const selected = profiles.find((p) => p.id === selectedId) || null;
+
+  const handleSelect = async (value) => {
+    if (value === '') {
+      onSelect(null);
+    } else if (value.startsWith('preset:')) {
+      onSelect((await onCreate({ preset: value.slice('preset:'.length) })).id);
+    } else if (value === 'new') {
+      const name = prompt('Name of the new display:');
+      if (name?.trim()) onSelect((await onCreate({ name: name.trim() })).id);
+    } else {
+      onSelect(value);
+    }
+  };
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(profileUrl(selected));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="text-sm text-slate-700 dark:text-slate-300 block">Display</label>
+      <select
+        className="input text-sm py-1 w-full"
+        disabled={disabled}
+        value={selectedId || ''}
+        onChange={(e) => handleSelect(e.target.value).catch((err) => {
+          console.error('Failed to create display profile:', err);
+          alert(err.body?.error || 'Failed to create display profile');
+        })}
+      >
+        <option value="">Encounter default</option>
+        {profiles.map((profile) => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+        <optgroup label="New display">
+          {Object.entries(presets).map(([key, preset]) => (
+            <option key={key} value={`preset:${key}`}>+ {preset.name}</option>
+          ))}
+          <option value="new">+ Custom...</option>
+        </optgroup>
+      </select>
+
+      {selected && (
+        <div className="flex gap-1">
+          <button
+            className="btn flex-1 bg-slate-600 text-white hover:bg-slate-700 text-xs py-1"
+            onClick={copyLink}
+            title="Copy the link for this display"
+          >
+            {copied ? '✓ Copied' : '🔗 Link'}
+          </button>
+          <button
+            className="btn bg-slate-600 text-white hover:bg-slate-700 text-xs py-1 px-2"
+            onClick={() => {
+              const name = prompt('Rename display:', selected.name);
+              if (name?.trim()) onRename(selected.id, name.trim());
+            }}
+            title="Rename"
+          >
+            ✏️
+          </button>
+          <button
+            className="btn bg-slate-600 text-white hover:bg-slate-700 text-xs py-1 px-2"
+            onClick={() => {
+              if (confirm(`Create a new link for "${selected.name}"? Screens using the old link are disconnected.`)) {
+                onRegenerateToken(selected.id);
+              }
+            }}
+            title="New link"
+          >
+            🔄
+          </button>
+          <button
+            className="btn bg-red-600 text-white hover:bg-red-700 text-xs py-1 px-2"
+            onClick={() => {
+              if (confirm(`Delete display "${selected.name}"?`)) {
+                onDelete(selected.id);
+                onSelect(null);
+              }
+            }}
+            title="Delete"
+          >
+            🗑️
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
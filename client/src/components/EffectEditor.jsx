@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+const EMPTY_FORM = {
+  name: '',
+  sourceId: '',
+  concentration: false,
+  rounds: '10',
+  endsOn: 'start',
+  hasSave: false,
+  ability: 'wis',
+  dc: '15',
+  saveTiming: 'end',
+  magical: true,
+  condition: '',
+};
+
+function describeEffect(effect, combatants) {
+  const parts = [];
+  const source = effect.sourceId ? combatants[effect.sourceId] : null;
+  if (source) parts.push(`${effect.concentration ? 'concentration of' : 'from'} ${source.name}`);
+  if (effect.rounds) parts.push(`${effect.rounds} round${effect.rounds > 1 ? 's' : ''} left (${effect.endsOn} of ${source ? source.name : 'own'} turn)`);
+  if (effect.save) parts.push(`DC ${effect.save.dc} ${effect.save.ability.toUpperCase()} save at ${effect.save.timing} of turn`);
+  if (effect.condition) parts.push(effect.condition);
+  return parts.join(' • ');
+}
+
+/**
+ * EffectChips - Active timed effects of a combatant (Bless, Hold Person, ...)
+ * @param {Array} effects - combatant.effects
+ * @param {Object} combatants - All combatants by id (for source names)
+ * @param {function} onRemove - Called with the effect id
+ * @param {boolean} disabled - Combat is completed
+ */
+export function EffectChips({ effects = [], combatants = {}, onRemove, disabled }) {
+  if (effects.length === 0) return null;
+
+  return (
+    <div className="mt-2 flex flex-wrap gap-1">
+      {effects.map((effect) => (
+        <span
+          key={effect.id}
+          className="inline-flex items-center gap-1 px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/30 text-indigo-800 dark:text-indigo-300 rounded-full text-xs font-medium border border-indigo-300 dark:border-indigo-800"
+          title={describeEffect(effect, combatants)}
+        >
+          {effect.concentration && '⚡'}✨ {effect.name}
+          {effect.rounds !== null && <span className="opacity-75">· {effect.rounds}</span>}
+          {effect.save && <span className="opacity-75">· {effect.save.ability.toUpperCase()} {effect.save.dc}</span>}
+          {!disabled && (
+            <button
+              className="ml-0.5 hover:text-red-600 dark:hover:text-red-400"
+              onClick={(e) => {
+                e.stopPropagation();
+                onRemove(effect.id);
+              }}
+              title="End effect"
+            >
+              ✕
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * EffectEditor - Add a timed effect to a combatant
+ * Durations count down at the start or end of the source's turn (or the target's own turn without
+ * a source, or while the source is dead or skipping its turns); saves at the target's turn are rolled for NPCs and requested from players -
+ * see addEffect in server/utils/combatEngine.js
+ * @param {Object} combatant - The affected combatant
+ * @param {Object} combatants - All combatants by id (possible sources)
+ * @param {Array<string>} conditionNames - Suggestions for the applied condition
+ * @param {function} onAdd - Called with the effect ({ name, sourceId, concentration, rounds, endsOn, save, condition, magical })
+ * @param {boolean} disabled - Combat is completed
+ */
+export function EffectEditor({ combatant, combatants = {}, conditionNames = [], onAdd, disabled }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const update = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+  const sources = Object.values(combatants).filter((c) => c && !c.isLairAction);
+  const rounds = parseInt(form.rounds, 10);
+  const dc = parseInt(form.dc, 10);
+  const valid = form.name.trim() && (!form.concentration || form.sourceId) && (!form.hasSave || dc > 0);
+
+  const submit = () => {
+    if (!valid) return;
+    onAdd({
+      name: form.name.trim(),
+      sourceId: form.sourceId || null,
+      concentration: form.concentration,
+      rounds: rounds > 0 ? rounds : null,
+      endsOn: form.endsOn,
+      save: form.hasSave ? { ability: form.ability, dc, timing: form.saveTiming } : null,
+      condition: form.condition.trim() || null,
+      magical: form.magical,
+    });
+    setForm(EMPTY_FORM);
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      <input
+        className="input w-full"
+        placeholder="Effect (e.g. Bless, Hold Person)"
+        value={form.name}
+        disabled={disabled}
+        onChange={(e) => update({ name: e.target.value })}
+        onKeyDown={(e) => e.key === 'Enter' && submit()}
+      />
+      <div className="flex gap-2">
+        <select
+          className="input flex-1"
+          value={form.sourceId}
+          disabled={disabled}
+          onChange={(e) => update({ sourceId: e.target.value, concentration: e.target.value ? form.concentration : false })}
+        >
+          <option value="">No source</option>
+          {sources.map((c) => (
+            <option key={c.id} value={c.id}>{c.id === combatant.id ? `${c.name} (self)` : c.name}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 cursor-pointer whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={form.concentration}
+            disabled={disabled || !form.sourceId}
+            onChange={(e) => update({ concentration: e.target.checked })}
+          />
+          Concentration
+        </label>
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          min="1"
+          className="input w-20"
+          placeholder="∞"
+          value={form.rounds}
+          disabled={disabled}
+          onChange={(e) => update({ rounds: e.target.value })}
+          title="Rounds (empty = until removed)"
+        />
+        <span className="text-slate-600 dark:text-slate-400">rounds, ends at</span>
+        <select
+          className="input flex-1"
+          value={form.endsOn}
+          disabled={disabled}
+          onChange={(e) => update({ endsOn: e.target.value })}
+        >
+          <option value="start">start of turn</option>
+          <option value="end">end of turn</option>
+        </select>
+      </div>
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-1 cursor-pointer whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={form.hasSave}
+            disabled={disabled}
+            onChange={(e) => update({ hasSave: e.target.checked })}
+          />
+          Save
+        </label>
+        {form.hasSave && (
+          <>
+            <input
+              type="number"
+              min="1"
+              className="input w-16"
+              value={form.dc}
+              onChange={(e) => update({ dc: e.target.value })}
+              title="DC"
+            />
+            <select className="input w-20" value={form.ability} onChange={(e) => update({ ability: e.target.value })}>
+              {ABILITIES.map((a) => <option key={a} value={a}>{a.toUpperCase()}</option>)}
+            </select>
+            <select className="input flex-1" value={form.saveTiming} onChange={(e) => update({ saveTiming: e.target.value })}>
+              <option value="start">start of turn</option>
+              <option value="end">end of turn</option>
+            </select>
+            <label className="flex items-center gap-1 cursor-pointer" title="Magic Resistance gives advantage on this save">
+              <input type="checkbox" checked={form.magical} onChange={(e) => update({ magical: e.target.checked })} />
+              Magical
+            </label>
+          </>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <input
+          className="input flex-1"
+          placeholder="Applies condition (optional)"
+          list={`effect-conditions-${combatant.id}`}
+          value={form.condition}
+          disabled={disabled}
+          onChange={(e) => update({ condition: e.target.value })}
+        />
+        <datalist id={`effect-conditions-${combatant.id}`}>
+          {conditionNames.map((name) => <option key={name} value={name} />)}
+        </datalist>
+        <button className="btn bg-indigo-600 text-white hover:bg-indigo-700" disabled={disabled || !valid} onClick={submit}>
+          + Add
+        </button>
+      </div>
+    </div>
+  );
+}
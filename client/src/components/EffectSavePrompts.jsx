@@ -0,0 +1,43 @@
+import React from 'react';
+
+/**
+ * EffectSavePrompts - Saves requested by timed effects at the start or end of a turn
+ * ("Orc: DC 15 WIS save against Hold Person"). A success ends the effect.
+ * @param {Array} prompts - effectSave events from the combat engine
+ * @param {function} onResolve - Called with (prompt, passed)
+ */
+export function EffectSavePrompts({ prompts, onResolve }) {
+  if (prompts.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-6 right-6 z-50 space-y-2 max-w-sm">
+      {prompts.map((prompt) => (
+        <div
+          key={`${prompt.effectId}-${prompt.timing}`}
+          className="card shadow-2xl border-2 bg-indigo-50 dark:bg-indigo-900/40 border-indigo-400 dark:border-indigo-600 animate-[slideInFromRight_0.3s_ease-out]"
+        >
+          <div className="text-sm font-semibold text-indigo-800 dark:text-indigo-200">
+            🎲 {prompt.name}: {prompt.effectName}
+          </div>
+          <div className="text-sm text-slate-700 dark:text-slate-300 mb-2">
+            DC {prompt.dc} {prompt.ability.toUpperCase()} save ({prompt.timing} of turn)
+          </div>
+          <div className="flex gap-2">
+            <button
+              className="btn flex-1 bg-green-600 hover:bg-green-700 text-white text-sm py-1"
+              onClick={() => onResolve(prompt, true)}
+            >
+              ✅ Success (ends)
+            </button>
+            <button
+              className="btn flex-1 bg-red-600 hover:bg-red-700 text-white text-sm py-1"
+              onClick={() => onResolve(prompt, false)}
+            >
+              ❌ Failure
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
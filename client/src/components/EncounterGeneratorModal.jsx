@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { apiGet, apiPost } from '../utils/api.js';
+
+const DIFFICULTIES = [
+  { value: 'easy', label: 'Easy (2014)' },
+  { value: 'medium', label: 'Medium (2014)' },
+  { value: 'hard', label: 'Hard (2014)' },
+  { value: 'deadly', label: 'Deadly (2014)' },
+  { value: 'low', label: 'Low (2024)' },
+  { value: 'moderate', label: 'Moderate (2024)' },
+  { value: 'high', label: 'High (2024)' },
+];
+
+const TEMPLATE_LABELS = {
+  solo: 'Solo',
+  pack: 'Pack',
+  leader: 'Leader & Minions',
+  mixed: 'Mixed',
+};
+
+function formatCR(cr) {
+  if (cr && typeof cr === 'object') return cr.cr;
+  return cr;
+}
+
+function splitList(value) {
+  return value.split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * EncounterGeneratorModal - Generates random balanced monster groups
+ * @param {Array} campaigns - The user's campaigns (party levels can come from a campaign)
+ * @param {function} onCreate - Called with (group, name, campaignId) to turn a group into a new encounter
+ * @param {function} onClose - Callback when modal is closed
+ */
+export function EncounterGeneratorModal({ campaigns = [], onCreate, onClose }) {
+  const [campaignId, setCampaignId] = useState('');
+  const [levels, setLevels] = useState('3, 3, 3, 3');
+  const [difficulty, setDifficulty] = useState('medium');
+  const [environment, setEnvironment] = useState('');
+  const [environments, setEnvironments] = useState([]);
+  const [types, setTypes] = useState('');
+  const [tags, setTags] = useState('');
+  const [sources, setSources] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(null);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    apiGet('/api/monsters/environments')
+      .then((response) => response.json())
+      .then(setEnvironments)
+      .catch((err) => console.error('Failed to load environments:', err));
+  }, []);
+
+  const generate = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const body = {
+        difficulty,
+        environment: environment || undefined,
+        types: splitList(types),
+        tags: splitList(tags),
+        sources: splitList(sources),
+        count: 4,
+      };
+      if (campaignId) {
+        body.campaignId = campaignId;
+      } else {
+        body.partyLevels = splitList(levels).map(Number);
+      }
+      const response = await apiPost('/api/encounters/generate', body);
+      setResult(await response.json());
+    } catch (err) {
+      console.error('Failed to generate encounter:', err);
+      setError(err.body?.error || 'Failed to generate encounter.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const create = async (group, index) => {
+    setCreating(index);
+    try {
+      const name = group.monsters.map((m) => `${m.count}× ${m.name}`).join(', ');
+      await onCreate(group, name, campaignId);
+      onClose();
+    } catch (err) {
+      console.error('Failed to create encounter from group:', err);
+      setError('Failed to create encounter.');
+    } finally {
+      setCreating(null);
+    }
+  };
+
+  const ratingOf = (group) =>
+    result.ruleset === '2014' ? group.difficulty.dmg2014.rating : group.difficulty.dmg2024.rating;
+  const xpOf = (group) =>
+    result.ruleset === '2014' ? group.difficulty.dmg2014.adjustedXP : group.difficulty.dmg2024.xp;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="relative bg-slate-800 rounded-lg shadow-2xl max-w-3xl w-full max-h-[85vh] p-6 flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-white">🎲 Encounter Generator</h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-white text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+          <label className="flex flex-col gap-1 text-slate-300">
+            Party
+            <select className="input" value={campaignId} onChange={(e) => setCampaignId(e.target.value)}>
+              <option value="">Levels manually</option>
+              {campaigns.map((c) => (
+                <option key={c.id} value={c.id}>Campaign: {c.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300">
+            Party levels
+            <input
+              className="input"
+              value={levels}
+              onChange={(e) => setLevels(e.target.value)}
+              disabled={Boolean(campaignId)}
+              placeholder="5, 5, 6, 4"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300">
+            Difficulty
+            <select className="input" value={difficulty} onChange={(e) => setDifficulty(e.target.value)}>
+              {DIFFICULTIES.map((d) => (
+                <option key={d.value} value={d.value}>{d.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300">
+            Environment
+            <select className="input" value={environment} onChange={(e) => setEnvironment(e.target.value)}>
+              <option value="">Any</option>
+              {environments.map((env) => (
+                <option key={env} value={env}>{env}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300">
+            Creature types
+            <input className="input" value={types} onChange={(e) => setTypes(e.target.value)} placeholder="undead, fiend" />
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300">
+            Tags
+            <input className="input" value={tags} onChange={(e) => setTags(e.target.value)} placeholder="goblinoid" />
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300 sm:col-span-2">
+            Sources
+            <input className="input" value={sources} onChange={(e) => setSources(e.target.value)} placeholder="MM, VGM, homebrew (empty = all)" />
+          </label>
+        </div>
+
+        <button
+          onClick={generate}
+          disabled={loading}
+          className="mt-4 px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded font-medium disabled:opacity-50"
+        >
+          {loading ? 'Generating...' : result ? '🎲 Reroll' : '🎲 Generate'}
+        </button>
+
+        {error && (
+          <div className="bg-red-900/20 border border-red-500 rounded p-3 mt-4">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {/* Suggestions */}
+        {result && (
+          <div className="flex-1 overflow-y-auto mt-4 space-y-3">
+            <p className="text-xs text-slate-400">
+              Target {result.target.minXP}–{result.target.maxXP} XP
+              {result.ruleset === '2014' && ' (adjusted)'} · {result.candidates} matching monsters
+            </p>
+            {result.groups.length === 0 && (
+              <p className="text-sm text-slate-400">No group fits these filters. Try a different difficulty or fewer filters.</p>
+            )}
+            {result.groups.map((group, index) => (
+              <div key={index} className="bg-slate-700/50 rounded p-3 flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="text-xs text-slate-400 mb-1">
+                    {TEMPLATE_LABELS[group.template]} · {ratingOf(group)} · {xpOf(group)} XP
+                  </div>
+                  <ul className="text-sm text-slate-200">
+                    {group.monsters.map((m) => (
+                      <li key={m.id || m.name} className="truncate">
+                        {m.count}× {m.name}{' '}
+                        <span className="text-slate-400">
+                          (CR {formatCR(m.cr)}{m.source ? `, ${m.source}` : ''}){m.isCustom && ' ✏️'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <button
+                  onClick={() => create(group, index)}
+                  disabled={creating !== null}
+                  className="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm whitespace-nowrap disabled:opacity-50"
+                >
+                  {creating === index ? 'Creating...' : '+ Create Encounter'}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
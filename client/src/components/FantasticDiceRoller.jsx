@@ -1,10 +1,30 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  tryParseDiceExpression,
+  formatDiceExpression,
+  evaluateDiceExpression,
+  applyRollMode,
+  diceTerms,
+  getModifier,
+  withDie,
+  withModifier,
+} from '../utils/diceExpression.js';
+
+// Results that aren't just "dice + modifier" ((1d8+2)*2) show their breakdown instead
+function hasCalculation(result) {
+  return result.modifier !== 0 || result.terms.length > 1 || result.total !== result.terms.reduce((sum, term) => sum + term.total, 0);
+}
+
+function isSimpleSum(result) {
+  return result.total === result.terms.reduce((sum, term) => sum + term.total, 0) + result.modifier;
+}
 
-export default function FantasticDiceRoller({ onClose, onResult, initialNotation, autoRoll = false, initialRollMode = 'normal' }) {  const [dicePool, setDicePool] = useState([]);
+export default function FantasticDiceRoller({ onClose, onResult, initialNotation, autoRoll = false, initialRollMode = 'normal' }) {  const [expression, setExpression] = useState('');
+  const [notationError, setNotationError] = useState(null);
   const [rollMode, setRollMode] = useState('normal'); // 'normal', 'advantage', 'disadvantage'
-  const [modifier, setModifier] = useState(0);
   const [isRolling, setIsRolling] = useState(false);
   const [rollingDice, setRollingDice] = useState([]);
+  const [rollResult, setRollResult] = useState(null);
   const diceBoxRef = useRef(null);
   const diceBoxInstance = useRef(null);
   const [isInitialized, setIsInitialized] = useState(true); // Start as true to enable button immediately
@@ -13,6 +33,13 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
   const [notationInput, setNotationInput] = useState('');
   const [showPanel, setShowPanel] = useState(!autoRoll); // Hide panel if auto-rolling
 
+  // The expression is the single source of truth - dice buttons and the modifier edit it
+  const ast = expression ? tryParseDiceExpression(expression).ast : null;
+  const terms = ast ? diceTerms(ast) : [];
+  const hasDice = terms.length > 0;
+  const modifier = getModifier(ast);
+  const diceCount = (sides) => terms.filter(term => term.sides === sides).reduce((sum, term) => sum + term.count, 0);
+
   // Preload audio files for reliable playback
   const tickSoundPoolRef = useRef([]);
   const finishSoundRef = useRef(null);
@@ -139,45 +166,21 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
   // Load initial notation if provided
   useEffect(() => {
     if (initialNotation && !initialNotationLoaded) {
-      // Parse notation like "2d6+3" or "1d20+5"
-      const parts = initialNotation.split(/([+-])/);
-      let currentModifier = 0;
-      const dice = [];
-
-      parts.forEach(part => {
-        if (part === '+' || part === '-') return;
-
-        const diceMatch = part.match(/(\d+)d(\d+)/i);
-        if (diceMatch) {
-          const count = parseInt(diceMatch[1]);
-          const sides = parseInt(diceMatch[2]);
-          for (let i = 0; i < count; i++) {
-            dice.push({ sides, id: Date.now() + Math.random() + i });
-          }
-        } else if (part.match(/\d+/)) {
-          currentModifier = parseInt(part);
-          if (initialNotation.includes('-' + part)) {
-            currentModifier = -currentModifier;
-          }
-        }
-      });
-
-      setDicePool(dice);
-      setModifier(currentModifier);
+      loadNotation(initialNotation);
       setInitialNotationLoaded(true);
     }
   }, [initialNotation, initialNotationLoaded]);
 
   // Auto-roll if requested and dice are loaded AND audio is ready
   useEffect(() => {
-    if (autoRoll && initialNotationLoaded && !autoRolled && dicePool.length > 0 && audioReady) {
+    if (autoRoll && initialNotationLoaded && !autoRolled && hasDice && audioReady) {
       // Small delay to ensure everything is ready
       setTimeout(() => {
         roll();
         setAutoRolled(true);
       }, 100);
     }
-  }, [autoRoll, initialNotationLoaded, autoRolled, dicePool.length, audioReady]);
+  }, [autoRoll, initialNotationLoaded, autoRolled, hasDice, audioReady]);
 
   // Set initial roll mode from prop
   useEffect(() => {
@@ -187,69 +190,35 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
   }, [initialRollMode]);
 
   const addDie = (sides) => {
-    setDicePool([...dicePool, { sides, id: Date.now() + Math.random() }]);
+    setExpression(formatDiceExpression(withDie(ast, sides)));
   };
 
-  const removeDie = (id) => {
-    setDicePool(dicePool.filter(d => d.id !== id));
+  const setModifier = (value) => {
+    const next = withModifier(ast, value);
+    setExpression(next ? formatDiceExpression(next) : '');
   };
 
   const clearPool = () => {
-    setDicePool([]);
-    setModifier(0);
+    setExpression('');
+    setNotationError(null);
     setRollingDice([]); // Clear animation state
+    setRollResult(null);
   };
 
-  const buildNotation = () => {
-    if (dicePool.length === 0) return '';
-
-    // Count dice by type
-    const counts = {};
-    dicePool.forEach(d => {
-      counts[d.sides] = (counts[d.sides] || 0) + 1;
-    });
-
-    // Build notation like "2d20+1d6"
-    const parts = Object.entries(counts).map(([sides, count]) => `${count}d${sides}`);
-    let notation = parts.join('+');
-
-    if (modifier !== 0) {
-      notation += modifier > 0 ? `+${modifier}` : modifier;
+  // Typed notation: anything the dice grammar accepts ("2d6+1d4+3", "4d6kh3", "(1d8+2)*2")
+  const loadNotation = (notation) => {
+    const parsed = tryParseDiceExpression(notation);
+    if (parsed.error) {
+      setNotationError(parsed.error);
+      return false;
     }
-
-    return notation;
-  };
-
-  const parseNotation = (notation) => {
-    // Parse notation like "2d6+3" or "1d20+5"
-    const parts = notation.split(/([+-])/);
-    let currentModifier = 0;
-    const dice = [];
-
-    parts.forEach(part => {
-      if (part === '+' || part === '-') return;
-
-      const diceMatch = part.match(/(\d+)d(\d+)/i);
-      if (diceMatch) {
-        const count = parseInt(diceMatch[1]);
-        const sides = parseInt(diceMatch[2]);
-        for (let i = 0; i < count; i++) {
-          dice.push({ sides, id: Date.now() + Math.random() + i });
-        }
-      } else if (part.match(/\d+/)) {
-        currentModifier = parseInt(part);
-        if (notation.includes('-' + part)) {
-          currentModifier = -currentModifier;
-        }
-      }
-    });
-
-    setDicePool(dice);
-    setModifier(currentModifier);
+    setExpression(formatDiceExpression(parsed.ast));
+    setNotationError(null);
+    return true;
   };
 
   const roll = async () => {
-    if (dicePool.length === 0) {      return;
+    if (!hasDice) {      return;
     }
 
     if (isRolling) {      return;
@@ -259,36 +228,17 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
     setShowPanel(false);
 
     try {
-      let notation = buildNotation();
-      // Handle advantage/disadvantage for d20 rolls
-      if (rollMode === 'advantage' && dicePool.some(d => d.sides === 20)) {
-        // Roll 2d20 and keep highest
-        const d20Count = dicePool.filter(d => d.sides === 20).length;
-        notation = `${d20Count * 2}d20`;
-        if (modifier !== 0) {
-          notation += modifier > 0 ? `+${modifier}` : modifier;
-        }
-      } else if (rollMode === 'disadvantage' && dicePool.some(d => d.sides === 20)) {
-        // Roll 2d20 and keep lowest
-        const d20Count = dicePool.filter(d => d.sides === 20).length;
-        notation = `${d20Count * 2}d20`;
-        if (modifier !== 0) {
-          notation += modifier > 0 ? `+${modifier}` : modifier;
-        }
-      }
-
-      // Animate rolling dice      // For advantage/disadvantage, animate all dice including extras
-      let animationPool = [...dicePool];
-      if (rollMode !== 'normal' && dicePool.some(d => d.sides === 20)) {
-        const d20s = dicePool.filter(d => d.sides === 20);
-        animationPool = [...dicePool, ...d20s.map(d => ({ ...d, id: Date.now() + Math.random() }))];
-      }
-      const animationDice = animationPool.map((d, i) => ({
-        id: d.id,
-        sides: d.sides,
-        value: '?',
-        rolling: true
-      }));      setRollingDice(animationDice);
+      // Advantage/disadvantage turns the d20 into 2d20kh1 / 2d20kl1
+      const rolledAst = applyRollMode(ast, rollMode);
+      const animationDice = diceTerms(rolledAst).flatMap((term, t) =>
+        Array.from({ length: term.count }, (_, i) => ({
+          id: `${t}-${i}`,
+          sides: term.sides,
+          value: '?',
+          rolling: true
+        }))
+      );      setRollingDice(animationDice);
+      setRollResult(null);
 
       // Roll dice with animation
       const animationDuration = 500; // ms - schnellere Animation
@@ -316,35 +266,21 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
         await new Promise(resolve => setTimeout(resolve, stepDuration));
       }
 
-      // Final roll      // For advantage/disadvantage, actually roll the extra dice
-      let dicesToRoll = [...dicePool];
-      if (rollMode !== 'normal' && dicePool.some(d => d.sides === 20)) {
-        // Add extra d20s for advantage/disadvantage
-        const d20s = dicePool.filter(d => d.sides === 20);
-        dicesToRoll = [...dicePool, ...d20s.map(d => ({ ...d, id: Date.now() + Math.random() }))];
-      }
-      const rolls = dicesToRoll.map(d => Math.floor(Math.random() * d.sides) + 1);
-
-      // Determine which dice are selected for advantage/disadvantage
-      let selectedIndex = -1;
-      if (rollMode !== 'normal') {
-        const d20Indices = rolls.map((val, i) => dicesToRoll[i].sides === 20 ? i : -1).filter(i => i >= 0);
-        if (d20Indices.length >= 2) {
-          const selectedValue = rollMode === 'advantage'
-            ? Math.max(...d20Indices.map(i => rolls[i]))
-            : Math.min(...d20Indices.map(i => rolls[i]));
-          // Find the first index that matches the selected value
-          selectedIndex = d20Indices.find(i => rolls[i] === selectedValue);
-        }
-      }
-
-      setRollingDice(rolls.map((value, i) => ({
-        id: dicesToRoll[i].id,
-        sides: dicesToRoll[i].sides,
-        value,
-        rolling: false,
-        isSelected: rollMode !== 'normal' && dicesToRoll[i].sides === 20 ? (i === selectedIndex) : null
-      })));
+      // Final roll - rerolls and explosions can add dice to the animation
+      const result = evaluateDiceExpression(rolledAst);
+      setRollingDice(result.terms.flatMap((term, t) => {
+        const hasKeep = term.dice.some(die => !die.kept);
+        return term.dice.map((die, i) => ({
+          id: `${t}-${i}`,
+          sides: die.sides,
+          value: die.value,
+          rolling: false,
+          exploded: die.exploded,
+          // Kept/dropped dice (advantage, 4d6kh3) are highlighted, other dice stay neutral
+          isSelected: hasKeep ? die.kept : null
+        }));
+      }));
+      setRollResult(result);
 
       // Wait a moment to show final result      
       await new Promise(resolve => setTimeout(resolve, 300));
@@ -355,7 +291,7 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
       //   finishSoundRef.current.play().catch(() => {});
       // }
 
-      handleRollComplete(rolls.map((value, i) => ({ value, sides: dicesToRoll[i].sides })));
+      handleRollComplete(result);
     } catch (error) {
       console.error('Roll failed:', error);
       setIsRolling(false);
@@ -363,54 +299,25 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
     }
   };
 
-  const handleRollComplete = (results) => {
-    const rolls = results.map(r => r.value);
-    let rollsForDisplay = rolls;
-    let total = rolls.reduce((sum, val) => sum + val, 0);
-
-    // Handle advantage/disadvantage
-    if (rollMode === 'advantage' && rolls.length >= 2) {
-      // For advantage, we rolled 2 d20s - take the max
-      const d20Count = results.filter(r => r.sides === 20).length;
-      if (d20Count >= 2) {
-        const d20Values = results.filter(r => r.sides === 20).map(r => r.value);
-        const max = Math.max(...d20Values);
-        total = max + (modifier || 0);
-        rollsForDisplay = d20Values; // Show both d20 values
-      } else {
-        total = total + (modifier || 0);
-      }
-    } else if (rollMode === 'disadvantage' && rolls.length >= 2) {
-      // For disadvantage, we rolled 2 d20s - take the min
-      const d20Count = results.filter(r => r.sides === 20).length;
-      if (d20Count >= 2) {
-        const d20Values = results.filter(r => r.sides === 20).map(r => r.value);
-        const min = Math.min(...d20Values);
-        total = min + (modifier || 0);
-        rollsForDisplay = d20Values; // Show both d20 values
-      } else {
-        total = total + (modifier || 0);
-      }
-    } else {
-      // Normal roll - add modifier
-      total = total + (modifier || 0);
-    }
-
+  const handleRollComplete = (result) => {
     // Reset rolling state but keep dice visible
     setIsRolling(false);
 
-    // Determine animation duration based on whether there's a modifier
-    // With modifier: Bonus fade (0.7s) + calculation animation (0.7s) = 1.2s
-    // Without modifier: Just the total scale-in (0.5s)
-    const animationDuration = modifier !== 0 ? 1200 : 500;
-    const totalDisplayTime = modifier !== 0 ? 2500 : 2000;
+    // Determine animation duration based on whether there's a calculation to show
+    // With calculation: Bonus fade (0.7s) + calculation animation (0.7s) = 1.2s
+    // Without: Just the total scale-in (0.5s)
+    const showsCalculation = hasCalculation(result);
+    const animationDuration = showsCalculation ? 1200 : 500;
+    const totalDisplayTime = showsCalculation ? 2500 : 2000;
 
     // Immediately trigger the callbacks but with delay information
     const resultData = {
-      rolls: rollsForDisplay,
-      total,
-      modifier,
-      notation: buildNotation(),
+      rolls: result.rolls,
+      total: result.total,
+      modifier: result.modifier,
+      notation: formatDiceExpression(ast),
+      breakdown: result.breakdown,
+      terms: result.terms,
       rollMode,
       __delayToast: animationDuration // Special flag to delay toast display
     };
@@ -428,6 +335,7 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
     // Keep dice visible for appropriate time
     setTimeout(() => {
       setRollingDice([]);
+      setRollResult(null);
       onClose();
     }, totalDisplayTime);
   };
@@ -466,9 +374,9 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
               }}
             >
               <span className="text-sm">{label}</span>
-              {dicePool.filter(d => d.sides === sides).length > 0 && (
+              {diceCount(sides) > 0 && (
                 <div className="absolute right-2 w-5 h-5 bg-blue-600 rounded-full flex items-center justify-center text-xs font-bold animate-[scaleIn_0.2s_ease-out]">
-                  {dicePool.filter(d => d.sides === sides).length}
+                  {diceCount(sides)}
                 </div>
               )}
             </button>
@@ -486,33 +394,35 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
       )}
 
       {/* Roll Display Panel - Right of Dice Tray */}
-      {showPanel && dicePool.length > 0 && (
+      {showPanel && (hasDice || notationError) && (
         <div className="dice-roller-container fixed left-[162px] z-[110] bg-white/98 dark:bg-slate-800/98 backdrop-blur-lg border-2 border-slate-300 dark:border-slate-700 rounded-2xl shadow-2xl p-3 animate-[slideInLeft_0.3s_ease-out]" style={{ width: '240px', bottom: '96px' }}>
           <div className="text-xs text-slate-600 dark:text-slate-400 mb-2 uppercase tracking-wide text-center">Roll Formula</div>
 
           {/* Editable Notation Input */}
           <input
             type="text"
-            className="w-full bg-slate-100 dark:bg-slate-900/80 rounded-lg p-2 mb-3 font-mono text-base font-bold text-slate-900 dark:text-white text-center focus:outline-none focus:ring-2 focus:ring-blue-500"
-            value={notationInput || buildNotation()}
+            className={`w-full bg-slate-100 dark:bg-slate-900/80 rounded-lg p-2 ${notationError ? 'mb-1 ring-2 ring-red-500' : 'mb-3'} font-mono text-base font-bold text-slate-900 dark:text-white text-center focus:outline-none focus:ring-2 focus:ring-blue-500`}
+            value={notationInput || expression}
             onChange={(e) => setNotationInput(e.target.value)}
             onBlur={() => {
-              if (notationInput) {
-                parseNotation(notationInput);
+              if (notationInput && loadNotation(notationInput)) {
                 setNotationInput('');
               }
             }}
             onKeyDown={(e) => {
               if (e.key === 'Enter') {
-                if (notationInput) {
-                  parseNotation(notationInput);
+                if (notationInput && loadNotation(notationInput)) {
                   setNotationInput('');
                 }
                 e.target.blur();
               }
             }}
-            placeholder="1d20+5"
+            placeholder="2d6+1d4+3, 4d6kh3"
+            title="Dice expression: 2d6+1d4+3, 4d6kh3, 1d20r1, 2d10!, (1d8+2)*2"
           />
+          {notationError && (
+            <div className="text-xs text-red-600 dark:text-red-400 mb-3 text-center">{notationError}</div>
+          )}
 
           {/* Advantage/Disadvantage Buttons */}
           <div className="flex gap-2 mb-3">
@@ -544,7 +454,7 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
               className="flex-1 py-3 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed uppercase text-sm"
               onClick={() => {                roll();
               }}
-              disabled={dicePool.length === 0 || isRolling || !audioReady}
+              disabled={!hasDice || isRolling || !audioReady}
               title={!audioReady ? 'Loading audio...' : ''}
             >
               {!audioReady ? 'Loading...' : isRolling ? '...' : 'Roll'}
@@ -640,32 +550,40 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
                           : `${colorClass} text-white ${scaleClass}`
                       }`}
                     >
-                      {die.value}
+                      {die.value}{die.exploded && <span className="text-2xl align-top">!</span>}
                     </div>
                   );
                 })}
               </div>
 
-              {/* Total Display - Only shown if there's a modifier */}
-              {!rollingDice[0]?.rolling && modifier !== 0 && (
+              {/* Total Display - Only shown if there's something to add up */}
+              {rollResult && !rollingDice[0]?.rolling && hasCalculation(rollResult) && (
                 <div className="flex items-center gap-4 animate-[slideUp_0.7s_ease-out]">
-                  {/* Dice Sum */}
-                  <div className="text-5xl font-bold text-slate-900 dark:text-white">
-                    {rollingDice.reduce((sum, die) => {
-                      if (die.isSelected !== null) {
-                        return die.isSelected ? die.value : sum;
-                      }
-                      return sum + die.value;
-                    }, 0)}
-                  </div>
-
-                  {/* Plus Sign and Modifier (animates in) */}
-                  <div className="text-4xl font-bold text-green-600 dark:text-green-300 animate-[fadeIn_0.5s_ease-out_0.3s_both]">
-                    {modifier > 0 ? '+' : ''}
-                  </div>
-                  <div className="text-5xl font-bold text-green-600 dark:text-green-300 animate-[fadeIn_0.5s_ease-out_0.3s_both]">
-                    {modifier}
-                  </div>
+                  {isSimpleSum(rollResult) ? (
+                    <>
+                      {/* Dice Sum */}
+                      <div className="text-5xl font-bold text-slate-900 dark:text-white">
+                        {rollResult.total - rollResult.modifier}
+                      </div>
+
+                      {/* Plus Sign and Modifier (animates in) */}
+                      {rollResult.modifier !== 0 && (
+                        <>
+                          <div className="text-4xl font-bold text-green-600 dark:text-green-300 animate-[fadeIn_0.5s_ease-out_0.3s_both]">
+                            {rollResult.modifier > 0 ? '+' : ''}
+                          </div>
+                          <div className="text-5xl font-bold text-green-600 dark:text-green-300 animate-[fadeIn_0.5s_ease-out_0.3s_both]">
+                            {rollResult.modifier}
+                          </div>
+                        </>
+                      )}
+                    </>
+                  ) : (
+                    // Per-term breakdown for multiplication and groups: "([5] + 2) × 2"
+                    <div className="text-3xl font-bold font-mono text-slate-900 dark:text-white">
+                      {rollResult.breakdown}
+                    </div>
+                  )}
 
                   {/* Equals Sign */}
                   <div className="text-4xl font-bold text-blue-600 dark:text-blue-300 animate-[fadeIn_0.5s_ease-out_0.5s_both]">
@@ -674,12 +592,7 @@ export default function FantasticDiceRoller({ onClose, onResult, initialNotation
 
                   {/* Final Total (larger, emphasized) */}
                   <div className="text-7xl font-bold text-yellow-600 dark:text-yellow-300 animate-[scaleIn_0.5s_ease-out_0.7s_both] drop-shadow-[0_0_20px_rgba(234,179,8,0.5)]">
-                    {rollingDice.reduce((sum, die) => {
-                      if (die.isSelected !== null) {
-                        return die.isSelected ? die.value + modifier : sum;
-                      }
-                      return sum + die.value;
-                    }, 0) + (rollingDice[0]?.isSelected === null ? modifier : 0)}
+                    {rollResult.total}
                   </div>
                 </div>
               )}
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+
+/**
+ * InitiativeCollectionPanel - Live checklist while players send their initiative rolls
+ * Players submit from the player screen or their companion view; the DM can type
+ * missing rolls, finalise early or cancel.
+ * @param {Object} encounter - Encounter with an active initiativeCollection
+ * @param {function} onSubmit - Called with (combatantId, initiative) for a roll entered by the DM
+ * @param {function} onFinalize - Fix the order now, missing players keep their old initiative
+ * @param {function} onCancel - Stop collecting without changing the order
+ */
+export function InitiativeCollectionPanel({ encounter, onSubmit, onFinalize, onCancel }) {
+  const [values, setValues] = useState({});
+  const { combatantIds, received = {} } = encounter.initiativeCollection;
+  const missing = combatantIds.filter((id) => received[id] === undefined);
+
+  const submit = (id) => {
+    const initiative = parseInt(values[id], 10);
+    if (Number.isNaN(initiative)) return;
+    onSubmit(id, initiative);
+    setValues((prev) => ({ ...prev, [id]: '' }));
+  };
+
+  return (
+    <div className="card shadow-2xl border-2 border-amber-400 dark:border-amber-600 bg-white dark:bg-slate-800">
+      <div className="font-semibold text-sm text-slate-800 dark:text-slate-100 mb-2">
+        🎲 Collecting Initiative ({combatantIds.length - missing.length}/{combatantIds.length})
+      </div>
+      <div className="space-y-1 max-h-72 overflow-y-auto">
+        {combatantIds.map((id) => {
+          const combatant = encounter.combatants[id];
+          if (!combatant) return null;
+          const done = received[id] !== undefined;
+          return (
+            <div key={id} className="flex items-center gap-2 text-sm">
+              <span className="flex-shrink-0">{done ? '✅' : '⏳'}</span>
+              <span className="flex-1 min-w-0 truncate text-slate-800 dark:text-slate-100">{combatant.name}</span>
+              {done ? (
+                <span className="font-semibold text-slate-700 dark:text-slate-200">{received[id]}</span>
+              ) : (
+                <input
+                  type="number"
+                  className="w-16 px-1 py-0.5 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700"
+                  placeholder="—"
+                  value={values[id] ?? ''}
+                  onChange={(e) => setValues((prev) => ({ ...prev, [id]: e.target.value }))}
+                  onKeyDown={(e) => e.key === 'Enter' && submit(id)}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-2 mt-3">
+        <button
+          className="flex-1 px-2 py-1 bg-amber-600 hover:bg-amber-700 text-white rounded text-xs"
+          onClick={onFinalize}
+          title={missing.length > 0 ? 'Players who have not rolled keep their current initiative' : undefined}
+        >
+          Finalize now
+        </button>
+        <button
+          className="flex-1 px-2 py-1 bg-slate-500 hover:bg-slate-600 text-white rounded text-xs"
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { API, apiGet } from '../utils/api.js';
+import { useEventStream } from '../hooks/useEventStream.js';
+
+// Submissions are pushed via an event stream, polling only while it is down
+const POLL_INTERVAL = 5000;
+
+const TYPE_LABELS = {
+  initiative: { icon: '🎲', label: 'Initiative' },
+  damage: { icon: '💥', label: 'Damage' },
+  heal: { icon: '💚', label: 'Healing' },
+};
+
+/**
+ * PlayerSubmissionsPanel - Initiative, damage and healing sent by players from their companion view
+ * Pending submissions are pushed by the server; the encounter is reloaded when it changed
+ * elsewhere (e.g. an auto-accepted submission).
+ * @param {string} encounterId - The open encounter
+ * @param {number} revision - Revision of the encounter as loaded in the DM view
+ * @param {function} onResolve - Called with (submission, accept) to approve or reject
+ * @param {function} onRemoteChange - Called when the stored encounter is newer than the loaded one
+ */
+export function PlayerSubmissionsPanel({ encounterId, revision, onResolve, onRemoteChange }) {
+  const [resolved, setResolved] = useState(() => new Set());
+  const [resolving, setResolving] = useState(null);
+  const revisionRef = useRef(revision);
+  revisionRef.current = revision;
+
+  const poll = useCallback(async () => {
+    try {
+      return await (await apiGet(`/api/encounters/${encounterId}/submissions`)).json();
+    } catch (err) {
+      console.error('Failed to load player submissions:', err);
+      return undefined;
+    }
+  }, [encounterId]);
+
+  const data = useEventStream(
+    encounterId ? API(`/api/encounters/${encodeURIComponent(encounterId)}/submissions/stream`) : null,
+    poll,
+    POLL_INTERVAL
+  );
+
+  useEffect(() => {
+    if (data && revisionRef.current !== undefined && data.revision > revisionRef.current) {
+      onRemoteChange();
+    }
+  }, [data?.revision]);
+
+  // Hidden right away, the next pushed state no longer contains them
+  const submissions = (data?.id === encounterId ? data.submissions : []).filter((s) => !resolved.has(s.id));
+
+  const resolve = async (submission, accept) => {
+    setResolving(submission.id);
+    try {
+      await onResolve(submission, accept);
+      setResolved((prev) => new Set(prev).add(submission.id));
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  if (submissions.length === 0) return null;
+
+  return (
+    <div className="card shadow-2xl border-2 border-indigo-400 dark:border-indigo-600 bg-white dark:bg-slate-800">
+      <div className="font-semibold text-sm text-slate-800 dark:text-slate-100 mb-2">
+        📱 Player Submissions ({submissions.length})
+      </div>
+      <div className="space-y-2 max-h-72 overflow-y-auto">
+        {submissions.map((submission) => {
+          const type = TYPE_LABELS[submission.type];
+          return (
+            <div key={submission.id} className="flex items-center gap-2 text-sm">
+              <span className="flex-shrink-0">{type.icon}</span>
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-slate-800 dark:text-slate-100 truncate">{submission.name}</div>
+                <div className="text-xs text-slate-500 dark:text-slate-400">
+                  {type.label}: <span className="font-semibold">{submission.amount}</span>
+                </div>
+              </div>
+              <button
+                className="px-2 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-xs disabled:opacity-50"
+                disabled={resolving !== null}
+                onClick={() => resolve(submission, true)}
+                title="Apply"
+              >
+                ✓
+              </button>
+              <button
+                className="px-2 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-xs disabled:opacity-50"
+                disabled={resolving !== null}
+                onClick={() => resolve(submission, false)}
+                title="Reject"
+              >
+                ✕
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { tryParseDiceExpression } from '../utils/diceExpression.js';
+import { DAMAGE_TYPES } from '../utils/damageTypes.js';
+import { describeMacro } from '../utils/rollMacros.js';
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  attackBonus: '',
+  damage: '',
+  damageType: '',
+  saveAbility: '',
+  saveDC: '',
+};
+
+function toForm(macro) {
+  return {
+    id: macro.id,
+    name: macro.name,
+    attackBonus: macro.attackBonus === null ? '' : String(macro.attackBonus),
+    damage: macro.damage || '',
+    damageType: macro.damageType || '',
+    saveAbility: macro.save?.ability || '',
+    saveDC: macro.save ? String(macro.save.dc) : '',
+  };
+}
+
+/**
+ * MacroButtons - One button per saved roll macro
+ * @param {Array} macros - Macros to show
+ * @param {function} onRoll - Called with the macro
+ * @param {function} onManage - Opens the macro editor (optional)
+ * @param {boolean} disabled - Combat is completed
+ */
+export function MacroButtons({ macros = [], onRoll, onManage, disabled }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {macros.map((macro) => (
+        <button
+          key={macro.id}
+          disabled={disabled}
+          className="px-2 py-1 rounded-lg text-xs font-semibold bg-violet-100 dark:bg-violet-900/40 hover:bg-violet-200 dark:hover:bg-violet-800/60 text-violet-800 dark:text-violet-300 border border-violet-300 dark:border-violet-700 disabled:opacity-50"
+          onClick={() => onRoll(macro)}
+          title={describeMacro(macro)}
+        >
+          🎯 {macro.name}
+        </button>
+      ))}
+      {onManage && (
+        <button
+          className="px-2 py-1 rounded-lg text-xs text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-700 border border-dashed border-slate-300 dark:border-slate-600"
+          onClick={onManage}
+          title="Add or edit macros"
+        >
+          {macros.length > 0 ? '✏️ Macros' : '+ Macro'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * MacroEditor - Add, edit and delete roll macros
+ * A macro combines an attack roll, a damage expression (any dice expression, e.g. "8d6" or "2d6+1d8+4")
+ * and a save DC - see server/utils/rollMacros.js for the stored format.
+ * @param {string} title - "Macros for Goblin", "My macros"
+ * @param {Array} macros - Current macros
+ * @param {function} onSave - Called with the new list, resolves to an error message or null
+ * @param {function} onClose - Close the editor
+ */
+export function MacroEditor({ title, macros = [], onSave, onClose }) {
+  const [list, setList] = useState(macros);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const update = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+  const attackBonus = form.attackBonus.trim() === '' ? null : parseInt(form.attackBonus, 10);
+  const damageError = form.damage.trim() ? tryParseDiceExpression(form.damage).error : null;
+  const saveDC = parseInt(form.saveDC, 10);
+  const hasSave = Boolean(form.saveAbility);
+  const valid = form.name.trim() &&
+    !Number.isNaN(attackBonus) &&
+    !damageError &&
+    (!hasSave || saveDC > 0) &&
+    (attackBonus !== null || form.damage.trim() || hasSave);
+
+  const submitForm = () => {
+    if (!valid) return;
+    const macro = {
+      id: form.id || `macro-${Date.now()}`,
+      name: form.name.trim(),
+      attackBonus,
+      damage: form.damage.trim() || null,
+      damageType: form.damage.trim() && form.damageType ? form.damageType : null,
+      save: hasSave ? { ability: form.saveAbility, dc: saveDC } : null,
+    };
+    setList((prev) => (form.id ? prev.map((m) => (m.id === form.id ? macro : m)) : [...prev, macro]));
+    setForm(EMPTY_FORM);
+  };
+
+  const saveAll = async () => {
+    setSaving(true);
+    const saveError = await onSave(list);
+    setSaving(false);
+    if (saveError) setError(saveError);
+    else onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="card w-full max-w-lg max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-3">🎯 {title}</h2>
+
+        <div className="flex-1 overflow-y-auto space-y-1 mb-3">
+          {list.length === 0 && (
+            <p className="text-sm text-slate-500 dark:text-slate-400">No macros yet</p>
+          )}
+          {list.map((macro) => (
+            <div
+              key={macro.id}
+              className={`flex items-center gap-2 p-2 rounded-lg border ${
+                form.id === macro.id ? 'border-violet-400 bg-violet-50 dark:bg-violet-900/20' : 'border-slate-200 dark:border-slate-700'
+              }`}
+            >
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{macro.name}</div>
+                <div className="text-xs text-slate-500 dark:text-slate-400 truncate">{describeMacro(macro)}</div>
+              </div>
+              <button className="text-xs px-2 py-1 rounded hover:bg-slate-200 dark:hover:bg-slate-700" onClick={() => setForm(toForm(macro))}>
+                Edit
+              </button>
+              <button
+                className="text-xs px-2 py-1 rounded text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20"
+                onClick={() => setList((prev) => prev.filter((m) => m.id !== macro.id))}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-2 text-sm border-t border-slate-200 dark:border-slate-700 pt-3">
+          <input
+            className="input w-full"
+            placeholder="Name (e.g. Fireball, Sneak Attack)"
+            value={form.name}
+            onChange={(e) => update({ name: e.target.value })}
+          />
+          <div className="flex gap-2">
+            <input
+              type="number"
+              className="input w-24"
+              placeholder="To hit"
+              value={form.attackBonus}
+              onChange={(e) => update({ attackBonus: e.target.value })}
+              title="Attack bonus (empty = no attack roll)"
+            />
+            <input
+              className={`input flex-1 font-mono ${damageError ? 'ring-2 ring-red-500' : ''}`}
+              placeholder="Damage (8d6, 2d6+1d8+4)"
+              value={form.damage}
+              onChange={(e) => update({ damage: e.target.value })}
+            />
+            <select
+              className="input w-32"
+              value={form.damageType}
+              disabled={!form.damage.trim()}
+              onChange={(e) => update({ damageType: e.target.value })}
+            >
+              <option value="">untyped</option>
+              {DAMAGE_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </div>
+          {damageError && <div className="text-xs text-red-600 dark:text-red-400">{damageError}</div>}
+          <div className="flex gap-2 items-center">
+            <select className="input w-28" value={form.saveAbility} onChange={(e) => update({ saveAbility: e.target.value })}>
+              <option value="">No save</option>
+              {ABILITIES.map((a) => <option key={a} value={a}>{a.toUpperCase()} save</option>)}
+            </select>
+            {hasSave && (
+              <input
+                type="number"
+                min="1"
+                className="input w-20"
+                placeholder="DC"
+                value={form.saveDC}
+                onChange={(e) => update({ saveDC: e.target.value })}
+              />
+            )}
+            <div className="flex-1" />
+            {form.id && (
+              <button className="btn" onClick={() => setForm(EMPTY_FORM)}>Cancel edit</button>
+            )}
+            <button className="btn bg-violet-600 text-white hover:bg-violet-700 border-violet-600 disabled:opacity-50" disabled={!valid} onClick={submitForm}>
+              {form.id ? 'Update' : '+ Add'}
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="text-sm text-red-600 dark:text-red-400 mt-2">{error}</div>}
+        <div className="flex gap-2 mt-4">
+          <button className="btn flex-1" onClick={onClose}>Cancel</button>
+          <button className="btn flex-1 bg-blue-600 text-white hover:bg-blue-700 border-blue-600 disabled:opacity-50" disabled={saving} onClick={saveAll}>
+            {saving ? 'Saving...' : 'Save macros'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
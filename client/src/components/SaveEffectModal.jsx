@@ -0,0 +1,283 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { rollDice } from '../utils/diceRoller.js';
+import { tryParseDiceExpression } from '../utils/diceExpression.js';
+import { calculateDamage, DAMAGE_TYPES } from '../utils/damageTypes.js';
+import { SAVE_ABILITIES, rollNpcSave, damageAfterSave } from '../utils/saveEffects.js';
+import { saveBonus, isPlayerSide } from '../../../shared/combatants.js';
+
+function signed(value) {
+  return `${value >= 0 ? '+' : ''}${value}`;
+}
+
+/**
+ * SaveEffectModal - One saving throw effect (Fireball, Breath Weapon) against several combatants
+ * NPC saves are rolled with their stat block bonus, players enter their own result. Damage is rolled once
+ * and applied in full on a failed save, half (or none) on a success - after each target's defenses.
+ * @param {Array} combatants - Combatants in initiative order
+ * @param {Object} initial - Prefill { name, dc, ability, damage, damageType, halfOnSuccess } from a stat block
+ * @param {Array<string>} initialTargets - Preselected combatant ids
+ * @param {function} onApply - Called with [{ id, name, damages: [calculateDamage result] }] for every confirmed target
+ * @param {function} onClose - Close the modal
+ */
+export function SaveEffectModal({ combatants, initial = {}, initialTargets = [], onApply, onClose }) {
+  const [name, setName] = useState(initial.name || '');
+  const [dc, setDc] = useState(initial.dc ? String(initial.dc) : '');
+  const [ability, setAbility] = useState(initial.ability || 'dex');
+  const [damage, setDamage] = useState(initial.damage || '');
+  const [damageType, setDamageType] = useState(initial.damageType || '');
+  const [halfOnSuccess, setHalfOnSuccess] = useState(initial.halfOnSuccess ?? true);
+  const [magical, setMagical] = useState(true);
+  const [targets, setTargets] = useState(new Set(initialTargets));
+  const [phase, setPhase] = useState('setup'); // setup | rolling | results
+  const [damageRoll, setDamageRoll] = useState(null);
+  const [rows, setRows] = useState([]);
+  const closed = useRef(false);
+
+  useEffect(() => () => { closed.current = true; }, []);
+
+  const dcValue = parseInt(dc, 10);
+  const damageError = damage.trim() ? tryParseDiceExpression(damage).error : null;
+  const selected = combatants.filter((c) => targets.has(c.id));
+  const valid = dcValue > 0 && !damageError && selected.length > 0;
+  const label = name.trim() || `DC ${dcValue || '?'} ${ability.toUpperCase()} save`;
+
+  const toggle = (id) => {
+    setTargets((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const roll = async () => {
+    if (!valid) return;
+    setPhase('rolling');
+
+    let total = null;
+    if (damage.trim()) {
+      const result = await rollDice({ notation: damage.trim(), label: `${label} - Damage`, character: 'DM' });
+      if (closed.current) return;
+      if (!result) {
+        setPhase('setup');
+        return;
+      }
+      total = Math.max(0, result.total);
+    }
+
+    setDamageRoll(total);
+    setRows(selected.map((c) => {
+      const manual = isPlayerSide(c);
+      return {
+        id: c.id,
+        name: c.name,
+        manual,
+        modifier: saveBonus(c, ability),
+        save: manual ? null : rollNpcSave(c, ability, dcValue, { magical }),
+        entered: '',
+        apply: true,
+      };
+    }));
+    setPhase('results');
+  };
+
+  const updateRow = (id, patch) => setRows((prev) => prev.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  // Pass/fail of a row - null while a player hasn't entered their result yet
+  const passedFor = (row) => {
+    if (!row.manual) return row.save.passed;
+    const entered = parseInt(row.entered, 10);
+    return Number.isFinite(entered) ? entered >= dcValue : null;
+  };
+
+  const damageFor = (row) => {
+    const passed = passedFor(row);
+    if (damageRoll === null || passed === null) return null;
+    const amount = damageAfterSave(damageRoll, passed, halfOnSuccess);
+    const target = combatants.find((c) => c.id === row.id);
+    if (!damageType || !target) {
+      return { amount, original: amount, damageType: null, immune: false, resistant: false, vulnerable: false, conditional: [], text: `${amount}` };
+    }
+    return calculateDamage(target, { amount, damageType, magical, silvered: false, adamantine: false });
+  };
+
+  const confirmed = rows
+    .map((row) => ({ row, result: damageFor(row) }))
+    .filter(({ row, result }) => row.apply && result);
+
+  const apply = () => {
+    onApply(confirmed.map(({ row, result }) => ({ id: row.id, name: row.name, damages: [result] })));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4" onClick={phase === 'rolling' ? undefined : onClose}>
+      <div className="card w-full max-w-2xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-3">🌀 {phase === 'setup' ? 'Save Effect' : label}</h2>
+
+        {phase === 'setup' && (
+          <>
+            <div className="space-y-2 text-sm">
+              <input
+                className="input w-full"
+                placeholder="Name (e.g. Fireball, Fire Breath)"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+              <div className="flex gap-2 items-center">
+                <input
+                  type="number"
+                  min="1"
+                  className="input w-20"
+                  placeholder="DC"
+                  value={dc}
+                  onChange={(e) => setDc(e.target.value)}
+                />
+                <select className="input w-28" value={ability} onChange={(e) => setAbility(e.target.value)}>
+                  {SAVE_ABILITIES.map((a) => <option key={a} value={a}>{a.toUpperCase()} save</option>)}
+                </select>
+                <input
+                  className={`input flex-1 font-mono ${damageError ? 'ring-2 ring-red-500' : ''}`}
+                  placeholder="Damage (8d6)"
+                  value={damage}
+                  onChange={(e) => setDamage(e.target.value)}
+                />
+                <select className="input w-32" value={damageType} disabled={!damage.trim()} onChange={(e) => setDamageType(e.target.value)}>
+                  <option value="">untyped</option>
+                  {DAMAGE_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </div>
+              {damageError && <div className="text-xs text-red-600 dark:text-red-400">{damageError}</div>}
+              <div className="flex gap-4">
+                <label className="flex items-center gap-1 cursor-pointer">
+                  <input type="checkbox" checked={halfOnSuccess} onChange={(e) => setHalfOnSuccess(e.target.checked)} />
+                  Half damage on success
+                </label>
+                <label className="flex items-center gap-1 cursor-pointer" title="Magic Resistance gives advantage, nonmagical resistances don't apply">
+                  <input type="checkbox" checked={magical} onChange={(e) => setMagical(e.target.checked)} />
+                  Magical
+                </label>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between mt-4 mb-1">
+              <span className="lbl">Targets</span>
+              <button
+                className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                onClick={() => setTargets(targets.size > 0 ? new Set() : new Set(combatants.map((c) => c.id)))}
+              >
+                {targets.size > 0 ? 'Clear' : 'Select all'}
+              </button>
+            </div>
+            <div className="flex-1 overflow-y-auto space-y-1">
+              {combatants.map((c) => (
+                <label
+                  key={c.id}
+                  className={`flex items-center gap-2 p-2 rounded-lg cursor-pointer border ${
+                    targets.has(c.id)
+                      ? 'border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/20'
+                      : 'border-slate-200 dark:border-slate-700'
+                  }`}
+                >
+                  <input type="checkbox" checked={targets.has(c.id)} onChange={() => toggle(c.id)} />
+                  <span className="flex-1 truncate">{c.name}</span>
+                  <span className="text-xs text-slate-500 dark:text-slate-400">
+                    {ability.toUpperCase()} {signed(saveBonus(c, ability))}
+                    {isPlayerSide(c) && ' • rolls own save'}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+
+        {phase === 'rolling' && (
+          <div className="text-sm text-slate-500 dark:text-slate-400">Rolling damage...</div>
+        )}
+
+        {phase === 'results' && (
+          <div className="flex-1 overflow-y-auto">
+            <div className="text-sm mb-2">
+              DC {dcValue} {ability.toUpperCase()} save
+              {damageRoll !== null && <> • <span className="font-semibold">{damageRoll}</span> {damageType} damage, {halfOnSuccess ? 'half' : 'none'} on success</>}
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                  <th className="py-1"></th>
+                  <th className="py-1">Target</th>
+                  <th className="py-1">Save</th>
+                  <th className="py-1">Result</th>
+                  <th className="py-1 text-right">Damage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => {
+                  const passed = passedFor(row);
+                  const result = damageFor(row);
+                  return (
+                    <tr key={row.id} className="border-t border-slate-200 dark:border-slate-700">
+                      <td className="py-1 pr-2">
+                        <input
+                          type="checkbox"
+                          checked={row.apply}
+                          disabled={damageRoll === null}
+                          onChange={(e) => updateRow(row.id, { apply: e.target.checked })}
+                          title="Apply this damage"
+                        />
+                      </td>
+                      <td className="py-1 pr-2">{row.name}</td>
+                      <td className="py-1 pr-2 font-mono whitespace-nowrap">
+                        {row.manual ? (
+                          <input
+                            type="number"
+                            className="input py-0.5 w-20 text-sm"
+                            placeholder={`d20${signed(row.modifier)}`}
+                            value={row.entered}
+                            onChange={(e) => updateRow(row.id, { entered: e.target.value })}
+                            title="Save total rolled by the player"
+                          />
+                        ) : (
+                          <span title={row.save.reasons.length ? row.save.reasons.map((r) => `${r.text} (${r.effect})`).join('\n') : undefined}>
+                            {row.save.rolls.join(' / ')} {signed(row.save.modifier)} = {row.save.total}
+                            {row.save.autoFail && ' (auto-fail)'}
+                          </span>
+                        )}
+                      </td>
+                      <td className={`py-1 pr-2 font-semibold ${passed === null ? 'text-slate-400' : passed ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                        {passed === null ? 'Waiting' : passed ? 'Success' : 'Failure'}
+                      </td>
+                      <td className="py-1 text-right text-xs">{result ? result.text : '—'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex gap-2 mt-4">
+          <button className="btn flex-1" onClick={onClose}>{phase === 'results' ? 'Close' : 'Cancel'}</button>
+          {phase === 'setup' && (
+            <button
+              className="btn flex-1 bg-green-600 text-white hover:bg-green-700 border-green-600 disabled:opacity-50"
+              disabled={!valid}
+              onClick={roll}
+            >
+              Roll {selected.length} {selected.length === 1 ? 'save' : 'saves'}
+            </button>
+          )}
+          {phase === 'results' && damageRoll !== null && (
+            <button
+              className="btn flex-1 bg-red-600 text-white hover:bg-red-700 border-red-600 disabled:opacity-50"
+              disabled={confirmed.length === 0}
+              onClick={apply}
+            >
+              Apply damage to {confirmed.length} {confirmed.length === 1 ? 'target' : 'targets'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from 'react';
 
-export function Settings({ isOpen, onClose }) {
+export function Settings({ isOpen, onClose, onManageConditions }) {
   const [diceRollerType, setDiceRollerType] = useState('2d');
   const [creatureNamingMode, setCreatureNamingMode] = useState('adjective');
   const [concentrationCheckReminder, setConcentrationCheckReminder] = useState(true);
   const [autoRollConcentrationNPCs, setAutoRollConcentrationNPCs] = useState(true);
+  const [autoRollEffectSavesNPCs, setAutoRollEffectSavesNPCs] = useState(true);
   const [conditionImmunityReminder, setConditionImmunityReminder] = useState(true);
   const [deathSavesForPCsOnly, setDeathSavesForPCsOnly] = useState(false);
+  const [rulesEdition, setRulesEdition] = useState('2024');
 
   // Load settings from localStorage on mount
   useEffect(() => {
@@ -26,12 +28,18 @@ export function Settings({ isOpen, onClose }) {
         if (settings.autoRollConcentrationNPCs !== undefined) {
           setAutoRollConcentrationNPCs(settings.autoRollConcentrationNPCs);
         }
+        if (settings.autoRollEffectSavesNPCs !== undefined) {
+          setAutoRollEffectSavesNPCs(settings.autoRollEffectSavesNPCs);
+        }
         if (settings.conditionImmunityReminder !== undefined) {
           setConditionImmunityReminder(settings.conditionImmunityReminder);
         }
         if (settings.deathSavesForPCsOnly !== undefined) {
           setDeathSavesForPCsOnly(settings.deathSavesForPCsOnly);
         }
+        if (settings.rulesEdition) {
+          setRulesEdition(settings.rulesEdition);
+        }
       } catch (e) {
         console.error('Failed to load settings:', e);
       }
@@ -45,8 +53,10 @@ export function Settings({ isOpen, onClose }) {
       creatureNamingMode,
       concentrationCheckReminder,
       autoRollConcentrationNPCs,
+      autoRollEffectSavesNPCs,
       conditionImmunityReminder,
-      deathSavesForPCsOnly
+      deathSavesForPCsOnly,
+      rulesEdition
     };
     localStorage.setItem('app-settings', JSON.stringify(settings));
 
@@ -329,6 +339,24 @@ export function Settings({ isOpen, onClose }) {
                   />
                 </label>
 
+                {/* Auto Roll Effect Saves for NPCs Toggle */}
+                <label className="flex items-center justify-between p-3 rounded-lg border-2 border-slate-200 dark:border-slate-700 cursor-pointer hover:bg-slate-50 dark:hover:bg-slate-700/50">
+                  <div className="flex-1">
+                    <div className="font-medium text-slate-900 dark:text-slate-100">
+                      Auto Roll Effect Saves for NPCs
+                    </div>
+                    <div className="text-sm text-slate-600 dark:text-slate-400 mt-1">
+                      Roll repeated saves (e.g. Hold Person) for monsters at the start or end of their turn
+                    </div>
+                  </div>
+                  <input
+                    type="checkbox"
+                    checked={autoRollEffectSavesNPCs}
+                    onChange={(e) => setAutoRollEffectSavesNPCs(e.target.checked)}
+                    className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+                  />
+                </label>
+
                 {/* Condition Immunity Reminder Toggle */}
                 <label className="flex items-center justify-between p-3 rounded-lg border-2 border-slate-200 dark:border-slate-700 cursor-pointer hover:bg-slate-50 dark:hover:bg-slate-700/50">
                   <div className="flex-1">
@@ -374,6 +402,73 @@ export function Settings({ isOpen, onClose }) {
                 </label>
               </div>
             </div>
+
+            {/* Conditions Rules Setting */}
+            <div>
+              <label className="block text-sm font-semibold text-slate-700 dark:text-slate-300 mb-3">
+                Conditions Regelversion
+              </label>
+              <div className="space-y-3">
+                {/* 2024 Option */}
+                <label className="flex items-start gap-3 p-3 rounded-lg border-2 transition-all cursor-pointer hover:bg-slate-50 dark:hover:bg-slate-700/50 group"
+                  style={{
+                    borderColor: rulesEdition === '2024' ? '#3b82f6' : 'transparent',
+                    backgroundColor: rulesEdition === '2024' ? 'rgba(59, 130, 246, 0.05)' : 'transparent'
+                  }}
+                >
+                  <input
+                    type="radio"
+                    name="rulesEdition"
+                    value="2024"
+                    checked={rulesEdition === '2024'}
+                    onChange={(e) => setRulesEdition(e.target.value)}
+                    className="mt-1 w-4 h-4 text-blue-600 focus:ring-blue-500"
+                  />
+                  <div className="flex-1">
+                    <div className="font-medium text-slate-900 dark:text-slate-100">
+                      2024 (z.B. "Exhaustion 2" = -4 auf d20-Würfe)
+                    </div>
+                    <div className="text-sm text-slate-600 dark:text-slate-400 mt-1">
+                      Exhaustion senkt jeden d20-Wurf um 2 pro Stufe, Stunned lässt die Bewegung zu
+                    </div>
+                  </div>
+                </label>
+
+                {/* 2014 Option */}
+                <label className="flex items-start gap-3 p-3 rounded-lg border-2 transition-all cursor-pointer hover:bg-slate-50 dark:hover:bg-slate-700/50 group"
+                  style={{
+                    borderColor: rulesEdition === '2014' ? '#3b82f6' : 'transparent',
+                    backgroundColor: rulesEdition === '2014' ? 'rgba(59, 130, 246, 0.05)' : 'transparent'
+                  }}
+                >
+                  <input
+                    type="radio"
+                    name="rulesEdition"
+                    value="2014"
+                    checked={rulesEdition === '2014'}
+                    onChange={(e) => setRulesEdition(e.target.value)}
+                    className="mt-1 w-4 h-4 text-blue-600 focus:ring-blue-500"
+                  />
+                  <div className="flex-1">
+                    <div className="font-medium text-slate-900 dark:text-slate-100">
+                      2014 (z.B. "Exhaustion 3" = Nachteil auf Angriffe und Saves)
+                    </div>
+                    <div className="text-sm text-slate-600 dark:text-slate-400 mt-1">
+                      Exhaustion-Stufen mit kumulativen Effekten, Stunned setzt Speed auf 0
+                    </div>
+                  </div>
+                </label>
+
+                {onManageConditions && (
+                  <button
+                    onClick={onManageConditions}
+                    className="w-full px-4 py-2 rounded-lg border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors font-medium"
+                  >
+                    🧪 Homebrew Conditions verwalten
+                  </button>
+                )}
+              </div>
+            </div>
             </div>
           </div>
 
@@ -405,8 +500,10 @@ export function useSettings() {
     creatureNamingMode: 'adjective',
     concentrationCheckReminder: true,
     autoRollConcentrationNPCs: true,
+    autoRollEffectSavesNPCs: true,
     conditionImmunityReminder: true,
-    deathSavesForPCsOnly: false
+    deathSavesForPCsOnly: false,
+    rulesEdition: '2024'
   });
 
   useEffect(() => {
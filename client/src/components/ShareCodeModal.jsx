@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { apiPost, apiDelete } from '../utils/api.js';
 
+function companionUrl(shareCode) {
+  const baseUrl = window.location.origin + window.location.pathname.replace('index.html', '');
+  return `${baseUrl}companion.html?code=${encodeURIComponent(shareCode)}`;
+}
+
 /**
  * ShareCodeModal - Shows a QR code and share code for mobile app access
  * @param {string} encounterId - The encounter ID to generate share code for
@@ -144,6 +149,29 @@ export function ShareCodeModal({ encounterId, onClose }) {
               </ol>
             </div>
 
+            {/* Player Companion */}
+            <div className="bg-slate-700/50 rounded p-4 text-sm text-slate-300">
+              <p className="font-semibold mb-2">🧙 Player companion (browser):</p>
+              <p className="mb-2">
+                Players open this link, pick their character and send initiative, damage and healing to you.
+              </p>
+              <div className="flex gap-2 items-center">
+                <input
+                  type="text"
+                  value={companionUrl(shareData.shareCode)}
+                  readOnly
+                  className="flex-1 min-w-0 px-2 py-1 bg-slate-800 border border-slate-600 rounded text-xs text-white font-mono"
+                />
+                <button
+                  onClick={() => copyToClipboard(companionUrl(shareData.shareCode))}
+                  className="flex-shrink-0 px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded transition-colors"
+                  title="Copy to clipboard"
+                >
+                  📋
+                </button>
+              </div>
+            </div>
+
             {/* Expiry Info and Actions */}
             <div className="space-y-3">
               <div className="flex items-center justify-between text-sm">
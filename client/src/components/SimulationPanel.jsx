@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { apiPost } from '../utils/api.js';
+
+const ITERATION_OPTIONS = [500, 1000, 2000];
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function winColor(probability) {
+  if (probability >= 0.9) return 'text-green-600 dark:text-green-400';
+  if (probability >= 0.6) return 'text-yellow-600 dark:text-yellow-400';
+  if (probability >= 0.3) return 'text-orange-600 dark:text-orange-400';
+  return 'text-red-600 dark:text-red-400';
+}
+
+/**
+ * SimulationPanel - Runs a Monte Carlo simulation of the encounter against the party
+ * @param {string} encounterId - The encounter to simulate
+ */
+export function SimulationPanel({ encounterId }) {
+  const [collapsed, setCollapsed] = useState(true);
+  const [iterations, setIterations] = useState(1000);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const runSimulation = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiPost(`/api/encounters/${encounterId}/simulate`, { iterations });
+      setResult(await response.json());
+    } catch (err) {
+      console.error('Failed to simulate encounter:', err);
+      setError(err.body?.error || 'Simulation failed.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div
+        className="flex items-center justify-between cursor-pointer"
+        onClick={() => setCollapsed(!collapsed)}
+        title={collapsed ? "Ausklappen" : "Einklappen"}
+      >
+        <h3 className="text-sm font-bold text-slate-700 dark:text-slate-300">🎲 Balance Simulation</h3>
+        <span className="text-slate-500">{collapsed ? '▼' : '▲'}</span>
+      </div>
+
+      {!collapsed && (
+        <div className="mt-3 space-y-3">
+          <div className="flex items-center gap-2">
+            <select
+              className="input w-auto text-sm"
+              value={iterations}
+              onChange={(e) => setIterations(Number(e.target.value))}
+            >
+              {ITERATION_OPTIONS.map((n) => (
+                <option key={n} value={n}>{n} fights</option>
+              ))}
+            </select>
+            <button
+              className="btn bg-purple-600 text-white hover:bg-purple-700 border-purple-600 text-sm"
+              onClick={runSimulation}
+              disabled={loading}
+            >
+              {loading ? <span className="inline-block animate-spin">⏳</span> : '▶ Simulate'}
+            </button>
+            <span className="text-xs text-slate-500 dark:text-slate-400">
+              Simplified model: no movement, spells or tactics beyond focus fire.
+            </span>
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+
+          {result && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+                {[
+                  ['Party wins', percent(result.winProbability), winColor(result.winProbability)],
+                  ['PC deaths', result.expectedPCDeaths, ''],
+                  ['PCs down', result.expectedPCDowns, ''],
+                  ['Rounds', result.expectedRounds, ''],
+                  ['HP lost', `${result.resources.hpLostPercent}%`, ''],
+                ].map(([label, value, color]) => (
+                  <div key={label} className="bg-slate-100 dark:bg-slate-800 rounded p-2 text-center">
+                    <div className={`text-xl font-bold ${color}`}>{value}</div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400">{label}</div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid sm:grid-cols-2 gap-3 text-xs">
+                <div>
+                  <div className="font-semibold text-slate-600 dark:text-slate-300 mb-1">Party</div>
+                  {result.party.map((pc) => (
+                    <div key={pc.id || pc.name} className="flex justify-between gap-2 py-0.5">
+                      <span className="truncate" title={`AC ${pc.ac} · HP ${pc.hp} · +${pc.attackBonus} to hit · ~${pc.dpr} DPR`}>
+                        {pc.name} <span className="text-slate-400">(Lv {pc.level})</span>
+                      </span>
+                      <span className="whitespace-nowrap">
+                        {percent(pc.deathProbability)} death · {pc.expectedDowns} downs
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <div>
+                  <div className="font-semibold text-slate-600 dark:text-slate-300 mb-1">Monsters</div>
+                  {result.monsters.map((m) => (
+                    <div key={m.id} className="flex justify-between gap-2 py-0.5">
+                      <span className="truncate" title={`AC ${m.ac} · HP ${m.hp} · ${m.attackBonus !== null ? `+${m.attackBonus} to hit` : `DC ${m.saveDC}`} · ~${m.dpr} DPR`}>
+                        {m.name}
+                      </span>
+                      <span className="whitespace-nowrap">{percent(m.survivalProbability)} survive</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {result.timeoutProbability > 0 && (
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  {percent(result.timeoutProbability)} of fights were still undecided after 20 rounds.
+                </p>
+              )}
+              {result.unresolved.length > 0 && (
+                <p className="text-xs text-yellow-600 dark:text-yellow-400">
+                  Skipped (no level): {result.unresolved.join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
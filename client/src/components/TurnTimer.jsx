@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { isPlayerSide } from '../../../shared/combatants.js';
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  mode: 'countdown',
+  pcSeconds: 60,
+  monsterSeconds: 30,
+  warningSeconds: 10,
+};
+
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Countdown/stopwatch values for a running turn
+ * @returns {{ text, warning, expired }}
+ */
+export function turnTimerDisplay({ mode, limitSeconds, warningSeconds, elapsedMs }) {
+  const limitMs = limitSeconds * 1000;
+  const remainingMs = limitMs - elapsedMs;
+  const expired = limitSeconds > 0 && remainingMs <= 0;
+  const warning = limitSeconds > 0 && !expired && remainingMs <= warningSeconds * 1000;
+
+  if (mode === 'stopwatch') {
+    return { text: formatDuration(elapsedMs), warning, expired };
+  }
+  // Countdown keeps going into overtime ("+0:12")
+  return { text: expired ? `+${formatDuration(remainingMs)}` : formatDuration(remainingMs), warning, expired };
+}
+
+// Elapsed time from the server's value plus the time since it arrived (older states without it: the local clock)
+function elapsedSince({ timer, receivedAt }, now) {
+  if (!timer) return 0;
+  const paused = Boolean(timer.pausedAt);
+  if (timer.elapsedMs === undefined) return Math.max(0, (paused ? timer.pausedAt : now) - timer.startedAt);
+  return paused ? timer.elapsedMs : timer.elapsedMs + Math.max(0, now - receivedAt);
+}
+
+/**
+ * TurnTimer - Countdown or stopwatch for the active turn (DM view)
+ * The timer runs on the server and follows every turn change, so it survives reloads.
+ * The server sends the elapsed time; this counts on from when it arrived, so the local clock doesn't matter.
+ * @param {Object} encounter - Encounter with turnTimerSettings, turnTimer and turnTimes
+ * @param {function} onAction - Called with a combat action (configureTurnTimer, pauseTurnTimer, ...)
+ * @param {boolean} disabled - Combat is completed
+ */
+export function TurnTimer({ encounter, onAction, disabled }) {
+  const settings = { ...DEFAULT_SETTINGS, ...encounter.turnTimerSettings };
+  const timer = encounter.turnTimer;
+  const [now, setNow] = useState(Date.now());
+  const [anchor, setAnchor] = useState(() => ({ timer, receivedAt: Date.now() }));
+  const [showSettings, setShowSettings] = useState(false);
+  const [draft, setDraft] = useState(settings);
+
+  const running = settings.enabled && timer && timer.pausedAt === null;
+  const timerKey = JSON.stringify(timer);
+  useEffect(() => {
+    setAnchor({ timer, receivedAt: Date.now() });
+    setNow(Date.now());
+  }, [timerKey]);
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [running]);
+
+  const openSettings = () => {
+    setDraft(settings);
+    setShowSettings(!showSettings);
+  };
+
+  const applySettings = (updates) => {
+    onAction({ type: 'configureTurnTimer', settings: updates });
+    setShowSettings(false);
+  };
+
+  const combatant = timer?.combatantId ? encounter.combatants?.[timer.combatantId] : null;
+  const display = timer && settings.enabled ? turnTimerDisplay({
+    mode: settings.mode,
+    limitSeconds: isPlayerSide(combatant) ? settings.pcSeconds : settings.monsterSeconds,
+    warningSeconds: settings.warningSeconds,
+    elapsedMs: elapsedSince(anchor, now),
+  }) : null;
+
+  const times = Object.entries(encounter.turnTimes || {})
+    .map(([id, entry]) => ({ id, name: encounter.combatants?.[id]?.name || 'Unknown', ...entry }))
+    .sort((a, b) => b.ms - a.ms);
+
+  return (
+    <div className="relative flex items-center gap-2">
+      {display ? (
+        <>
+          <div
+            className={`font-mono text-2xl font-bold tabular-nums ${
+              display.expired ? 'text-red-600 dark:text-red-400 animate-pulse'
+              : display.warning ? 'text-amber-500 dark:text-amber-300'
+              : 'text-orange-600 dark:text-orange-400'
+            }`}
+            title={settings.mode === 'countdown' ? 'Time left this turn' : 'Time spent this turn'}
+          >
+            ⏱ {display.text}
+          </div>
+          <button
+            disabled={disabled}
+            className="p-1.5 rounded-lg bg-orange-200 dark:bg-orange-800 hover:bg-orange-300 dark:hover:bg-orange-700 text-orange-700 dark:text-orange-300 text-sm"
+            onClick={() => onAction({ type: timer.pausedAt === null ? 'pauseTurnTimer' : 'resumeTurnTimer' })}
+            title={timer.pausedAt === null ? 'Pause' : 'Resume'}
+          >
+            {timer.pausedAt === null ? '⏸' : '▶'}
+          </button>
+          <button
+            disabled={disabled}
+            className="p-1.5 rounded-lg bg-orange-200 dark:bg-orange-800 hover:bg-orange-300 dark:hover:bg-orange-700 text-orange-700 dark:text-orange-300 text-sm"
+            onClick={() => onAction({ type: 'restartTurnTimer' })}
+            title="Restart this turn's timer"
+          >
+            ↺
+          </button>
+        </>
+      ) : null}
+      <button
+        disabled={disabled}
+        className="p-1.5 rounded-lg bg-orange-200 dark:bg-orange-800 hover:bg-orange-300 dark:hover:bg-orange-700 text-orange-700 dark:text-orange-300 text-sm"
+        onClick={openSettings}
+        title="Turn timer settings"
+      >
+        {display ? '⚙' : '⏱ Timer'}
+      </button>
+
+      {showSettings && (
+        <div className="absolute left-0 top-full mt-2 w-72 z-20 card shadow-2xl space-y-3 text-sm text-slate-700 dark:text-slate-200">
+          <label className="flex items-center justify-between cursor-pointer">
+            <span>Turn timer</span>
+            <label className="toggle-switch">
+              <input
+                type="checkbox"
+                checked={draft.enabled}
+                onChange={(e) => setDraft({ ...draft, enabled: e.target.checked })}
+              />
+              <span className="toggle-slider"></span>
+            </label>
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            <span>Mode</span>
+            <select
+              className="input text-sm py-1 w-32"
+              value={draft.mode}
+              onChange={(e) => setDraft({ ...draft, mode: e.target.value })}
+            >
+              <option value="countdown">Countdown</option>
+              <option value="stopwatch">Stopwatch</option>
+            </select>
+          </label>
+          {[
+            { key: 'pcSeconds', label: 'PC turn (s)' },
+            { key: 'monsterSeconds', label: 'Monster turn (s)' },
+            { key: 'warningSeconds', label: 'Warning (s before)' },
+          ].map(({ key, label }) => (
+            <label key={key} className="flex items-center justify-between gap-2">
+              <span>{label}</span>
+              <input
+                type="number"
+                min="0"
+                className="input text-sm py-1 w-20"
+                value={draft[key]}
+                onChange={(e) => setDraft({ ...draft, [key]: parseInt(e.target.value, 10) || 0 })}
+              />
+            </label>
+          ))}
+          <button
+            className="w-full btn bg-orange-500 text-white hover:bg-orange-600 border-orange-500"
+            onClick={() => applySettings(draft)}
+          >
+            Apply
+          </button>
+
+          {times.length > 0 && (
+            <div>
+              <div className="font-semibold mb-1">Time per combatant</div>
+              <div className="max-h-40 overflow-y-auto space-y-0.5 text-xs">
+                {times.map((entry) => (
+                  <div key={entry.id} className="flex justify-between gap-2">
+                    <span className="truncate">{entry.name}</span>
+                    <span className="tabular-nums text-slate-500 dark:text-slate-400">
+                      {formatDuration(entry.ms)} · {entry.turns} {entry.turns === 1 ? 'turn' : 'turns'} · ⌀ {formatDuration(entry.ms / entry.turns)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from "react";
+import { apiGet, apiPut } from "../utils/api.js";
+
+/**
+ * Homebrew conditions of the logged-in DM, stored with the user settings on the server
+ * @param {boolean} enabled - Load only once the user is authenticated
+ */
+export function useCustomConditions(enabled) {
+  const [customConditions, setCustomConditions] = useState([]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    apiGet('/api/user/conditions')
+      .then((r) => r.json())
+      .then(setCustomConditions)
+      .catch((err) => console.error('Failed to load custom conditions:', err));
+  }, [enabled]);
+
+  // Replaces the whole list; resolves to an error message or null
+  const saveCustomConditions = useCallback(async (list) => {
+    try {
+      setCustomConditions(await (await apiPut('/api/user/conditions', list)).json());
+      return null;
+    } catch (err) {
+      console.error('Failed to save custom conditions:', err);
+      return err.body?.error || err.message;
+    }
+  }, []);
+
+  return { customConditions, saveCustomConditions };
+}
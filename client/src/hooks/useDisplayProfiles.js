@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from "react";
+import { apiGet, apiPost, apiPut, apiDelete } from "../utils/api.js";
+
+/**
+ * Named player-screen displays ("Table TV", "Stream overlay", ...) of the logged-in DM.
+ * Each profile has its own permanent token and layout settings.
+ * @param {boolean} enabled - Load only once the user is authenticated
+ */
+export function useDisplayProfiles(enabled) {
+  const [profiles, setProfiles] = useState([]);
+  const [presets, setPresets] = useState({});
+
+  useEffect(() => {
+    if (!enabled) return;
+    apiGet('/api/display-profiles')
+      .then((r) => r.json())
+      .then((data) => {
+        setProfiles(data.profiles);
+        setPresets(data.presets);
+      })
+      .catch((err) => console.error('Failed to load display profiles:', err));
+  }, [enabled]);
+
+  const replaceProfile = (profile) => {
+    setProfiles((prev) => prev.map((p) => (p.id === profile.id ? profile : p)));
+  };
+
+  // body: { name?, preset?, settings? }
+  const createProfile = useCallback(async (body) => {
+    const profile = await (await apiPost('/api/display-profiles', body)).json();
+    setProfiles((prev) => [...prev, profile]);
+    return profile;
+  }, []);
+
+  // Optimistic: the slider and toggles update immediately, the server answer wins
+  const updateProfile = useCallback(async (id, { name, settings }) => {
+    setProfiles((prev) => prev.map((p) => (p.id === id
+      ? { ...p, name: name ?? p.name, settings: { ...p.settings, ...settings } }
+      : p)));
+    try {
+      replaceProfile(await (await apiPut(`/api/display-profiles/${id}`, { name, settings })).json());
+    } catch (err) {
+      console.error('Failed to update display profile:', err);
+      const data = await (await apiGet('/api/display-profiles')).json();
+      setProfiles(data.profiles);
+    }
+  }, []);
+
+  const deleteProfile = useCallback(async (id) => {
+    await apiDelete(`/api/display-profiles/${id}`);
+    setProfiles((prev) => prev.filter((p) => p.id !== id));
+  }, []);
+
+  // Screens using the old token are disconnected
+  const regenerateToken = useCallback(async (id) => {
+    const profile = await (await apiPost(`/api/display-profiles/${id}/token`)).json();
+    replaceProfile(profile);
+    return profile;
+  }, []);
+
+  return { profiles, presets, createProfile, updateProfile, deleteProfile, regenerateToken };
+}
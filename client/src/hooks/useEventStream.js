@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef } from "react";
+import { applyEncounterPatch } from "../utils/encounterPatch.js";
+
+// Reconnect after the server closed the stream (e.g. 401 while the claim was gone)
+const RECONNECT_DELAY = 15000;
+
+/**
+ * Live data from a server-sent events stream ("snapshot" and "patch" events)
+ * Polls only while the stream is down, like the player screen.
+ * @param {string|null} url - Stream URL, null to stay disconnected
+ * @param {function} poll - Loads the same data without the stream; resolves to it, or undefined to keep the last state
+ * @param {number} pollInterval - Polling interval in ms while the stream is down
+ * @returns {Object|null} Latest data
+ */
+export function useEventStream(url, poll, pollInterval) {
+  const [data, setData] = useState(null);
+  const dataRef = useRef(null);
+  const pollRef = useRef(poll);
+  pollRef.current = poll;
+
+  useEffect(() => {
+    if (!url) return undefined;
+    let cancelled = false;
+    let interval = null;
+    let reconnectTimeout = null;
+    let source = null;
+
+    const apply = (next) => {
+      if (cancelled || next === undefined) return;
+      dataRef.current = next;
+      setData(next);
+    };
+
+    const load = async () => apply(await pollRef.current());
+    const startPolling = () => {
+      if (interval) return;
+      load();
+      interval = setInterval(load, pollInterval);
+    };
+    const stopPolling = () => {
+      clearInterval(interval);
+      interval = null;
+    };
+
+    const connect = () => {
+      source = new EventSource(url, { withCredentials: true });
+      source.addEventListener('open', stopPolling);
+      source.addEventListener('snapshot', (event) => apply(JSON.parse(event.data)));
+      source.addEventListener('patch', (event) => {
+        if (!dataRef.current) return;
+        apply(applyEncounterPatch(dataRef.current, JSON.parse(event.data)));
+      });
+      source.onerror = () => {
+        startPolling();
+        // The browser retries on its own unless the server rejected the stream
+        if (source.readyState === EventSource.CLOSED) {
+          reconnectTimeout = setTimeout(connect, RECONNECT_DELAY);
+        }
+      };
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      connect();
+    }
+
+    return () => {
+      cancelled = true;
+      stopPolling();
+      clearTimeout(reconnectTimeout);
+      source?.close();
+    };
+  }, [url, pollInterval]);
+
+  return data;
+}
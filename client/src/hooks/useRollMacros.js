@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from "react";
+import { apiGet, apiPut } from "../utils/api.js";
+import { EMPTY_ROLL_MACROS } from "../utils/rollMacros.js";
+
+/**
+ * Saved roll macros of the logged-in DM - one list for the user, one per creature.
+ * Stored with the user settings on the server.
+ * @param {boolean} enabled - Load only once the user is authenticated
+ */
+export function useRollMacros(enabled) {
+  const [macros, setMacros] = useState(EMPTY_ROLL_MACROS);
+
+  useEffect(() => {
+    if (!enabled) return;
+    apiGet('/api/user/roll-macros')
+      .then((r) => r.json())
+      .then(setMacros)
+      .catch((err) => console.error('Failed to load roll macros:', err));
+  }, [enabled]);
+
+  // Replaces the user's own list (key = null) or the list of one creature; resolves to an error message or null
+  const saveMacros = useCallback(async (key, list) => {
+    const next = key === null
+      ? { ...macros, user: list }
+      : { ...macros, combatants: { ...macros.combatants, [key]: list } };
+    try {
+      setMacros(await (await apiPut('/api/user/roll-macros', next)).json());
+      return null;
+    } catch (err) {
+      console.error('Failed to save roll macros:', err);
+      return err.body?.error || err.message;
+    }
+  }, [macros]);
+
+  return { macros, saveMacros };
+}
@@ -1,9 +1,299 @@
 import React, { useEffect, useState, useRef, useCallback } from 'react';
 import { createRoot } from 'react-dom/client';
 import './index.css';
+import { turnTimerDisplay } from './components/TurnTimer.jsx';
+import { applyEncounterPatch } from './utils/encounterPatch.js';
+import { isPlayerCharacter } from '../../shared/combatants.js';
 
 const API = (p) => `${import.meta.env.VITE_API_URL || 'http://localhost:4000'}${p}`;
 
+// Background per display theme (see DISPLAY_THEMES in server/utils/displayProfiles.js)
+const THEME_BACKGROUNDS = {
+  default: 'linear-gradient(to bottom right, rgb(30, 41, 59), rgb(15, 23, 42))',
+  black: '#000000',
+  midnight: 'linear-gradient(to bottom right, rgb(30, 27, 75), rgb(2, 6, 23))',
+  crimson: 'linear-gradient(to bottom right, rgb(69, 10, 10), rgb(15, 23, 42))',
+  forest: 'linear-gradient(to bottom right, rgb(5, 46, 22), rgb(15, 23, 42))',
+};
+
+const HP_LABEL_COLORS = {
+  Unhurt: 'text-green-400',
+  Injured: 'text-yellow-300',
+  Bloodied: 'text-orange-400',
+  Critical: 'text-red-400',
+  Down: 'text-slate-400',
+  Dead: 'text-slate-500',
+};
+
+// HP as far as the DM shows them for this side (see hpDisplay in server/utils/playerView.js)
+function PlayerHP({ combatant }) {
+  const style = { fontSize: 'clamp(0.75rem, 1.2vw, 1.2rem)' };
+
+  switch (combatant.hpDisplay) {
+    case 'descriptor':
+      return <div style={style} className={`font-medium ${HP_LABEL_COLORS[combatant.hpLabel] || 'text-slate-300'}`}>{combatant.hpLabel}</div>;
+    case 'bar':
+      return (
+        <div className="mt-1 h-2 md:h-3 w-full max-w-xs bg-slate-600 rounded-full overflow-hidden">
+          <div
+            className={`h-full transition-all duration-500 ${combatant.hpPercent < 50 ? 'bg-red-500' : 'bg-green-500'}`}
+            style={{ width: `${combatant.hpPercent}%` }}
+          />
+        </div>
+      );
+    case 'exact':
+      return (
+        <div style={style} className="text-slate-300 font-medium">
+          ❤️ {combatant.hp} / {combatant.maxHP}
+          {combatant.tempHP > 0 && <span className="text-cyan-300"> +{combatant.tempHP}</span>}
+        </div>
+      );
+    default:
+      return null;
+  }
+}
+
+// Initiative collection: players enter their rolls here (follow mode only - needs the screen token)
+// Turn timer - the server sends the elapsed time, the screen keeps counting from when it arrived
+function PlayerTurnTimer({ timer, className = '', style }) {
+  const [anchor, setAnchor] = useState(() => ({ timer, receivedAt: Date.now() }));
+  const [now, setNow] = useState(Date.now());
+  const timerKey = JSON.stringify(timer);
+
+  useEffect(() => {
+    setAnchor({ timer, receivedAt: Date.now() });
+    setNow(Date.now());
+  }, [timerKey]);
+
+  useEffect(() => {
+    if (!timer || timer.paused) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [timerKey]);
+
+  if (!timer) return null;
+  const base = anchor.timer || timer;
+  const elapsedMs = base.paused ? base.elapsedMs : base.elapsedMs + Math.max(0, now - anchor.receivedAt);
+  const display = turnTimerDisplay({ ...base, elapsedMs });
+
+  return (
+    <div
+      style={style}
+      className={`font-mono font-bold tabular-nums ${
+        display.expired ? 'text-red-400 animate-pulse' : display.warning ? 'text-amber-300' : 'text-slate-200'
+      } ${className}`}
+    >
+      ⏱ {display.text}{timer.paused && ' ⏸'}
+    </div>
+  );
+}
+
+function InitiativeCollectionScreen({ enc, token, isRotated, onRotate }) {
+  const [values, setValues] = useState({});
+  const [error, setError] = useState(null);
+  const { waitingFor, submitted } = enc.initiativeCollection;
+
+  const submit = async (combatantId) => {
+    const initiative = parseInt(values[combatantId], 10);
+    if (Number.isNaN(initiative)) return;
+    try {
+      const response = await fetch(API(`/api/encounters/current/initiative?token=${encodeURIComponent(token)}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ combatantId, initiative })
+      });
+      if (!response.ok) {
+        setError((await response.json().catch(() => ({}))).error || 'Failed to submit initiative');
+        return;
+      }
+      setError(null);
+      setValues(prev => ({ ...prev, [combatantId]: '' }));
+    } catch (err) {
+      console.error('[Player] Failed to submit initiative:', err);
+      setError('Failed to submit initiative');
+    }
+  };
+
+  return (
+    <div className={`h-screen flex items-center justify-center bg-gradient-to-br from-slate-800 to-slate-900 text-white transition-transform duration-500 ${isRotated ? 'rotate-180' : ''}`}>
+      <button
+        className={`fixed top-4 right-4 z-50 w-12 h-12 bg-slate-700/80 hover:bg-slate-600 rounded-full flex items-center justify-center text-2xl transition-all ${isRotated ? 'rotate-180' : ''}`}
+        onClick={onRotate}
+        title="Rotate Screen 180°"
+      >
+        🔄
+      </button>
+
+      <div className="text-center w-full max-w-xl px-4">
+        <p className="text-6xl font-black shiny-text mb-8">ROLL INITIATIVE!</p>
+        <div className="space-y-3 text-2xl">
+          {waitingFor.map(id => (
+            <div key={id} className="flex items-center gap-3 bg-slate-700/60 rounded-lg px-4 py-3">
+              <span className="flex-1 text-left">⏳ {enc.combatants[id]?.name}</span>
+              {token && (
+                <>
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    min="-10"
+                    max="50"
+                    className="w-24 px-2 py-1 rounded bg-slate-800 border border-slate-500 text-center"
+                    value={values[id] ?? ''}
+                    onChange={(e) => setValues(prev => ({ ...prev, [id]: e.target.value }))}
+                    onKeyDown={(e) => e.key === 'Enter' && submit(id)}
+                  />
+                  <button
+                    className="px-4 py-1 bg-blue-600 hover:bg-blue-700 rounded"
+                    onClick={() => submit(id)}
+                  >
+                    ✓
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+          {submitted.map(id => (
+            <div key={id} className="flex items-center gap-3 bg-slate-700/30 rounded-lg px-4 py-3 text-slate-400">
+              <span className="flex-1 text-left">✅ {enc.combatants[id]?.name}</span>
+            </div>
+          ))}
+        </div>
+        {error && <p className="mt-4 text-red-400">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+// Layouts rendered as a stream overlay: ?overlay=horizontal|vertical or the display's layout setting
+const OVERLAY_ORIENTATIONS = {
+  horizontal: 'horizontal',
+  vertical: 'vertical',
+  'overlay-horizontal': 'horizontal',
+  'overlay-vertical': 'vertical',
+};
+
+// Stream overlay: transparent background, round counter, current-turn banner and a compact
+// initiative ribbon - meant as an OBS browser source on top of the camera
+function StreamOverlay({ enc, displayOrder, round, orientation, settings, tokenFor, hpEffects }) {
+  const vertical = orientation === 'vertical';
+
+  // Nothing to show - the overlay stays fully transparent
+  if (!enc || enc.combatStatus === 'completed' || settings.blankScreen) return null;
+
+  const banner = (text, key) => (
+    <div key={key} className="px-4 py-2 rounded-xl bg-slate-900/80 text-white font-bold shadow-lg overlay-banner" style={{ fontSize: 'clamp(1rem, 2vw, 1.75rem)' }}>
+      {text}
+    </div>
+  );
+
+  if (enc.initiativeCollection) {
+    const { waitingFor, submitted } = enc.initiativeCollection;
+    return (
+      <div className="p-4 flex">
+        {banner(`🎲 Rolling initiative… ${submitted.length}/${waitingFor.length + submitted.length}`, 'collecting')}
+      </div>
+    );
+  }
+
+  if (displayOrder.length === 0) {
+    return <div className="p-4 flex">{banner('⚔️ Roll initiative!', 'roll')}</div>;
+  }
+
+  // The first entry is the active combatant (or the owner of an active sidekick)
+  const current = displayOrder[0];
+  const sidekicks = displayOrder.filter(c => c.sidekickOf === current.id);
+  const currentName = [current, ...sidekicks].map(c => c.name).join(' & ');
+
+  return (
+    <div
+      className={`p-4 flex gap-3 text-white ${vertical ? 'flex-col w-72' : 'flex-col items-start'}`}
+      style={{ zoom: `${settings.zoom || 100}%` }}
+    >
+      {/* Round counter and current-turn banner */}
+      <div className="flex items-stretch gap-2">
+        <div className="px-3 py-2 rounded-xl bg-slate-900/80 text-center shadow-lg">
+          <div className="text-xs uppercase tracking-wide text-slate-400">Round</div>
+          <div className="text-2xl font-bold text-blue-400 leading-none">{round}</div>
+        </div>
+        <div
+          key={current.id}
+          className={`px-4 py-2 rounded-xl bg-slate-900/80 shadow-lg border-l-4 overlay-banner ${current.player ? 'border-green-500' : 'border-red-500'}`}
+        >
+          <div className="text-xs uppercase tracking-wide text-slate-400">Current Turn</div>
+          <div className={`text-xl font-bold leading-tight ${current.player ? 'text-green-300' : 'text-red-300'}`}>{currentName}</div>
+        </div>
+        {enc.turnTimer && (
+          <div className="px-3 py-2 rounded-xl bg-slate-900/80 shadow-lg flex items-center">
+            <PlayerTurnTimer timer={enc.turnTimer} className="text-2xl" />
+          </div>
+        )}
+      </div>
+
+      {/* Initiative ribbon - starts at the current combatant */}
+      <div className={`flex gap-2 ${vertical ? 'flex-col' : 'flex-row flex-wrap'}`}>
+        {displayOrder.map((combatant, index) => {
+          if (combatant.isRoundMarker) {
+            return (
+              <div key={combatant.id} className={`flex items-center justify-center text-purple-300 font-bold text-sm ${vertical ? 'py-0.5' : 'px-1'}`}>
+                ↻ {round + 1}
+              </div>
+            );
+          }
+
+          const isCurrent = index === 0;
+          const tokenUrl = settings.showInitiativeImages !== false ? tokenFor(combatant) : null;
+          const hpEffect = hpEffects[combatant.id];
+
+          return (
+            <div
+              key={`${combatant.id}-${combatant.originalIndex}`}
+              className={`flex items-center gap-2 px-2 py-1 rounded-lg shadow-lg transition-all duration-500 overlay-chip ${
+                isCurrent ? 'bg-slate-800/90 ring-2 ring-yellow-400' : 'bg-slate-900/75'
+              } ${combatant.isDead ? 'opacity-50' : ''} ${combatant.sidekickOf && vertical ? 'ml-6' : ''}`}
+              style={hpEffect?.kind === 'hit' ? { animation: 'hp-hit 0.5s ease-in-out' } : undefined}
+            >
+              <div className={`w-1 self-stretch rounded ${combatant.player ? 'bg-green-500' : 'bg-red-500'}`} />
+              {tokenUrl ? (
+                <img src={tokenUrl} alt={combatant.name} className="w-8 h-8 rounded-full object-cover" crossOrigin="anonymous" />
+              ) : null}
+              <div className="min-w-0">
+                <div className={`text-sm font-semibold truncate ${vertical ? 'max-w-[10rem]' : 'max-w-[8rem]'} ${isCurrent ? 'text-yellow-300' : ''}`}>
+                  {combatant.isDead && '💀 '}{combatant.name}
+                </div>
+                {combatant.hpDisplay && combatant.hpDisplay !== 'hidden' && (
+                  <div className="text-xs">
+                    {combatant.hpDisplay === 'descriptor' && <span className={HP_LABEL_COLORS[combatant.hpLabel]}>{combatant.hpLabel}</span>}
+                    {combatant.hpDisplay === 'bar' && (
+                      <div className="mt-0.5 h-1.5 w-20 bg-slate-600 rounded-full overflow-hidden">
+                        <div className={`h-full transition-all duration-500 ${combatant.hpPercent < 50 ? 'bg-red-500' : 'bg-green-500'}`} style={{ width: `${combatant.hpPercent}%` }} />
+                      </div>
+                    )}
+                    {combatant.hpDisplay === 'exact' && <span className="text-slate-300">{combatant.hp}/{combatant.maxHP}</span>}
+                  </div>
+                )}
+                {((settings.showConditions !== false && combatant.conditions?.length > 0) ||
+                  (settings.showConcentration !== false && combatant.concentration)) && (
+                  <div className="flex flex-wrap gap-1 mt-0.5">
+                    {settings.showConcentration !== false && combatant.concentration && (
+                      <span className="px-1 rounded bg-purple-500/40 text-purple-200 text-[10px]">Conc.</span>
+                    )}
+                    {settings.showConditions !== false && combatant.conditions?.map(cond => (
+                      <span key={cond} className="px-1 rounded bg-amber-500/40 text-amber-200 text-[10px]">{cond}</span>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {settings.showInitiativeValues !== false && (
+                <div className={`ml-auto pl-1 text-sm font-bold ${isCurrent ? 'text-yellow-400' : 'text-blue-300'}`}>{combatant.initiative ?? 0}</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 function PlayerScreen() {
   const [enc, setEnc] = useState(null);
   const [encounterName, setEncounterName] = useState('');
@@ -23,6 +313,10 @@ function PlayerScreen() {
   const prevRoundRef = useRef(1);
   const prevCombatantNameRef = useRef('');
   const prevInitiativeCountRef = useRef(0);
+  const latestEncounterRef = useRef(null);
+  const seenFeedbackRef = useRef(null);
+  const [hpEffects, setHpEffects] = useState({});
+  const [overlayParam] = useState(() => new URLSearchParams(window.location.search).get('overlay'));
 
   useEffect(() => {
     localStorage.setItem('playerScreenRotated', JSON.stringify(isRotated));
@@ -131,12 +425,29 @@ function PlayerScreen() {
     setValidImages(validUrls);
   }, [checkImageExists, fixTokenUrl]);
 
-  const fetchEncounter = useCallback(async (id) => {
-    try {
-      const response = await fetch(API(`/api/encounters/${id}`));
-      if (!response.ok) return;
+  // Hit/heal/death animations for new HP changes (not for what happened before the screen connected)
+  const showHPFeedback = useCallback((data) => {
+    const feedback = data.hpFeedback || [];
+    const seen = seenFeedbackRef.current;
+    if (seen && seen.encounterId === data.id) {
+      feedback.filter(f => !seen.ids.has(f.id)).forEach(f => {
+        setHpEffects(prev => ({ ...prev, [f.combatantId]: f }));
+        setTimeout(() => {
+          setHpEffects(prev => {
+            if (prev[f.combatantId]?.id !== f.id) return prev;
+            const { [f.combatantId]: done, ...rest } = prev;
+            return rest;
+          });
+        }, 1600);
+      });
+    }
+    seenFeedbackRef.current = { encounterId: data.id, ids: new Set(feedback.map(f => f.id)) };
+  }, []);
 
-      const data = await response.json();
+  const applyEncounter = useCallback((data) => {
+    try {
+      latestEncounterRef.current = data;
+      showHPFeedback(data);
       setEnc(data);
       setEncounterName(data.name || 'Encounter');
 
@@ -251,10 +562,21 @@ function PlayerScreen() {
         prevTurnIndexRef.current = displayTurnIndex;
         prevRoundRef.current = newRound;
       }
+    } catch (error) {
+      console.error('Failed to apply encounter:', error);
+    }
+  }, [validateImages, showHPFeedback]);
+
+  const fetchEncounter = useCallback(async (id) => {
+    try {
+      const response = await fetch(API(`/api/encounters/${id}?view=player`));
+      if (!response.ok) return;
+
+      applyEncounter(await response.json());
     } catch (error) {
       console.error('Failed to fetch encounter:', error);
     }
-  }, [validateImages]);
+  }, [applyEncounter]);
 
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
@@ -280,8 +602,8 @@ function PlayerScreen() {
           }
           const data = await response.json();
           console.log('[Player] Current encounter ID:', data.id);
-          // Fetch the actual encounter data
-          fetchEncounter(data.id);
+          // Already the player view - with this screen's display profile applied
+          applyEncounter(data);
         } catch (error) {
           console.error('[Player] Failed to fetch current encounter:', error);
         }
@@ -291,16 +613,66 @@ function PlayerScreen() {
       }
     };
 
-    // Initial fetch
-    fetchCurrentEncounter();
-
-    // Poll for updates every 3 seconds
-    const interval = setInterval(() => {
+    // Polling every 3 seconds is only used while the event stream is down
+    let pollInterval = null;
+    const startPolling = () => {
+      if (pollInterval) return;
+      console.warn('[Player] Event stream unavailable, falling back to polling');
       fetchCurrentEncounter();
-    }, 3000);
+      pollInterval = setInterval(fetchCurrentEncounter, 3000);
+    };
+    const stopPolling = () => {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    };
 
-    return () => clearInterval(interval);
-  }, [fetchEncounter]);
+    const streamUrl = followMode
+      ? API(`/api/encounters/current/stream?token=${encodeURIComponent(token)}`)
+      : API(`/api/encounters/${encodeURIComponent(encounterId)}/stream`);
+
+    let source = null;
+    let reconnectTimeout = null;
+
+    const connect = () => {
+      source = new EventSource(streamUrl, { withCredentials: true });
+
+      source.addEventListener('open', () => {
+        console.log('[Player] Event stream connected');
+        stopPolling();
+      });
+
+      // Full encounter on connect and whenever the followed encounter changes
+      source.addEventListener('snapshot', (event) => {
+        applyEncounter(JSON.parse(event.data));
+      });
+
+      // Only changed fields/combatants since the last event
+      source.addEventListener('patch', (event) => {
+        if (!latestEncounterRef.current) return;
+        applyEncounter(applyEncounterPatch(latestEncounterRef.current, JSON.parse(event.data)));
+      });
+
+      source.onerror = () => {
+        startPolling();
+        // The browser retries on its own unless the server rejected the stream
+        if (source.readyState === EventSource.CLOSED) {
+          reconnectTimeout = setTimeout(connect, 15000);
+        }
+      };
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      connect();
+    }
+
+    return () => {
+      stopPolling();
+      clearTimeout(reconnectTimeout);
+      source?.close();
+    };
+  }, [fetchEncounter, applyEncounter]);
 
   // Create display order - rotate so current is always at top
   useEffect(() => {
@@ -349,14 +721,31 @@ function PlayerScreen() {
   }, [initiativeOrder, currentTurnIndex, round]);
 
   // Get settings from encounter data (synced from DM screen) - BEFORE any returns
-  const blackMode = enc?.playerScreenSettings?.blackMode || false;
+  // Screens opened with a display profile get that profile's settings from the server
+  const settings = enc?.playerScreenSettings || {};
+  const theme = settings.theme || (settings.blackMode ? 'black' : 'default');
+  const background = THEME_BACKGROUNDS[theme] || THEME_BACKGROUNDS.default;
+  const compactLayout = settings.layout === 'compact';
+  const showEncounterName = settings.showEncounterName !== false;
+  const showInitiativeValues = settings.showInitiativeValues !== false;
+  const showConditions = settings.showConditions !== false;
+  const showConcentration = settings.showConcentration !== false;
+  const tokenSize = compactLayout ? 'clamp(2.5rem, 4vw, 4rem)' : 'clamp(3rem, 5vw, 5rem)';
+  // The URL parameter wins over the layout of the display (any other value means horizontal)
+  const overlayOrientation = overlayParam
+    ? (OVERLAY_ORIENTATIONS[overlayParam] || 'horizontal')
+    : OVERLAY_ORIENTATIONS[settings.layout] || null;
+
+  // Transparent page so OBS can composite the overlay over the stream
+  useEffect(() => {
+    document.documentElement.classList.toggle('stream-overlay', Boolean(overlayOrientation));
+  }, [overlayOrientation]);
   const rotation = enc?.playerScreenSettings?.rotation || 0;
   const zoom = enc?.playerScreenSettings?.zoom || 100;
   const showCurrentTurnImage = enc?.playerScreenSettings?.showCurrentTurnImage !== false;
   const showInitiativeImages = enc?.playerScreenSettings?.showInitiativeImages !== false;
   const showTurnButton = enc?.playerScreenSettings?.showTurnButton !== false;
   const hideScrollbars = enc?.playerScreenSettings?.hideScrollbars || false;
-  const showBloodiedInPlayerView = enc?.playerScreenSettings?.showBloodiedInPlayerView || false;
   const blankScreen = enc?.playerScreenSettings?.blankScreen || false;
 
   // Check if combat is completed
@@ -365,6 +754,23 @@ function PlayerScreen() {
   // Combine local and DM-controlled rotation
   const effectiveRotation = isRotated ? 180 : rotation;
 
+  if (overlayOrientation) {
+    return (
+      <StreamOverlay
+        enc={enc}
+        displayOrder={initiativeOrder.length > 0 ? displayOrder : []}
+        round={round}
+        orientation={overlayOrientation}
+        settings={settings}
+        tokenFor={(combatant) => {
+          const tokenUrl = fixTokenUrl(combatant.tokenUrl || combatant.imageUrl);
+          return tokenUrl && validImages.has(tokenUrl) ? tokenUrl : null;
+        }}
+        hpEffects={hpEffects}
+      />
+    );
+  }
+
   // Early exit: No encounter data yet
   if (!enc) {
     return (
@@ -389,12 +795,6 @@ function PlayerScreen() {
 
   const currentCombatant = initiativeOrder[currentTurnIndex];
 
-  // Helper function to determine if a combatant is a player character
-  const isPlayerCharacter = (combatant) => {
-    if (!combatant) return false;
-    return combatant.player || combatant.isPC || combatant.source === "ddb-import" || combatant.source === "player-character";
-  };
-
   // Check if current combatant has any sidekicks
   const getSidekicksForCombatant = (combatantId) => {
     return initiativeOrder.filter(c => c.sidekickOf === combatantId);
@@ -426,6 +826,18 @@ function PlayerScreen() {
     return effectiveCombatant.name;
   };
 
+  // The DM is collecting initiative rolls from the players
+  if (enc.initiativeCollection) {
+    return (
+      <InitiativeCollectionScreen
+        enc={enc}
+        token={new URLSearchParams(window.location.search).get('token')}
+        isRotated={isRotated}
+        onRotate={() => setIsRotated(!isRotated)}
+      />
+    );
+  }
+
   // If initiative hasn't been rolled yet, show "ROLL INITIATIVE!" message
   if (initiativeOrder.length === 0) {
     return (
@@ -455,13 +867,13 @@ function PlayerScreen() {
   return (
     <div className={`min-h-screen min-w-screen flex items-center justify-center transition-all duration-500 animate-fadeIn`}
       style={{
-        background: blackMode ? '#000000' : 'linear-gradient(to bottom right, rgb(30, 41, 59), rgb(15, 23, 42))'
+        background
       }}
     >
       <div
         className={`h-screen w-screen flex flex-col text-white p-4 md:p-8 transition-all duration-500`}
         style={{
-          background: blackMode ? '#000000' : 'linear-gradient(to bottom right, rgb(30, 41, 59), rgb(15, 23, 42))',
+          background,
           zoom: `${zoom}%`,
           transform: `rotate(${effectiveRotation}deg)`,
           overflow: hideScrollbars ? 'hidden' : 'auto'
@@ -492,13 +904,15 @@ function PlayerScreen() {
       )}
 
       {/* Header with Encounter Name, Round Counter and Current Turn */}
-      <div className="flex-shrink-0 mb-4 md:mb-6 lg:mb-8">
+      <div className={`flex-shrink-0 ${compactLayout ? 'mb-3' : 'mb-4 md:mb-6 lg:mb-8'}`}>
         {/* Encounter Name */}
-        <div className="text-center mb-3 md:mb-6">
-          <h1 style={{ fontSize: 'clamp(1.5rem, 4vw, 4rem)' }} className="font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent leading-tight">
-            {encounterName}
-          </h1>
-        </div>
+        {showEncounterName && (
+          <div className={`text-center ${compactLayout ? 'mb-2' : 'mb-3 md:mb-6'}`}>
+            <h1 style={{ fontSize: compactLayout ? 'clamp(1.25rem, 3vw, 3rem)' : 'clamp(1.5rem, 4vw, 4rem)' }} className="font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent leading-tight">
+              {encounterName}
+            </h1>
+          </div>
+        )}
 
         {/* Round Counter and Current Combatant side by side */}
         <div className="flex flex-col md:flex-row items-center justify-center gap-3 md:gap-6">
@@ -545,6 +959,9 @@ function PlayerScreen() {
                     <div style={{ fontSize: 'clamp(0.75rem, 1.5vw, 1.5rem)' }} className={`${textColor} font-medium uppercase tracking-wide`}>Current Turn</div>
                     <div style={{ fontSize: 'clamp(1.5rem, 4vw, 4rem)' }} className={`font-bold ${textColor} break-words leading-tight`}>{getCurrentTurnDisplayName()}</div>
                   </div>
+                  {enc.turnTimer && (
+                    <PlayerTurnTimer timer={enc.turnTimer} className="flex-shrink-0" style={{ fontSize: 'clamp(1.25rem, 3vw, 3rem)' }} />
+                  )}
                 </div>
               </div>
             );
@@ -560,16 +977,17 @@ function PlayerScreen() {
             const isNext = displayIdx === 1;
 
             // Calculate position - reduced spacing for compact layout
-            const baseItemHeight = 130;
-            const itemHeight = baseItemHeight + (combatant.conditions?.length > 0 ? 8 : 0);
+            const baseItemHeight = compactLayout ? 100 : 130;
+            const itemHeight = baseItemHeight + (showConditions && combatant.conditions?.length > 0 ? 8 : 0) +
+              (combatant.hpDisplay && combatant.hpDisplay !== 'hidden' ? 12 : 0);
 
             const basePosition = displayIdx * itemHeight;
             const targetPosition = isTransitioning ? (displayIdx - 1) * itemHeight : basePosition;
 
-            // Calculate if combatant is bloodied
-            const effectiveMaxHP = (combatant.baseHP || 0) + (combatant.maxHPModifier || 0);
-            const hpPercent = effectiveMaxHP > 0 ? ((combatant.hp || 0) / effectiveMaxHP) * 100 : 100;
-            const isBloodied = showBloodiedInPlayerView && hpPercent > 0 && hpPercent < 50;
+            // The server only reports "bloodied" if the DM shows HP for this side
+            const isBloodied = combatant.health === 'bloodied';
+            const isConcentrating = showConcentration && combatant.concentration;
+            const hpEffect = hpEffects[combatant.id];
 
             // Determine if this combatant is a player character
             const isPC = isPlayerCharacter(combatant);
@@ -619,7 +1037,7 @@ function PlayerScreen() {
                       className={`rounded-2xl transition-all duration-500 ease-out ${
                         isTransitioning && displayIdx === 0 ? 'opacity-0 scale-95' : 'opacity-100'
                       } ${
-                        isBloodied && combatant.concentration
+                        isBloodied && isConcentrating
                           ? (isCurrent ? 'player-bloodied-concentration-border-current' : isNext ? 'player-bloodied-concentration-border-next' : 'player-bloodied-concentration-border-other')
                         : isBloodied
                           ? (isCurrent ? 'player-bloodied-border-current' : isNext ? 'player-bloodied-border-next' : 'player-bloodied-border-other')
@@ -628,12 +1046,34 @@ function PlayerScreen() {
                       style={{
                         flex: 1,
                         transform: !isCurrent ? 'scale(0.95)' : '',
-                        ...(combatant.concentration && !isBloodied && !combatant.isRoundMarker && { animation: 'concentration-pulse 2s ease-in-out infinite' })
+                        ...(isConcentrating && !isBloodied && !combatant.isRoundMarker && { animation: 'concentration-pulse 2s ease-in-out infinite' }),
+                        ...(hpEffect?.kind === 'hit' && { animation: 'hp-hit 0.5s ease-in-out' })
                       }}
                     >
+                      {/* HP Feedback (hit / heal / death) */}
+                      {hpEffect && (
+                        <div key={hpEffect.id} className="absolute inset-0 rounded-2xl pointer-events-none z-20 flex items-center justify-center">
+                          {hpEffect.kind !== 'death' && (
+                            <div
+                              className={`absolute inset-0 rounded-2xl ${hpEffect.kind === 'heal' ? 'bg-green-400' : 'bg-red-500'}`}
+                              style={{ animation: 'hp-flash 1s ease-out forwards' }}
+                            />
+                          )}
+                          {hpEffect.kind === 'death' ? (
+                            <div className="text-8xl" style={{ animation: 'hp-death 1.6s ease-out forwards' }}>💀</div>
+                          ) : (
+                            <div
+                              className={`relative font-black drop-shadow-lg ${hpEffect.kind === 'heal' ? 'text-green-300' : 'text-red-300'}`}
+                              style={{ fontSize: 'clamp(1.5rem, 4vw, 4rem)', animation: 'hp-float 1.6s ease-out forwards' }}
+                            >
+                              {hpEffect.kind === 'heal' ? '+' : '−'}{hpEffect.amount ?? (hpEffect.kind === 'heal' ? '✚' : '💥')}
+                            </div>
+                          )}
+                        </div>
+                      )}
                       {/* Inner content div with solid background */}
                       <div
-                        className={`flex items-center gap-4 md:gap-6 p-4 md:p-6 rounded-2xl ${
+                        className={`flex items-center gap-4 md:gap-6 ${compactLayout ? 'p-2 md:p-3' : 'p-4 md:p-6'} rounded-2xl ${
                           combatant.isRoundMarker ? 'bg-transparent'
                           : combatant.isDead ? 'bg-slate-800/50'
                           : 'bg-slate-700'
@@ -688,14 +1128,14 @@ function PlayerScreen() {
                         <img
                           src={tokenUrl}
                           alt={combatant.name}
-                          style={{ width: 'clamp(3rem, 5vw, 5rem)', height: 'clamp(3rem, 5vw, 5rem)' }}
+                          style={{ width: tokenSize, height: tokenSize }}
                           className={`rounded-full object-cover shadow-xl transition-all border-4 ${tokenBorderColor}`}
                           crossOrigin="anonymous"
                         />
                       </div>
                     ) : (
                       // Fallback to position number if no token
-                      <div style={{ width: 'clamp(3rem, 5vw, 5rem)', height: 'clamp(3rem, 5vw, 5rem)', fontSize: 'clamp(1.25rem, 2.5vw, 2.5rem)' }} className={`rounded-full flex items-center justify-center font-bold transition-all ${
+                      <div style={{ width: tokenSize, height: tokenSize, fontSize: 'clamp(1.25rem, 2.5vw, 2.5rem)' }} className={`rounded-full flex items-center justify-center font-bold transition-all ${
                         isCurrent
                           ? (isPC ? 'bg-green-500 text-slate-900' : 'bg-red-500 text-white')
                           : isNext
@@ -707,7 +1147,7 @@ function PlayerScreen() {
                     );
                   })() : (
                     // Show position number when checkbox is inactive
-                    <div style={{ width: 'clamp(3rem, 5vw, 5rem)', height: 'clamp(3rem, 5vw, 5rem)', fontSize: 'clamp(1.25rem, 2.5vw, 2.5rem)' }} className={`rounded-full flex items-center justify-center font-bold transition-all ${
+                    <div style={{ width: tokenSize, height: tokenSize, fontSize: 'clamp(1.25rem, 2.5vw, 2.5rem)' }} className={`rounded-full flex items-center justify-center font-bold transition-all ${
                       isCurrent
                         ? (isPC ? 'bg-green-500 text-slate-900' : 'bg-red-500 text-white')
                         : isNext
@@ -729,12 +1169,13 @@ function PlayerScreen() {
                     }`}>
                       {combatant.name}
                     </div>
+                    <PlayerHP combatant={combatant} />
                   </div>
 
                   {/* Conditions and Status Badges (visible to players) */}
                   <div className="flex flex-wrap gap-2">
                     {/* Conditions */}
-                    {combatant.conditions && combatant.conditions.length > 0 && (
+                    {showConditions && combatant.conditions && combatant.conditions.length > 0 && (
                       <>
                         {combatant.conditions.map(cond => (
                           <span
@@ -762,7 +1203,7 @@ function PlayerScreen() {
                   {/* Initiative Value with Concentration Badge */}
                   <div className="flex items-center gap-3">
                     {/* Concentration indicator (visible to players) */}
-                    {combatant.concentration && (
+                    {isConcentrating && (
                       <div className="flex items-center gap-2 px-3 py-1.5 bg-purple-500/30 text-purple-300 rounded-full font-medium border-2 border-purple-500/50" style={{ fontSize: 'clamp(0.75rem, 1.2vw, 1.2rem)' }}>
                         <span className="w-2 h-2 bg-purple-400 rounded-full animate-pulse"></span>
                         <span className="hidden sm:inline">Concentrating</span>
@@ -770,6 +1211,7 @@ function PlayerScreen() {
                       </div>
                     )}
 
+                    {showInitiativeValues && (
                     <div className="text-center">
                       <div style={{ fontSize: 'clamp(0.75rem, 1.2vw, 1.2rem)' }} className="text-slate-400">Initiative</div>
                       <div style={{ fontSize: 'clamp(1.5rem, 3vw, 3.5rem)' }} className={`font-bold transition-colors ${
@@ -782,6 +1224,7 @@ function PlayerScreen() {
                         {combatant.initiative ?? 0}
                       </div>
                     </div>
+                    )}
                   </div>
                     </>
                   )}
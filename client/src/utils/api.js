@@ -35,7 +35,14 @@ export async function fetchWithAuth(url, options = {}) {
   if (!response.ok && response.status !== 401) {
     const errorText = await response.text();
     console.error(`API Error ${response.status} for ${url}:`, errorText);
-    throw new Error(`Server error: ${response.status} ${response.statusText}`);
+    const error = new Error(`Server error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    try {
+      error.body = JSON.parse(errorText);
+    } catch {
+      error.body = null;
+    }
+    throw error;
   }
 
   return response;
@@ -58,10 +65,10 @@ export async function apiPost(path, data) {
   });
 }
 
-export async function apiPut(path, data) {
+export async function apiPut(path, data, headers = {}) {
   return apiRequest(path, {
     method: 'PUT',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...headers },
     body: JSON.stringify(data),
   });
 }
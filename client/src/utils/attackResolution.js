@@ -0,0 +1,47 @@
+// Attack resolution: advantage/disadvantage from conditions, hit against AC, critical hits
+
+import { naturalD20 } from './diceExpression.js';
+import { rollAdjustment } from './conditionEngine.js';
+
+/**
+ * Armor class as a number - stored as a number, a 5e.tools array ([{ ac: 15, from: [...] }]) or an object
+ */
+export function armorClass(combatant) {
+  let ac = combatant?.ac;
+  if (Array.isArray(ac)) ac = ac[0];
+  if (ac && typeof ac === 'object') ac = ac.value ?? ac.ac;
+  return parseInt(ac, 10) || 10;
+}
+
+/**
+ * Is an action a ranged attack? "rw", "rs" - "mw,rw" counts as melee unless thrown
+ */
+export function isRangedAttack(attackType) {
+  const type = String(attackType || '').toLowerCase();
+  return type.startsWith('r');
+}
+
+/**
+ * Roll mode of one attack from the conditions of attacker and target (see conditionEngine.js)
+ * Any advantage and any disadvantage cancel each other out.
+ * @returns {{ rollMode, modifier, reasons: Array<{ text, effect }>, autoCrit }}
+ */
+export function attackRollMode(attacker, target, { ranged = false } = {}) {
+  const { rollMode, modifier, reasons, autoCrit } = rollAdjustment(attacker, { type: 'attack', target, ranged });
+  return { rollMode, modifier, reasons, autoCrit };
+}
+
+/**
+ * Hit or miss of a rolled attack
+ * A natural 20 always hits and is critical, a natural 1 always misses.
+ * @param {Object} result - Roller result of the attack roll
+ * @param {number} ac - Armor class of the target
+ * @param {boolean} autoCrit - Every hit is critical (paralyzed/unconscious target)
+ * @returns {{ natural, total, hit, critical }}
+ */
+export function resolveAttack(result, ac, autoCrit = false) {
+  const natural = naturalD20(result);
+  const total = result.total;
+  const hit = natural === 20 || (natural !== 1 && total >= ac);
+  return { natural, total, hit, critical: hit && (natural === 20 || autoCrit) };
+}
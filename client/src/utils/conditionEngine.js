@@ -0,0 +1,54 @@
+// Condition engine: the shared condition rules (shared/conditionRules.js) bound to the user's settings
+// Consulted by rollDice, attack resolution and the combatant rows. The server applies the same rules to
+// automatic NPC saves; turn skipping lives there too (turnSkippingConditions in server/utils/combatEngine.js),
+// homebrew validation in server/utils/customConditions.js.
+
+import * as conditionRules from '../../../shared/conditionRules.js';
+
+export {
+  CONDITION_ABILITIES,
+  MODE_EFFECTS,
+  ABILITY_EFFECTS,
+  FLAG_EFFECTS,
+  RULE_EDITIONS,
+  isBuiltinCondition,
+  combineRollModes,
+  describeEffects,
+} from '../../../shared/conditionRules.js';
+
+let rules = { ...conditionRules.DEFAULT_CONDITION_RULES };
+
+/**
+ * Homebrew conditions of the user and the rules edition from the settings ('2024' or '2014')
+ */
+export function setConditionRules(next) {
+  rules = { ...rules, ...next };
+}
+
+export function conditionDefinition(name) {
+  return conditionRules.conditionDefinition(name, rules);
+}
+
+export function conditionNames() {
+  return conditionRules.conditionNames(rules);
+}
+
+export function exhaustionEffects(level) {
+  return conditionRules.exhaustionEffects(level, rules);
+}
+
+export function rollAdjustment(combatant, roll) {
+  return conditionRules.rollAdjustment(combatant, roll, rules);
+}
+
+export function saveAdjustment(combatant, ability, options) {
+  return conditionRules.saveAdjustment(combatant, ability, options, rules);
+}
+
+export function conditionStatus(combatant) {
+  return conditionRules.conditionStatus(combatant, rules);
+}
+
+export function describeConditionEffects(name) {
+  return conditionRules.describeConditionEffects(name, rules);
+}
@@ -0,0 +1,196 @@
+// Damage types, resistances, immunities and vulnerabilities from 5e.tools stat blocks
+
+export const DAMAGE_TYPES = [
+  'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+  'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder',
+];
+
+// Flags after the damage type: "-8 slashing magical", "-6 piercing silvered"
+export const DAMAGE_FLAGS = ['magical', 'silvered', 'adamantine'];
+
+const PHYSICAL_TYPES = ['bludgeoning', 'piercing', 'slashing'];
+
+// Unique prefixes are enough: "-14 fi" is fire, "-8 sl mag" is magical slashing
+function matchWord(word, list) {
+  const lower = word.toLowerCase();
+  const exact = list.find((entry) => entry === lower);
+  if (exact) return exact;
+  const matches = list.filter((entry) => entry.startsWith(lower));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Parse typed damage input
+ * "-14 fire" -> { amount: 14, damageType: 'fire', magical: false, ... }
+ * Returns null for plain numbers or unknown words, so callers can fall back to untyped damage.
+ */
+export function parseDamageInput(input) {
+  const match = String(input).trim().match(/^-?\s*(\d+)\s+([a-z\s]+)$/i);
+  if (!match) return null;
+
+  const [typeWord, ...flagWords] = match[2].trim().split(/\s+/);
+  const damageType = matchWord(typeWord, DAMAGE_TYPES);
+  if (!damageType) return null;
+
+  const damage = { amount: parseInt(match[1], 10), damageType, magical: false, silvered: false, adamantine: false };
+  for (const word of flagWords) {
+    const flag = matchWord(word, DAMAGE_FLAGS);
+    if (!flag) return null;
+    damage[flag] = true;
+  }
+  return damage;
+}
+
+/**
+ * Error message for HP input with words parseDamageInput can't read ("-14 frie", "-8 slashing magcal"),
+ * null otherwise - such input must not fall back to untyped damage
+ */
+export function damageInputError(input) {
+  const text = String(input).trim();
+  if (!/[a-z]/i.test(text) || parseDamageInput(text)) return null;
+  return `Unknown damage type or modifier in "${text}" (e.g. "-14 fire" or "-8 slashing magical")`;
+}
+
+/**
+ * Qualifier of a defense entry ("from nonmagical attacks that aren't silvered")
+ * Unknown notes ("while in dim light") can't be checked automatically and are only shown.
+ */
+function parseQualifier(text = '') {
+  const lower = text.toLowerCase();
+  const qualifier = {
+    nonmagicalOnly: /non-?magical/.test(lower),
+    unlessSilvered: /silvered/.test(lower),
+    unlessAdamantine: /adamantine/.test(lower),
+    note: null,
+  };
+  if (text.trim() && !qualifier.nonmagicalOnly && !qualifier.unlessSilvered && !qualifier.unlessAdamantine) {
+    qualifier.note = text.trim();
+  }
+  return qualifier;
+}
+
+function typesIn(text) {
+  return DAMAGE_TYPES.filter((type) => new RegExp(`\\b${type}\\b`, 'i').test(text));
+}
+
+/**
+ * Normalize one raw list (resist/immune/vulnerable) into entries of { types, nonmagicalOnly, unlessSilvered, unlessAdamantine, note }
+ */
+function parseDefenseList(raw, key) {
+  if (!raw) return [];
+  const items = Array.isArray(raw) ? raw : [raw];
+  const entries = [];
+
+  items.forEach((item) => {
+    if (!item) return;
+
+    // 5e.tools object: { resist: [...], note: "from nonmagical attacks", cond: true }
+    if (typeof item === 'object') {
+      const nested = item[key];
+      if (Array.isArray(nested)) {
+        const qualifier = parseQualifier([item.preNote, item.note].filter(Boolean).join(' '));
+        const inner = parseDefenseList(nested, key);
+        inner.forEach((entry) => entries.push({
+          ...entry,
+          nonmagicalOnly: entry.nonmagicalOnly || qualifier.nonmagicalOnly,
+          unlessSilvered: entry.unlessSilvered || qualifier.unlessSilvered,
+          unlessAdamantine: entry.unlessAdamantine || qualifier.unlessAdamantine,
+          note: entry.note || qualifier.note,
+        }));
+      } else if (item.special) {
+        const types = typesIn(item.special);
+        if (types.length > 0) entries.push({ types, ...parseQualifier(item.special) });
+      }
+      return;
+    }
+
+    // Stored group "['bludgeoning', 'piercing', 'slashing']" means nonmagical weapons (see parseDefenseArray)
+    if (item.startsWith("['") && item.endsWith("']")) {
+      entries.push({ types: typesIn(item), ...parseQualifier('nonmagical') });
+      return;
+    }
+
+    // Text: "Necrotic, Bludgeoning, Piercing, Slashing From Non-magical Weapons" -
+    // a qualifier only applies to the physical types directly before it
+    let group = [];
+    item.split(/[,;]/).forEach((part) => {
+      const types = typesIn(part);
+      const qualifierText = part.replace(new RegExp(`\\b(${DAMAGE_TYPES.join('|')})\\b`, 'gi'), '').replace(/\band\b/gi, '').trim();
+      types.forEach((type) => {
+        if (PHYSICAL_TYPES.includes(type)) {
+          group.push(type);
+        } else {
+          entries.push({ types: [type], ...parseQualifier('') });
+        }
+      });
+      if (qualifierText) {
+        if (group.length > 0) entries.push({ types: group, ...parseQualifier(qualifierText) });
+        group = [];
+      }
+    });
+    if (group.length > 0) entries.push({ types: group, ...parseQualifier('') });
+  });
+
+  return entries;
+}
+
+/**
+ * Resistances, immunities and vulnerabilities of a combatant
+ * The raw 5e.tools fields win over the formatted text fields (resistances, immunities, vulnerabilities).
+ */
+export function getDefenses(combatant) {
+  return {
+    immune: parseDefenseList(combatant.damageImmunities || combatant.immune || combatant.immunities, 'immune'),
+    resistant: parseDefenseList(combatant.damageResistances || combatant.resist || combatant.res || combatant.resistances, 'resist'),
+    vulnerable: parseDefenseList(combatant.damageVulnerabilities || combatant.vulnerable || combatant.vulnerabilities, 'vulnerable'),
+  };
+}
+
+// Does a defense entry apply to this damage? null = only under a condition we can't check
+function entryApplies(entry, damage) {
+  if (!entry.types.includes(damage.damageType)) return false;
+  if (entry.nonmagicalOnly && damage.magical) return false;
+  if (entry.unlessSilvered && damage.silvered) return false;
+  if (entry.unlessAdamantine && damage.adamantine) return false;
+  return entry.note ? null : true;
+}
+
+/**
+ * Final damage against one combatant
+ * Immunity -> 0, resistance halves (rounded down), vulnerability doubles - in that order.
+ * @returns {{ amount, original, damageType, immune, resistant, vulnerable, conditional: string[], text }}
+ */
+export function calculateDamage(combatant, damage) {
+  const defenses = getDefenses(combatant);
+  const conditional = [];
+  const check = (list, label) => list.some((entry) => {
+    const applies = entryApplies(entry, damage);
+    if (applies === null) conditional.push(`${label} ${entry.note}`);
+    return applies === true;
+  });
+
+  const immune = check(defenses.immune, 'immune');
+  const resistant = !immune && check(defenses.resistant, 'resistant');
+  const vulnerable = !immune && check(defenses.vulnerable, 'vulnerable');
+
+  let amount = damage.amount;
+  if (immune) amount = 0;
+  if (resistant) amount = Math.floor(amount / 2);
+  if (vulnerable) amount *= 2;
+
+  const flags = DAMAGE_FLAGS.filter((flag) => damage[flag]);
+  const label = [damage.amount, ...flags, damage.damageType].join(' ');
+  const reasons = [immune && 'immune', resistant && 'resistant', vulnerable && 'vulnerable'].filter(Boolean);
+  const text = reasons.length > 0 ? `${label} → ${amount}, ${reasons.join(' & ')}` : `${label} → ${amount}`;
+
+  return {
+    amount,
+    original: damage.amount,
+    damageType: damage.damageType,
+    immune,
+    resistant,
+    vulnerable,
+    conditional,
+    text: conditional.length > 0 ? `${text} (check: ${conditional.join('; ')})` : text,
+  };
+}
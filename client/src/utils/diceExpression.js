@@ -0,0 +1,505 @@
+/**
+ * Dice expressions shared by every roller (2D, 3D/dddice, rollDice)
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := factor (('*' | '/') factor)*
+ *   factor     := '-' factor | '(' expression ')' | dice | number
+ *   dice       := count? 'd' (sides | '%') modifier*               each kind of modifier at most once
+ *   modifier   := 'kh' n? | 'kl' n? | 'k' n | 'dh' n? | 'dl' n?   keep/drop highest/lowest
+ *               | 'r' compare | 'ro' compare                       reroll (until it misses / once)
+ *               | '!' compare?                                     explode (default: on the highest face)
+ *               | 'min' n | 'max' n                                clamp each die
+ *   compare    := ('<' | '>' | '<=' | '>=' | '=')? n
+ *
+ * Examples: "2d6+1d4+3", "4d6kh3", "1d20r1", "2d10!", "(1d8+2)*2"
+ * Division rounds down, like everything else in 5e.
+ */
+
+const MAX_DICE_PER_TERM = 200;
+const MAX_SIDES = 1000;
+const MAX_EXTRA_ROLLS = 100; // explosions and rerolls per die
+
+// crypto.getRandomValues for true randomness, like the other in-app rolls
+export function rollDie(sides) {
+  const array = new Uint32Array(1);
+  crypto.getRandomValues(array);
+  return (array[0] % sides) + 1;
+}
+
+// -------------------- PARSER --------------------
+
+function parseError(message, text, pos) {
+  return new Error(pos === undefined ? message : `${message} at position ${pos + 1} in "${text}"`);
+}
+
+function createParser(text) {
+  const source = text.toLowerCase().replace(/\s+/g, '');
+  let pos = 0;
+
+  const peek = (length = 1) => source.slice(pos, pos + length);
+  const eat = (token) => {
+    if (source.startsWith(token, pos)) {
+      pos += token.length;
+      return true;
+    }
+    return false;
+  };
+  const readNumber = () => {
+    const match = source.slice(pos).match(/^\d+/);
+    if (!match) return null;
+    pos += match[0].length;
+    return parseInt(match[0], 10);
+  };
+  const expectNumber = (what) => {
+    const value = readNumber();
+    if (value === null) throw parseError(`Expected ${what}`, text, pos);
+    return value;
+  };
+  const readCompare = (required) => {
+    let op = '=';
+    for (const candidate of ['<=', '>=', '<', '>', '=']) {
+      if (eat(candidate)) {
+        op = candidate;
+        break;
+      }
+    }
+    const value = readNumber();
+    if (value === null) {
+      if (required || op !== '=') throw parseError('Expected a number to compare with', text, pos);
+      return null;
+    }
+    return { op, value };
+  };
+
+  const parseDice = (count) => {
+    const node = { type: 'dice', count, sides: 0, keep: null, reroll: null, explode: null, min: null, max: null };
+    node.sides = eat('%') ? 100 : expectNumber('die size');
+
+    // Each kind of modifier once per term - "1d20kh1kl1" or "1d6!!" are mistakes, not overrides
+    const set = (field, what, start, value) => {
+      if (node[field] !== null) throw parseError(`Only one ${what} modifier per dice term`, text, start);
+      node[field] = value;
+    };
+    for (;;) {
+      const start = pos;
+      if (eat('kh') || (peek() === 'k' && /\d/.test(peek(2)[1] || '') && eat('k'))) {
+        set('keep', 'keep/drop', start, { mode: 'kh', n: readNumber() ?? 1 });
+      } else if (eat('kl')) {
+        set('keep', 'keep/drop', start, { mode: 'kl', n: readNumber() ?? 1 });
+      } else if (eat('dh')) {
+        set('keep', 'keep/drop', start, { mode: 'dh', n: readNumber() ?? 1 });
+      } else if (eat('dl')) {
+        set('keep', 'keep/drop', start, { mode: 'dl', n: readNumber() ?? 1 });
+      } else if (eat('ro')) {
+        set('reroll', 'reroll', start, { once: true, ...readCompare(true) });
+      } else if (eat('r')) {
+        set('reroll', 'reroll', start, { once: false, ...readCompare(true) });
+      } else if (eat('!')) {
+        set('explode', 'explode', start, readCompare(false) || { op: '=', value: node.sides });
+      } else if (eat('min')) {
+        set('min', 'min', start, expectNumber('minimum'));
+      } else if (eat('max')) {
+        set('max', 'max', start, expectNumber('maximum'));
+      } else {
+        break;
+      }
+    }
+    validateDice(node);
+    return node;
+  };
+
+  const parseFactor = () => {
+    if (eat('-')) return { type: 'negate', expr: parseFactor() };
+    if (eat('+')) return parseFactor();
+    if (eat('(')) {
+      const expr = parseExpression();
+      if (!eat(')')) throw parseError('Missing ")"', text, pos);
+      return { type: 'group', expr };
+    }
+    const start = pos;
+    const number = readNumber();
+    if (eat('d')) return parseDice(number ?? 1);
+    if (number === null) {
+      throw parseError(pos >= source.length ? 'Unexpected end of expression' : `Unexpected "${peek()}"`, text, start);
+    }
+    return { type: 'number', value: number };
+  };
+
+  const parseTerm = () => {
+    let node = parseFactor();
+    for (;;) {
+      const op = peek();
+      if (op !== '*' && op !== '/') return node;
+      pos++;
+      node = { type: 'binary', op, left: node, right: parseFactor() };
+    }
+  };
+
+  function parseExpression() {
+    let node = parseTerm();
+    for (;;) {
+      const op = peek();
+      if (op !== '+' && op !== '-') return node;
+      pos++;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+  }
+
+  return {
+    parse() {
+      if (!source) throw parseError('Empty dice expression');
+      // "1d20 5" is a typo, not 1d205
+      const gap = text.search(/\d\s+\d/);
+      if (gap !== -1) throw parseError('Missing operator between numbers', text, gap + 1);
+      const ast = parseExpression();
+      if (pos < source.length) throw parseError(`Unexpected "${peek()}"`, text, pos);
+      return ast;
+    },
+  };
+}
+
+function compareMatches(compare, value) {
+  switch (compare.op) {
+    case '<': return value < compare.value;
+    case '>': return value > compare.value;
+    case '<=': return value <= compare.value;
+    case '>=': return value >= compare.value;
+    default: return value === compare.value;
+  }
+}
+
+// Rerolls and explosions that match every face would never stop
+function matchesEveryFace(compare, sides) {
+  for (let face = 1; face <= sides; face++) {
+    if (!compareMatches(compare, face)) return false;
+  }
+  return true;
+}
+
+function validateDice(node) {
+  const notation = formatDice(node);
+  if (node.count < 1 || node.count > MAX_DICE_PER_TERM) {
+    throw parseError(`${notation}: between 1 and ${MAX_DICE_PER_TERM} dice per term`);
+  }
+  if (node.sides < 1 || node.sides > MAX_SIDES) {
+    throw parseError(`${notation}: dice need between 1 and ${MAX_SIDES} sides`);
+  }
+  if (node.keep && node.keep.n > node.count) {
+    throw parseError(`${notation}: can't keep or drop ${node.keep.n} of ${node.count} dice`);
+  }
+  if (node.reroll && !node.reroll.once && matchesEveryFace(node.reroll, node.sides)) {
+    throw parseError(`${notation} would reroll forever`);
+  }
+  if (node.explode && matchesEveryFace(node.explode, node.sides)) {
+    throw parseError(`${notation} would explode forever`);
+  }
+  if (node.min !== null && node.max !== null && node.min > node.max) {
+    throw parseError(`${notation}: min is above max`);
+  }
+}
+
+/**
+ * Parse a dice expression into its syntax tree
+ * @throws {Error} With a readable message for invalid input
+ */
+export function parseDiceExpression(text) {
+  return createParser(String(text ?? '')).parse();
+}
+
+/**
+ * Like parseDiceExpression, but returns { ast, error } instead of throwing (for input fields)
+ */
+export function tryParseDiceExpression(text) {
+  try {
+    return { ast: parseDiceExpression(text), error: null };
+  } catch (error) {
+    return { ast: null, error: error.message };
+  }
+}
+
+// -------------------- FORMATTING --------------------
+
+function formatCompare(compare, defaultValue) {
+  if (compare.op === '=' && compare.value === defaultValue) return '';
+  return `${compare.op === '=' ? '' : compare.op}${compare.value}`;
+}
+
+function formatDice(node) {
+  let text = `${node.count}d${node.sides}`;
+  if (node.reroll) text += `${node.reroll.once ? 'ro' : 'r'}${formatCompare(node.reroll)}`;
+  if (node.explode) text += `!${formatCompare(node.explode, node.sides)}`;
+  if (node.min !== null) text += `min${node.min}`;
+  if (node.max !== null) text += `max${node.max}`;
+  if (node.keep) text += `${node.keep.mode}${node.keep.n}`;
+  return text;
+}
+
+/**
+ * Canonical notation of a syntax tree ("1d20 + 5" -> "1d20+5")
+ */
+export function formatDiceExpression(node) {
+  switch (node.type) {
+    case 'number': return String(node.value);
+    case 'dice': return formatDice(node);
+    case 'group': return `(${formatDiceExpression(node.expr)})`;
+    case 'negate': return `-${formatDiceExpression(node.expr)}`;
+    default: return `${formatDiceExpression(node.left)}${node.op}${formatDiceExpression(node.right)}`;
+  }
+}
+
+// -------------------- TRANSFORMS --------------------
+
+function mapDice(node, fn) {
+  switch (node.type) {
+    case 'dice': return fn(node);
+    case 'number': return node;
+    case 'group':
+    case 'negate': return { ...node, expr: mapDice(node.expr, fn) };
+    default: return { ...node, left: mapDice(node.left, fn), right: mapDice(node.right, fn) };
+  }
+}
+
+/**
+ * All dice terms of an expression in reading order
+ */
+export function diceTerms(node) {
+  const terms = [];
+  mapDice(node, (dice) => {
+    terms.push(dice);
+    return dice;
+  });
+  return terms;
+}
+
+/**
+ * Critical hit: double every die, keep the modifiers ("2d6+1d8+4" -> "4d6+2d8+4")
+ */
+export function applyCritical(node) {
+  return mapDice(node, (dice) => ({
+    ...dice,
+    count: Math.min(dice.count * 2, MAX_DICE_PER_TERM),
+    keep: dice.keep && { ...dice.keep, n: dice.keep.n * 2 },
+  }));
+}
+
+/**
+ * Advantage/disadvantage: the first plain 1d20 becomes 2d20kh1 / 2d20kl1
+ * Expressions without a plain d20 (damage) stay unchanged.
+ */
+export function applyRollMode(node, rollMode) {
+  if (rollMode !== 'advantage' && rollMode !== 'disadvantage') return node;
+  let applied = false;
+  return mapDice(node, (dice) => {
+    if (applied || dice.sides !== 20 || dice.count !== 1 || dice.keep) return dice;
+    applied = true;
+    return { ...dice, count: 2, keep: { mode: rollMode === 'advantage' ? 'kh' : 'kl', n: 1 } };
+  });
+}
+
+// Top level "a + b - c" as signed summands, used by the dice tray buttons
+function summands(node, sign = 1, list = []) {
+  if (node.type === 'binary' && (node.op === '+' || node.op === '-')) {
+    summands(node.left, sign, list);
+    summands(node.right, node.op === '-' ? -sign : sign, list);
+  } else if (node.type === 'negate') {
+    summands(node.expr, -sign, list);
+  } else {
+    list.push({ sign, node });
+  }
+  return list;
+}
+
+function fromSummands(list) {
+  if (list.length === 0) return null;
+  const [first, ...rest] = list;
+  let node = first.sign < 0 ? { type: 'negate', expr: first.node } : first.node;
+  rest.forEach(({ sign, node: right }) => {
+    node = { type: 'binary', op: sign < 0 ? '-' : '+', left: node, right };
+  });
+  return node;
+}
+
+const isPlainDice = (node) => node.type === 'dice' && !node.keep && !node.reroll && !node.explode && node.min === null && node.max === null;
+
+/**
+ * Flat modifier of an expression (sum of the top level numbers: "1d20+5-1" -> 4)
+ */
+export function getModifier(node) {
+  if (!node) return 0;
+  return summands(node)
+    .filter(({ node: summand }) => summand.type === 'number')
+    .reduce((sum, { sign, node: summand }) => sum + sign * summand.value, 0);
+}
+
+/**
+ * Replace the flat modifier (null node = empty expression)
+ */
+export function withModifier(node, modifier) {
+  const list = node ? summands(node).filter(({ node: summand }) => summand.type !== 'number') : [];
+  if (modifier !== 0) list.push({ sign: Math.sign(modifier), node: { type: 'number', value: Math.abs(modifier) } });
+  return fromSummands(list);
+}
+
+/**
+ * Add one die - merges into an existing plain "NdX" term ("1d6+3" + d6 -> "2d6+3")
+ */
+export function withDie(node, sides) {
+  const list = node ? summands(node) : [];
+  const existing = list.find(({ sign, node: summand }) => sign > 0 && isPlainDice(summand) && summand.sides === sides);
+  if (existing && existing.node.count < MAX_DICE_PER_TERM) {
+    existing.node = { ...existing.node, count: existing.node.count + 1 };
+  } else {
+    // Dice go before the flat modifier
+    const index = list.findIndex(({ node: summand }) => summand.type === 'number');
+    const die = { sign: 1, node: { type: 'dice', count: 1, sides, keep: null, reroll: null, explode: null, min: null, max: null } };
+    if (index === -1) list.push(die);
+    else list.splice(index, 0, die);
+  }
+  return fromSummands(list);
+}
+
+// -------------------- EVALUATION --------------------
+
+function rollOneDie(node, roll) {
+  const die = { value: 0, natural: 0, sides: node.sides, rerolled: [], exploded: false, kept: true };
+  let natural = roll(node.sides);
+
+  if (node.reroll) {
+    let attempts = 0;
+    while (compareMatches(node.reroll, natural) && attempts < (node.reroll.once ? 1 : MAX_EXTRA_ROLLS)) {
+      die.rerolled.push(natural);
+      natural = roll(node.sides);
+      attempts++;
+    }
+  }
+
+  die.natural = natural;
+  die.value = natural;
+  if (node.min !== null) die.value = Math.max(die.value, node.min);
+  if (node.max !== null) die.value = Math.min(die.value, node.max);
+  return die;
+}
+
+function rollDiceTerm(node, roll) {
+  const dice = [];
+  for (let i = 0; i < node.count; i++) {
+    let die = rollOneDie(node, roll);
+    dice.push(die);
+    // Every explosion adds one more die, which may explode again
+    let extra = 0;
+    while (node.explode && compareMatches(node.explode, die.natural) && extra < MAX_EXTRA_ROLLS) {
+      die.exploded = true;
+      die = rollOneDie(node, roll);
+      dice.push(die);
+      extra++;
+    }
+  }
+
+  if (node.keep) {
+    const order = dice.map((die, index) => index).sort((a, b) => dice[b].value - dice[a].value || a - b);
+    const { mode, n } = node.keep;
+    let kept;
+    if (mode === 'kh') kept = order.slice(0, n);
+    else if (mode === 'kl') kept = order.slice(-n);
+    else if (mode === 'dh') kept = order.slice(n);
+    else kept = order.slice(0, order.length - n);
+    const keptSet = new Set(kept);
+    dice.forEach((die, index) => {
+      die.kept = keptSet.has(index);
+    });
+  }
+
+  return {
+    notation: formatDice(node),
+    sides: node.sides,
+    dice,
+    total: dice.filter((die) => die.kept).reduce((sum, die) => sum + die.value, 0),
+  };
+}
+
+function formatDie(die) {
+  let text = String(die.value);
+  if (die.rerolled.length > 0) text = `${die.rerolled.join('→')}→${text}`;
+  if (die.exploded) text += '!';
+  return die.kept ? text : `~${text}~`;
+}
+
+function evaluateNode(node, roll, terms) {
+  switch (node.type) {
+    case 'number':
+      return { value: node.value, text: String(node.value) };
+    case 'dice': {
+      const term = rollDiceTerm(node, roll);
+      terms.push(term);
+      return { value: term.total, text: `[${term.dice.map(formatDie).join(', ')}]` };
+    }
+    case 'group': {
+      const inner = evaluateNode(node.expr, roll, terms);
+      return { value: inner.value, text: `(${inner.text})` };
+    }
+    case 'negate': {
+      const inner = evaluateNode(node.expr, roll, terms);
+      return { value: -inner.value, text: `-${inner.text}` };
+    }
+    default: {
+      const left = evaluateNode(node.left, roll, terms);
+      const right = evaluateNode(node.right, roll, terms);
+      let value;
+      if (node.op === '+') value = left.value + right.value;
+      else if (node.op === '-') value = left.value - right.value;
+      else if (node.op === '*') value = left.value * right.value;
+      else value = right.value === 0 ? 0 : Math.floor(left.value / right.value);
+      const op = node.op === '*' ? '×' : node.op === '/' ? '÷' : node.op;
+      return { value, text: `${left.text} ${op} ${right.text}` };
+    }
+  }
+}
+
+/**
+ * Roll a dice expression
+ * @param {string|Object} expression - Notation or syntax tree
+ * @param {Object} options
+ * @param {function} options.roll - (sides) => face; defaults to rollDie (see valueRoller for 3D dice)
+ * @returns {{ notation, total, modifier, rolls: number[], terms: Array, breakdown: string }}
+ *   terms: per dice term { notation, sides, total, dice: [{ value, natural, sides, kept, rerolled, exploded }] }
+ *   rolls: every rolled face, dropped dice included (shown in toasts and the roll history)
+ *   breakdown: "[6, 5, 4, ~1~] + 3"
+ */
+export function evaluateDiceExpression(expression, { roll = rollDie } = {}) {
+  const ast = typeof expression === 'string' ? parseDiceExpression(expression) : expression;
+  const terms = [];
+  const result = evaluateNode(ast, roll, terms);
+  return {
+    notation: formatDiceExpression(ast),
+    total: result.value,
+    modifier: getModifier(ast),
+    rolls: terms.flatMap((term) => term.dice.map((die) => die.value)),
+    terms,
+    breakdown: result.text,
+  };
+}
+
+/**
+ * Natural face of the d20 that counted (the kept one with advantage/disadvantage), or null without a d20
+ * Works on evaluateDiceExpression results and on roller results (both carry "terms").
+ */
+export function naturalD20(result) {
+  const term = result?.terms?.find((t) => t.sides === 20);
+  const die = term?.dice.find((d) => d.kept);
+  return die ? die.natural : null;
+}
+
+/**
+ * Die source that hands out already rolled faces (3D dice) by die size first
+ * and falls back to a random roll for anything extra (rerolls, explosions)
+ * @param {Array<{ sides, value }>} values
+ */
+export function valueRoller(values, fallback = rollDie) {
+  const queue = [...values];
+  return (sides) => {
+    const index = queue.findIndex((entry) => entry.sides === sides);
+    if (index === -1) return fallback(sides);
+    return queue.splice(index, 1)[0].value;
+  };
+}
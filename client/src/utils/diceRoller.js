@@ -2,12 +2,22 @@
  * Universal Dice Rolling Wrapper
  * Automatically uses 2D or 3D dice based on user settings
  * Handles advantage/disadvantage and history logging
+ * Notation is parsed by utils/diceExpression.js, see there for the full grammar
  */
 
+import { tryParseDiceExpression, applyCritical, formatDiceExpression, getModifier, withModifier } from './diceExpression.js';
+import { rollAdjustment, combineRollModes } from './conditionEngine.js';
+
 let diceRollerCallback = null;
 let addHistoryCallback = null;
 let settingsRef = null;
 
+// One roll at a time: the roller UI closes itself after showing a result, so the next
+// roll (e.g. damage after an attack) waits until the previous roller has closed
+const ROLLER_CLOSE_TIMEOUT = 15000;
+let rollerQueue = Promise.resolve();
+let markRollerClosed = null;
+
 /**
  * Initialize the dice roller with callbacks
  * @param {Function} onRoll - Callback to trigger dice roller UI (2D or 3D)
@@ -20,16 +30,29 @@ export function initializeDiceRoller(onRoll, onAddHistory, settings) {
   settingsRef = settings;
 }
 
+/**
+ * Called by the roller UI when it closes - lets the next queued roll start
+ */
+export function diceRollerClosed() {
+  if (markRollerClosed) {
+    markRollerClosed();
+    markRollerClosed = null;
+  }
+}
+
 /**
  * Roll dice with automatic 2D/3D selection
  * @param {Object} options - Roll options
- * @param {string} options.notation - Dice notation (e.g., "1d20+5")
+ * @param {string} options.notation - Dice expression (e.g., "1d20+5", "2d6+1d4+3", "4d6kh3")
  * @param {string} options.rollMode - 'normal', 'advantage', or 'disadvantage'
  * @param {boolean} options.critical - If true, doubles dice count (for damage)
  * @param {string} options.label - Text for history log (e.g., "Attack Roll")
  * @param {string} options.character - Character name for history
+ * @param {Object} options.combatant - Rolling combatant - its conditions adjust the roll (see conditionEngine.js)
+ * @param {string} options.rollType - 'attack', 'save' or 'check' (needed together with combatant)
+ * @param {string} options.ability - Ability of a save or check ('dex')
  * @param {Function} options.onResult - Optional callback for result
- * @returns {Promise<Object>} Roll result
+ * @returns {Promise<Object>} Roll result - with "conditions" ({ reasons, autoFail }) when conditions applied
  */
 export async function rollDice({
   notation,
@@ -37,6 +60,9 @@ export async function rollDice({
   critical = false,
   label = '',
   character = '',
+  combatant = null,
+  rollType = null,
+  ability = null,
   onResult = null
 }) {
   if (!diceRollerCallback) {
@@ -44,15 +70,28 @@ export async function rollDice({
     return null;
   }
 
-  // Handle critical hits: double dice, keep modifier
+  // Handle critical hits: double every die, keep modifiers ("2d6+1d8+4" -> "4d6+2d8+4")
+  // Advantage/disadvantage is applied by the roller UI, so it can still be toggled there
   let finalNotation = notation;
   if (critical) {
-    const match = notation.match(/^(\d+)d(\d+)([+\-]\d+)?$/i);
-    if (match) {
-      const count = parseInt(match[1]);
-      const sides = match[2];
-      const modifier = match[3] || '';
-      finalNotation = `${count * 2}d${sides}${modifier}`;
+    const { ast } = tryParseDiceExpression(notation);
+    if (ast) {
+      finalNotation = formatDiceExpression(applyCritical(ast));
+    }
+  }
+
+  // Conditions and exhaustion of the rolling combatant: advantage/disadvantage, d20 penalty, auto-fail
+  let conditions = null;
+  if (combatant && rollType) {
+    const adjustment = rollAdjustment(combatant, { type: rollType, ability });
+    if (adjustment.reasons.length > 0) {
+      rollMode = combineRollModes(rollMode, ...adjustment.reasons.map((r) => r.effect));
+      const { ast } = tryParseDiceExpression(finalNotation);
+      if (ast && adjustment.modifier) {
+        finalNotation = formatDiceExpression(withModifier(ast, getModifier(ast) + adjustment.modifier));
+      }
+      label = `${label} (${adjustment.reasons.map((r) => `${r.text}: ${r.effect}`).join(', ')})`.trim();
+      conditions = { reasons: adjustment.reasons, autoFail: adjustment.autoFail };
     }
   }
 
@@ -70,11 +109,16 @@ export async function rollDice({
           rolls: result.rolls,
           total: result.total,
           modifier: result.modifier || 0,
+          breakdown: result.breakdown,
           rollMode
         };
         addHistoryCallback(historyEntry);
       }
 
+      if (conditions) {
+        result = { ...result, conditions };
+      }
+
       // Call custom callback if provided
       if (onResult) {
         onResult(result);
@@ -87,13 +131,19 @@ export async function rollDice({
     // Format: "Label | Notation" if label exists, otherwise just notation
     const displayNotation = label ? `${label} | ${finalNotation}` : finalNotation;
 
-    diceRollerCallback({
-      notation: finalNotation,
-      label,
-      character,
-      rollMode,
-      onResult: handleResult
-    });
+    const previous = rollerQueue;
+    rollerQueue = previous.then(() => new Promise((closed) => {
+      markRollerClosed = closed;
+      // Never block later rolls if the roller doesn't report closing
+      setTimeout(closed, ROLLER_CLOSE_TIMEOUT);
+      diceRollerCallback({
+        notation: finalNotation,
+        label,
+        character,
+        rollMode,
+        onResult: handleResult
+      });
+    }));
   });
 }
 
@@ -0,0 +1,86 @@
+// Three-way merge for encounters, used when a save is rejected because another
+// device changed the encounter in the meantime (HTTP 409).
+//
+// base   - the encounter both sides started from
+// mine   - our local version
+// theirs - the current server version
+//
+// Changes from both sides survive. If both changed the same field, ours wins.
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function mergeFields(base = {}, mine = {}, theirs = {}, skip = []) {
+  const merged = { ...theirs };
+  const keys = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+
+  keys.forEach((key) => {
+    if (skip.includes(key)) return;
+    if (same(mine[key], base[key])) return; // we did not touch it - keep theirs
+
+    if (key in mine) {
+      merged[key] = mine[key];
+    } else {
+      delete merged[key];
+    }
+  });
+
+  return merged;
+}
+
+function mergeCombatants(base = {}, mine = {}, theirs = {}) {
+  const merged = {};
+  const ids = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+
+  ids.forEach((id) => {
+    const inBase = id in base;
+    const inMine = id in mine;
+    const inTheirs = id in theirs;
+
+    if (inMine && inTheirs) {
+      merged[id] = mergeFields(base[id], mine[id], theirs[id]);
+    } else if (inMine && !inBase) {
+      merged[id] = mine[id]; // added by us
+    } else if (inTheirs && !inBase) {
+      merged[id] = theirs[id]; // added by them
+    } else if (inMine && !same(mine[id], base[id])) {
+      merged[id] = mine[id]; // they deleted it, but we changed it
+    } else if (inTheirs && !same(theirs[id], base[id])) {
+      merged[id] = theirs[id]; // we deleted it, but they changed it
+    }
+  });
+
+  return merged;
+}
+
+// Keep initiativeOrder consistent with the merged combatants:
+// drop removed combatants and slot in new ones by initiative
+function reconcileInitiativeOrder(order = [], combatants) {
+  const result = order.filter((entry) => typeof entry === 'object' || combatants[entry]);
+  const listed = new Set(result.filter((entry) => typeof entry === 'string'));
+
+  const initiativeOf = (entry) =>
+    typeof entry === 'object' ? entry.initiative ?? 0 : combatants[entry]?.initiative ?? 0;
+
+  Object.values(combatants).forEach((c) => {
+    if (listed.has(c.id)) return;
+    const index = result.findIndex((entry) => initiativeOf(entry) < (c.initiative ?? 0));
+    result.splice(index === -1 ? result.length : index, 0, c.id);
+  });
+
+  return result;
+}
+
+export function mergeEncounters(base, mine, theirs) {
+  if (!base) return { ...mine, revision: theirs.revision };
+
+  const merged = mergeFields(base, mine, theirs, ['combatants', 'revision', 'updatedAt']);
+  merged.combatants = mergeCombatants(base.combatants, mine.combatants, theirs.combatants);
+  merged.initiativeOrder = reconcileInitiativeOrder(merged.initiativeOrder, merged.combatants);
+
+  // Keep the turn pointer inside the (possibly shorter) initiative order
+  if (merged.initiativeOrder.length > 0 && merged.turnIndex >= merged.initiativeOrder.length) {
+    merged.turnIndex = 0;
+  }
+
+  return merged;
+}
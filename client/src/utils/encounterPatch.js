@@ -0,0 +1,18 @@
+// Live encounter updates: "patch" events of the server's event streams (see server/utils/encounterDiff.js)
+
+/**
+ * Apply a "patch" event to the last known state of the stream
+ * @param {Object} enc - Last snapshot or patched state (not modified)
+ * @param {Object} patch - { set, unset, combatants, removed }
+ * @returns {Object} New state
+ */
+export function applyEncounterPatch(enc, patch) {
+  const next = { ...enc, ...patch.set };
+  patch.unset.forEach(key => delete next[key]);
+
+  const combatants = { ...enc.combatants, ...patch.combatants };
+  patch.removed.forEach(id => delete combatants[id]);
+  next.combatants = combatants;
+
+  return next;
+}
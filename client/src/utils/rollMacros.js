@@ -0,0 +1,28 @@
+// Roll macros - saved attack/damage/save rolls per user and per creature (see server/utils/rollMacros.js)
+
+export const EMPTY_ROLL_MACROS = { user: [], combatants: {} };
+
+/**
+ * Key under which a combatant's macros are stored
+ * Monsters share macros by their base name ("Goblin" for "Brave Goblin"), players by their name.
+ */
+export function macroKey(combatant) {
+  return combatant.monsterName || combatant.name;
+}
+
+export function attackNotation(macro) {
+  return `1d20${macro.attackBonus >= 0 ? '+' : ''}${macro.attackBonus}`;
+}
+
+/**
+ * Short description: "+7 to hit • 8d6 fire • DC 15 DEX save"
+ */
+export function describeMacro(macro) {
+  const parts = [];
+  if (macro.attackBonus !== null && macro.attackBonus !== undefined) {
+    parts.push(`${macro.attackBonus >= 0 ? '+' : ''}${macro.attackBonus} to hit`);
+  }
+  if (macro.damage) parts.push(macro.damageType ? `${macro.damage} ${macro.damageType}` : macro.damage);
+  if (macro.save) parts.push(`DC ${macro.save.dc} ${macro.save.ability.toUpperCase()} save`);
+  return parts.join(' • ');
+}
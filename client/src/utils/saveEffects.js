@@ -0,0 +1,37 @@
+// Saving throws against area effects: save bonus from the stat block, NPC rolls, full or half damage
+
+import { rollDie } from './diceExpression.js';
+import { saveAdjustment } from './conditionEngine.js';
+import { saveBonus } from '../../../shared/combatants.js';
+
+export const SAVE_ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+/**
+ * "dexterity", "Dex", "DEX" -> "dex"
+ */
+export function normalizeAbility(ability) {
+  const short = String(ability || '').trim().slice(0, 3).toLowerCase();
+  return SAVE_ABILITIES.includes(short) ? short : null;
+}
+
+/**
+ * Roll an NPC's save - advantage from Magic Resistance against magical effects,
+ * conditions and exhaustion from the condition engine (auto-fail, advantage/disadvantage, penalty)
+ * @returns {{ rolls, roll, modifier, total, rollMode, reasons, autoFail, passed }}
+ */
+export function rollNpcSave(combatant, ability, dc, { magical = true } = {}) {
+  const { rollMode, modifier: penalty, autoFail, reasons } = saveAdjustment(combatant, ability, { magical });
+  const rolls = rollMode === 'normal' ? [rollDie(20)] : [rollDie(20), rollDie(20)];
+  const roll = rollMode === 'disadvantage' ? Math.min(...rolls) : Math.max(...rolls);
+  const modifier = saveBonus(combatant, ability) + penalty;
+  const total = roll + modifier;
+  return { rolls, roll, modifier, total, rollMode, reasons, autoFail, passed: !autoFail && total >= dc };
+}
+
+/**
+ * Damage after the save: full on a failure, half (rounded down) or none on a success
+ */
+export function damageAfterSave(amount, passed, halfOnSuccess) {
+  if (!passed) return amount;
+  return halfOnSuccess ? Math.floor(amount / 2) : 0;
+}
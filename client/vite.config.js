@@ -5,11 +5,18 @@ import { resolve } from 'path'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // shared/ (rules used by client and server) lives outside the client root
+  server: {
+    fs: {
+      allow: ['..'],
+    },
+  },
   build: {
     rollupOptions: {
       input: {
         main: resolve(__dirname, 'index.html'),
         player: resolve(__dirname, 'player.html'),
+        companion: resolve(__dirname, 'companion.html'),
       },
     },
   },
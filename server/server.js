@@ -15,6 +15,21 @@ import { CreatureCache } from './utils/loadCreatures.js';
 import { SpellCache } from './utils/loadSpells.js';
 import { logger } from './utils/logger.js';
 import { predictECR } from './utils/ecrCalculatorML.js';
+import { EncounterEventHub } from './utils/encounterEvents.js';
+import { applyActions, CombatActionError, submissionAction, isCollectingInitiative, syncTurnTimer, syncConcentrationEffects, turnTimerElapsed } from './utils/combatEngine.js';
+import { recordHistory, undoHistory, redoHistory, summarizeHistory, HistoryError } from './utils/encounterHistory.js';
+import { buildLogEntries, buildNoteEntry, markUndone, filterLog, formatLogMarkdown } from './utils/combatLog.js';
+import { summarizeCombat } from './utils/combatSummary.js';
+import { calculateDifficulty, resolveParty, resolvePartyLevels, encounterMonsters } from './utils/encounterDifficulty.js';
+import { simulateEncounter, buildMonsterProfile, buildPlayerProfile } from './utils/combatSimulator.js';
+import { BestiaryEnvironmentIndex } from './utils/bestiaryEnvironments.js';
+import { generateEncounterGroups, GeneratorError } from './utils/encounterGenerator.js';
+import { MonsterSearchIndex, decodeCursor } from './utils/monsterSearch.js';
+import { playerView } from './utils/playerView.js';
+import { claimableCharacters, findClaimedCombatant, companionView, createSubmission, addSubmission, requireSubmissionAmount } from './utils/playerCompanion.js';
+import { createDisplayProfile, updateDisplayProfile, generateDisplayToken, displayView, DisplayProfileError, DISPLAY_PROFILE_PRESETS } from './utils/displayProfiles.js';
+import { normalizeRollMacros, RollMacroError } from './utils/rollMacros.js';
+import { normalizeCustomConditions, CustomConditionError } from './utils/customConditions.js';
 import QRCode from 'qrcode';
 
 dotenv.config();
@@ -68,7 +83,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'X-Session-Token', 'Authorization']
+  allowedHeaders: ['Content-Type', 'X-Session-Token', 'Authorization', 'If-Match', 'X-Claim-Token']
 }));
 
 // Rate limiting - Different limits for different use cases
@@ -113,10 +128,10 @@ const apiLimiter = rateLimit({
   }
 });
 
-// Very relaxed rate limiting for player screen polling
+// Rate limiting for player screen requests (updates are pushed via SSE, polling is only a fallback)
 const playerScreenLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
-  max: 1000, // max 1000 requests per minute (allows polling every 3 seconds = 20/min per player)
+  max: 120, // max 120 requests per minute (stream reconnects plus fallback polling every 3 seconds)
   message: { error: 'Zu viele Anfragen vom Player Screen.' },
   standardHeaders: true,
   legacyHeaders: false,
@@ -127,6 +142,20 @@ const playerScreenLimiter = rateLimit({
   }
 });
 
+// Rate limiting for the player companion (phones of the players, often several behind one home network)
+// Updates are pushed via SSE, so this mostly covers claims, submissions and reconnects.
+const companionLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 600, // max 600 requests per minute - room for a full table of phones behind one IP
+  message: { error: 'Zu viele Anfragen vom Companion.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Companion rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({ error: 'Zu viele Anfragen vom Companion.' });
+  }
+});
+
 app.use(express.json({ limit: '3mb' }));
 app.use(cookieParser());
 
@@ -143,8 +172,8 @@ app.use('/data', express.static(join(__dirname, '..', 'data'), {
 
 // Apply general limiter to all OTHER API routes as baseline (after special routes are defined)
 app.use('/api/', (req, res, next) => {
-  // Skip rate limiting for player screen encounter GET requests
-  if (req.method === 'GET' && req.path.match(/^\/encounters\/[^\/]+$/)) {
+  // Skip rate limiting for player screen encounter GET requests and event streams
+  if (req.method === 'GET' && req.path.match(/^\/(encounters\/[^\/]+|encounters\/[^\/]+\/stream|player-screen\/[^\/]+\/stream)$/)) {
     return next();
   }
   return apiLimiter(req, res, next);
@@ -161,13 +190,21 @@ const USER_MONSTER_OVERRIDES_PATH = join(DATA_DIR, 'user-monster-overrides.json'
 const CAMPAIGNS_PATH = join(DATA_DIR, 'campaigns.json');
 const FOLDERS_PATH = join(DATA_DIR, 'folders.json');
 const SHARE_CODES_PATH = join(DATA_DIR, 'share-codes.json');
+const DISPLAY_PROFILES_PATH = join(DATA_DIR, 'display-profiles.json');
+const BESTIARY_PATH = join(DATA_DIR, 'sources', '5e.tools', 'bestiary', 'bestiary');
 
 // Creature Cache initialisieren
 const creatureCache = new CreatureCache();
 
+// Umgebungen (forest, underdark, ...) aus den 5e.tools-Bestiary-Dateien
+const bestiaryEnvironments = new BestiaryEnvironmentIndex();
+
 // Spell Cache initialisieren
 const spellCache = new SpellCache();
 
+// Event Hub für Live-Updates an Player Screens (SSE) - sendet nur die Spieler-Sicht
+const encounterEvents = new EncounterEventHub({ project: playerView });
+
 function readJSON(path, fallback) {
   if (!existsSync(path)) return fallback;
   try {
@@ -297,6 +334,41 @@ function applyUserMonsterOverrides(baseMonsters, userEmail) {
   return Array.from(monsterMap.values());
 }
 
+/**
+ * Load all monsters available to a user (5e.tools + SRD/homebrew + user overrides)
+ * @param {string} userEmail - The user's email (optional)
+ * @returns {Promise<Array>} Merged monster array
+ */
+async function loadMonstersForUser(userEmail) {
+  const fiveToolsCreatures = await creatureCache.load(CREATURES_PATH);
+  const srdData = readJSON(SRD_PATH, { monsters: [] });
+  return applyUserMonsterOverrides([...fiveToolsCreatures, ...(srdData.monsters || [])], userEmail);
+}
+
+/**
+ * Search indexes for a user: the cached 5e.tools index (built once) plus a small
+ * index with SRD/homebrew monsters and the user's overrides, which replace base monsters by ID
+ * @param {string} userEmail - The user's email (optional)
+ * @returns {Promise<{ index: MonsterSearchIndex, extra: MonsterSearchIndex }>}
+ */
+async function loadMonsterSearch(userEmail) {
+  await bestiaryEnvironments.load(BESTIARY_PATH);
+  const index = await creatureCache.index(CREATURES_PATH, {
+    environmentOf: m => bestiaryEnvironments.lookup(m)
+  });
+
+  const srdData = readJSON(SRD_PATH, { monsters: [] });
+  const overriddenBase = userEmail
+    ? Object.keys(getUserMonsterOverrides(userEmail)).map(id => index.byId.get(id)).filter(Boolean)
+    : [];
+  const extraMonsters = applyUserMonsterOverrides([...(srdData.monsters || []), ...overriddenBase], userEmail);
+  const extra = new MonsterSearchIndex(extraMonsters, {
+    environmentOf: m => bestiaryEnvironments.lookup(m)
+  });
+
+  return { index, extra };
+}
+
 // -------------------- ENCRYPTION FOR SENSITIVE DATA --------------------
 // Get encryption key from environment or generate one
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY
@@ -482,6 +554,20 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// Middleware für Routen, die auch ohne Login funktionieren (setzt req.userEmail nur bei gültiger Session)
+function optionalAuth(req, res, next) {
+  const token = req.cookies.sessionToken ||
+                req.headers['x-session-token'] ||
+                req.headers['authorization']?.replace('Bearer ', '');
+  const session = token ? verifyToken(token) : null;
+
+  const SESSION_LIFETIME = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+  if (session && Date.now() - session.createdAt <= SESSION_LIFETIME) {
+    req.userEmail = session.email;
+  }
+  next();
+}
+
 // Bootstrap
 if (!existsSync(ENCOUNTERS_PATH)) writeJSON(ENCOUNTERS_PATH, { encounters: [] });
 if (!existsSync(SRD_PATH)) writeJSON(SRD_PATH, { monsters: [] });
@@ -651,13 +737,81 @@ app.put('/api/user/settings', requireAuth, async (req, res) => {
   res.json({ ok: true });
 });
 
+/**
+ * GET /api/user/roll-macros
+ * Returns: { user: [macro], combatants: { [creature key]: [macro] } }
+ */
+app.get('/api/user/roll-macros', requireAuth, (req, res) => {
+  const settings = readJSON(USER_SETTINGS_PATH, {});
+  const macros = settings[req.userEmail]?.rollMacros || {};
+  res.json({ user: macros.user || [], combatants: macros.combatants || {} });
+});
+
+/**
+ * PUT /api/user/roll-macros
+ * Body: { user: [macro], combatants: { [creature key]: [macro] } } - replaces all macros of the user
+ * macro: { id?, name, attackBonus?, damage?, damageType?, save?: { ability, dc } }
+ */
+app.put('/api/user/roll-macros', requireAuth, async (req, res) => {
+  try {
+    const macros = normalizeRollMacros(req.body);
+    const settings = readJSON(USER_SETTINGS_PATH, {});
+    settings[req.userEmail] = {
+      ...settings[req.userEmail],
+      rollMacros: macros
+    };
+    await writeJSON(USER_SETTINGS_PATH, settings);
+    res.json(macros);
+  } catch (err) {
+    if (err instanceof RollMacroError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Failed to save roll macros', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to save roll macros' });
+  }
+});
+
+/**
+ * GET /api/user/conditions
+ * Returns the user's homebrew conditions: [{ id, name, description, effects }]
+ */
+app.get('/api/user/conditions', requireAuth, (req, res) => {
+  const settings = readJSON(USER_SETTINGS_PATH, {});
+  res.json(settings[req.userEmail]?.customConditions || []);
+});
+
+/**
+ * PUT /api/user/conditions
+ * Body: [{ id?, name, description?, effects? }] - replaces all homebrew conditions of the user
+ * effects: { attackRolls, attacksAgainst, meleeAttacksAgainst, rangedAttacksAgainst, abilityChecks: 'advantage'|'disadvantage',
+ *            saveAdvantage, saveDisadvantage, autoFailSaves: [ability], incapacitated, speedZero, meleeCritsAgainst, skipTurn: true }
+ */
+app.put('/api/user/conditions', requireAuth, async (req, res) => {
+  try {
+    const conditions = normalizeCustomConditions(req.body);
+    const settings = readJSON(USER_SETTINGS_PATH, {});
+    settings[req.userEmail] = {
+      ...settings[req.userEmail],
+      customConditions: conditions
+    };
+    await writeJSON(USER_SETTINGS_PATH, settings);
+    res.json(conditions);
+  } catch (err) {
+    if (err instanceof CustomConditionError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Failed to save custom conditions', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Failed to save conditions' });
+  }
+});
+
 // -------------------- MONSTERS (CRUD + BULK + DDB IMPORT + 5E.TOOLS) --------------------
 
 /**
  * GET /api/monsters
  * Liefert alle Monster aus der Datenbank (mit user-spezifischen Overrides)
  * Query-Params:
- *   - search: Suchbegriff (Name oder Type)
+ *   - search: Suchbegriff (tippfehlertolerant: Name, Typ, Tags, Quelle)
  *   - source: Filter nach Quelle (srd, homebrew, 5etools)
  * Note: Requires authentication to get user-specific overrides
  */
@@ -707,15 +861,14 @@ app.get('/api/monsters', dataLimiter, async (req, res) => {
       }
     }
 
-    // Such-Filter
-    const filtered = q
-      ? allMonsters.filter(m => {
-          const name = (m.name || '').toLowerCase();
-          const type = typeof m.type === 'object' ? (m.type.type || '') : (m.type || '');
-          const typeStr = String(type).toLowerCase();
-          return name.includes(q) || typeStr.includes(q);
-        })
-      : allMonsters;
+    // Such-Filter (fuzzy über den Suchindex, Quellen-Filter wie oben)
+    let filtered = allMonsters;
+    if (q) {
+      const { index, extra } = await loadMonsterSearch(userEmail);
+      const allowed = new Set(allMonsters.map(m => m.id));
+      // Filter inside the search, so the 500 best matches all come from the chosen source
+      filtered = index.search({ q, limit: 500 }, { extra, filter: m => allowed.has(m.id) }).items;
+    }
 
     // Limitiere auf 500 Ergebnisse nur wenn gefiltert (bei leerem search gib alle zurück für client-seitiges Filtern)
     // Note: legendaryGroup, tokenUrl, imageUrl are now included in the compact format
@@ -727,6 +880,81 @@ app.get('/api/monsters', dataLimiter, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/monsters/search
+ * Indexed monster search with fuzzy name matching, filters, sorting and paging
+ * Query-Params:
+ *   - q: search term (typo tolerant, also matches type/tags/source)
+ *   - crMin, crMax: CR range (e.g. 1/4, 5)
+ *   - size, type, alignment, environment, source, immune: comma-separated lists
+ *   - legendary, lair, spellcaster: true/false
+ *   - sort: relevance|name|cr|type|size|source, order: asc|desc
+ *   - limit (default 50, max 500), cursor (nextCursor of the previous page)
+ * Returns: { items, total, nextCursor, limit }
+ */
+app.get('/api/monsters/search', requireAuth, dataLimiter, async (req, res) => {
+  const offset = decodeCursor(req.query.cursor);
+  if (offset === null) {
+    return res.status(400).json({ error: 'Ungültiger Cursor' });
+  }
+
+  const flag = (value) => (value === undefined || value === '' ? undefined : value === 'true' || value === '1');
+
+  try {
+    const { index, extra } = await loadMonsterSearch(req.userEmail);
+    const result = index.search({
+      q: req.query.q,
+      crMin: req.query.crMin,
+      crMax: req.query.crMax,
+      size: req.query.size,
+      type: req.query.type,
+      alignment: req.query.alignment,
+      environment: req.query.environment,
+      source: req.query.source,
+      immune: req.query.immune,
+      legendary: flag(req.query.legendary),
+      lair: flag(req.query.lair),
+      spellcaster: flag(req.query.spellcaster),
+      sort: req.query.sort,
+      order: req.query.order,
+      limit: req.query.limit,
+      offset
+    }, { extra });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error searching monsters', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to search monsters' });
+  }
+});
+
+/**
+ * GET /api/monsters/filters
+ * Available filter values (types, sizes, sources, environments, damage immunities)
+ */
+app.get('/api/monsters/filters', requireAuth, dataLimiter, async (req, res) => {
+  try {
+    const { index, extra } = await loadMonsterSearch(req.userEmail);
+    res.json(index.facets(extra));
+  } catch (error) {
+    logger.error('Error loading monster filters', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to load monster filters' });
+  }
+});
+
+/**
+ * GET /api/monsters/environments
+ * Liefert alle Umgebungen aus den 5e.tools-Bestiary-Daten (für den Encounter-Generator)
+ */
+app.get('/api/monsters/environments', dataLimiter, async (req, res) => {
+  try {
+    await bestiaryEnvironments.load(BESTIARY_PATH);
+    res.json(bestiaryEnvironments.environments());
+  } catch (error) {
+    logger.error('Error loading bestiary environments', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to load environments' });
+  }
+});
+
 app.post('/api/monsters', requireAuth, (req, res) => {
   const body = req.body || {};
   if (!body.name) return res.status(400).json({ error: 'name is required' });
@@ -1653,6 +1881,64 @@ app.delete('/api/folders/:id', requireAuth, async (req, res) => {
 });
 
 // -------------------- ENCOUNTERS --------------------
+
+/**
+ * Encounter as sent to clients (history without the undo/redo patches,
+ * combat log only via /api/encounters/:id/log)
+ * The turn timer carries its elapsed time, so the DM's clock doesn't matter (like playerView).
+ */
+function publicEncounter(enc) {
+  if (!enc) return enc;
+  const { combatLog, ...rest } = enc;
+  const turnTimer = enc.turnTimer && { ...enc.turnTimer, elapsedMs: turnTimerElapsed(enc.turnTimer, Date.now()) };
+  return { ...rest, turnTimer, history: summarizeHistory(enc.history) };
+}
+
+/**
+ * Stores a new version of an encounter
+ * Bumps the revision, records the change in the undo history and the combat log,
+ * moves the turn timer along with the active turn (whether it changed through an action,
+ * a full save or undo), ends effects whose source lost concentration, writes the file and
+ * pushes the update to connected player screens.
+ * The combat log is append-only - whatever the client sends for it is ignored. Entries of a recorded
+ * change carry its history id, so undo/redo can mark them as undone (see markUndone).
+ * @param {Object} [options.log] - { actions, events } for the combat log, or { note } for a plain entry
+ * @param {Object} [options.revert] - { historyIds, undone } - history entries that were undone or redone
+ */
+async function commitEncounter(db, index, next, { recordChange = true, log = {}, revert = null } = {}) {
+  const previous = db.encounters[index];
+  const updated = {
+    ...next,
+    id: previous.id,
+    updatedAt: new Date().toISOString(),
+    revision: (previous.revision || 0) + 1
+  };
+  // Sent along by publicEncounter, never stored
+  if (updated.turnTimer?.elapsedMs !== undefined) {
+    const { elapsedMs, ...turnTimer } = updated.turnTimer;
+    updated.turnTimer = turnTimer;
+  }
+  syncTurnTimer(updated, Date.now());
+  syncConcentrationEffects(previous, updated);
+  updated.history = recordChange ? recordHistory(previous, updated) : next.history;
+  let newEntries = log.note
+    ? [buildNoteEntry(updated, log.note)]
+    : buildLogEntries(previous, updated, log);
+  const recorded = updated.history !== previous.history && updated.history?.entries.at(-1);
+  if (recordChange && recorded) {
+    newEntries = newEntries.map(entry => ({ ...entry, historyId: recorded.id }));
+  }
+  const combatLog = revert
+    ? markUndone(previous.combatLog, revert.historyIds, revert.undone)
+    : previous.combatLog || [];
+  updated.combatLog = [...combatLog, ...newEntries];
+
+  db.encounters[index] = updated;
+  await writeJSON(ENCOUNTERS_PATH, db);
+  encounterEvents.publish(updated);
+  return updated;
+}
+
 app.get('/api/encounters', requireAuth, (req, res) => {
   const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
   const userEncounters = db.encounters.filter(e => e.createdBy === req.userEmail);
@@ -1682,6 +1968,7 @@ app.post('/api/encounters', requireAuth, async (req, res) => {
     createdBy: req.userEmail,
     createdAt: now,
     updatedAt: now,
+    revision: 1,
   };
   db.encounters.push(enc);
   await writeJSON(ENCOUNTERS_PATH, db);
@@ -1707,64 +1994,231 @@ app.post('/api/player-screen/token', requireAuth, (req, res) => {
   for (const [key, value] of playerScreenTokens.entries()) {
     if (value.expiresAt < Date.now()) {
       playerScreenTokens.delete(key);
+      encounterEvents.disconnect(`player-screen-token:${key}`);
     }
   }
 
   res.json({ token });
 });
 
-// GET current active encounter for user (for follow mode) - secured with token
-app.get('/api/encounters/current/active', playerScreenLimiter, (req, res) => {
-  const token = req.query.token;
-
+/**
+ * Validates a player screen token
+ * Accepts the temporary tokens above and the permanent tokens of display profiles.
+ * Returns { userEmail, profileId } for display profiles, { userEmail, expiresAt } for temporary tokens,
+ * or { status, error } if the token is missing, unknown or expired
+ */
+function resolvePlayerScreenToken(token) {
   if (!token) {
-    return res.status(400).json({ error: 'token parameter required' });
+    return { status: 400, error: 'token parameter required' };
   }
 
-  // Validate token
   const tokenData = playerScreenTokens.get(token);
   if (!tokenData) {
-    return res.status(401).json({ error: 'Invalid token' });
+    const profile = readJSON(DISPLAY_PROFILES_PATH, { profiles: [] }).profiles.find(p => p.token === token);
+    if (profile) {
+      return { userEmail: profile.userEmail, profileId: profile.id };
+    }
+    return { status: 401, error: 'Invalid token' };
   }
 
-  // Check if token is expired
   if (tokenData.expiresAt < Date.now()) {
     playerScreenTokens.delete(token);
-    return res.status(401).json({ error: 'Token expired' });
+    return { status: 401, error: 'Token expired' };
   }
 
-  const userEmail = tokenData.userEmail;
+  return { userEmail: tokenData.userEmail, expiresAt: tokenData.expiresAt };
+}
+
+/**
+ * Player view as seen by a screen - with the settings of its display profile, if it has one.
+ * The profile is looked up on every call so edits reach screens that are already connected.
+ */
+function playerScreenView(encounter, profileId) {
+  if (!profileId) return playerView(encounter);
+  const profile = readJSON(DISPLAY_PROFILES_PATH, { profiles: [] }).profiles.find(p => p.id === profileId);
+  return displayView(encounter, profile || null);
+}
+
+/**
+ * Returns the most recently updated encounter of a user (or null)
+ */
+function findLatestEncounter(userEmail) {
   const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
   const userEncounters = db.encounters.filter(e => e.createdBy === userEmail);
 
-  // Find the most recently updated encounter
-  const currentEncounter = userEncounters.reduce((latest, current) => {
+  return userEncounters.reduce((latest, current) => {
     if (!latest) return current;
     const latestTime = new Date(latest.updatedAt || latest.createdAt).getTime();
     const currentTime = new Date(current.updatedAt || current.createdAt).getTime();
     return currentTime > latestTime ? current : latest;
   }, null);
+}
+
+// GET current active encounter for user (for follow mode) - secured with token
+app.get('/api/encounters/current/active', playerScreenLimiter, (req, res) => {
+  const { userEmail, profileId, status, error } = resolvePlayerScreenToken(req.query.token);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const currentEncounter = findLatestEncounter(userEmail);
 
   if (!currentEncounter) {
     return res.status(404).json({ error: 'No encounters found' });
   }
 
-  res.json(currentEncounter);
+  res.json(playerScreenView(currentEncounter, profileId));
+});
+
+/**
+ * GET /api/encounters/current/stream?token=...
+ * Server-Sent Events stream for follow mode
+ * Sends a snapshot of the user's current encounter, then patches on every save.
+ * Switching to another encounter sends a new snapshot.
+ */
+app.get('/api/encounters/current/stream', playerScreenLimiter, (req, res) => {
+  const { userEmail, profileId, expiresAt, status, error } = resolvePlayerScreenToken(req.query.token);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  encounterEvents.subscribe(req, res, {
+    matches: (enc) => enc.createdBy === userEmail,
+    initial: findLatestEncounter(userEmail),
+    // Temporary tokens end the stream when they expire
+    ...(profileId ? {
+      project: (enc) => playerScreenView(enc, profileId),
+      tag: `display-profile:${profileId}`
+    } : {
+      tag: `player-screen-token:${req.query.token}`,
+      expiresAt
+    })
+  });
+});
+
+/**
+ * POST /api/encounters/current/initiative?token=...
+ * Players enter their initiative roll on the player screen while the DM collects initiative
+ * Body: { combatantId, initiative } - initiative between -10 and 50
+ * Returns: the player view of the updated encounter
+ */
+app.post('/api/encounters/current/initiative', playerScreenLimiter, async (req, res) => {
+  const { userEmail, profileId, status, error } = resolvePlayerScreenToken(req.query.token);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const latest = findLatestEncounter(userEmail);
+  const i = latest ? db.encounters.findIndex(e => e.id === latest.id) : -1;
+  if (i === -1) {
+    return res.status(404).json({ error: 'No encounters found' });
+  }
+
+  let action;
+  let result;
+  try {
+    action = {
+      type: 'submitInitiative',
+      target: req.body?.combatantId,
+      initiative: requireSubmissionAmount('initiative', req.body?.initiative, 'initiative')
+    };
+    result = applyActions(db.encounters[i], [action]);
+  } catch (err) {
+    if (err instanceof CombatActionError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Failed to submit initiative from player screen', {
+      error: err.message,
+      encounterId: latest.id
+    });
+    return res.status(500).json({ error: 'Failed to submit initiative' });
+  }
+
+  const updated = await commitEncounter(db, i, result.encounter, {
+    log: { actions: [action], events: result.events }
+  });
+  res.json(playerScreenView(updated, profileId));
 });
 
 // GET encounter - uses player screen limiter for player screen access
-app.get('/api/encounters/:id', playerScreenLimiter, (req, res) => {
+// The owner gets the full encounter, everyone else (logged in or not, and ?view=player) only the player view
+app.get('/api/encounters/:id', playerScreenLimiter, optionalAuth, (req, res) => {
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const enc = db.encounters.find(e => e.id === req.params.id);
+  if (!enc) return res.status(404).json({ error: 'Not found' });
+  const isOwner = Boolean(req.userEmail) && enc.createdBy === req.userEmail;
+  res.json(isOwner && req.query.view !== 'player' ? publicEncounter(enc) : playerView(enc));
+});
+
+/**
+ * GET /api/encounters/:id/stream
+ * Server-Sent Events stream for a single encounter (player screen)
+ * Events: "snapshot" (full encounter) and "patch" (changed fields and combatants)
+ */
+app.get('/api/encounters/:id/stream', playerScreenLimiter, (req, res) => {
   const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
   const enc = db.encounters.find(e => e.id === req.params.id);
   if (!enc) return res.status(404).json({ error: 'Not found' });
-  // Check ownership if user is authenticated
-  if (req.userEmail && enc.createdBy !== req.userEmail) {
+
+  encounterEvents.subscribe(req, res, {
+    matches: (updated) => updated.id === enc.id,
+    initial: enc
+  });
+});
+
+/**
+ * Parses an If-Match header ("12", W/"12" or 12) into a revision number
+ * Returns null if the header is missing or "*"
+ */
+function parseIfMatch(req) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+  const revision = parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+  return Number.isNaN(revision) ? null : revision;
+}
+
+/**
+ * PUT /api/encounters/:id
+ * Replace the encounter. Every save increments "revision".
+ * With an If-Match header the save only succeeds if it matches the stored revision,
+ * otherwise 409 is returned together with the current encounter so the client can merge.
+ */
+app.put('/api/encounters/:id', requireAuth, async (req, res) => {
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const i = db.encounters.findIndex(e => e.id === req.params.id);
+  if (i === -1) return res.status(404).json({ error: 'Not found' });
+  // Check ownership
+  if (db.encounters[i].createdBy !== req.userEmail) {
     return res.status(403).json({ error: 'Forbidden' });
   }
-  res.json(enc);
+
+  const currentRevision = db.encounters[i].revision || 0;
+  const expectedRevision = parseIfMatch(req);
+  if (expectedRevision !== null && expectedRevision !== currentRevision) {
+    logger.info('Rejected stale encounter save', {
+      encounterId: req.params.id,
+      expectedRevision,
+      currentRevision
+    });
+    return res.status(409).json({
+      error: 'Encounter wurde inzwischen geändert',
+      encounter: publicEncounter(db.encounters[i])
+    });
+  }
+
+  const updated = await commitEncounter(db, i, req.body);
+  res.json(publicEncounter(updated));
 });
 
-app.put('/api/encounters/:id', requireAuth, async (req, res) => {
+/**
+ * POST /api/encounters/:id/actions
+ * Apply typed combat actions (damage, heal, nextTurn, deathSave, ...) on the server
+ * Body: a single action ({ type, ... }) or { actions: [...], rules: {...} }
+ * All actions are applied atomically - if one fails, nothing is saved.
+ * Returns: { encounter, events }
+ */
+app.post('/api/encounters/:id/actions', requireAuth, async (req, res) => {
   const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
   const i = db.encounters.findIndex(e => e.id === req.params.id);
   if (i === -1) return res.status(404).json({ error: 'Not found' });
@@ -1772,10 +2226,277 @@ app.put('/api/encounters/:id', requireAuth, async (req, res) => {
   if (db.encounters[i].createdBy !== req.userEmail) {
     return res.status(403).json({ error: 'Forbidden' });
   }
-  const updated = { ...req.body, id: req.params.id, updatedAt: new Date().toISOString() };
-  db.encounters[i] = updated;
-  await writeJSON(ENCOUNTERS_PATH, db);
-  res.json(updated);
+
+  const actions = Array.isArray(req.body.actions) ? req.body.actions : [req.body];
+
+  let result;
+  try {
+    const customConditions = readJSON(USER_SETTINGS_PATH, {})[req.userEmail]?.customConditions || [];
+    result = applyActions(db.encounters[i], actions, req.body.rules, customConditions);
+  } catch (err) {
+    if (err instanceof CombatActionError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Failed to apply combat actions', {
+      error: err.message,
+      stack: err.stack,
+      encounterId: req.params.id
+    });
+    return res.status(500).json({ error: 'Failed to apply actions' });
+  }
+
+  const updated = await commitEncounter(db, i, result.encounter, {
+    log: { actions, events: result.events }
+  });
+
+  logger.info('Combat actions applied', {
+    encounterId: req.params.id,
+    actions: actions.map(a => a.type)
+  });
+
+  res.json({ encounter: publicEncounter(updated), events: result.events });
+});
+
+/**
+ * POST /api/encounters/:id/undo
+ * POST /api/encounters/:id/redo
+ * Step backwards/forwards through the encounter's change history
+ * Body (optional): { steps } - number of entries to undo/redo (default 1)
+ * Returns: the updated encounter
+ */
+for (const direction of ['undo', 'redo']) {
+  app.post(`/api/encounters/:id/${direction}`, requireAuth, async (req, res) => {
+    const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+    const i = db.encounters.findIndex(e => e.id === req.params.id);
+    if (i === -1) return res.status(404).json({ error: 'Not found' });
+    // Check ownership
+    if (db.encounters[i].createdBy !== req.userEmail) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const steps = parseInt(req.body?.steps ?? 1, 10);
+    const history = db.encounters[i].history;
+    let next;
+    try {
+      next = direction === 'undo'
+        ? undoHistory(db.encounters[i], steps)
+        : redoHistory(db.encounters[i], steps);
+    } catch (err) {
+      if (err instanceof HistoryError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      logger.error(`Failed to ${direction} encounter change`, {
+        error: err.message,
+        encounterId: req.params.id
+      });
+      return res.status(500).json({ error: `Failed to ${direction}` });
+    }
+
+    // Log the step instead of the reversed changes, so the log keeps what actually happened at the table
+    const labels = direction === 'undo'
+      ? history.entries.slice(history.position - steps, history.position).reverse()
+      : history.entries.slice(history.position, history.position + steps);
+    const note = `${direction === 'undo' ? 'Undone' : 'Redone'}: ${labels.map(e => e.label).join('; ')}`;
+
+    const updated = await commitEncounter(db, i, next, {
+      recordChange: false,
+      log: { note },
+      revert: { historyIds: labels.map(e => e.id), undone: direction === 'undo' }
+    });
+    res.json(publicEncounter(updated));
+  });
+}
+
+/**
+ * GET /api/encounters/:id/log
+ * Combat log of an encounter (also after combat has finished)
+ * Query: round, combatant (ID or name), format=json|markdown
+ */
+app.get('/api/encounters/:id/log', requireAuth, (req, res) => {
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const enc = db.encounters.find(e => e.id === req.params.id);
+  if (!enc) return res.status(404).json({ error: 'Not found' });
+  // Check ownership
+  if (enc.createdBy !== req.userEmail) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const format = req.query.format || 'json';
+  if (!['json', 'markdown'].includes(format)) {
+    return res.status(400).json({ error: 'format muss "json" oder "markdown" sein' });
+  }
+
+  const entries = filterLog(enc.combatLog, { round: req.query.round, combatant: req.query.combatant });
+
+  if (format === 'markdown') {
+    return res.type('text/markdown').send(formatLogMarkdown(enc, entries));
+  }
+  res.json({ encounterId: enc.id, name: enc.name, entries });
+});
+
+/**
+ * GET /api/encounters/:id/summary
+ * Post-combat summary built from the combat log:
+ * rounds, damage dealt/taken, healing, kills, conditions, death saves, spell slots and XP per PC
+ */
+app.get('/api/encounters/:id/summary', requireAuth, (req, res) => {
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const enc = db.encounters.find(e => e.id === req.params.id);
+  if (!enc) return res.status(404).json({ error: 'Not found' });
+  // Check ownership
+  if (enc.createdBy !== req.userEmail) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  res.json(summarizeCombat(enc));
+});
+
+/**
+ * GET /api/encounters/:id/difficulty
+ * Encounter difficulty for the party (DMG 2014 thresholds with multiplier and DMG 2024 XP budget)
+ * Party levels come from the PCs in the encounter, otherwise from the campaign's characters.
+ * Query (optional): levels=5,5,6 to override the party
+ */
+app.get('/api/encounters/:id/difficulty', requireAuth, (req, res) => {
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const enc = db.encounters.find(e => e.id === req.params.id);
+  if (!enc) return res.status(404).json({ error: 'Not found' });
+  // Check ownership
+  if (enc.createdBy !== req.userEmail) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  let party;
+  if (req.query.levels) {
+    const levels = String(req.query.levels).split(',').map(l => parseInt(l, 10));
+    if (levels.some(l => Number.isNaN(l) || l < 1 || l > 20)) {
+      return res.status(400).json({ error: 'levels muss eine Liste von Stufen zwischen 1 und 20 sein' });
+    }
+    party = { levels, source: 'query', unresolved: [] };
+  } else {
+    const characters = readJSON(PLAYER_CHARACTERS_PATH, []).filter(c => c.createdBy === req.userEmail);
+    const campaign = enc.campaignId
+      ? readJSON(CAMPAIGNS_PATH, []).find(c => c.id === enc.campaignId && c.createdBy === req.userEmail)
+      : null;
+    party = resolvePartyLevels(enc, characters, campaign);
+  }
+
+  const difficulty = calculateDifficulty(party.levels, encounterMonsters(enc));
+  res.json({
+    ...difficulty,
+    party: { ...difficulty.party, source: party.source, unresolved: party.unresolved }
+  });
+});
+
+/**
+ * POST /api/encounters/:id/simulate
+ * Monte Carlo simulation of the encounter against the party (see resolveParty)
+ * Body (optional): { iterations } - number of simulated fights (default 1000, max 2000)
+ * A fight in progress is simulated from its current state: everyone starts with their current HP,
+ * downed PCs keep their death saves, dead monsters and dead PCs are left out.
+ * Returns: win probability, expected PC deaths/downs, expected rounds and HP lost
+ */
+app.post('/api/encounters/:id/simulate', requireAuth, async (req, res) => {
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const enc = db.encounters.find(e => e.id === req.params.id);
+  if (!enc) return res.status(404).json({ error: 'Not found' });
+  // Check ownership
+  if (enc.createdBy !== req.userEmail) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const iterations = parseInt(req.body?.iterations ?? 1000, 10);
+  if (Number.isNaN(iterations) || iterations < 1) {
+    return res.status(400).json({ error: 'iterations muss eine positive Zahl sein' });
+  }
+
+  const characters = readJSON(PLAYER_CHARACTERS_PATH, []).filter(c => c.createdBy === req.userEmail);
+  const campaign = enc.campaignId
+    ? readJSON(CAMPAIGNS_PATH, []).find(c => c.id === enc.campaignId && c.createdBy === req.userEmail)
+    : null;
+  const party = resolveParty(enc, characters, campaign);
+  party.members = party.members.filter(m => !m.isDead && !(m.hp === 0 && m.deathSaves?.failures >= 3));
+  const monsters = encounterMonsters(enc).filter(m => !m.isDead && !(m.hp <= 0));
+
+  if (party.members.length === 0) {
+    return res.status(400).json({ error: 'Keine Spielercharaktere mit Stufe gefunden' });
+  }
+  if (monsters.length === 0) {
+    return res.status(400).json({ error: 'Keine lebenden Monster im Encounter' });
+  }
+
+  try {
+    const started = Date.now();
+    const result = await simulateEncounter(
+      party.members.map(buildPlayerProfile),
+      monsters.map(buildMonsterProfile),
+      { iterations }
+    );
+    logger.info('Encounter simulated', {
+      encounterId: enc.id,
+      iterations: result.iterations,
+      durationMs: Date.now() - started
+    });
+    res.json({ ...result, unresolved: party.unresolved });
+  } catch (err) {
+    logger.error('Encounter simulation failed', { error: err.message, stack: err.stack, encounterId: enc.id });
+    res.status(500).json({ error: 'Simulation fehlgeschlagen' });
+  }
+});
+
+/**
+ * POST /api/encounters/generate
+ * Random encounter generator: balanced monster groups for a party and target difficulty
+ * Body:
+ *   - partyLevels: [5, 5, 6] or campaignId (levels of the campaign's characters)
+ *   - difficulty: easy/medium/hard/deadly (DMG 2014) or low/moderate/high (DMG 2024)
+ *   - environment (optional): 5e.tools environment, e.g. "forest" (see /api/monsters/environments)
+ *   - types, tags, sources (optional): creature type/tag and source filters
+ *   - count (optional): number of suggestions (default 3, max 10)
+ * Uses the user's monster overrides; each group contains the full stat blocks.
+ */
+app.post('/api/encounters/generate', requireAuth, async (req, res) => {
+  const body = req.body || {};
+
+  let partyLevels = body.partyLevels;
+  if (!Array.isArray(partyLevels) && body.campaignId) {
+    const campaign = readJSON(CAMPAIGNS_PATH, []).find(c => c.id === body.campaignId && c.createdBy === req.userEmail);
+    if (!campaign) return res.status(404).json({ error: 'Kampagne nicht gefunden' });
+    const characters = readJSON(PLAYER_CHARACTERS_PATH, []).filter(c => c.createdBy === req.userEmail);
+    partyLevels = resolvePartyLevels({ combatants: {} }, characters, campaign).levels;
+  }
+  if (!Array.isArray(partyLevels)) {
+    return res.status(400).json({ error: 'partyLevels oder campaignId erforderlich' });
+  }
+
+  try {
+    const monsters = await loadMonstersForUser(req.userEmail);
+    if (body.environment) await bestiaryEnvironments.load(BESTIARY_PATH);
+
+    const result = generateEncounterGroups(monsters, {
+      partyLevels,
+      difficulty: body.difficulty,
+      environment: body.environment,
+      types: body.types,
+      tags: body.tags,
+      sources: body.sources,
+      count: body.count
+    }, m => bestiaryEnvironments.lookup(m));
+
+    logger.info('Encounter groups generated', {
+      userEmail: req.userEmail,
+      difficulty: result.target.difficulty,
+      environment: body.environment || null,
+      candidates: result.candidates,
+      groups: result.groups.length
+    });
+    res.json(result);
+  } catch (err) {
+    if (err instanceof GeneratorError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Encounter generation failed', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Encounter-Generierung fehlgeschlagen' });
+  }
 });
 
 app.delete('/api/encounters/:id', requireAuth, async (req, res) => {
@@ -1791,6 +2512,122 @@ app.delete('/api/encounters/:id', requireAuth, async (req, res) => {
   res.status(204).end();
 });
 
+// -------------------- DISPLAY PROFILES --------------------
+// Named player screens ("Table TV", "Stream overlay", ...) with their own permanent token.
+// A profile overrides the layout settings of the encounter for screens opened with its token.
+
+/**
+ * Display profiles of the current user
+ */
+function userDisplayProfiles(store, userEmail) {
+  return store.profiles.filter(p => p.userEmail === userEmail);
+}
+
+/**
+ * Pushes the current encounter again so connected screens pick up changed profile settings
+ */
+function republishLatestEncounter(userEmail) {
+  const latest = findLatestEncounter(userEmail);
+  if (latest) encounterEvents.publish(latest);
+}
+
+function sendDisplayProfileError(res, err, message) {
+  if (err instanceof DisplayProfileError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  logger.error(message, { error: err.message, stack: err.stack });
+  return res.status(500).json({ error: message });
+}
+
+/**
+ * GET /api/display-profiles
+ * Returns: { profiles: [{ id, name, token, settings, ... }], presets: { key: { name, settings } } }
+ */
+app.get('/api/display-profiles', requireAuth, (req, res) => {
+  const store = readJSON(DISPLAY_PROFILES_PATH, { profiles: [] });
+  res.json({
+    profiles: userDisplayProfiles(store, req.userEmail),
+    presets: DISPLAY_PROFILE_PRESETS
+  });
+});
+
+/**
+ * POST /api/display-profiles
+ * Body: { name?, preset?, settings? } - name defaults to the preset name
+ * Returns: the new profile (201)
+ */
+app.post('/api/display-profiles', requireAuth, async (req, res) => {
+  try {
+    const store = readJSON(DISPLAY_PROFILES_PATH, { profiles: [] });
+    const profile = createDisplayProfile(req.userEmail, req.body, userDisplayProfiles(store, req.userEmail));
+    store.profiles.push(profile);
+    await writeJSON(DISPLAY_PROFILES_PATH, store);
+    res.status(201).json(profile);
+  } catch (err) {
+    sendDisplayProfileError(res, err, 'Failed to create display profile');
+  }
+});
+
+/**
+ * PUT /api/display-profiles/:id
+ * Body: { name?, settings? } - settings are merged into the existing ones
+ * Connected screens of this profile update immediately.
+ */
+app.put('/api/display-profiles/:id', requireAuth, async (req, res) => {
+  try {
+    const store = readJSON(DISPLAY_PROFILES_PATH, { profiles: [] });
+    const i = store.profiles.findIndex(p => p.id === req.params.id);
+    if (i === -1) return res.status(404).json({ error: 'Not found' });
+    if (store.profiles[i].userEmail !== req.userEmail) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    store.profiles[i] = updateDisplayProfile(store.profiles[i], req.body);
+    await writeJSON(DISPLAY_PROFILES_PATH, store);
+    republishLatestEncounter(req.userEmail);
+    res.json(store.profiles[i]);
+  } catch (err) {
+    sendDisplayProfileError(res, err, 'Failed to update display profile');
+  }
+});
+
+/**
+ * POST /api/display-profiles/:id/token
+ * Issues a new token - screens using the old one are disconnected
+ */
+app.post('/api/display-profiles/:id/token', requireAuth, async (req, res) => {
+  const store = readJSON(DISPLAY_PROFILES_PATH, { profiles: [] });
+  const profile = store.profiles.find(p => p.id === req.params.id);
+  if (!profile) return res.status(404).json({ error: 'Not found' });
+  if (profile.userEmail !== req.userEmail) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  profile.token = generateDisplayToken();
+  profile.updatedAt = new Date().toISOString();
+  await writeJSON(DISPLAY_PROFILES_PATH, store);
+  encounterEvents.disconnect(`display-profile:${profile.id}`);
+  res.json(profile);
+});
+
+/**
+ * DELETE /api/display-profiles/:id
+ * Removes the profile and disconnects its screens
+ */
+app.delete('/api/display-profiles/:id', requireAuth, async (req, res) => {
+  const store = readJSON(DISPLAY_PROFILES_PATH, { profiles: [] });
+  const profile = store.profiles.find(p => p.id === req.params.id);
+  if (!profile) return res.status(404).json({ error: 'Not found' });
+  if (profile.userEmail !== req.userEmail) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  store.profiles = store.profiles.filter(p => p.id !== profile.id);
+  await writeJSON(DISPLAY_PROFILES_PATH, store);
+  encounterEvents.disconnect(`display-profile:${profile.id}`);
+  res.json({ ok: true });
+});
+
 // -------------------- SHARE CODES FOR MOBILE APP --------------------
 // Share codes allow players to connect to encounters via mobile app
 // Format: 4-digit alphanumeric code (e.g. AB12)
@@ -1853,6 +2690,7 @@ app.post('/api/encounters/:id/share-code', requireAuth, async (req, res) => {
         for (const [code, data] of Object.entries(shareCodes.codes)) {
           if (data.userEmail === req.userEmail) {
             delete shareCodes.codes[code];
+            encounterEvents.disconnect(`share-code:${code}`);
           }
         }
       }
@@ -1949,7 +2787,7 @@ app.get('/api/player-screen/:shareCode', playerScreenLimiter, (req, res) => {
       encounterName: currentEncounter.name
     });
 
-    res.json(currentEncounter);
+    res.json(playerView(currentEncounter));
   } catch (error) {
     logger.error('Error accessing player screen', {
       error: error.message,
@@ -1959,6 +2797,264 @@ app.get('/api/player-screen/:shareCode', playerScreenLimiter, (req, res) => {
   }
 });
 
+/**
+ * GET /api/player-screen/:shareCode/stream
+ * Server-Sent Events stream for the mobile app
+ * Pushes the user's current encounter (snapshot) and subsequent changes (patches)
+ */
+app.get('/api/player-screen/:shareCode/stream', playerScreenLimiter, (req, res) => {
+  const shareCode = req.params.shareCode.toUpperCase();
+  const shareCodes = readJSON(SHARE_CODES_PATH, { codes: {} });
+  const codeData = shareCodes.codes[shareCode];
+
+  if (!codeData) {
+    return res.status(404).json({ error: 'Invalid share code' });
+  }
+
+  if (codeData.expiresAt < Date.now()) {
+    return res.status(410).json({ error: 'Share code expired' });
+  }
+
+  // Revoking or regenerating the code ends the stream, and so does its expiry
+  encounterEvents.subscribe(req, res, {
+    matches: (enc) => enc.createdBy === codeData.userEmail,
+    initial: findLatestEncounter(codeData.userEmail),
+    tag: `share-code:${shareCode}`,
+    expiresAt: codeData.expiresAt
+  });
+});
+
+// -------------------- PLAYER COMPANION --------------------
+// Players claim their own PC via the share code and submit initiative, damage and healing.
+// A claim is a random token (X-Claim-Token header) stored with the share code,
+// so it ends when the DM revokes or regenerates the code.
+
+/**
+ * Validates a share code
+ * Returns { shareCodes, codeData } or { status, error } if the code is unknown or expired
+ */
+function resolveShareCode(code) {
+  const shareCodes = readJSON(SHARE_CODES_PATH, { codes: {} });
+  const codeData = shareCodes.codes[String(code).toUpperCase()];
+
+  if (!codeData) {
+    return { status: 404, error: 'Invalid share code' };
+  }
+  if (codeData.expiresAt < Date.now()) {
+    return { status: 410, error: 'Share code expired' };
+  }
+  return { shareCodes, codeData };
+}
+
+/**
+ * Resolves the claim of a companion request (share code + X-Claim-Token, or ?claim= for event streams)
+ * Returns { codeData, claim } or { status, error }
+ */
+function resolveClaim(req) {
+  const resolved = resolveShareCode(req.params.shareCode);
+  if (resolved.error) return resolved;
+
+  const claim = resolved.codeData.claims?.[req.get('X-Claim-Token') || req.query.claim];
+  if (!claim) {
+    return { status: 401, error: 'Kein Charakter übernommen' };
+  }
+  return { codeData: resolved.codeData, claim };
+}
+
+/**
+ * GET /api/player-screen/:shareCode/characters
+ * Player characters of the current encounter that can be claimed
+ * Returns: { encounterId, characters: [{ id, name, characterId }] }
+ */
+app.get('/api/player-screen/:shareCode/characters', companionLimiter, (req, res) => {
+  const { codeData, status, error } = resolveShareCode(req.params.shareCode);
+  if (error) return res.status(status).json({ error });
+
+  const encounter = findLatestEncounter(codeData.userEmail);
+  if (!encounter) {
+    return res.status(404).json({ error: 'No encounters found for this user' });
+  }
+  res.json({ encounterId: encounter.id, characters: claimableCharacters(encounter) });
+});
+
+/**
+ * POST /api/player-screen/:shareCode/claim
+ * Claim a player character on this device
+ * Body: { combatantId }
+ * Returns: { claimToken, combatantId, name }
+ */
+app.post('/api/player-screen/:shareCode/claim', companionLimiter, async (req, res) => {
+  const { shareCodes, codeData, status, error } = resolveShareCode(req.params.shareCode);
+  if (error) return res.status(status).json({ error });
+
+  const encounter = findLatestEncounter(codeData.userEmail);
+  const character = claimableCharacters(encounter)
+    .find(c => c.id === req.body?.combatantId);
+  if (!character) {
+    return res.status(404).json({ error: 'Charakter nicht gefunden' });
+  }
+
+  const claimToken = crypto.randomBytes(16).toString('hex');
+  codeData.claims = {
+    ...codeData.claims,
+    [claimToken]: {
+      combatantId: character.id,
+      characterId: character.characterId,
+      name: character.name,
+      claimedAt: Date.now()
+    }
+  };
+  await writeJSON(SHARE_CODES_PATH, shareCodes);
+
+  logger.info('Player character claimed via share code', {
+    shareCode: req.params.shareCode.toUpperCase(),
+    userEmail: codeData.userEmail,
+    character: character.name
+  });
+
+  res.status(201).json({ claimToken, combatantId: character.id, name: character.name });
+});
+
+/**
+ * GET /api/player-screen/:shareCode/me
+ * Player view of the current encounter plus the exact stats of the claimed character
+ * Header: X-Claim-Token
+ * Returns: { ...playerView, me, pending }
+ */
+app.get('/api/player-screen/:shareCode/me', companionLimiter, (req, res) => {
+  const { codeData, claim, status, error } = resolveClaim(req);
+  if (error) return res.status(status).json({ error });
+
+  const encounter = findLatestEncounter(codeData.userEmail);
+  if (!encounter) {
+    return res.status(404).json({ error: 'No encounters found for this user' });
+  }
+  res.json(companionView(encounter, claim));
+});
+
+/**
+ * GET /api/player-screen/:shareCode/me/stream?claim=...
+ * Server-Sent Events stream of the companion view (see /me) - snapshot, then patches on every save
+ * The claim token is a query parameter because EventSource can't send headers.
+ */
+app.get('/api/player-screen/:shareCode/me/stream', companionLimiter, (req, res) => {
+  const { codeData, claim, status, error } = resolveClaim(req);
+  if (error) return res.status(status).json({ error });
+
+  encounterEvents.subscribe(req, res, {
+    matches: (enc) => enc.createdBy === codeData.userEmail,
+    initial: findLatestEncounter(codeData.userEmail),
+    project: (enc) => companionView(enc, claim),
+    tag: `share-code:${req.params.shareCode.toUpperCase()}`,
+    expiresAt: codeData.expiresAt
+  });
+});
+
+/**
+ * POST /api/player-screen/:shareCode/submissions
+ * Submit an initiative roll, damage taken or healing received for the claimed character
+ * Applied right away if the DM enabled auto-accept or is collecting initiative, otherwise queued for approval.
+ * Header: X-Claim-Token
+ * Body: { type: 'initiative'|'damage'|'heal', amount }
+ * Returns: { submission, accepted, events }
+ */
+app.post('/api/player-screen/:shareCode/submissions', companionLimiter, async (req, res) => {
+  const { codeData, claim, status, error } = resolveClaim(req);
+  if (error) return res.status(status).json({ error });
+
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const latest = findLatestEncounter(codeData.userEmail);
+  const i = latest ? db.encounters.findIndex(e => e.id === latest.id) : -1;
+  if (i === -1) {
+    return res.status(404).json({ error: 'No encounters found for this user' });
+  }
+
+  const encounter = db.encounters[i];
+  const combatant = findClaimedCombatant(encounter, claim);
+  if (!combatant) {
+    return res.status(404).json({ error: 'Charakter ist nicht in diesem Encounter' });
+  }
+  if (encounter.combatStatus === 'completed') {
+    return res.status(409).json({ error: 'Der Kampf ist bereits beendet' });
+  }
+
+  try {
+    const submission = createSubmission(combatant, req.body);
+    // The DM asked for initiative rolls - no extra approval needed
+    const collecting = submission.type === 'initiative' && isCollectingInitiative(encounter, combatant.id);
+
+    if (collecting || encounter.playerScreenSettings?.autoAcceptSubmissions) {
+      const action = submissionAction(submission, encounter);
+      const result = applyActions(encounter, [action]);
+      await commitEncounter(db, i, result.encounter, {
+        log: { actions: [action], events: result.events }
+      });
+      logger.info('Player submission applied', { encounterId: encounter.id, ...submission });
+      return res.status(201).json({ submission, accepted: true, events: result.events });
+    }
+
+    const next = {
+      ...encounter,
+      playerSubmissions: addSubmission(encounter.playerSubmissions, submission)
+    };
+    await commitEncounter(db, i, next, { recordChange: false });
+    logger.info('Player submission queued', { encounterId: encounter.id, ...submission });
+    res.status(201).json({ submission, accepted: false, events: [] });
+  } catch (err) {
+    if (err instanceof CombatActionError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Failed to handle player submission', {
+      error: err.message,
+      encounterId: encounter.id
+    });
+    res.status(500).json({ error: 'Failed to submit' });
+  }
+});
+
+// Pending submissions of an encounter plus its revision (DM submissions panel)
+function submissionsView(enc) {
+  return { id: enc.id, revision: enc.revision || 0, submissions: enc.playerSubmissions || [] };
+}
+
+/**
+ * GET /api/encounters/:id/submissions
+ * Pending player submissions of an encounter (DM only)
+ * The revision lets the DM view notice auto-accepted submissions and reload.
+ * Returns: { revision, submissions }
+ */
+app.get('/api/encounters/:id/submissions', requireAuth, (req, res) => {
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const enc = db.encounters.find(e => e.id === req.params.id);
+  if (!enc) return res.status(404).json({ error: 'Not found' });
+  // Check ownership
+  if (enc.createdBy !== req.userEmail) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  res.json(submissionsView(enc));
+});
+
+/**
+ * GET /api/encounters/:id/submissions/stream
+ * Server-Sent Events stream of the pending submissions (DM only), pushed on every save
+ * Same data as GET /submissions: snapshot, then patches of { revision, submissions }
+ */
+app.get('/api/encounters/:id/submissions/stream', requireAuth, (req, res) => {
+  const db = readJSON(ENCOUNTERS_PATH, { encounters: [] });
+  const enc = db.encounters.find(e => e.id === req.params.id);
+  if (!enc) return res.status(404).json({ error: 'Not found' });
+  // Check ownership
+  if (enc.createdBy !== req.userEmail) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  encounterEvents.subscribe(req, res, {
+    matches: (updated) => updated.id === enc.id,
+    initial: enc,
+    project: submissionsView
+  });
+});
+
 /**
  * DELETE /api/encounters/:id/share-code
  * Revoke/delete share code for the user (not encounter-specific)
@@ -1972,6 +3068,7 @@ app.delete('/api/encounters/:id/share-code', requireAuth, async (req, res) => {
     for (const [code, data] of Object.entries(shareCodes.codes)) {
       if (data.userEmail === req.userEmail) {
         delete shareCodes.codes[code];
+        encounterEvents.disconnect(`share-code:${code}`);
         deleted = true;
       }
     }
@@ -2008,6 +3105,7 @@ app.post('/api/import/encounter', requireAuth, async (req, res) => {
     createdBy: req.userEmail,
     createdAt: now,
     updatedAt: now,
+    revision: 1,
   };
   db.encounters.push(enc);
   await writeJSON(ENCOUNTERS_PATH, db);
@@ -2022,7 +3120,7 @@ app.get('/api/export/encounter/:id', requireAuth, (req, res) => {
   if (enc.createdBy !== req.userEmail) {
     return res.status(403).json({ error: 'Forbidden' });
   }
-  res.json(enc);
+  res.json(publicEncounter(enc));
 });
 
 const PORT = process.env.PORT || 4000;
@@ -0,0 +1,99 @@
+/**
+ * Bestiary Environments
+ * Index der 5e.tools-Umgebungen (arctic, forest, underdark, ...) pro Monster.
+ * Die kompakten Creature-Daten enthalten keine Umgebungen, daher werden sie
+ * einmalig aus den Bestiary-Dateien (bestiary-*.json) gelesen und gecacht.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+
+function key(name, source) {
+  return `${String(name).toLowerCase()}|${String(source || '').toLowerCase()}`;
+}
+
+export class BestiaryEnvironmentIndex {
+  constructor() {
+    this.byKey = null;
+    this.byName = null;
+    this.loading = null;
+  }
+
+  /**
+   * Lädt alle Bestiary-Dateien eines Verzeichnisses (nur einmal, dann gecacht)
+   * @param {string} dir - Verzeichnis mit bestiary-*.json
+   */
+  async load(dir) {
+    if (this.byKey) return this;
+    if (!this.loading) {
+      this.loading = this.build(dir).finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+    return this;
+  }
+
+  async build(dir) {
+    const byKey = new Map();
+    const byName = new Map();
+    const copies = [];
+
+    let files = [];
+    try {
+      files = (await readdir(dir)).filter(f => /^bestiary-.*\.json$/.test(f));
+    } catch {
+      // No 5e.tools sources available - index stays empty
+    }
+
+    for (const file of files) {
+      // One broken file must not take the search down - skip it and keep the others
+      let data;
+      try {
+        data = JSON.parse(await readFile(join(dir, file), 'utf8'));
+      } catch (error) {
+        console.warn(`Bestiary-Datei ${file} übersprungen: ${error.message}`);
+        continue;
+      }
+      for (const monster of data.monster || []) {
+        if (Array.isArray(monster.environment)) {
+          byKey.set(key(monster.name, monster.source), monster.environment);
+          if (!byName.has(monster.name.toLowerCase())) byName.set(monster.name.toLowerCase(), monster.environment);
+        } else if (monster._copy) {
+          copies.push(monster);
+        }
+      }
+    }
+
+    // Copies ("_copy") inherit the environment of their original
+    for (const monster of copies) {
+      const environment = byKey.get(key(monster._copy.name, monster._copy.source));
+      if (environment) byKey.set(key(monster.name, monster.source), environment);
+    }
+
+    this.byKey = byKey;
+    this.byName = byName;
+  }
+
+  /**
+   * Umgebungen eines Monsters (eigenes "environment"-Feld hat Vorrang)
+   * @returns {Array<string>}
+   */
+  lookup(monster) {
+    if (Array.isArray(monster.environment)) return monster.environment;
+    if (!this.byKey) return [];
+    const source = monster.meta?.source || monster.source;
+    return this.byKey.get(key(monster.name, source)) ||
+      this.byName.get(String(monster.name).toLowerCase()) ||
+      [];
+  }
+
+  /**
+   * Alle bekannten Umgebungen (sortiert)
+   */
+  environments() {
+    const all = new Set();
+    for (const list of this.byKey?.values() || []) list.forEach(e => all.add(e));
+    return [...all].sort();
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Challenge Rating Helpers
+ * CR-Werte normalisieren und in Erfahrungspunkte umrechnen (DMG / Monster Manual)
+ */
+
+// XP pro CR (DMG 2014 S. 275, identisch mit 2024)
+const XP_BY_CR = {
+  0: 10, 0.125: 25, 0.25: 50, 0.5: 100,
+  1: 200, 2: 450, 3: 700, 4: 1100, 5: 1800, 6: 2300, 7: 2900, 8: 3900, 9: 5000, 10: 5900,
+  11: 7200, 12: 8400, 13: 10000, 14: 11500, 15: 13000, 16: 15000, 17: 18000, 18: 20000,
+  19: 22000, 20: 25000, 21: 33000, 22: 41000, 23: 50000, 24: 62000, 25: 75000, 26: 90000,
+  27: 105000, 28: 120000, 29: 135000, 30: 155000
+};
+
+/**
+ * Wandelt einen CR-Wert in eine Zahl um
+ * Akzeptiert Zahlen, Strings ("1/4", "5") und 5e.tools-Objekte ({ cr: "10", lair: "11" })
+ * @returns {number|null} - null, wenn kein CR angegeben ist
+ */
+export function parseCR(cr) {
+  if (cr === null || cr === undefined || cr === '') return null;
+  if (typeof cr === 'object') return parseCR(cr.cr);
+  if (typeof cr === 'number') return Number.isFinite(cr) ? cr : null;
+
+  const str = String(cr).trim();
+  const fraction = str.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fraction) return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+
+  const value = parseFloat(str);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Erfahrungspunkte für einen CR (0 bei unbekanntem CR)
+ */
+export function xpForCR(cr) {
+  const value = parseCR(cr);
+  if (value === null) return 0;
+  return XP_BY_CR[value] ?? 0;
+}
+
+/**
+ * Erfahrungspunkte für einen Combatant
+ * Ein gesetztes "xp"-Feld (z.B. Homebrew) hat Vorrang vor dem CR
+ */
+export function xpForCombatant(combatant) {
+  if (typeof combatant.xp === 'number') return combatant.xp;
+  return xpForCR(combatant.cr);
+}
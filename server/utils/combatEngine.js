@@ -0,0 +1,1117 @@
+/**
+ * Combat Engine
+ * Serverseitige Kampfregeln für Encounter (Schaden, Heilung, Züge, Death Saves, Recharge)
+ * Alle Clients (Web-App, Mobile-App, Skripte) schicken typisierte Actions statt ganzer Encounter.
+ */
+
+import { randomInt, randomUUID } from 'crypto';
+import { isPlayerCharacter, isPlayerSide, saveBonus } from '../../shared/combatants.js';
+import { saveAdjustment, RULE_EDITIONS, DEFAULT_CONDITION_RULES } from '../../shared/conditionRules.js';
+
+/**
+ * Fehler für ungültige Actions (wird vom Server als HTTP-Fehler zurückgegeben)
+ */
+export class CombatActionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CombatActionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Standardregeln (entsprechen den Defaults der Client-Einstellungen)
+ */
+export const DEFAULT_RULES = {
+  deathSavesForPCsOnly: false,
+  autoRollConcentrationNPCs: true,
+  autoRollEffectSavesNPCs: true
+};
+
+function rollDie(sides) {
+  return randomInt(1, sides + 1);
+}
+
+/**
+ * Automatischer Rettungswurf eines NPCs - Conditions, Exhaustion und Homebrew-Effekte
+ * wie im Client (shared/conditionRules.js), Magic Resistance nur gegen magische Effekte
+ * @returns {{ rolls, roll, modifier, total, rollMode, reasons, autoFail, passed }}
+ */
+function rollSave(combatant, ability, baseModifier, dc, { magical }, ctx) {
+  const conditionRules = { customConditions: ctx.customConditions, edition: ctx.rules.edition };
+  const { rollMode, modifier: penalty, autoFail, reasons } = saveAdjustment(combatant, ability, { magical }, conditionRules);
+  const rolls = rollMode === 'normal' ? [rollDie(20)] : [rollDie(20), rollDie(20)];
+  const roll = rollMode === 'disadvantage' ? Math.min(...rolls) : Math.max(...rolls);
+  const modifier = baseModifier + penalty;
+  const total = roll + modifier;
+  return { rolls, roll, modifier, total, rollMode, reasons, autoFail, passed: !autoFail && total >= dc };
+}
+
+/**
+ * Liest die Recharge-Schwelle aus einem Action-Namen ({@recharge 5} -> 5, {@recharge} -> 5)
+ */
+export function parseRecharge(actionName) {
+  if (!actionName) return null;
+  const withNumber = actionName.match(/\{@recharge (\d+)\}/i);
+  if (withNumber) {
+    return {
+      name: actionName.replace(/\{@recharge \d+\}/i, '').trim(),
+      trigger: parseInt(withNumber[1])
+    };
+  }
+  if (/\{@recharge\}/i.test(actionName)) {
+    return {
+      name: actionName.replace(/\{@recharge\}/i, '').trim(),
+      trigger: 5
+    };
+  }
+  return null;
+}
+
+/**
+ * Homebrew-Conditions des Combatants, die seinen Zug überspringen ("skipTurn")
+ * @param {Object} combatant
+ * @param {Array<Object>} customConditions - Homebrew-Conditions des DMs (siehe customConditions.js)
+ * @returns {Array<string>} - Namen der Conditions
+ */
+export function turnSkippingConditions(combatant, customConditions = []) {
+  const active = (combatant.conditions || []).map(c => String(c).toLowerCase());
+  return customConditions
+    .filter(condition => condition.effects?.skipTurn && active.includes(condition.name.toLowerCase()))
+    .map(condition => condition.name);
+}
+
+function effectiveMaxHP(combatant) {
+  return (combatant.baseHP || 0) + (combatant.maxHPModifier || 0);
+}
+
+// Heilung und gesetzte HP enden beim (effektiven) Maximum - ohne bekanntes Maximum gibt es keine Grenze
+function capHP(combatant, hp) {
+  const maxHP = effectiveMaxHP(combatant);
+  return maxHP > 0 ? Math.min(maxHP, hp) : hp;
+}
+
+// -------------------- VALIDATION HELPERS --------------------
+
+function requireCombatant(enc, action) {
+  if (!action.target) {
+    throw new CombatActionError(`Action "${action.type}" benötigt ein "target"`);
+  }
+  const combatant = enc.combatants[action.target];
+  if (!combatant) {
+    throw new CombatActionError(`Combatant "${action.target}" nicht gefunden`, 404);
+  }
+  return combatant;
+}
+
+function requireAmount(action, field = 'amount') {
+  const value = action[field];
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new CombatActionError(`Action "${action.type}" benötigt "${field}" als nicht-negative Zahl`);
+  }
+  return Math.floor(value);
+}
+
+function requireCondition(action) {
+  if (typeof action.condition !== 'string' || !action.condition.trim()) {
+    throw new CombatActionError(`Action "${action.type}" benötigt "condition"`);
+  }
+  return action.condition.trim();
+}
+
+// -------------------- COMBATANT UPDATES --------------------
+
+/**
+ * Wendet einen Patch auf einen Combatant an und prüft dabei Concentration und Bloodied
+ * Entspricht updateCombatant im Client für HP-Änderungen
+ */
+function patchCombatant(enc, id, patch, ctx) {
+  const combatant = enc.combatants[id];
+  const oldHP = combatant.hp ?? 0;
+  const oldTempHP = combatant.tempHP || 0;
+  const newHP = patch.hp !== undefined ? patch.hp : oldHP;
+  const newTempHP = patch.tempHP !== undefined ? patch.tempHP : oldTempHP;
+
+  // Concentration check when HP or temp HP decreases
+  if (combatant.concentration && (newHP < oldHP || newTempHP < oldTempHP)) {
+    const hpDamage = oldHP - newHP;
+    const tempHPDamage = oldTempHP - newTempHP;
+    const damage = Math.max(hpDamage, tempHPDamage, hpDamage + tempHPDamage);
+    const dc = Math.max(10, Math.floor(damage / 2));
+    const modifier = combatant.concentrationMod || 0;
+
+    if (isPlayerSide(combatant)) {
+      // PCs and sidekicks roll themselves - the DM decides
+      ctx.events.push({
+        type: 'concentration',
+        combatantId: id,
+        name: combatant.name,
+        roll: null,
+        modifier,
+        total: null,
+        dc,
+        passed: null,
+        isPlayerCharacter: true
+      });
+    } else if (ctx.rules.autoRollConcentrationNPCs) {
+      const save = rollSave(combatant, 'con', modifier, dc, { magical: false }, ctx);
+      ctx.events.push({
+        type: 'concentration',
+        combatantId: id,
+        name: combatant.name,
+        ...save,
+        dc
+      });
+      if (!save.passed) {
+        patch = { ...patch, concentration: false };
+      }
+    }
+  }
+
+  enc.combatants[id] = { ...combatant, ...patch };
+
+  // Effects held by concentration end with it
+  if (combatant.concentration && !enc.combatants[id].concentration) {
+    ctx.events.push(...endConcentrationEffects(enc, id));
+  }
+
+  // Bloodied when dropping below 50% (but not to 0)
+  const maxHP = effectiveMaxHP(enc.combatants[id]);
+  if (maxHP > 0) {
+    const wasBloodied = (oldHP / maxHP) * 100 < 50;
+    const newPercent = (newHP / maxHP) * 100;
+    if (!wasBloodied && newPercent < 50 && newPercent > 0) {
+      ctx.events.push({ type: 'bloodied', combatantId: id, name: combatant.name });
+    }
+  }
+}
+
+/**
+ * Status-Updates, wenn ein Combatant auf 0 HP fällt
+ */
+function dropToZero(combatant, rules) {
+  if (rules.deathSavesForPCsOnly && !isPlayerCharacter(combatant)) {
+    return { isDead: true, isDying: false, isStable: false };
+  }
+  if (!combatant.isStable && !combatant.isDead) {
+    return { isDying: true };
+  }
+  return {};
+}
+
+/**
+ * Status-Updates, wenn ein Combatant wieder über 0 HP kommt
+ */
+function recoverFromZero(combatant) {
+  const updates = { deathSaves: { successes: 0, failures: 0 } };
+  if (combatant.isDying) updates.isDying = false;
+  if (combatant.isStable) updates.isStable = false;
+  if (combatant.isDead) updates.isDead = false;
+  return updates;
+}
+
+// -------------------- ACTION HANDLERS --------------------
+
+/**
+ * Schaden - Temp HP werden immer zuerst abgezogen
+ * Optional "damageType" und "source" (Combatant-ID) landen nur im Combat Log
+ */
+function damage(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  const amount = requireAmount(action);
+  const currentHP = combatant.hp ?? 0;
+  const currentTempHP = combatant.tempHP || 0;
+
+  const absorbed = Math.min(currentTempHP, amount);
+  const remaining = amount - absorbed;
+  const updates = {};
+
+  if (currentTempHP > 0) {
+    updates.tempHP = currentTempHP - absorbed;
+  }
+  if (remaining > 0 || currentTempHP === 0) {
+    updates.hp = Math.max(0, currentHP - remaining);
+    if (updates.hp === 0) {
+      Object.assign(updates, dropToZero(combatant, ctx.rules));
+    }
+  }
+
+  patchCombatant(enc, action.target, updates, ctx);
+}
+
+/**
+ * Heilung - betrifft nur normale HP
+ */
+function heal(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  const amount = requireAmount(action);
+  const hp = capHP(combatant, (combatant.hp ?? 0) + amount);
+  const updates = { hp };
+
+  if (hp > 0) {
+    Object.assign(updates, recoverFromZero(combatant));
+  }
+
+  patchCombatant(enc, action.target, updates, ctx);
+}
+
+/**
+ * HP direkt setzen (Temp HP bleiben unberührt)
+ */
+function setHP(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  const hp = capHP(combatant, requireAmount(action, 'hp'));
+  const updates = { hp };
+
+  if (hp > 0) {
+    Object.assign(updates, recoverFromZero(combatant));
+  } else {
+    Object.assign(updates, dropToZero(combatant, ctx.rules));
+  }
+
+  patchCombatant(enc, action.target, updates, ctx);
+}
+
+function setTempHP(enc, action, ctx) {
+  requireCombatant(enc, action);
+  patchCombatant(enc, action.target, { tempHP: requireAmount(action) }, ctx);
+}
+
+/**
+ * Death Save - optional mit vorgegebenem Wurf (z.B. physische Würfel)
+ */
+function deathSave(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  if ((combatant.hp ?? 0) > 0 || combatant.isDead) {
+    throw new CombatActionError(`${combatant.name} macht keine Death Saves`, 409);
+  }
+
+  let roll;
+  if (action.roll !== undefined) {
+    roll = requireAmount(action, 'roll');
+    if (roll < 1 || roll > 20) {
+      throw new CombatActionError('"roll" muss zwischen 1 und 20 liegen');
+    }
+  } else {
+    roll = rollDie(20);
+  }
+
+  const deathSaves = { successes: 0, failures: 0, ...combatant.deathSaves };
+  let updates;
+  let passed;
+
+  if (roll === 20) {
+    // Nat 20: regain 1 HP
+    updates = {
+      hp: 1,
+      deathSaves: { successes: 0, failures: 0 },
+      isStable: false,
+      isDying: false,
+      isDead: false
+    };
+    passed = true;
+  } else if (roll >= 10) {
+    deathSaves.successes++;
+    passed = true;
+    updates = deathSaves.successes >= 3
+      ? { deathSaves: { successes: 0, failures: 0 }, isStable: true, isDying: false, isDead: false }
+      : { deathSaves, isDying: true };
+  } else {
+    // Nat 1 counts as two failures
+    deathSaves.failures = Math.min(3, deathSaves.failures + (roll === 1 ? 2 : 1));
+    passed = false;
+    updates = deathSaves.failures >= 3
+      ? { deathSaves, isDead: true, isDying: false, isStable: false }
+      : { deathSaves, isDying: true };
+  }
+
+  patchCombatant(enc, action.target, updates, ctx);
+  ctx.events.push({
+    type: 'deathSave',
+    combatantId: action.target,
+    name: combatant.name,
+    roll,
+    total: roll,
+    passed,
+    critical: roll === 20 || roll === 1
+  });
+}
+
+/**
+ * Rollt Recharge für alle verbrauchten Recharge-Actions des Combatants
+ */
+function rollRecharges(enc, id, ctx) {
+  const combatant = enc.combatants[id];
+  if (!combatant || !Array.isArray(combatant.actions)) return;
+
+  const rechargeAbilities = { ...combatant.rechargeAbilities };
+  let rolled = false;
+
+  combatant.actions.forEach((action, idx) => {
+    const recharge = parseRecharge(action.n || action.name || '');
+    if (!recharge) return;
+
+    const rechargeKey = `recharge_action_${idx}`;
+    if (rechargeAbilities[rechargeKey] ?? true) return; // still available
+
+    const roll = rollDie(6);
+    const success = roll >= recharge.trigger;
+    rechargeAbilities[rechargeKey] = success;
+    rolled = true;
+
+    ctx.events.push({
+      type: 'recharge',
+      combatantId: id,
+      name: combatant.name,
+      actionName: recharge.name,
+      roll,
+      trigger: recharge.trigger,
+      success
+    });
+  });
+
+  if (rolled) {
+    enc.combatants[id] = { ...combatant, rechargeAbilities };
+  }
+}
+
+/**
+ * Nächster Zug - überspringt tote Combatants, setzt Legendary Actions und Reaktionen zurück,
+ * zählt Effekte am Zugende des alten und am Zugbeginn des neuen Combatants herunter
+ */
+function nextTurn(enc, action, ctx) {
+  const order = enc.initiativeOrder || [];
+  const count = order.length;
+  if (!count) {
+    throw new CombatActionError('Keine Combatants in der Initiative');
+  }
+
+  let round = enc.round || 1;
+  let turnIndex = enc.turnIndex || 0;
+  let attempts = 0;
+  let newRound = false;
+
+  const endingId = order[turnIndex];
+  if (typeof endingId === 'string' && enc.combatants[endingId]) {
+    tickEffects(enc, endingId, 'end', ctx);
+  }
+
+  do {
+    turnIndex = (turnIndex + 1) % count;
+    attempts++;
+    if (turnIndex === 0) {
+      round += 1;
+      newRound = true;
+    }
+    const next = enc.combatants[order[turnIndex]];
+    if (next?.isDead) continue;
+    // Homebrew conditions like "Banished" skip the turn - same as dead combatants, nothing ticks
+    const skippedBy = next ? turnSkippingConditions(next, ctx.customConditions) : [];
+    if (skippedBy.length === 0) break;
+    ctx.events.push({ type: 'turnSkipped', combatantId: order[turnIndex], name: next.name, conditions: skippedBy });
+  } while (attempts < count);
+
+  // Reset legendary actions at the top of each round
+  if (newRound) {
+    for (const [id, combatant] of Object.entries(enc.combatants)) {
+      let updated = combatant;
+      if (combatant.legendary?.actions?.length > 0) {
+        updated = { ...updated, legendaryActionsRemaining: 3 };
+      }
+      if (combatant.legendaryPointsMax > 0) {
+        updated = { ...updated, legendaryPoints: combatant.legendaryPointsMax };
+      }
+      enc.combatants[id] = updated;
+    }
+  }
+
+  const activeId = order[turnIndex];
+  if (typeof activeId === 'string' && enc.combatants[activeId]) {
+    enc.combatants[activeId] = { ...enc.combatants[activeId], reactionUsed: false };
+    rollRecharges(enc, activeId, ctx);
+    tickEffects(enc, activeId, 'start', ctx);
+  }
+
+  enc.round = round;
+  enc.turnIndex = turnIndex;
+  ctx.events.push({ type: 'turn', round, turnIndex, combatantId: typeof activeId === 'string' ? activeId : null });
+}
+
+function prevTurn(enc, action, ctx) {
+  const count = (enc.initiativeOrder || []).length;
+  if (!count) {
+    throw new CombatActionError('Keine Combatants in der Initiative');
+  }
+
+  let round = enc.round || 1;
+  let turnIndex = ((enc.turnIndex || 0) - 1 + count) % count;
+  if (turnIndex === count - 1) round = Math.max(1, round - 1);
+
+  enc.round = round;
+  enc.turnIndex = turnIndex;
+  const activeId = enc.initiativeOrder[turnIndex];
+  ctx.events.push({ type: 'turn', round, turnIndex, combatantId: typeof activeId === 'string' ? activeId : null });
+}
+
+function addCondition(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  const condition = requireCondition(action);
+  const conditions = combatant.conditions || [];
+  if (conditions.some(c => c.toLowerCase() === condition.toLowerCase())) return;
+  patchCombatant(enc, action.target, { conditions: [...conditions, condition] }, ctx);
+}
+
+function removeCondition(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  const condition = requireCondition(action).toLowerCase();
+  const conditions = (combatant.conditions || []).filter(c => c.toLowerCase() !== condition);
+  patchCombatant(enc, action.target, { conditions }, ctx);
+}
+
+/**
+ * Erschöpfungsstufe 0-6 setzen - Stufe 6 ist nach beiden Regelversionen (2014/2024) der Tod
+ */
+function setExhaustion(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  const level = requireAmount(action, 'level');
+  if (level > 6) {
+    throw new CombatActionError('Erschöpfung geht nur bis Stufe 6');
+  }
+  const updates = { exhaustion: level };
+  if (level === 6 && !combatant.isDead) {
+    Object.assign(updates, { isDead: true, isDying: false, isStable: false });
+  }
+  patchCombatant(enc, action.target, updates, ctx);
+}
+
+function useReaction(enc, action, ctx) {
+  requireCombatant(enc, action);
+  patchCombatant(enc, action.target, { reactionUsed: action.used !== false }, ctx);
+}
+
+function useLegendaryAction(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  const cost = action.cost === undefined ? 1 : requireAmount(action, 'cost');
+  const remaining = combatant.legendaryActionsRemaining ?? 3;
+  if (cost > remaining) {
+    throw new CombatActionError(`${combatant.name} hat nur noch ${remaining} Legendary Actions`, 409);
+  }
+  patchCombatant(enc, action.target, { legendaryActionsRemaining: remaining - cost }, ctx);
+}
+
+function patchInitiative(enc, action, ctx) {
+  requireCombatant(enc, action);
+  const initiative = action.initiative;
+  if (typeof initiative !== 'number' || !Number.isFinite(initiative)) {
+    throw new CombatActionError(`Action "${action.type}" benötigt "initiative" als Zahl`);
+  }
+  patchCombatant(enc, action.target, { initiative: Math.floor(initiative) }, ctx);
+}
+
+/**
+ * Initiative setzen (z.B. vom Spieler gewürfelt) - steht die Reihenfolge schon, wird sie neu sortiert
+ * und der aktive Combatant bleibt am Zug; Sidekicks ziehen mit
+ */
+function setInitiative(enc, action, ctx) {
+  patchInitiative(enc, action, ctx);
+  if (enc.initiativeOrder?.length) {
+    sortInitiativeOrder(enc, { keepTurn: true });
+  } else {
+    syncSidekickInitiative(enc);
+  }
+}
+
+// -------------------- INITIATIVE COLLECTION --------------------
+
+/**
+ * Wartet der Encounter noch auf die Initiative dieses Combatants?
+ */
+export function isCollectingInitiative(enc, id) {
+  return Boolean(enc.initiativeCollection?.combatantIds?.includes(id));
+}
+
+/**
+ * Sidekicks übernehmen die Initiative ihres Spielers (knapp dahinter)
+ */
+function syncSidekickInitiative(enc) {
+  for (const [id, combatant] of Object.entries(enc.combatants)) {
+    const owner = combatant.sidekickOf && enc.combatants[combatant.sidekickOf];
+    if (owner && owner.initiative !== undefined) {
+      enc.combatants[id] = {
+        ...combatant,
+        initiative: owner.initiative,
+        initiativeTieBreaker: (owner.initiativeTieBreaker || 0) - 0.5
+      };
+    }
+  }
+}
+
+/**
+ * Sortiert die Initiative neu: Sidekicks übernehmen die Initiative ihres Spielers (knapp dahinter),
+ * vorhandene Lair-Marker verlieren Gleichstände. Entspricht rollInitiative/updateCombatant im Client.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepTurn] - Der aktive Eintrag bleibt am Zug (sonst beginnt die Reihenfolge von vorn)
+ */
+function sortInitiativeOrder(enc, { keepTurn = false } = {}) {
+  const active = keepTurn ? enc.initiativeOrder?.[enc.turnIndex || 0] : undefined;
+  syncSidekickInitiative(enc);
+
+  const sorted = Object.values(enc.combatants).sort((a, b) => {
+    const initDiff = (b.initiative ?? 0) - (a.initiative ?? 0);
+    if (initDiff !== 0) return initDiff;
+    return (b.initiativeTieBreaker ?? 0) - (a.initiativeTieBreaker ?? 0);
+  });
+
+  const lairMarkers = (enc.initiativeOrder || []).filter(entry => typeof entry === 'object' && entry?.type === 'lair');
+  const order = [];
+  for (const combatant of sorted) {
+    lairMarkers
+      .filter(marker => !order.includes(marker) && (combatant.initiative ?? 0) < marker.initiative)
+      .forEach(marker => order.push(marker));
+    order.push(combatant.id);
+  }
+  lairMarkers.filter(marker => !order.includes(marker)).forEach(marker => order.push(marker));
+
+  enc.initiativeOrder = order;
+  enc.turnIndex = Math.max(0, order.indexOf(active));
+}
+
+/**
+ * Beendet die Initiative-Sammlung und legt die Reihenfolge fest
+ * (auch wenn noch nicht alle Spieler gewürfelt haben - fehlende behalten ihren alten Wert)
+ */
+function finalizeInitiative(enc, action, ctx) {
+  const collection = enc.initiativeCollection;
+  if (!collection) {
+    throw new CombatActionError('Es wird gerade keine Initiative gesammelt', 409);
+  }
+  const missing = collection.combatantIds.filter(id => collection.received?.[id] === undefined);
+
+  sortInitiativeOrder(enc);
+  delete enc.initiativeCollection;
+  ctx.events.push({
+    type: 'initiativeFinalized',
+    missing: missing.map(id => enc.combatants[id]?.name).filter(Boolean)
+  });
+}
+
+/**
+ * Initiative eines Spielers während der Sammlung - sobald alle da sind, steht die Reihenfolge
+ */
+function submitInitiative(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  if (!isCollectingInitiative(enc, action.target)) {
+    throw new CombatActionError(`Für ${combatant.name} wird keine Initiative gesammelt`, 409);
+  }
+  patchInitiative(enc, action, ctx);
+
+  const collection = enc.initiativeCollection;
+  const received = { ...collection.received, [action.target]: enc.combatants[action.target].initiative };
+  enc.initiativeCollection = { ...collection, received };
+  ctx.events.push({
+    type: 'initiativeSubmitted',
+    combatantId: action.target,
+    name: combatant.name,
+    initiative: received[action.target]
+  });
+
+  if (collection.combatantIds.every(id => received[id] !== undefined)) {
+    finalizeInitiative(enc, action, ctx);
+  }
+}
+
+/**
+ * Action zu einer Spieler-Eingabe (siehe playerCompanion.js)
+ * Während einer Initiative-Sammlung zählt eine Initiative direkt als Wurf für die Sammlung.
+ */
+export function submissionAction(submission, enc = {}) {
+  if (submission.type === 'initiative') {
+    const type = isCollectingInitiative(enc, submission.combatantId) ? 'submitInitiative' : 'setInitiative';
+    return { type, target: submission.combatantId, initiative: submission.amount };
+  }
+  return { type: submission.type, target: submission.combatantId, amount: submission.amount };
+}
+
+/**
+ * Offene Spieler-Eingabe übernehmen ("accept": true) oder verwerfen
+ */
+function resolveSubmission(enc, action, ctx) {
+  const submissions = enc.playerSubmissions || [];
+  const submission = submissions.find(s => s.id === action.submissionId);
+  if (!submission) {
+    throw new CombatActionError(`Eingabe "${action.submissionId}" nicht gefunden`, 404);
+  }
+
+  const accepted = action.accept !== false;
+  if (accepted) {
+    const applied = submissionAction(submission, enc);
+    ACTION_HANDLERS[applied.type](enc, applied, ctx);
+  }
+  enc.playerSubmissions = submissions.filter(s => s.id !== submission.id);
+  ctx.events.push({
+    type: 'submission',
+    combatantId: submission.combatantId,
+    name: submission.name,
+    submissionType: submission.type,
+    amount: submission.amount,
+    accepted
+  });
+}
+
+// -------------------- EFFECTS --------------------
+// Zeitlich begrenzte Effekte auf einem Combatant ("Hold Person, 10 Runden, WIS-Save DC 15 am Zugende",
+// "Bless, Concentration des Clerics, 1 Minute"). Gespeichert in "combatant.effects":
+// { id, name, sourceId, concentration, rounds, endsOn, save: { ability, dc, timing }, condition, grantedCondition, magical }
+// Die Dauer zählt bei jedem Zugbeginn bzw. -ende ("endsOn") der Quelle herunter - ohne Quelle beim Ziel,
+// ebenso wenn die Quelle tot ist oder ihre Züge überspringt (sonst liefe der Effekt nie ab).
+// "grantedCondition": der Effekt hat die Condition gesetzt und entfernt sie wieder - hatte das Ziel sie schon, bleibt sie.
+// Saves am Zugbeginn/-ende des Ziels würfelt der Server für NPCs selbst (Regel autoRollEffectSavesNPCs),
+// PCs und Sidekicks würfeln selbst - dann wird der Save nur angefordert.
+
+export const EFFECT_TIMINGS = ['start', 'end'];
+export const SAVE_ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+const MAX_EFFECT_NAME_LENGTH = 80;
+const MAX_EFFECT_ROUNDS = 1000;
+
+function requireEffectTiming(value, field, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (!EFFECT_TIMINGS.includes(value)) {
+    throw new CombatActionError(`"${field}" muss einer von ${EFFECT_TIMINGS.join(', ')} sein`);
+  }
+  return value;
+}
+
+/**
+ * Prüft einen neuen Effekt aus einer addEffect-Action
+ */
+function normalizeEffect(enc, input) {
+  if (!input || typeof input !== 'object') {
+    throw new CombatActionError('Action "addEffect" benötigt "effect"');
+  }
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    throw new CombatActionError('Effekt benötigt einen "name"');
+  }
+
+  const sourceId = input.sourceId || null;
+  if (sourceId && !enc.combatants[sourceId]) {
+    throw new CombatActionError(`Quelle "${sourceId}" nicht gefunden`, 404);
+  }
+  const concentration = Boolean(input.concentration);
+  if (concentration && !sourceId) {
+    throw new CombatActionError('Ein Concentration-Effekt benötigt eine "sourceId"');
+  }
+
+  let rounds = null;
+  if (input.rounds !== undefined && input.rounds !== null) {
+    if (!Number.isInteger(input.rounds) || input.rounds < 1 || input.rounds > MAX_EFFECT_ROUNDS) {
+      throw new CombatActionError(`"rounds" muss eine ganze Zahl zwischen 1 und ${MAX_EFFECT_ROUNDS} sein`);
+    }
+    rounds = input.rounds;
+  }
+
+  let save = null;
+  if (input.save) {
+    const ability = String(input.save.ability || '').toLowerCase();
+    if (!SAVE_ABILITIES.includes(ability)) {
+      throw new CombatActionError(`"save.ability" muss einer von ${SAVE_ABILITIES.join(', ')} sein`);
+    }
+    if (!Number.isInteger(input.save.dc) || input.save.dc < 1 || input.save.dc > 40) {
+      throw new CombatActionError('"save.dc" muss eine ganze Zahl zwischen 1 und 40 sein');
+    }
+    save = { ability, dc: input.save.dc, timing: requireEffectTiming(input.save.timing, 'save.timing', 'end') };
+  }
+
+  const condition = typeof input.condition === 'string' && input.condition.trim() ? input.condition.trim() : null;
+
+  return {
+    id: randomUUID(),
+    name: name.slice(0, MAX_EFFECT_NAME_LENGTH),
+    sourceId,
+    concentration,
+    rounds,
+    endsOn: requireEffectTiming(input.endsOn, 'endsOn', 'start'),
+    save,
+    condition,
+    // Magic Resistance gives advantage on saves against magical effects
+    magical: input.magical !== false
+  };
+}
+
+/**
+ * Entfernt Effekte eines Combatants und die Conditions, die sie gesetzt haben ("grantedCondition")
+ * Gibt ein weiterer Effekt dieselbe Condition, übernimmt er sie und sie bleibt bestehen.
+ * @returns {Array<Object>} - Entfernte Effekte
+ */
+function removeEffects(enc, targetId, predicate) {
+  const combatant = enc.combatants[targetId];
+  const effects = combatant?.effects || [];
+  const removed = effects.filter(predicate);
+  if (!removed.length) return removed;
+
+  const granted = new Set(removed.filter(e => e.grantedCondition).map(e => e.condition.toLowerCase()));
+  const handedOver = new Set();
+  const remaining = effects
+    .filter(effect => !removed.includes(effect))
+    .map(effect => {
+      const key = effect.condition?.toLowerCase();
+      if (!granted.has(key) || handedOver.has(key)) return effect;
+      handedOver.add(key);
+      return { ...effect, grantedCondition: true };
+    });
+  const endedConditions = new Set([...granted].filter(c => !handedOver.has(c)));
+  enc.combatants[targetId] = {
+    ...combatant,
+    effects: remaining,
+    conditions: (combatant.conditions || []).filter(c => !endedConditions.has(c.toLowerCase()))
+  };
+  return removed;
+}
+
+function effectEnded(enc, targetId, effect, reason) {
+  return {
+    type: 'effectEnded',
+    combatantId: targetId,
+    name: enc.combatants[targetId]?.name,
+    effectId: effect.id,
+    effectName: effect.name,
+    reason
+  };
+}
+
+/**
+ * Beendet alle Concentration-Effekte einer Quelle (auf allen Combatants)
+ * @returns {Array<Object>} - effectEnded-Events
+ */
+function endConcentrationEffects(enc, sourceId) {
+  const events = [];
+  Object.keys(enc.combatants).forEach(targetId => {
+    removeEffects(enc, targetId, e => e.concentration && e.sourceId === sourceId)
+      .forEach(effect => events.push(effectEnded(enc, targetId, effect, 'concentration')));
+  });
+  return events;
+}
+
+/**
+ * Beendet Concentration-Effekte von Quellen, die ihre Concentration verloren haben oder entfernt wurden -
+ * auch wenn der Client den ganzen Encounter speichert (z.B. "Concentration lost" in updateCombatant)
+ * @param {Object} previous - Gespeicherter Encounter
+ * @param {Object} enc - Neuer Encounter (wird verändert)
+ */
+export function syncConcentrationEffects(previous, enc) {
+  if (!enc.combatants) return;
+  Object.entries(previous.combatants || {}).forEach(([id, before]) => {
+    if (before.concentration && !enc.combatants[id]?.concentration) {
+      endConcentrationEffects(enc, id);
+    }
+  });
+}
+
+/**
+ * Save eines Effekts: für NPCs gewürfelt (bei Erfolg endet der Effekt), für PCs nur angefordert
+ */
+function effectSave(enc, targetId, effect, timing, ctx) {
+  const combatant = enc.combatants[targetId];
+  const event = {
+    type: 'effectSave',
+    combatantId: targetId,
+    name: combatant.name,
+    effectId: effect.id,
+    effectName: effect.name,
+    ability: effect.save.ability,
+    dc: effect.save.dc,
+    timing,
+    roll: null,
+    rolls: [],
+    modifier: saveBonus(combatant, effect.save.ability),
+    rollMode: 'normal',
+    reasons: [],
+    autoFail: false,
+    total: null,
+    passed: null
+  };
+
+  if (!isPlayerSide(combatant) && ctx.rules.autoRollEffectSavesNPCs) {
+    const save = rollSave(combatant, event.ability, event.modifier, event.dc, { magical: effect.magical !== false }, ctx);
+    Object.assign(event, save);
+    if (event.passed) {
+      removeEffects(enc, targetId, e => e.id === effect.id);
+    }
+  }
+  ctx.events.push(event);
+}
+
+/**
+ * Combatant, an dessen Zügen die Dauer eines Effekts herunterzählt - die Quelle, solange sie Züge hat
+ */
+function effectAnchor(enc, effect, targetId, ctx) {
+  const source = effect.sourceId && enc.combatants[effect.sourceId];
+  if (!source || source.isDead || turnSkippingConditions(source, ctx.customConditions).length > 0) return targetId;
+  return effect.sourceId;
+}
+
+/**
+ * Zugbeginn bzw. -ende eines Combatants: Dauer herunterzählen, abgelaufene Effekte beenden,
+ * Saves des Ziels würfeln bzw. anfordern
+ */
+function tickEffects(enc, turnId, timing, ctx) {
+  Object.entries(enc.combatants).forEach(([targetId, combatant]) => {
+    if (!combatant.effects?.length) return;
+
+    const expired = [];
+    const effects = combatant.effects.map(effect => {
+      const anchorId = effectAnchor(enc, effect, targetId, ctx);
+      if (effect.rounds === null || anchorId !== turnId || effect.endsOn !== timing) return effect;
+      const ticked = { ...effect, rounds: effect.rounds - 1 };
+      if (ticked.rounds <= 0) expired.push(ticked);
+      return ticked;
+    });
+    enc.combatants[targetId] = { ...combatant, effects };
+    removeEffects(enc, targetId, e => expired.includes(e))
+      .forEach(effect => ctx.events.push(effectEnded(enc, targetId, effect, 'expired')));
+
+    if (targetId !== turnId) return;
+    enc.combatants[targetId].effects
+      .filter(effect => effect.save?.timing === timing)
+      .forEach(effect => effectSave(enc, targetId, effect, timing, ctx));
+  });
+}
+
+function addEffect(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  const effect = normalizeEffect(enc, action.effect);
+  const conditions = combatant.conditions || [];
+  const hasCondition = !effect.condition || conditions.some(c => c.toLowerCase() === effect.condition.toLowerCase());
+  if (effect.condition) effect.grantedCondition = !hasCondition;
+  patchCombatant(enc, action.target, {
+    effects: [...(combatant.effects || []), effect],
+    ...(hasCondition ? {} : { conditions: [...conditions, effect.condition] })
+  }, ctx);
+
+  // The source concentrates on the effect
+  if (effect.concentration && !enc.combatants[effect.sourceId].concentration) {
+    patchCombatant(enc, effect.sourceId, { concentration: true }, ctx);
+  }
+}
+
+function removeEffect(enc, action, ctx) {
+  const combatant = requireCombatant(enc, action);
+  if (!(combatant.effects || []).some(e => e.id === action.effectId)) {
+    throw new CombatActionError(`Effekt "${action.effectId}" nicht gefunden`, 404);
+  }
+  removeEffects(enc, action.target, e => e.id === action.effectId);
+}
+
+// -------------------- TURN TIMER --------------------
+// Optionaler Zug-Timer (Countdown oder Stoppuhr) mit eigener Länge für PCs und Monster.
+// Der Stand liegt im Encounter ("turnTimer") und übersteht damit Reloads; die Zeit pro Combatant
+// wird in "turnTimes" aufsummiert. Zeiten sind Server-Millisekunden.
+
+export const TURN_TIMER_MODES = ['countdown', 'stopwatch'];
+
+export const DEFAULT_TURN_TIMER_SETTINGS = {
+  enabled: false,
+  mode: 'countdown',
+  pcSeconds: 60,
+  monsterSeconds: 30,
+  warningSeconds: 10
+};
+
+const MAX_TURN_SECONDS = 60 * 60;
+
+function requireSeconds(settings, field) {
+  const value = settings[field];
+  if (!Number.isInteger(value) || value < 0 || value > MAX_TURN_SECONDS) {
+    throw new CombatActionError(`"${field}" muss eine ganze Zahl zwischen 0 und ${MAX_TURN_SECONDS} sein`);
+  }
+  return value;
+}
+
+/**
+ * Zuglänge in Sekunden für einen Combatant (Sidekicks zählen zur Spielerseite)
+ */
+export function turnTimerLimit(settings, combatant) {
+  const { pcSeconds, monsterSeconds } = { ...DEFAULT_TURN_TIMER_SETTINGS, ...settings };
+  return isPlayerSide(combatant) ? pcSeconds : monsterSeconds;
+}
+
+/**
+ * Verstrichene Zeit des laufenden (oder pausierten) Zugs in Millisekunden
+ */
+export function turnTimerElapsed(timer, now) {
+  if (!timer) return 0;
+  return Math.max(0, (timer.pausedAt ?? now) - timer.startedAt);
+}
+
+function activeCombatantId(enc) {
+  const entry = enc.initiativeOrder?.[enc.turnIndex || 0];
+  return typeof entry === 'string' ? entry : null;
+}
+
+function startTurnTimer(enc, now) {
+  enc.turnTimer = {
+    combatantId: activeCombatantId(enc),
+    round: enc.round || 1,
+    turnIndex: enc.turnIndex || 0,
+    startedAt: now,
+    pausedAt: null
+  };
+}
+
+/**
+ * Schreibt die Zeit eines beendeten Zugs dem Combatant gut (Lair Actions zählen nicht)
+ */
+function recordTurnTime(enc, timer, now) {
+  if (!timer?.combatantId) return;
+  const previous = enc.turnTimes?.[timer.combatantId] || { ms: 0, turns: 0 };
+  enc.turnTimes = {
+    ...enc.turnTimes,
+    [timer.combatantId]: {
+      ms: previous.ms + turnTimerElapsed(timer, now),
+      turns: previous.turns + 1
+    }
+  };
+}
+
+/**
+ * Lässt den Timer dem aktiven Zug folgen
+ * Hat der Zug gewechselt (nextTurn, prevTurn, Undo, neue Initiative), wird die Zeit des alten Zugs
+ * verbucht und der Timer für den neuen gestartet. Ohne laufenden Kampf oder mit ausgeschaltetem
+ * Timer steht er still. Mehrfaches Aufrufen ändert nichts.
+ * @param {Object} enc - Encounter (wird verändert)
+ * @param {number} now - Aktuelle Zeit in Millisekunden
+ */
+export function syncTurnTimer(enc, now) {
+  const running = enc.turnTimer || null;
+  const inCombat = Boolean(enc.turnTimerSettings?.enabled) &&
+    (enc.initiativeOrder || []).length > 0 &&
+    !enc.initiativeCollection &&
+    enc.combatStatus !== 'completed';
+
+  if (inCombat && running &&
+      running.combatantId === activeCombatantId(enc) &&
+      running.round === (enc.round || 1) &&
+      running.turnIndex === (enc.turnIndex || 0)) {
+    return;
+  }
+
+  if (running) {
+    recordTurnTime(enc, running, now);
+  }
+  if (inCombat) {
+    startTurnTimer(enc, now);
+  } else if (running) {
+    enc.turnTimer = null;
+  }
+}
+
+/**
+ * Timer ein-/ausschalten oder einstellen
+ * Action: { settings: { enabled?, mode?, pcSeconds?, monsterSeconds?, warningSeconds? } }
+ */
+function configureTurnTimer(enc, action, ctx) {
+  const merged = { ...DEFAULT_TURN_TIMER_SETTINGS, ...enc.turnTimerSettings, ...action.settings };
+  if (!TURN_TIMER_MODES.includes(merged.mode)) {
+    throw new CombatActionError(`Unbekannter Timer-Modus "${merged.mode}". Erlaubt: ${TURN_TIMER_MODES.join(', ')}`);
+  }
+  enc.turnTimerSettings = {
+    enabled: Boolean(merged.enabled),
+    mode: merged.mode,
+    pcSeconds: requireSeconds(merged, 'pcSeconds'),
+    monsterSeconds: requireSeconds(merged, 'monsterSeconds'),
+    warningSeconds: requireSeconds(merged, 'warningSeconds')
+  };
+  syncTurnTimer(enc, ctx.now);
+}
+
+function requireTurnTimer(enc) {
+  if (!enc.turnTimerSettings?.enabled || !enc.turnTimer) {
+    throw new CombatActionError('Der Zug-Timer läuft nicht', 409);
+  }
+  return enc.turnTimer;
+}
+
+function pauseTurnTimer(enc, action, ctx) {
+  const timer = requireTurnTimer(enc);
+  if (timer.pausedAt !== null) return;
+  enc.turnTimer = { ...timer, pausedAt: ctx.now };
+}
+
+function resumeTurnTimer(enc, action, ctx) {
+  const timer = requireTurnTimer(enc);
+  if (timer.pausedAt === null) return;
+  enc.turnTimer = { ...timer, startedAt: timer.startedAt + (ctx.now - timer.pausedAt), pausedAt: null };
+}
+
+/**
+ * Zug-Timer für den aktiven Zug von vorn starten - die bisherige Zeit wird nicht verbucht
+ */
+function restartTurnTimer(enc, action, ctx) {
+  requireTurnTimer(enc);
+  startTurnTimer(enc, ctx.now);
+}
+
+const ACTION_HANDLERS = {
+  damage,
+  heal,
+  setHP,
+  setTempHP,
+  deathSave,
+  nextTurn,
+  prevTurn,
+  addCondition,
+  removeCondition,
+  setExhaustion,
+  useReaction,
+  useLegendaryAction,
+  setInitiative,
+  submitInitiative,
+  finalizeInitiative,
+  resolveSubmission,
+  configureTurnTimer,
+  pauseTurnTimer,
+  resumeTurnTimer,
+  restartTurnTimer,
+  addEffect,
+  removeEffect
+};
+
+export const ACTION_TYPES = Object.keys(ACTION_HANDLERS);
+
+/**
+ * Wendet eine Liste von Actions atomar auf einen Encounter an
+ * Schlägt eine Action fehl, bleibt der ursprüngliche Encounter unverändert.
+ * @param {Object} encounter - Gespeicherter Encounter (wird nicht verändert)
+ * @param {Array<Object>} actions - Actions mit "type" und action-spezifischen Feldern
+ * @param {Object} [rules] - Regel-Optionen (siehe DEFAULT_RULES), dazu "edition" ('2024' | '2014') für Conditions und Exhaustion
+ * @param {Array<Object>} [customConditions] - Homebrew-Conditions des DMs (z.B. für übersprungene Züge)
+ * @returns {{ encounter: Object, events: Array<Object> }}
+ */
+export function applyActions(encounter, actions, rules = {}, customConditions = []) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    throw new CombatActionError('Keine Actions angegeben');
+  }
+  if (encounter.combatStatus === 'completed') {
+    throw new CombatActionError('Der Kampf ist bereits beendet', 409);
+  }
+
+  const enc = structuredClone(encounter);
+  enc.combatants = enc.combatants || {};
+  const ctx = { rules: {}, events: [], now: Date.now(), customConditions };
+  for (const [key, fallback] of Object.entries(DEFAULT_RULES)) {
+    ctx.rules[key] = typeof rules?.[key] === 'boolean' ? rules[key] : fallback;
+  }
+  ctx.rules.edition = RULE_EDITIONS.includes(rules?.edition) ? rules.edition : DEFAULT_CONDITION_RULES.edition;
+
+  for (const action of actions) {
+    // Own properties only - "constructor" or "__proto__" are not action types
+    const handler = action && Object.hasOwn(ACTION_HANDLERS, action.type) && ACTION_HANDLERS[action.type];
+    if (!handler) {
+      throw new CombatActionError(`Unbekannter Action-Typ "${action?.type}". Erlaubt: ${ACTION_TYPES.join(', ')}`);
+    }
+    handler(enc, action, ctx);
+  }
+
+  return { encounter: enc, events: ctx.events };
+}
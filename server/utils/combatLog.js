@@ -0,0 +1,305 @@
+/**
+ * Combat Log
+ * Append-only Protokoll aller Kampfereignisse eines Encounters (Schaden, Heilung, Conditions, Effekte, Züge, ...).
+ * Die Einträge werden beim Speichern aus dem Unterschied zwischen altem und neuem Stand abgeleitet,
+ * damit sowohl typisierte Actions als auch komplette PUTs im Log landen.
+ */
+
+import { nanoid } from 'nanoid';
+
+function activeCombatantId(enc) {
+  const entry = enc.initiativeOrder?.[enc.turnIndex || 0];
+  return typeof entry === 'string' ? entry : null;
+}
+
+function hpStatus(after) {
+  if (after.isDead) return 'dead';
+  if ((after.hp ?? 0) === 0 && after.isStable) return 'stable';
+  if ((after.hp ?? 0) === 0) return 'dying';
+  return null;
+}
+
+/**
+ * Hinweise aus den Actions (Schadensart, Quelle) pro Ziel
+ */
+function damageHints(actions = []) {
+  const hints = {};
+  actions
+    .filter(a => a && (a.type === 'damage' || a.type === 'heal') && a.target)
+    .forEach(a => {
+      hints[a.target] = {
+        damageType: typeof a.damageType === 'string' && a.damageType.trim() ? a.damageType.trim() : null,
+        sourceId: typeof a.source === 'string' ? a.source : null
+      };
+    });
+  return hints;
+}
+
+/**
+ * Wurf eines automatischen Saves für den Log ("rolled 14 with disadvantage", "automatic failure")
+ */
+function saveRollText(event) {
+  if (event.autoFail) return 'automatic failure';
+  return event.rollMode && event.rollMode !== 'normal' ? `rolled ${event.total} with ${event.rollMode}` : `rolled ${event.total}`;
+}
+
+/**
+ * Erzeugt die Log-Einträge für eine gespeicherte Änderung
+ * @param {Object} before - Gespeicherter Encounter vor der Änderung
+ * @param {Object} after - Neuer Encounter
+ * @param {Object} [context]
+ * @param {Array<Object>} [context.actions] - Angewendete Combat-Actions (für Schadensart und Quelle)
+ * @param {Array<Object>} [context.events] - Events der Combat Engine (Death Saves, Concentration, Effekt-Saves, Recharge)
+ * @returns {Array<Object>} - Neue Einträge in chronologischer Reihenfolge
+ */
+export function buildLogEntries(before, after, { actions, events = [] } = {}) {
+  const at = new Date().toISOString();
+  const round = after.round || 1;
+  const entries = [];
+  const hints = damageHints(actions);
+  const nameOf = (id) => after.combatants?.[id]?.name || before.combatants?.[id]?.name || null;
+  const activeId = activeCombatantId(before);
+
+  const push = (type, text, data = {}) => {
+    entries.push({ id: nanoid(), at, round: data.round ?? round, type, ...data, text: `Round ${data.round ?? round}, ${text}` });
+  };
+
+  const beforeCombatants = before.combatants || {};
+  const afterCombatants = after.combatants || {};
+  const ids = new Set([...Object.keys(beforeCombatants), ...Object.keys(afterCombatants)]);
+
+  for (const id of ids) {
+    const old = beforeCombatants[id];
+    const now = afterCombatants[id];
+    if (!old) {
+      push('combatant', `${now.name} joined the encounter`, { combatantId: id, combatantName: now.name });
+      continue;
+    }
+    if (!now) {
+      push('combatant', `${old.name} was removed from the encounter`, { combatantId: id, combatantName: old.name });
+      continue;
+    }
+
+    const base = { combatantId: id, combatantName: now.name };
+    const hpBefore = old.hp ?? 0;
+    const hpAfter = now.hp ?? 0;
+    const tempBefore = old.tempHP || 0;
+    const tempAfter = now.tempHP || 0;
+    const hint = hints[id] || {};
+    // Without an explicit source the active combatant is assumed to be the attacker
+    const sourceId = hint.sourceId || (activeId !== id ? activeId : null);
+    const sourceName = sourceId ? nameOf(sourceId) : null;
+    const status = hpStatus(now);
+    let statusLogged = false;
+
+    const damage = Math.max(0, hpBefore - hpAfter) + Math.max(0, tempBefore - tempAfter);
+    if (damage > 0) {
+      const what = hint.damageType ? `${damage} ${hint.damageType}` : `${damage} damage`;
+      const from = sourceName ? ` from ${sourceName}` : '';
+      const temp = tempBefore > tempAfter ? `, temp HP ${tempBefore} → ${tempAfter}` : '';
+      const suffix = status && status !== 'stable' ? `, ${status}` : '';
+      push('damage', `${now.name} took ${what}${from} (${hpBefore} → ${hpAfter}${temp}${suffix})`, {
+        ...base,
+        sourceId,
+        sourceName,
+        amount: damage,
+        damageType: hint.damageType || null,
+        hpBefore,
+        hpAfter,
+        killed: Boolean(now.isDead && !old.isDead)
+      });
+      statusLogged = Boolean(suffix);
+    } else if (hpAfter > hpBefore) {
+      const amount = hpAfter - hpBefore;
+      const from = hint.sourceId && sourceName ? ` from ${sourceName}` : '';
+      push('heal', `${now.name} regained ${amount} HP${from} (${hpBefore} → ${hpAfter})`, {
+        ...base,
+        sourceId: hint.sourceId || null,
+        sourceName: hint.sourceId ? sourceName : null,
+        amount,
+        hpBefore,
+        hpAfter
+      });
+    }
+
+    if (tempAfter > tempBefore) {
+      push('tempHP', `${now.name} gained ${tempAfter - tempBefore} temp HP`, { ...base, amount: tempAfter - tempBefore });
+    }
+
+    const oldConditions = old.conditions || [];
+    const newConditions = now.conditions || [];
+    newConditions.filter(c => !oldConditions.includes(c)).forEach(condition => {
+      push('condition', `${now.name} is now ${condition}`, { ...base, condition, added: true });
+    });
+    oldConditions.filter(c => !newConditions.includes(c)).forEach(condition => {
+      push('condition', `${now.name} is no longer ${condition}`, { ...base, condition, added: false });
+    });
+
+    if ((old.exhaustion || 0) !== (now.exhaustion || 0)) {
+      const level = now.exhaustion || 0;
+      push('condition', level > 0 ? `${now.name} has exhaustion level ${level}` : `${now.name} is no longer exhausted`, {
+        ...base,
+        condition: 'Exhaustion',
+        level,
+        added: level > (old.exhaustion || 0)
+      });
+    }
+
+    const oldEffects = old.effects || [];
+    const newEffects = now.effects || [];
+    newEffects.filter(e => !oldEffects.some(o => o.id === e.id)).forEach(effect => {
+      const from = effect.sourceId && nameOf(effect.sourceId) ? ` from ${nameOf(effect.sourceId)}` : '';
+      const duration = effect.rounds ? `, ${effect.rounds} round${effect.rounds > 1 ? 's' : ''}` : '';
+      push('effect', `${now.name} is affected by ${effect.name}${from}${duration}`, { ...base, effectName: effect.name, added: true });
+    });
+    oldEffects.filter(e => !newEffects.some(n => n.id === e.id)).forEach(effect => {
+      push('effect', `${effect.name} on ${now.name} ended`, { ...base, effectName: effect.name, added: false });
+    });
+
+    if (old.concentration && !now.concentration) {
+      push('concentration', `${now.name} lost concentration`, { ...base, lost: true });
+    } else if (!old.concentration && now.concentration) {
+      push('concentration', `${now.name} is concentrating`, { ...base, lost: false });
+    }
+
+    if (!statusLogged) {
+      if (now.isDead && !old.isDead) {
+        push('death', `${now.name} died`, { ...base, sourceId: damage > 0 ? sourceId : null });
+      } else if (now.isStable && !old.isStable) {
+        push('stable', `${now.name} is stable`, base);
+      } else if (old.isDead && !now.isDead) {
+        push('revived', `${now.name} is back in the fight`, base);
+      }
+    }
+
+    Object.entries(now.spellSlots || {}).forEach(([level, slot]) => {
+      const spent = (old.spellSlots?.[level]?.current ?? slot.current ?? 0) - (slot.current ?? 0);
+      if (spent > 0) {
+        push('spellSlot', `${now.name} used ${spent} level ${level} spell slot${spent > 1 ? 's' : ''}`, {
+          ...base,
+          level: Number(level),
+          amount: spent
+        });
+      }
+    });
+  }
+
+  for (const event of events) {
+    if (event.type === 'deathSave') {
+      const saves = afterCombatants[event.combatantId]?.deathSaves || {};
+      const outcome = event.roll === 20 ? 'natural 20, back up with 1 HP' : event.passed ? 'success' : 'failure';
+      push('deathSave', `${event.name} rolled a death save: ${event.roll} (${outcome}; ${saves.successes || 0} successes, ${saves.failures || 0} failures)`, {
+        combatantId: event.combatantId,
+        combatantName: event.name,
+        roll: event.roll,
+        passed: event.passed
+      });
+    } else if (event.type === 'concentration' && event.roll !== null) {
+      push('concentrationCheck', `${event.name} ${event.passed ? 'kept' : 'lost'} concentration (DC ${event.dc}, ${saveRollText(event)})`, {
+        combatantId: event.combatantId,
+        combatantName: event.name,
+        roll: event.total,
+        dc: event.dc,
+        passed: event.passed
+      });
+    } else if (event.type === 'effectSave' && event.roll !== null) {
+      push('effectSave', `${event.name} ${event.passed ? 'succeeded on' : 'failed'} a DC ${event.dc} ${event.ability.toUpperCase()} save against ${event.effectName} (${saveRollText(event)})`, {
+        combatantId: event.combatantId,
+        combatantName: event.name,
+        effectName: event.effectName,
+        roll: event.total,
+        dc: event.dc,
+        passed: event.passed
+      });
+    } else if (event.type === 'turnSkipped') {
+      push('turn', `${event.name}'s turn was skipped (${event.conditions.join(', ')})`, {
+        combatantId: event.combatantId,
+        combatantName: event.name,
+        skipped: true
+      });
+    } else if (event.type === 'recharge' && event.success) {
+      push('recharge', `${event.name}'s ${event.actionName} recharged (rolled ${event.roll})`, {
+        combatantId: event.combatantId,
+        combatantName: event.name,
+        actionName: event.actionName
+      });
+    }
+  }
+
+  if (before.round !== after.round || before.turnIndex !== after.turnIndex) {
+    const nextId = activeCombatantId(after);
+    const entry = after.initiativeOrder?.[after.turnIndex || 0];
+    const name = nextId ? nameOf(nextId) : entry ? 'Lair Actions' : null;
+    if (name) {
+      push('turn', `${name}'s turn`, { combatantId: nextId, combatantName: name });
+    }
+  }
+
+  if (before.combatStatus !== after.combatStatus && after.combatStatus === 'completed') {
+    push('combat', `combat finished`);
+  }
+
+  return entries;
+}
+
+/**
+ * Freitext-Eintrag (z.B. für Undo/Redo, die nicht als Kampfereignis gezählt werden)
+ */
+export function buildNoteEntry(encounter, text) {
+  const round = encounter.round || 1;
+  return { id: nanoid(), at: new Date().toISOString(), round, type: 'note', text: `Round ${round}, ${text}` };
+}
+
+/**
+ * Markiert die Einträge rückgängig gemachter History-Schritte (Undo) bzw. hebt die Markierung auf (Redo)
+ * Die Einträge bleiben im Log, zählen aber nicht mehr für die Zusammenfassung.
+ * @param {Array<Object>} log - Combat Log
+ * @param {Array<string>} historyIds - IDs der betroffenen History-Einträge
+ * @param {boolean} undone - true bei Undo, false bei Redo
+ */
+export function markUndone(log = [], historyIds, undone) {
+  const ids = new Set(historyIds);
+  return log.map(entry => {
+    if (!entry.historyId || !ids.has(entry.historyId)) return entry;
+    if (undone) return { ...entry, undone: true };
+    const { undone: _, ...rest } = entry;
+    return rest;
+  });
+}
+
+/**
+ * Filtert Log-Einträge nach Runde und/oder Combatant (ID oder Name, auch als Quelle)
+ */
+export function filterLog(log = [], { round, combatant } = {}) {
+  let entries = log;
+  if (round !== undefined && round !== null && round !== '') {
+    const wanted = parseInt(round, 10);
+    entries = entries.filter(e => e.round === wanted);
+  }
+  if (combatant) {
+    const wanted = String(combatant).toLowerCase();
+    const matches = (id, name) => id === combatant || (name && name.toLowerCase() === wanted);
+    entries = entries.filter(e => matches(e.combatantId, e.combatantName) || matches(e.sourceId, e.sourceName));
+  }
+  return entries;
+}
+
+/**
+ * Formatiert Log-Einträge als Markdown (eine Überschrift pro Runde)
+ */
+export function formatLogMarkdown(encounter, entries) {
+  const lines = [`# Combat Log: ${encounter.name || 'Encounter'}`, ''];
+  let currentRound = null;
+
+  for (const entry of entries) {
+    if (entry.round !== currentRound) {
+      currentRound = entry.round;
+      lines.push('', `## Round ${currentRound}`, '');
+    }
+    const text = entry.text.replace(/^Round \d+, /, '');
+    lines.push(entry.undone ? `- ~~${text}~~ (undone)` : `- ${text}`);
+  }
+
+  if (entries.length === 0) lines.push('_No entries_');
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+}
@@ -0,0 +1,307 @@
+/**
+ * Combat Simulator
+ * Monte-Carlo-Simulation eines Encounters: N zufällige Kämpfe zwischen Monstern und Gruppe.
+ * Monster-Werte (AC, HP, Angriffsbonus, DPR, Resistenzen) kommen aus extractFeatures (eCR),
+ * Spielercharaktere werden aus AC/HP/Stats und einer DPR-Tabelle pro Stufe abgeschätzt.
+ * Bewusst vereinfacht: keine Bewegung, keine Zauber, ein Angriffsprofil pro Kreatur.
+ */
+
+import { extractFeatures } from './ecrCalculatorML.js';
+
+const MAX_ROUNDS = 20;
+export const DEFAULT_ITERATIONS = 1000;
+export const MAX_ITERATIONS = 2000;
+// Kämpfe pro Block - dazwischen gibt die Simulation den Event Loop frei (SSE, andere Requests)
+const CHUNK_SIZE = 100;
+
+// Typischer Schaden pro Runde (ein Ziel) eines Spielercharakters nach Stufe
+const PC_DPR_BY_LEVEL = {
+  1: 9, 2: 10, 3: 12, 4: 13, 5: 20, 6: 21, 7: 22, 8: 24, 9: 25, 10: 27,
+  11: 32, 12: 33, 13: 35, 14: 36, 15: 38, 16: 39, 17: 44, 18: 45, 19: 46, 20: 48
+};
+
+function d(sides) {
+  return Math.floor(Math.random() * sides) + 1;
+}
+
+function abilityMod(score) {
+  return Math.floor(((score || 10) - 10) / 2);
+}
+
+/**
+ * Kampfprofil eines Monsters aus den eCR-Features
+ * Startet mit den aktuellen HP, ein laufender Kampf wird also ab seinem Stand simuliert.
+ */
+export function buildMonsterProfile(combatant) {
+  const features = extractFeatures(combatant);
+  const dpr = features.dpr_rule || features.dpr_naive || 0;
+  const hp = Number.isFinite(combatant.hp) ? combatant.hp : (combatant.baseHP || features.hp_avg || 1);
+
+  return {
+    id: combatant.id,
+    name: combatant.name,
+    side: 'monsters',
+    hp,
+    ac: features.ac || 10,
+    initiativeMod: combatant.initiativeMod ?? features.dex_mod ?? 0,
+    attackBonus: features.atk_best || null,
+    saveDC: features.dc_best || null,
+    attacks: dpr >= 15 ? 2 : 1,
+    dpr,
+    // Resistenzen/Immunitäten verringern den erlittenen Schaden (effektive HP)
+    damageTakenMultiplier: 1 / (features.res_mult || 1),
+    legendaryActions: features.num_legendary_actions > 0 ? 3 : 0
+  };
+}
+
+/**
+ * Kampfprofil eines Spielercharakters (Combatant oder Eintrag aus player-characters.json)
+ * Combatants starten mit ihren aktuellen HP - wer bei 0 HP liegt, würfelt mit seinen
+ * bisherigen Todesrettungswürfen weiter.
+ */
+export function buildPlayerProfile(member) {
+  const character = member.character || {};
+  const stats = member.stats || character.stats || {};
+  const level = Math.min(20, Math.max(1, Math.round(member.level || 1)));
+  const proficiency = member.proficiencyBonus || character.proficiencyBonus || Math.ceil(level / 4) + 1;
+  const attackMod = Math.max(abilityMod(stats.str), abilityMod(stats.dex), abilityMod(stats.int), abilityMod(stats.wis), abilityMod(stats.cha));
+  const hp = Number.isFinite(member.hp) ? member.hp : (member.baseHP || character.hp || level * 8);
+
+  return {
+    id: member.id,
+    name: member.name,
+    side: 'party',
+    level,
+    hp,
+    ac: member.ac || character.ac || 10 + Math.min(5, Math.ceil(level / 4)),
+    initiativeMod: member.initiativeMod ?? character.initiativeMod ?? abilityMod(stats.dex),
+    attackBonus: proficiency + (Object.keys(stats).length > 0 ? attackMod : 3),
+    saveBonus: proficiency + 1,
+    attacks: level >= 5 ? 2 : 1,
+    dpr: PC_DPR_BY_LEVEL[level],
+    damageTakenMultiplier: 1,
+    successes: member.deathSaves?.successes || 0,
+    failures: member.deathSaves?.failures || 0,
+    stable: Boolean(member.isStable)
+  };
+}
+
+/**
+ * Ein Angriff mit Trefferwurf (Nat 20: doppelter Schaden, Nat 1: verfehlt)
+ * oder - ohne Angriffsbonus - ein Rettungswurf-Effekt (halber Schaden bei Erfolg)
+ */
+function resolveAttack(attacker, target, damagePerHit) {
+  const rolled = damagePerHit * (0.5 + Math.random());
+
+  if (attacker.attackBonus === null && attacker.saveDC) {
+    const saved = d(20) + (target.saveBonus ?? 2) >= attacker.saveDC;
+    return saved ? rolled / 2 : rolled;
+  }
+
+  const roll = d(20);
+  if (roll === 1) return 0;
+  if (roll === 20) return rolled * 2;
+  return roll + (attacker.attackBonus ?? 0) >= target.ac ? rolled : 0;
+}
+
+function applyDamage(target, amount, stats) {
+  const damage = Math.round(amount * target.damageTakenMultiplier);
+  if (damage <= 0) return;
+
+  if (target.side === 'party') {
+    if (target.current === 0) {
+      // Damage while down counts as a failed death save
+      target.failures += 1;
+    } else {
+      stats.hpLost += Math.min(target.current, damage);
+      target.current = Math.max(0, target.current - damage);
+      if (target.current === 0) target.downs += 1;
+    }
+    if (target.failures >= 3) target.dead = true;
+  } else {
+    target.current = Math.max(0, target.current - damage);
+    if (target.current === 0) target.dead = true;
+  }
+}
+
+function isActive(c) {
+  return !c.dead && c.current > 0;
+}
+
+function pickTarget(attacker, creatures) {
+  if (attacker.side === 'party') {
+    // Focus fire: the party finishes off the weakest monster first
+    return creatures
+      .filter(c => c.side === 'monsters' && isActive(c))
+      .sort((a, b) => a.current - b.current)[0];
+  }
+  const targets = creatures.filter(c => c.side === 'party' && isActive(c));
+  return targets[Math.floor(Math.random() * targets.length)];
+}
+
+function attack(attacker, creatures, stats, share = 1) {
+  const perHit = (attacker.dpr * share) / attacker.attacks;
+  for (let i = 0; i < attacker.attacks; i++) {
+    const target = pickTarget(attacker, creatures);
+    if (!target) return;
+    applyDamage(target, resolveAttack(attacker, target, perHit), stats);
+  }
+}
+
+function deathSave(pc) {
+  const roll = d(20);
+  if (roll === 20) {
+    pc.current = 1;
+    pc.failures = 0;
+    pc.successes = 0;
+  } else if (roll >= 10) {
+    pc.successes += 1;
+    if (pc.successes >= 3) pc.stable = true;
+  } else {
+    pc.failures += roll === 1 ? 2 : 1;
+    if (pc.failures >= 3) pc.dead = true;
+  }
+}
+
+/**
+ * Simuliert einen einzelnen Kampf
+ */
+function simulateFight(party, monsters) {
+  const creatures = [...party, ...monsters].map((profile, index) => ({
+    ...profile,
+    slot: profile.side === 'party' ? index : index - party.length,
+    current: profile.hp,
+    initiative: d(20) + profile.initiativeMod,
+    dead: false,
+    downs: 0,
+    successes: profile.successes || 0,
+    failures: profile.failures || 0,
+    stable: profile.stable || false
+  }));
+  creatures.sort((a, b) => b.initiative - a.initiative);
+
+  const stats = { hpLost: 0 };
+  const partyAlive = () => creatures.some(c => c.side === 'party' && isActive(c));
+  const monstersAlive = () => creatures.some(c => c.side === 'monsters' && isActive(c));
+
+  let round = 0;
+  while (round < MAX_ROUNDS && partyAlive() && monstersAlive()) {
+    round++;
+    for (const creature of creatures) {
+      if (creature.dead) continue;
+
+      if (creature.side === 'party' && creature.current === 0) {
+        if (!creature.stable) deathSave(creature);
+        continue;
+      }
+
+      attack(creature, creatures, stats);
+
+      // Legendary monsters get extra attacks spread over the round
+      const legendary = creatures.find(c => c.legendaryActions > 0 && isActive(c) && c !== creature);
+      if (creature.side === 'party' && legendary) {
+        attack(legendary, creatures, stats, 1 / (party.length * 2));
+      }
+
+      if (!partyAlive() || !monstersAlive()) break;
+    }
+  }
+
+  return {
+    won: !monstersAlive() && partyAlive(),
+    timedOut: partyAlive() && monstersAlive(),
+    rounds: round,
+    hpLost: stats.hpLost,
+    party: creatures.filter(c => c.side === 'party'),
+    monsters: creatures.filter(c => c.side === 'monsters')
+  };
+}
+
+/**
+ * Führt die Monte-Carlo-Simulation aus
+ * @param {Array<Object>} party - Profile der Spielercharaktere (buildPlayerProfile)
+ * @param {Array<Object>} monsters - Profile der Monster (buildMonsterProfile)
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - Anzahl Kämpfe (Standard 1000, max. 2000)
+ * @returns {Promise<Object>} - Siegwahrscheinlichkeit, erwartete Tode, Runden und verbrauchte Ressourcen
+ */
+export async function simulateEncounter(party, monsters, { iterations = DEFAULT_ITERATIONS } = {}) {
+  const runs = Math.min(MAX_ITERATIONS, Math.max(1, Math.floor(iterations)));
+  const partyHP = party.reduce((sum, p) => sum + p.hp, 0);
+
+  let wins = 0;
+  let timeouts = 0;
+  let totalRounds = 0;
+  let winRounds = 0;
+  let totalDeaths = 0;
+  let totalDowns = 0;
+  let totalHPLost = 0;
+  const pcStats = party.map(() => ({ deaths: 0, downs: 0 }));
+  const monsterStats = monsters.map(() => ({ survived: 0 }));
+
+  for (let i = 0; i < runs; i++) {
+    if (i > 0 && i % CHUNK_SIZE === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const fight = simulateFight(party, monsters);
+    if (fight.won) {
+      wins++;
+      winRounds += fight.rounds;
+    }
+    if (fight.timedOut) timeouts++;
+    totalRounds += fight.rounds;
+    totalHPLost += fight.hpLost;
+
+    fight.party.forEach(pc => {
+      const stats = pcStats[pc.slot];
+      if (pc.dead) {
+        stats.deaths++;
+        totalDeaths++;
+      }
+      stats.downs += pc.downs;
+      totalDowns += pc.downs;
+    });
+    fight.monsters.forEach(monster => {
+      if (!monster.dead) monsterStats[monster.slot].survived++;
+    });
+  }
+
+  const ratio = (value) => Math.round((value / runs) * 1000) / 1000;
+  const average = (value, count = runs) => (count > 0 ? Math.round((value / count) * 10) / 10 : null);
+
+  return {
+    iterations: runs,
+    winProbability: ratio(wins),
+    timeoutProbability: ratio(timeouts),
+    expectedPCDeaths: average(totalDeaths),
+    expectedPCDowns: average(totalDowns),
+    expectedRounds: average(totalRounds),
+    expectedRoundsToWin: average(winRounds, wins),
+    resources: {
+      expectedHPLost: Math.round(totalHPLost / runs),
+      // Anteil der gesamten Gruppen-HP, der im Schnitt verloren geht
+      hpLostPercent: partyHP > 0 ? Math.round((totalHPLost / runs / partyHP) * 100) : 0
+    },
+    party: party.map((p, index) => ({
+      id: p.id,
+      name: p.name,
+      level: p.level,
+      ac: p.ac,
+      hp: p.hp,
+      attackBonus: p.attackBonus,
+      dpr: p.dpr,
+      deathProbability: ratio(pcStats[index].deaths),
+      expectedDowns: average(pcStats[index].downs)
+    })),
+    monsters: monsters.map((m, index) => ({
+      id: m.id,
+      name: m.name,
+      ac: m.ac,
+      hp: m.hp,
+      attackBonus: m.attackBonus,
+      saveDC: m.saveDC,
+      dpr: Math.round(m.dpr),
+      survivalProbability: ratio(monsterStats[index].survived)
+    }))
+  };
+}
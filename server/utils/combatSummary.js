@@ -0,0 +1,111 @@
+/**
+ * Combat Summary
+ * Auswertung eines Kampfes aus dem Combat Log: Schaden, Heilung, Kills, Conditions,
+ * Death Saves, verbrauchte Spell Slots und Erfahrungspunkte pro Spielercharakter.
+ */
+
+import { isPlayerCharacter, isPlayerSide } from '../../shared/combatants.js';
+import { xpForCombatant } from './challengeRating.js';
+
+function emptyStats(id, name, combatant) {
+  return {
+    id,
+    name,
+    isPlayerCharacter: combatant ? isPlayerCharacter(combatant) : false,
+    damageDealt: 0,
+    damageTaken: 0,
+    healingDone: 0,
+    healingReceived: 0,
+    kills: 0,
+    conditionsApplied: [],
+    deathSaves: { successes: 0, failures: 0 },
+    spellSlotsSpent: {},
+    alive: combatant ? !combatant.isDead && (combatant.hp ?? 0) > 0 : false
+  };
+}
+
+/**
+ * Berechnet die Zusammenfassung eines Encounters
+ * @param {Object} encounter - Gespeicherter Encounter inkl. combatLog
+ * @returns {Object} - { rounds, startedAt, endedAt, completed, combatants, kills, conditions, xp }
+ */
+export function summarizeCombat(encounter) {
+  const log = encounter.combatLog || [];
+  const combatants = encounter.combatants || {};
+  const stats = {};
+
+  const statsFor = (id, name) => {
+    if (!id) return null;
+    if (!stats[id]) stats[id] = emptyStats(id, name || combatants[id]?.name || 'Unknown', combatants[id]);
+    return stats[id];
+  };
+
+  // Every combatant shows up, even without any log entries
+  Object.values(combatants).forEach(c => statsFor(c.id, c.name));
+
+  const kills = [];
+  const conditions = [];
+
+  for (const entry of log) {
+    // Undone changes stay in the log, but the summary has to match the final state
+    if (entry.undone) continue;
+    const target = statsFor(entry.combatantId, entry.combatantName);
+    const source = statsFor(entry.sourceId, entry.sourceName);
+
+    switch (entry.type) {
+      case 'damage': {
+        target.damageTaken += entry.amount;
+        if (source) source.damageDealt += entry.amount;
+        // Dropping a monster to 0 HP counts as a kill, PCs only count when they actually die
+        const downed = entry.hpBefore > 0 && entry.hpAfter === 0 && !target.isPlayerCharacter;
+        if (entry.killed || downed) {
+          if (source) source.kills++;
+          kills.push({ round: entry.round, targetId: entry.combatantId, target: entry.combatantName, byId: entry.sourceId || null, by: entry.sourceName || null });
+        }
+        break;
+      }
+      case 'heal':
+        target.healingReceived += entry.amount;
+        if (source) source.healingDone += entry.amount;
+        break;
+      case 'condition':
+        if (entry.added) {
+          target.conditionsApplied.push(entry.condition);
+          conditions.push({ round: entry.round, targetId: entry.combatantId, target: entry.combatantName, condition: entry.condition });
+        }
+        break;
+      case 'deathSave':
+        target.deathSaves[entry.passed ? 'successes' : 'failures']++;
+        break;
+      case 'spellSlot':
+        target.spellSlotsSpent[entry.level] = (target.spellSlotsSpent[entry.level] || 0) + entry.amount;
+        break;
+    }
+  }
+
+  // XP: every defeated monster, split evenly among the player characters (sidekicks get no share)
+  const defeated = Object.values(combatants).filter(c =>
+    !isPlayerSide(c) && (c.isDead || (c.hp ?? 0) <= 0)
+  );
+  const totalXP = defeated.reduce((sum, c) => sum + xpForCombatant(c), 0);
+  const players = Object.values(stats).filter(s => s.isPlayerCharacter && !combatants[s.id]?.sidekickOf);
+  const xpPerPlayer = players.length > 0 ? Math.floor(totalXP / players.length) : 0;
+  players.forEach(p => { p.xp = xpPerPlayer; });
+
+  return {
+    encounterId: encounter.id,
+    name: encounter.name,
+    rounds: Math.max(encounter.round || 1, ...log.map(e => e.round || 1)),
+    startedAt: log[0]?.at || null,
+    endedAt: encounter.completedAt || log[log.length - 1]?.at || null,
+    completed: encounter.combatStatus === 'completed',
+    combatants: Object.values(stats).sort((a, b) => b.damageDealt - a.damageDealt),
+    kills,
+    conditions,
+    xp: {
+      total: totalXP,
+      perPlayer: xpPerPlayer,
+      defeated: defeated.map(c => ({ id: c.id, name: c.name, cr: c.cr ?? null, xp: xpForCombatant(c) }))
+    }
+  };
+}
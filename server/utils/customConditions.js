@@ -0,0 +1,107 @@
+/**
+ * Custom Conditions
+ * Homebrew-Conditions des DMs mit mechanischen Effekten ("Banished" überspringt den Zug, "Dazed" gibt Nachteil auf Angriffe).
+ * Gespeichert in den User Settings, ausgewertet im Client (Würfe, Combatant-Zeilen) und im Combat Engine (nextTurn).
+ */
+
+import { nanoid } from 'nanoid';
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+const ROLL_MODES = ['advantage', 'disadvantage'];
+
+// Standard-Conditions (5e 2014 und 2024) - dürfen nicht überschrieben werden
+const BUILTIN_CONDITION_NAMES = [
+  'blinded', 'charmed', 'deafened', 'exhaustion', 'frightened', 'grappled', 'incapacitated',
+  'invisible', 'paralyzed', 'petrified', 'poisoned', 'prone', 'restrained', 'stunned', 'unconscious'
+];
+
+// Effekte mit Vorteil/Nachteil
+const MODE_EFFECTS = ['attackRolls', 'attacksAgainst', 'meleeAttacksAgainst', 'rangedAttacksAgainst', 'abilityChecks'];
+// Effekte mit einer Liste von Attributen (Rettungswürfe)
+const ABILITY_EFFECTS = ['saveAdvantage', 'saveDisadvantage', 'autoFailSaves'];
+// Ja/Nein-Effekte
+const FLAG_EFFECTS = ['incapacitated', 'speedZero', 'meleeCritsAgainst', 'skipTurn'];
+
+const MAX_NAME_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_CONDITIONS = 50;
+
+export class CustomConditionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CustomConditionError';
+    this.status = status;
+  }
+}
+
+function normalizeEffects(effects, name) {
+  if (effects === undefined || effects === null) return {};
+  if (typeof effects !== 'object' || Array.isArray(effects)) {
+    throw new CustomConditionError(`"effects" von "${name}" muss ein Objekt sein`);
+  }
+
+  const normalized = {};
+  Object.entries(effects).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === false || value === '') return;
+
+    if (MODE_EFFECTS.includes(key)) {
+      if (!ROLL_MODES.includes(value)) {
+        throw new CustomConditionError(`Ungültiger Wert für "${key}" bei "${name}": ${JSON.stringify(value)}`);
+      }
+      normalized[key] = value;
+    } else if (ABILITY_EFFECTS.includes(key)) {
+      if (!Array.isArray(value) || value.some(ability => !ABILITIES.includes(ability))) {
+        throw new CustomConditionError(`"${key}" bei "${name}" muss eine Liste von Attributen sein (${ABILITIES.join(', ')})`);
+      }
+      if (value.length > 0) normalized[key] = [...new Set(value)];
+    } else if (FLAG_EFFECTS.includes(key)) {
+      if (value !== true) {
+        throw new CustomConditionError(`"${key}" bei "${name}" muss true oder false sein`);
+      }
+      normalized[key] = true;
+    } else {
+      throw new CustomConditionError(`Unbekannter Effekt "${key}" bei "${name}"`);
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Prüft die Homebrew-Conditions eines Benutzers
+ * @param {Array<Object>} list - [{ id?, name, description?, effects? }]
+ * @returns {Array<Object>} - [{ id, name, description, effects }]
+ */
+export function normalizeCustomConditions(list) {
+  if (!Array.isArray(list)) {
+    throw new CustomConditionError('Conditions müssen als Array übergeben werden');
+  }
+  if (list.length > MAX_CONDITIONS) {
+    throw new CustomConditionError(`Maximal ${MAX_CONDITIONS} Homebrew-Conditions möglich`, 409);
+  }
+
+  const seen = new Set();
+  return list.map(condition => {
+    if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+      throw new CustomConditionError('Condition muss ein Objekt sein');
+    }
+    const name = typeof condition.name === 'string' ? condition.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (!name) {
+      throw new CustomConditionError('"name" darf nicht leer sein');
+    }
+    const key = name.toLowerCase();
+    if (BUILTIN_CONDITION_NAMES.includes(key)) {
+      throw new CustomConditionError(`"${name}" ist eine Standard-Condition und kann nicht überschrieben werden`, 409);
+    }
+    if (seen.has(key)) {
+      throw new CustomConditionError(`Condition "${name}" ist doppelt vorhanden`, 409);
+    }
+    seen.add(key);
+
+    return {
+      id: typeof condition.id === 'string' && condition.id ? condition.id.slice(0, 40) : nanoid(),
+      name,
+      description: typeof condition.description === 'string' ? condition.description.trim().slice(0, MAX_DESCRIPTION_LENGTH) : '',
+      effects: normalizeEffects(condition.effects, name)
+    };
+  });
+}
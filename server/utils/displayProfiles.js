@@ -0,0 +1,162 @@
+/**
+ * Display Profiles
+ * Benannte Player Screens ("Table TV", "Stream overlay", "Tablet") mit eigenem Token,
+ * eigenem Layout, eigener Drehung, eigenen sichtbaren Feldern und eigenem Theme.
+ * Ein Profil überschreibt nur die Anzeige-Einstellungen aus "playerScreenSettings" des Encounters -
+ * was Spieler überhaupt sehen dürfen (HP-Anzeige, Blank Screen, Animationen) bleibt Sache des Encounters.
+ */
+
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import { playerView } from './playerView.js';
+
+// overlay-*: transparent stream overlay with a horizontal or vertical initiative ribbon
+export const DISPLAY_LAYOUTS = ['standard', 'compact', 'overlay-horizontal', 'overlay-vertical'];
+export const DISPLAY_THEMES = ['default', 'black', 'midnight', 'crimson', 'forest'];
+
+const MAX_NAME_LENGTH = 60;
+const MAX_PROFILES_PER_USER = 20;
+
+// Einstellungen, die ein Profil überschreiben darf, mit Standardwert und Prüfung
+const DISPLAY_SETTINGS = {
+  layout: { default: 'standard', valid: v => DISPLAY_LAYOUTS.includes(v) },
+  theme: { default: 'default', valid: v => DISPLAY_THEMES.includes(v) },
+  rotation: { default: 0, valid: v => [0, 90, 180, 270].includes(v) },
+  zoom: { default: 100, valid: v => Number.isInteger(v) && v >= 50 && v <= 150 },
+  showEncounterName: { default: true, valid: v => typeof v === 'boolean' },
+  showCurrentTurnImage: { default: true, valid: v => typeof v === 'boolean' },
+  showInitiativeImages: { default: true, valid: v => typeof v === 'boolean' },
+  showInitiativeValues: { default: true, valid: v => typeof v === 'boolean' },
+  showConditions: { default: true, valid: v => typeof v === 'boolean' },
+  showConcentration: { default: true, valid: v => typeof v === 'boolean' },
+  showTurnButton: { default: true, valid: v => typeof v === 'boolean' },
+  hideScrollbars: { default: false, valid: v => typeof v === 'boolean' }
+};
+
+export const DISPLAY_SETTING_DEFAULTS = Object.fromEntries(
+  Object.entries(DISPLAY_SETTINGS).map(([key, { default: value }]) => [key, value])
+);
+
+// Vorlagen für neue Profile
+export const DISPLAY_PROFILE_PRESETS = {
+  tableTV: {
+    name: 'Table TV',
+    settings: { layout: 'standard', hideScrollbars: true }
+  },
+  streamOverlay: {
+    name: 'Stream overlay',
+    settings: {
+      layout: 'overlay-horizontal',
+      showEncounterName: false,
+      showCurrentTurnImage: false,
+      showTurnButton: false,
+      hideScrollbars: true
+    }
+  },
+  tablet: {
+    name: 'Tablet',
+    settings: { layout: 'compact', zoom: 90 }
+  }
+};
+
+export class DisplayProfileError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DisplayProfileError';
+    this.status = status;
+  }
+}
+
+/**
+ * Prüft Anzeige-Einstellungen - unbekannte Schlüssel werden verworfen, ungültige Werte abgelehnt
+ * @param {Object} settings - Eingabe vom Client
+ * @returns {Object} - Nur die erlaubten Schlüssel
+ */
+export function normalizeDisplaySettings(settings = {}) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw new DisplayProfileError('"settings" muss ein Objekt sein');
+  }
+
+  const normalized = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    const definition = DISPLAY_SETTINGS[key];
+    if (!definition) return;
+    if (!definition.valid(value)) {
+      throw new DisplayProfileError(`Ungültiger Wert für "${key}": ${JSON.stringify(value)}`);
+    }
+    normalized[key] = value;
+  });
+  return normalized;
+}
+
+function normalizeName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new DisplayProfileError('"name" darf nicht leer sein');
+  }
+  return trimmed.slice(0, MAX_NAME_LENGTH);
+}
+
+export function generateDisplayToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Legt ein neues Profil an, optional auf Basis einer Vorlage
+ * @param {string} userEmail - Besitzer
+ * @param {Object} body - { name?, preset?, settings? }
+ * @param {Array<Object>} existing - Bisherige Profile des Benutzers
+ */
+export function createDisplayProfile(userEmail, body = {}, existing = []) {
+  if (existing.length >= MAX_PROFILES_PER_USER) {
+    throw new DisplayProfileError(`Maximal ${MAX_PROFILES_PER_USER} Display-Profile möglich`, 409);
+  }
+
+  const preset = body.preset ? DISPLAY_PROFILE_PRESETS[body.preset] : null;
+  if (body.preset && !preset) {
+    throw new DisplayProfileError(
+      `Unbekannte Vorlage "${body.preset}". Erlaubt: ${Object.keys(DISPLAY_PROFILE_PRESETS).join(', ')}`
+    );
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: nanoid(),
+    userEmail,
+    name: normalizeName(body.name ?? preset?.name),
+    token: generateDisplayToken(),
+    settings: {
+      ...DISPLAY_SETTING_DEFAULTS,
+      ...preset?.settings,
+      ...normalizeDisplaySettings(body.settings)
+    },
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Ändert Name und/oder Einstellungen eines Profils (Einstellungen werden gemischt, nicht ersetzt)
+ */
+export function updateDisplayProfile(profile, body = {}) {
+  return {
+    ...profile,
+    name: body.name !== undefined ? normalizeName(body.name) : profile.name,
+    settings: { ...profile.settings, ...normalizeDisplaySettings(body.settings) },
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Player View für einen Screen mit Profil: die Einstellungen des Profils ersetzen die des Encounters
+ * @param {Object} encounter - Vollständiger Encounter
+ * @param {Object|null} profile - Display-Profil oder null (dann normale Player View)
+ */
+export function displayView(encounter, profile) {
+  const view = playerView(encounter);
+  if (!view || !profile) return view;
+
+  view.playerScreenSettings = { ...view.playerScreenSettings, ...profile.settings };
+  view.displayProfile = { id: profile.id, name: profile.name };
+  return view;
+}
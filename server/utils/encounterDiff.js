@@ -0,0 +1,47 @@
+/**
+ * Encounter Diffs
+ * Vergleicht Encounter-Stände für die Live-Updates
+ */
+
+/**
+ * Berechnet den Unterschied zwischen zwei Encounter-Ständen
+ * Combatants werden einzeln verglichen, alle anderen Felder auf oberster Ebene
+ * @param {Object} prev - Zuletzt gesendeter Stand
+ * @param {Object} next - Neuer Stand
+ * @returns {Object|null} - Patch oder null, wenn sich nichts geändert hat
+ */
+export function diffEncounter(prev, next) {
+  const patch = { set: {}, unset: [], combatants: {}, removed: [] };
+  let changed = false;
+
+  for (const key of Object.keys(next)) {
+    if (key === 'combatants') continue;
+    if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) {
+      patch.set[key] = next[key];
+      changed = true;
+    }
+  }
+  for (const key of Object.keys(prev)) {
+    if (key !== 'combatants' && !(key in next)) {
+      patch.unset.push(key);
+      changed = true;
+    }
+  }
+
+  const prevCombatants = prev.combatants || {};
+  const nextCombatants = next.combatants || {};
+  for (const [id, combatant] of Object.entries(nextCombatants)) {
+    if (JSON.stringify(prevCombatants[id]) !== JSON.stringify(combatant)) {
+      patch.combatants[id] = combatant;
+      changed = true;
+    }
+  }
+  for (const id of Object.keys(prevCombatants)) {
+    if (!(id in nextCombatants)) {
+      patch.removed.push(id);
+      changed = true;
+    }
+  }
+
+  return changed ? patch : null;
+}
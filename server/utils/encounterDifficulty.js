@@ -0,0 +1,167 @@
+/**
+ * Encounter Difficulty
+ * Schwierigkeit eines Encounters für eine Gruppe nach DMG 2014 (XP-Schwellen mit Multiplikator)
+ * und DMG 2024 (XP-Budget ohne Multiplikator).
+ */
+
+import { isPlayerCharacter, isPlayerSide } from '../../shared/combatants.js';
+import { xpForCombatant } from './challengeRating.js';
+
+// DMG 2014 S. 82: XP-Schwellen pro Charakterstufe (Easy, Medium, Hard, Deadly)
+const THRESHOLDS_2014 = {
+  1: [25, 50, 75, 100], 2: [50, 100, 150, 200], 3: [75, 150, 225, 400], 4: [125, 250, 375, 500],
+  5: [250, 500, 750, 1100], 6: [300, 600, 900, 1400], 7: [350, 750, 1100, 1700], 8: [450, 900, 1400, 2100],
+  9: [550, 1100, 1600, 2400], 10: [600, 1200, 1900, 2800], 11: [800, 1600, 2400, 3600], 12: [1000, 2000, 3000, 4500],
+  13: [1100, 2200, 3400, 5100], 14: [1250, 2500, 3800, 5700], 15: [1400, 2800, 4300, 6400], 16: [1600, 3200, 4800, 7200],
+  17: [2000, 3900, 5900, 8800], 18: [2100, 4200, 6300, 9500], 19: [2400, 4900, 7300, 10900], 20: [2800, 5700, 8500, 12700]
+};
+
+// DMG 2024: XP-Budget pro Charakter (Low, Moderate, High)
+const BUDGETS_2024 = {
+  1: [50, 75, 100], 2: [100, 150, 200], 3: [150, 225, 400], 4: [250, 375, 500],
+  5: [500, 750, 1100], 6: [600, 1000, 1400], 7: [750, 1300, 1700], 8: [1000, 1700, 2100],
+  9: [1300, 2000, 2600], 10: [1600, 2300, 3100], 11: [1900, 2900, 4100], 12: [2200, 3700, 4700],
+  13: [2600, 4200, 5400], 14: [2900, 4900, 6200], 15: [3300, 5400, 7800], 16: [3800, 6100, 9800],
+  17: [4500, 7200, 11700], 18: [5000, 8700, 14200], 19: [5500, 10700, 17200], 20: [6400, 13200, 22000]
+};
+
+// DMG 2014 S. 82: Multiplikatoren nach Anzahl der Monster
+const MULTIPLIERS = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+export const DIFFICULTIES_2014 = ['Easy', 'Medium', 'Hard', 'Deadly'];
+export const DIFFICULTIES_2024 = ['Low', 'Moderate', 'High'];
+
+function clampLevel(level) {
+  return Math.min(20, Math.max(1, Math.round(level)));
+}
+
+function multiplierIndex(monsterCount) {
+  if (monsterCount <= 1) return 1;
+  if (monsterCount === 2) return 2;
+  if (monsterCount <= 6) return 3;
+  if (monsterCount <= 10) return 4;
+  if (monsterCount <= 14) return 5;
+  return 6;
+}
+
+/**
+ * Multiplikator für die Monsteranzahl, angepasst an die Gruppengröße
+ * (weniger als 3 Charaktere: eine Stufe höher, 6 oder mehr: eine Stufe niedriger)
+ */
+export function encounterMultiplier(monsterCount, partySize) {
+  let index = multiplierIndex(monsterCount);
+  if (partySize < 3) index++;
+  else if (partySize >= 6) index--;
+  return MULTIPLIERS[Math.min(MULTIPLIERS.length - 1, Math.max(0, index))];
+}
+
+/**
+ * Summiert Schwellen/Budgets über alle Charaktere
+ */
+function sumByLevel(levels, table) {
+  return levels.reduce((totals, level) => {
+    table[clampLevel(level)].forEach((value, i) => { totals[i] = (totals[i] || 0) + value; });
+    return totals;
+  }, []);
+}
+
+/**
+ * Höchste erreichte Stufe ("Trivial" unter der ersten Schwelle)
+ */
+function rate(xp, thresholds, labels) {
+  let rating = 'Trivial';
+  thresholds.forEach((threshold, i) => {
+    if (xp >= threshold) rating = labels[i];
+  });
+  return rating;
+}
+
+/**
+ * Berechnet die Schwierigkeit für eine Gruppe und eine Liste von Monstern
+ * @param {Array<number>} partyLevels - Stufen der Spielercharaktere
+ * @param {Array<Object>} monsters - Monster mit "cr" (oder "xp")
+ * @returns {Object} - { party, monsters, dmg2014, dmg2024 }
+ */
+export function calculateDifficulty(partyLevels, monsters) {
+  const levels = partyLevels.filter(l => typeof l === 'number' && l > 0).map(clampLevel);
+  const baseXP = monsters.reduce((sum, m) => sum + xpForCombatant(m), 0);
+  const multiplier = encounterMultiplier(monsters.length, levels.length);
+  const adjustedXP = Math.round(baseXP * multiplier);
+
+  const thresholds = sumByLevel(levels, THRESHOLDS_2014);
+  const budgets = sumByLevel(levels, BUDGETS_2024);
+  const hasParty = levels.length > 0;
+
+  return {
+    party: { size: levels.length, levels },
+    monsters: { count: monsters.length, xp: baseXP },
+    dmg2014: {
+      multiplier,
+      adjustedXP,
+      thresholds: hasParty ? Object.fromEntries(DIFFICULTIES_2014.map((label, i) => [label, thresholds[i]])) : null,
+      rating: hasParty && monsters.length > 0 ? rate(adjustedXP, thresholds, DIFFICULTIES_2014) : null
+    },
+    dmg2024: {
+      xp: baseXP,
+      budgets: hasParty ? Object.fromEntries(DIFFICULTIES_2024.map((label, i) => [label, budgets[i]])) : null,
+      rating: hasParty && monsters.length > 0 ? rate(baseXP, budgets, DIFFICULTIES_2024) : null,
+      // Anteil am High-Budget, z.B. für Fortschrittsbalken
+      budgetUsed: hasParty ? Math.round((baseXP / budgets[2]) * 100) : null
+    }
+  };
+}
+
+/**
+ * Ermittelt die Gruppe eines Encounters
+ * Stufe: am Combatant, verknüpfter Charakter (characterId), Charakter mit gleichem Namen.
+ * Enthält der Encounter keine Spielercharaktere, werden die Charaktere der Kampagne verwendet.
+ * @param {Object} encounter - Encounter
+ * @param {Array<Object>} characters - Einträge aus player-characters.json (des Users)
+ * @param {Object} [campaign] - Kampagne des Encounters
+ * @returns {{ members: Array<Object>, source: string, unresolved: Array<string> }}
+ *   members: Combatant bzw. Charakter mit aufgelöstem "level" und ggf. "character"
+ */
+export function resolveParty(encounter, characters, campaign) {
+  const pcs = Object.values(encounter.combatants || {})
+    .filter(c => isPlayerCharacter(c) && !c.sidekickOf);
+
+  let members;
+  let source;
+  if (pcs.length > 0) {
+    members = pcs.map(pc => {
+      const character = characters.find(ch => ch.id === pc.characterId) ||
+        characters.find(ch => ch.name === pc.name);
+      return { ...pc, level: Number(pc.level ?? character?.level), character };
+    });
+    source = 'encounter';
+  } else {
+    const campaignIds = campaign?.playerCharacters || [];
+    members = characters
+      .filter(ch => campaignIds.includes(ch.id))
+      .map(ch => ({ ...ch, level: Number(ch.level), character: ch }));
+    source = members.length > 0 ? 'campaign' : 'none';
+  }
+
+  return {
+    members: members.filter(m => m.level > 0),
+    source,
+    unresolved: members.filter(m => !(m.level > 0)).map(m => m.name)
+  };
+}
+
+/**
+ * Stufen der Gruppe eines Encounters (siehe resolveParty)
+ * @returns {{ levels: Array<number>, source: string, unresolved: Array<string> }}
+ */
+export function resolvePartyLevels(encounter, characters, campaign) {
+  const { members, source, unresolved } = resolveParty(encounter, characters, campaign);
+  return { levels: members.map(m => m.level), source, unresolved };
+}
+
+/**
+ * Gegner eines Encounters (alles außer Spielercharakteren und Sidekicks)
+ */
+export function encounterMonsters(encounter) {
+  return Object.values(encounter.combatants || {})
+    .filter(c => !isPlayerSide(c));
+}
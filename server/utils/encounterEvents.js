@@ -0,0 +1,128 @@
+/**
+ * Encounter Event Hub
+ * Verteilt Encounter-Updates per Server-Sent Events an verbundene Player Screens.
+ * Jeder Abonnent bekommt beim ersten Mal einen Snapshot, danach nur noch Diffs.
+ * Alles, was gesendet wird, läuft vorher durch die Projektion (z.B. playerView).
+ * Abonnenten können eine eigene Projektion mitbringen (z.B. Player Screens mit Display-Profil).
+ */
+
+import { diffEncounter } from './encounterDiff.js';
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Hält Proxies (Caddy) von Timeouts ab
+
+export class EncounterEventHub {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.project] - Wandelt einen Encounter in die gesendete Form um
+   */
+  constructor({ project = encounter => encounter } = {}) {
+    this.subscribers = new Set();
+    this.project = project;
+  }
+
+  /**
+   * Registriert eine SSE-Verbindung
+   * @param {Object} req - Express Request
+   * @param {Object} res - Express Response
+   * @param {Object} options
+   * @param {Function} options.matches - Entscheidet, ob ein Encounter an diesen Abonnenten geht
+   * @param {Object} [options.initial] - Encounter, der sofort als Snapshot gesendet wird (vollständig, wird projiziert)
+   * @param {Function} [options.project] - Eigene Projektion für diesen Abonnenten statt der des Hubs
+   * @param {string} [options.tag] - Kennung, um die Verbindung später gezielt zu trennen (disconnect)
+   * @param {number} [options.expiresAt] - Zeitpunkt (ms), ab dem nichts mehr gesendet und die Verbindung
+   *   beendet wird (z.B. Ablauf eines Share-Codes) - geprüft bei jedem Update und jedem Heartbeat
+   */
+  subscribe(req, res, { matches, initial, project = this.project, tag = null, expiresAt = null }) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const subscriber = { res, matches, project, tag, expiresAt, lastSent: null };
+    this.subscribers.add(subscriber);
+
+    if (initial) {
+      this.send(subscriber, project(initial));
+    }
+
+    subscriber.heartbeat = setInterval(() => {
+      if (this.expired(subscriber)) return;
+      res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+      clearInterval(subscriber.heartbeat);
+      this.subscribers.delete(subscriber);
+    });
+  }
+
+  /**
+   * Verteilt einen gespeicherten Encounter an alle passenden Abonnenten
+   * @param {Object} encounter - Der neue Encounter-Stand
+   */
+  publish(encounter) {
+    // Each projection runs once per publish, no matter how many screens share it
+    const projected = new Map();
+    for (const subscriber of this.subscribers) {
+      if (this.expired(subscriber)) continue;
+      if (subscriber.matches(encounter)) {
+        if (!projected.has(subscriber.project)) {
+          projected.set(subscriber.project, subscriber.project(encounter));
+        }
+        this.send(subscriber, projected.get(subscriber.project));
+      }
+    }
+  }
+
+  /**
+   * Sendet Snapshot (neuer Encounter) oder Patch (gleicher Encounter)
+   */
+  send(subscriber, encounter) {
+    const { lastSent } = subscriber;
+
+    if (!lastSent || lastSent.id !== encounter.id) {
+      subscriber.res.write(`event: snapshot\ndata: ${JSON.stringify(encounter)}\n\n`);
+    } else {
+      const patch = diffEncounter(lastSent, encounter);
+      if (!patch) return;
+      subscriber.res.write(`event: patch\ndata: ${JSON.stringify(patch)}\n\n`);
+    }
+
+    subscriber.lastSent = encounter;
+  }
+
+  /**
+   * Trennt alle Verbindungen mit dieser Kennung (z.B. wenn ein Token ungültig wird)
+   */
+  disconnect(tag) {
+    for (const subscriber of this.subscribers) {
+      if (subscriber.tag === tag) this.close(subscriber);
+    }
+  }
+
+  /**
+   * Beendet die Verbindung, wenn ihr Zugang abgelaufen ist
+   * @returns {boolean} - true, wenn die Verbindung beendet wurde
+   */
+  expired(subscriber) {
+    if (subscriber.expiresAt === null || subscriber.expiresAt > Date.now()) return false;
+    this.close(subscriber);
+    return true;
+  }
+
+  close(subscriber) {
+    clearInterval(subscriber.heartbeat);
+    this.subscribers.delete(subscriber);
+    subscriber.res.end();
+  }
+
+  /**
+   * Anzahl offener Verbindungen (für Logging)
+   */
+  count() {
+    return this.subscribers.size;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Encounter Generator
+ * Stellt zufällige, ausbalancierte Monstergruppen für eine Gruppe und Zielschwierigkeit zusammen.
+ * Schwierigkeit nach DMG 2014 (Easy..Deadly, mit Multiplikator) oder DMG 2024 (Low..High).
+ */
+
+import { parseCR } from './challengeRating.js';
+import { calculateDifficulty, DIFFICULTIES_2014, DIFFICULTIES_2024 } from './encounterDifficulty.js';
+
+const MAX_GROUP_SIZE = 8;
+const ATTEMPTS_PER_GROUP = 150;
+const TEMPLATES = ['solo', 'pack', 'leader', 'mixed'];
+
+/**
+ * Fehler für ungültige Generator-Parameter
+ */
+export class GeneratorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeneratorError';
+    this.status = 400;
+  }
+}
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function typeOf(monster) {
+  const type = typeof monster.type === 'object' && monster.type !== null ? monster.type.type : monster.type;
+  return typeof type === 'string' ? type.toLowerCase() : '';
+}
+
+function tagsOf(monster) {
+  const tags = typeof monster.type === 'object' && monster.type !== null ? monster.type.tags || [] : [];
+  return tags.map(tag => String(typeof tag === 'object' ? tag.tag : tag).toLowerCase());
+}
+
+function sourceOf(monster) {
+  return String(monster.meta?.source || monster.source || '').toLowerCase();
+}
+
+function normalizeList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * XP-Fenster für die Zielschwierigkeit
+ * Untergrenze ist die Schwelle der gewünschten Stufe, Obergrenze die nächste Stufe
+ * (bei der höchsten Stufe 50% bzw. 25% darüber).
+ */
+function targetWindow(partyLevels, difficulty) {
+  const empty = calculateDifficulty(partyLevels, []);
+  const label2014 = DIFFICULTIES_2014.find(l => l.toLowerCase() === difficulty);
+  if (label2014) {
+    const thresholds = DIFFICULTIES_2014.map(l => empty.dmg2014.thresholds[l]);
+    const index = DIFFICULTIES_2014.indexOf(label2014);
+    return {
+      ruleset: '2014',
+      min: thresholds[index],
+      max: index < thresholds.length - 1 ? thresholds[index + 1] - 1 : Math.round(thresholds[index] * 1.5)
+    };
+  }
+
+  const label2024 = DIFFICULTIES_2024.find(l => l.toLowerCase() === difficulty);
+  if (label2024) {
+    const budgets = DIFFICULTIES_2024.map(l => empty.dmg2024.budgets[l]);
+    const index = DIFFICULTIES_2024.indexOf(label2024);
+    return {
+      ruleset: '2024',
+      min: budgets[index],
+      max: index < budgets.length - 1 ? budgets[index + 1] - 1 : Math.round(budgets[index] * 1.25)
+    };
+  }
+
+  throw new GeneratorError(`Unbekannte Schwierigkeit "${difficulty}". Erlaubt: ${[...DIFFICULTIES_2014, ...DIFFICULTIES_2024].join(', ')}`);
+}
+
+/**
+ * Erzeugt zufällige Monstergruppen
+ * @param {Array<Object>} monsters - Alle verfügbaren Monster (inkl. User-Overrides)
+ * @param {Object} options
+ * @param {Array<number>} options.partyLevels - Stufen der Spielercharaktere
+ * @param {string} options.difficulty - easy/medium/hard/deadly (2014) oder low/moderate/high (2024)
+ * @param {string} [options.environment] - 5e.tools-Umgebung (z.B. "forest")
+ * @param {Array<string>|string} [options.types] - Kreaturtypen (z.B. "undead")
+ * @param {Array<string>|string} [options.tags] - Typ-Tags (z.B. "goblinoid")
+ * @param {Array<string>|string} [options.sources] - Erlaubte Quellen (z.B. "MM", "homebrew")
+ * @param {number} [options.count] - Anzahl Vorschläge (Standard 3, max. 10)
+ * @param {Function} [environmentOf] - Liefert die Umgebungen eines Monsters
+ * @returns {{ ruleset, target, candidates, groups }}
+ */
+export function generateEncounterGroups(monsters, options, environmentOf = m => m.environment || []) {
+  const partyLevels = (options.partyLevels || []).map(Number).filter(l => l >= 1 && l <= 20);
+  if (partyLevels.length === 0) {
+    throw new GeneratorError('partyLevels benötigt mindestens eine Stufe zwischen 1 und 20');
+  }
+
+  const difficulty = String(options.difficulty || 'medium').toLowerCase();
+  const window = targetWindow(partyLevels, difficulty);
+  const count = Math.min(10, Math.max(1, parseInt(options.count ?? 3, 10) || 3));
+
+  const environment = options.environment ? String(options.environment).toLowerCase() : null;
+  const types = normalizeList(options.types);
+  const tags = normalizeList(options.tags);
+  const sources = normalizeList(options.sources);
+
+  const valueOf = (group) => {
+    const result = calculateDifficulty(partyLevels, group);
+    return window.ruleset === '2014' ? result.dmg2014.adjustedXP : result.dmg2024.xp;
+  };
+
+  const candidates = monsters.filter(m => {
+    if (!m?.name || parseCR(m.cr) === null) return false;
+    if (environment && !environmentOf(m).some(e => e.toLowerCase() === environment)) return false;
+    if (types.length > 0 && !types.includes(typeOf(m))) return false;
+    if (tags.length > 0 && !tagsOf(m).some(tag => tags.includes(tag))) return false;
+    if (sources.length > 0 && !sources.includes(sourceOf(m))) return false;
+    // A single one must not already be over the limit
+    return valueOf([m]) <= window.max;
+  });
+
+  const fits = (group) => {
+    const value = valueOf(group);
+    return value >= window.min && value <= window.max;
+  };
+
+  // Smallest number of copies (up to "limit") that lands in the window
+  const fillWith = (base, monster, limit) => {
+    for (let n = 1; n <= limit; n++) {
+      const group = [...base, ...Array(n).fill(monster)];
+      if (fits(group)) return group;
+      if (valueOf(group) > window.max) return null;
+    }
+    return null;
+  };
+
+  const builders = {
+    solo: () => {
+      const monster = pick(candidates);
+      return fits([monster]) ? [monster] : null;
+    },
+    pack: () => fillWith([], pick(candidates), MAX_GROUP_SIZE),
+    leader: () => {
+      const leader = pick(candidates);
+      const minion = pick(candidates);
+      if (minion === leader || parseCR(minion.cr) >= parseCR(leader.cr)) return null;
+      return fillWith([leader], minion, MAX_GROUP_SIZE - 1);
+    },
+    mixed: () => {
+      let group = [];
+      const kinds = 2 + Math.floor(Math.random() * 2);
+      for (let i = 0; i < kinds; i++) {
+        const monster = pick(candidates);
+        const copies = 1 + Math.floor(Math.random() * 3);
+        group = [...group, ...Array(copies).fill(monster)];
+        if (group.length > MAX_GROUP_SIZE || valueOf(group) > window.max) return null;
+      }
+      return fits(group) && new Set(group).size > 1 ? group : null;
+    }
+  };
+
+  const groups = [];
+  const seen = new Set();
+  for (let attempt = 0; candidates.length > 0 && groups.length < count && attempt < count * ATTEMPTS_PER_GROUP; attempt++) {
+    const template = TEMPLATES[attempt % TEMPLATES.length];
+    const group = builders[template]();
+    if (!group) continue;
+
+    // Group identical monsters: [{ monster, count }]
+    const entries = [];
+    group.forEach(monster => {
+      const entry = entries.find(e => e.monster === monster);
+      if (entry) entry.count++;
+      else entries.push({ monster, count: 1 });
+    });
+
+    const signature = entries.map(e => `${e.monster.id || e.monster.name}x${e.count}`).sort().join(',');
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+
+    groups.push({
+      template,
+      monsters: entries.map(({ monster, count }) => ({
+        id: monster.id,
+        name: monster.name,
+        source: monster.meta?.source || monster.source || null,
+        cr: monster.cr,
+        count,
+        isCustom: Boolean(monster.isCustom),
+        monster
+      })),
+      difficulty: calculateDifficulty(partyLevels, group)
+    });
+  }
+
+  return {
+    ruleset: window.ruleset,
+    target: { difficulty, minXP: window.min, maxXP: window.max },
+    candidates: candidates.length,
+    groups
+  };
+}
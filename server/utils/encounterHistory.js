@@ -0,0 +1,268 @@
+/**
+ * Encounter History (Undo/Redo)
+ * Jede Änderung an einem Encounter wird als Paar aus Undo- und Redo-Patch gespeichert.
+ * Die History liegt im Encounter selbst und übersteht damit Reloads.
+ * Patches enthalten pro Combatant nur die geänderten Felder - ein Schadenswurf kostet
+ * so ein paar Bytes statt zweier kompletter Stat Blocks pro Eintrag.
+ */
+
+import { nanoid } from 'nanoid';
+
+const MAX_HISTORY_ENTRIES = 50;
+
+// Felder, die nicht Teil des Spielstands sind und nicht rückgängig gemacht werden
+// (offene Spieler-Eingaben ebenfalls nicht - Undo soll keine schon erledigte Eingabe zurückholen,
+// und der Zug-Timer misst echte Zeit, die Undo nicht zurückdreht)
+const IGNORED_FIELDS = ['id', 'createdBy', 'createdAt', 'updatedAt', 'revision', 'history', 'combatLog', 'playerSubmissions', 'turnTimer', 'turnTimes'];
+
+const TURN_BOOKKEEPING_FIELDS = ['reactionUsed', 'legendaryActionsRemaining', 'legendaryPoints', 'rechargeAbilities'];
+
+/**
+ * Fehler beim Undo/Redo - 409, wenn es nichts rückgängig zu machen bzw. wiederherzustellen gibt,
+ * 400 bei ungültiger Schrittzahl
+ */
+export class HistoryError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'HistoryError';
+    this.status = status;
+  }
+}
+
+function requireSteps(steps, available) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new HistoryError('"steps" muss eine positive ganze Zahl sein', 400);
+  }
+  if (available > 0 && steps > available) {
+    throw new HistoryError(`"steps" darf höchstens ${available} sein`, 400);
+  }
+}
+
+function emptyHistory() {
+  return { entries: [], position: 0 };
+}
+
+function gameState(enc) {
+  const state = { ...enc };
+  IGNORED_FIELDS.forEach(field => delete state[field]);
+  state.combatants = state.combatants || {};
+  return state;
+}
+
+/**
+ * Geänderte und entfernte Felder zwischen zwei Objekten
+ * @returns {{ set: Object, unset: Array<string> }|null}
+ */
+function diffFields(prev, next) {
+  const set = {};
+  const unset = [];
+  Object.keys(next).forEach(key => {
+    if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) set[key] = next[key];
+  });
+  Object.keys(prev).forEach(key => {
+    if (!(key in next)) unset.push(key);
+  });
+  return Object.keys(set).length > 0 || unset.length > 0 ? { set, unset } : null;
+}
+
+/**
+ * History-Patch zwischen zwei Spielständen
+ * { set, unset, combatants: { [id]: { set, unset } }, added: { [id]: combatant }, removed: [id] }
+ * @returns {Object|null} - Patch oder null, wenn sich nichts geändert hat
+ */
+function diffState(prev, next) {
+  const { combatants: prevCombatants, ...prevFields } = prev;
+  const { combatants: nextCombatants, ...nextFields } = next;
+  const patch = { set: {}, unset: [], ...diffFields(prevFields, nextFields), combatants: {}, added: {}, removed: [] };
+  let changed = Object.keys(patch.set).length > 0 || patch.unset.length > 0;
+
+  Object.entries(nextCombatants).forEach(([id, combatant]) => {
+    if (!prevCombatants[id]) {
+      patch.added[id] = combatant;
+      changed = true;
+      return;
+    }
+    const fields = diffFields(prevCombatants[id], combatant);
+    if (fields) {
+      patch.combatants[id] = fields;
+      changed = true;
+    }
+  });
+  Object.keys(prevCombatants).forEach(id => {
+    if (!(id in nextCombatants)) {
+      patch.removed.push(id);
+      changed = true;
+    }
+  });
+
+  return changed ? patch : null;
+}
+
+/**
+ * Wendet einen History-Patch an
+ */
+function applyStatePatch(enc, patch) {
+  const next = { ...enc, ...patch.set };
+  patch.unset.forEach(key => delete next[key]);
+
+  const combatants = { ...enc.combatants, ...patch.added };
+  Object.entries(patch.combatants).forEach(([id, fields]) => {
+    if (!combatants[id]) return;
+    const combatant = { ...combatants[id], ...fields.set };
+    fields.unset.forEach(key => delete combatant[key]);
+    combatants[id] = combatant;
+  });
+  patch.removed.forEach(id => delete combatants[id]);
+  next.combatants = combatants;
+
+  return next;
+}
+
+function combatantName(enc, id) {
+  return enc.combatants?.[id]?.name || 'Unknown';
+}
+
+/**
+ * Kurze Beschreibung einer Combatant-Änderung, z.B. "Goblin: HP 12 → 0, +Prone"
+ */
+function describeCombatantChange(before, after) {
+  if (!before) return `${after.name} added`;
+  if (!after) return `${before.name} removed`;
+
+  const parts = [];
+  const changed = new Set(
+    [...Object.keys(before), ...Object.keys(after)]
+      .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+  );
+
+  if (changed.has('hp')) parts.push(`HP ${before.hp ?? 0} → ${after.hp ?? 0}`);
+  if (changed.has('tempHP')) parts.push(`Temp HP ${before.tempHP || 0} → ${after.tempHP || 0}`);
+  if (changed.has('initiative')) parts.push(`Initiative ${after.initiative ?? 0}`);
+  if (changed.has('conditions')) {
+    const old = before.conditions || [];
+    const now = after.conditions || [];
+    now.filter(c => !old.includes(c)).forEach(c => parts.push(`+${c}`));
+    old.filter(c => !now.includes(c)).forEach(c => parts.push(`-${c}`));
+  }
+  if (changed.has('concentration')) parts.push(after.concentration ? 'concentrating' : 'lost concentration');
+  if (changed.has('isDead') && after.isDead) parts.push('dead');
+  if (changed.has('deathSaves') && !changed.has('isDead')) parts.push('death save');
+
+  ['hp', 'tempHP', 'initiative', 'initiativeTieBreaker', 'conditions', 'concentration', 'isDead', 'isDying', 'isStable', 'deathSaves']
+    .forEach(key => changed.delete(key));
+  if (parts.length === 0 || changed.size > 0) {
+    parts.push(...[...changed].slice(0, 3));
+  }
+
+  return `${after.name}: ${parts.join(', ')}`;
+}
+
+/**
+ * Erzeugt eine lesbare Beschreibung einer Änderung für die History-Liste
+ */
+export function describeChange(before, after) {
+  const parts = [];
+  const turnChanged = before.round !== after.round || before.turnIndex !== after.turnIndex;
+
+  if (turnChanged) {
+    const activeId = after.initiativeOrder?.[after.turnIndex];
+    const activeName = typeof activeId === 'object' ? 'Lair Actions' : combatantName(after, activeId);
+    parts.push(`Round ${after.round || 1}: ${activeName}'s turn`);
+  }
+
+  const ids = new Set([...Object.keys(before.combatants || {}), ...Object.keys(after.combatants || {})]);
+  const combatantChanges = [...ids]
+    .filter(id => {
+      const old = before.combatants?.[id];
+      const now = after.combatants?.[id];
+      if (JSON.stringify(old) === JSON.stringify(now)) return false;
+      if (!turnChanged || !old || !now) return true;
+      const changed = Object.keys({ ...old, ...now })
+        .filter(key => JSON.stringify(old[key]) !== JSON.stringify(now[key]));
+      // Turn changes reset reactions, legendary actions and recharges - not worth listing
+      return changed.some(key => !TURN_BOOKKEEPING_FIELDS.includes(key));
+    })
+    .map(id => describeCombatantChange(before.combatants?.[id], after.combatants?.[id]));
+
+  parts.push(...combatantChanges.slice(0, 3));
+  if (combatantChanges.length > 3) parts.push(`+${combatantChanges.length - 3} more`);
+
+  if (before.combatStatus !== after.combatStatus && after.combatStatus === 'completed') {
+    parts.push('Combat finished');
+  }
+
+  return parts.join('; ') || 'Encounter edited';
+}
+
+/**
+ * Ergänzt die History um die Änderung von "before" zu "after"
+ * Alles, was nach der aktuellen Position lag (rückgängig gemachte Schritte), wird verworfen.
+ * @returns {Object} - Neue History (oder die alte, wenn sich am Spielstand nichts geändert hat)
+ */
+export function recordHistory(before, after, label) {
+  const history = before.history || emptyHistory();
+  const beforeState = gameState(before);
+  const afterState = gameState(after);
+
+  const redo = diffState(beforeState, afterState);
+  if (!redo) return history;
+  const undo = diffState(afterState, beforeState);
+
+  const entries = history.entries.slice(0, history.position);
+  entries.push({
+    id: nanoid(),
+    label: label || describeChange(beforeState, afterState),
+    at: new Date().toISOString(),
+    undo,
+    redo
+  });
+
+  const trimmed = entries.slice(-MAX_HISTORY_ENTRIES);
+  return { entries: trimmed, position: trimmed.length };
+}
+
+/**
+ * Macht die letzten "steps" Änderungen rückgängig
+ * @returns {Object} - Encounter mit zurückgesetztem Spielstand und verschobener History-Position
+ */
+export function undoHistory(enc, steps = 1) {
+  const history = enc.history || emptyHistory();
+  requireSteps(steps, history.position);
+  if (history.position === 0) {
+    throw new HistoryError('Nichts zum Rückgängigmachen');
+  }
+
+  let state = enc;
+  for (let i = 0; i < steps; i++) {
+    state = applyStatePatch(state, history.entries[history.position - 1 - i].undo);
+  }
+  return { ...state, history: { ...history, position: history.position - steps } };
+}
+
+/**
+ * Stellt die nächsten "steps" rückgängig gemachten Änderungen wieder her
+ */
+export function redoHistory(enc, steps = 1) {
+  const history = enc.history || emptyHistory();
+  requireSteps(steps, history.entries.length - history.position);
+  if (history.position === history.entries.length) {
+    throw new HistoryError('Nichts zum Wiederherstellen');
+  }
+
+  let state = enc;
+  for (let i = 0; i < steps; i++) {
+    state = applyStatePatch(state, history.entries[history.position + i].redo);
+  }
+  return { ...state, history: { ...history, position: history.position + steps } };
+}
+
+/**
+ * History ohne Patches (für Clients - nur die Liste der Einträge)
+ */
+export function summarizeHistory(history) {
+  if (!history) return emptyHistory();
+  return {
+    entries: history.entries.map(({ id, label, at }) => ({ id, label, at })),
+    position: history.position
+  };
+}
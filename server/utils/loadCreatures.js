@@ -8,6 +8,7 @@ import { existsSync } from 'fs';
 import { gunzip } from 'zlib';
 import { promisify } from 'util';
 import { expandCompactCreatures } from './compactConverter.js';
+import { MonsterSearchIndex } from './monsterSearch.js';
 
 const gunzipAsync = promisify(gunzip);
 
@@ -118,6 +119,7 @@ export class CreatureCache {
   constructor() {
     this.cache = null;
     this.loading = null;
+    this.searchIndex = null;
   }
 
   /**
@@ -139,12 +141,27 @@ export class CreatureCache {
     return this.cache;
   }
 
+  /**
+   * Suchindex über die Creatures (wird nur einmal aufgebaut)
+   * @param {string} filePath - Pfad zur Datei
+   * @param {Object} [options] - Optionen für MonsterSearchIndex (z.B. environmentOf)
+   * @returns {Promise<MonsterSearchIndex>}
+   */
+  async index(filePath, options) {
+    if (!this.searchIndex) {
+      const creatures = await this.load(filePath);
+      this.searchIndex = new MonsterSearchIndex(creatures, options);
+    }
+    return this.searchIndex;
+  }
+
   /**
    * Löscht den Cache
    */
   clear() {
     this.cache = null;
     this.loading = null;
+    this.searchIndex = null;
   }
 
   /**
@@ -0,0 +1,396 @@
+/**
+ * Monster Search
+ * Suchindex über alle Monster: tippfehlertolerante Namenssuche (Wort- und Trigramm-Index),
+ * Filter (CR, Größe, Typ, Gesinnung, Umgebung, Quelle, Legendär/Lair, Zauberwirker,
+ * Schadensimmunitäten), Sortierung und Paging per Cursor/Limit.
+ */
+
+import { parseCR } from './challengeRating.js';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+const SIZE_ORDER = ['tiny', 'small', 'medium', 'large', 'huge', 'gargantuan'];
+const SIZE_CODES = { t: 'tiny', s: 'small', m: 'medium', l: 'large', h: 'huge', g: 'gargantuan' };
+
+const ALIGNMENT_CODES = {
+  L: 'lawful', N: 'neutral', NX: 'neutral', NY: 'neutral', C: 'chaotic',
+  G: 'good', E: 'evil', U: 'unaligned', A: 'any alignment'
+};
+
+const DAMAGE_TYPES = [
+  'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+  'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
+];
+
+const SORT_FIELDS = ['relevance', 'name', 'cr', 'type', 'size', 'source'];
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const result = [];
+  for (let i = 0; i < padded.length - 2; i++) result.push(padded.slice(i, i + 3));
+  return result;
+}
+
+/**
+ * Damerau-Levenshtein-Distanz (Vertauschung zählt als ein Fehler),
+ * bricht ab, sobald "max" überschritten ist
+ */
+function distance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    rows.push(row);
+  }
+  return rows[a.length][b.length];
+}
+
+// Erlaubte Tippfehler pro Suchwort
+function maxTypos(token) {
+  if (token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+function sizeOf(monster) {
+  const size = Array.isArray(monster.size) ? monster.size[0] : monster.size || monster.sz;
+  if (!size) return null;
+  const lower = String(size).toLowerCase();
+  return SIZE_CODES[lower] || lower;
+}
+
+function typeOf(monster) {
+  const type = typeof monster.type === 'object' && monster.type !== null ? monster.type.type : monster.type || monster.t;
+  if (typeof type === 'object' && type !== null) return (type.choose || []).map(String).join(' ').toLowerCase();
+  return type ? String(type).toLowerCase() : null;
+}
+
+function tagsOf(monster) {
+  const tags = typeof monster.type === 'object' && monster.type !== null ? monster.type.tags || [] : [];
+  return tags.map(tag => String(typeof tag === 'object' ? tag.tag : tag).toLowerCase());
+}
+
+function alignmentOf(monster) {
+  const alignment = monster.alignment || monster.al;
+  if (!alignment) return '';
+  if (!Array.isArray(alignment)) return String(alignment).toLowerCase();
+  return alignment
+    .map(a => (typeof a === 'object' ? (a.alignment || []).map(code => ALIGNMENT_CODES[code] || code).join(' ') : ALIGNMENT_CODES[a] || a))
+    .join(' ')
+    .toLowerCase();
+}
+
+/**
+ * Schadensimmunitäten als Menge von Schadensarten (auch aus bedingten Einträgen wie "nonmagical")
+ */
+function immunitiesOf(monster) {
+  const result = new Set();
+  const collect = (entries) => {
+    (entries || []).forEach(entry => {
+      if (typeof entry === 'string') {
+        normalize(entry).split(' ').forEach(word => DAMAGE_TYPES.includes(word) && result.add(word));
+      } else if (entry && typeof entry === 'object') {
+        collect(entry.immune);
+      }
+    });
+  };
+  const immunities = monster.damageImmunities || monster.immune;
+  if (typeof immunities === 'string') collect([immunities]);
+  else collect(immunities);
+  return result;
+}
+
+function isSpellcaster(monster) {
+  const spellcasting = monster.spellcasting || monster.spells;
+  if (Array.isArray(spellcasting) ? spellcasting.length > 0 : Boolean(spellcasting)) return true;
+  return (monster.traits || monster.trait || []).some(t => /spellcasting/i.test(t?.name || t?.n || ''));
+}
+
+function hasLair(monster) {
+  return Boolean(monster.legendaryGroup) || (Array.isArray(monster.lairActions) && monster.lairActions.length > 0);
+}
+
+function isLegendary(monster) {
+  const legendary = monster.legendary;
+  if (Array.isArray(legendary)) return legendary.length > 0;
+  return Boolean(legendary && (legendary.actions?.length > 0 || legendary.points));
+}
+
+function parseCRParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return parseCR(String(value));
+}
+
+/**
+ * Cursor für die nächste Seite (opak für den Client)
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+/**
+ * @returns {number|null} - Offset oder null bei ungültigem Cursor
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+export class MonsterSearchIndex {
+  /**
+   * @param {Array<Object>} monsters - Monster im Vollformat
+   * @param {Object} [options]
+   * @param {Function} [options.environmentOf] - Liefert die Umgebungen eines Monsters
+   */
+  constructor(monsters, { environmentOf = m => m.environment || [] } = {}) {
+    this.entries = [];
+    this.byId = new Map();
+    this.words = new Map();
+    this.trigrams = new Map();
+
+    monsters.forEach(monster => {
+      if (!monster?.name) return;
+      const name = normalize(monster.name);
+      const source = monster.meta?.source || monster.source || monster.src || '';
+      const cr = parseCR(monster.cr);
+      const entry = {
+        monster,
+        id: monster.id,
+        name,
+        nameWords: name.split(' '),
+        cr,
+        size: sizeOf(monster),
+        type: typeOf(monster),
+        tags: tagsOf(monster),
+        alignment: alignmentOf(monster),
+        environments: environmentOf(monster).map(e => String(e).toLowerCase()),
+        source: String(source).toLowerCase(),
+        sourceLabel: source,
+        legendary: isLegendary(monster),
+        lair: hasLair(monster),
+        spellcaster: isSpellcaster(monster),
+        immunities: immunitiesOf(monster)
+      };
+      this.entries.push(entry);
+      if (entry.id) this.byId.set(entry.id, monster);
+
+      entry.nameWords.forEach(word => {
+        if (!this.words.has(word)) {
+          this.words.set(word, new Set());
+          trigrams(word).forEach(gram => {
+            if (!this.trigrams.has(gram)) this.trigrams.set(gram, new Set());
+            this.trigrams.get(gram).add(word);
+          });
+        }
+        this.words.get(word).add(entry);
+      });
+    });
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Bewertet alle Namenswörter, die zu einem Suchwort passen
+   * @returns {Map<Object, number>} - Entry → beste Punktzahl (0..1)
+   */
+  matchToken(token) {
+    const scores = new Map();
+    const typos = maxTypos(token);
+    const add = (word, score) => {
+      this.words.get(word).forEach(entry => {
+        if ((scores.get(entry) || 0) < score) scores.set(entry, score);
+      });
+    };
+
+    // Candidates: words sharing a trigram with the token (covers prefixes and typos)
+    const candidates = new Set();
+    trigrams(token).forEach(gram => this.trigrams.get(gram)?.forEach(word => candidates.add(word)));
+
+    candidates.forEach(word => {
+      if (word === token) return add(word, 1);
+      if (word.startsWith(token)) return add(word, 0.9);
+      if (word.includes(token)) return add(word, 0.7);
+      if (typos === 0) return;
+      const d = Math.min(distance(token, word, typos), distance(token, word.slice(0, token.length), typos));
+      if (d <= typos) add(word, 0.6 - 0.15 * d);
+    });
+
+    return scores;
+  }
+
+  /**
+   * Relevanz aller Einträge für eine Suchanfrage (alle Wörter müssen passen)
+   * Typ, Tags und Quelle zählen als schwächere Treffer.
+   * @returns {Map<Object, number>|null} - null ohne Suchbegriff
+   */
+  relevance(query) {
+    const phrase = normalize(query);
+    if (!phrase) return null;
+    const tokens = phrase.split(' ');
+
+    let result = null;
+    tokens.forEach(token => {
+      const scores = this.matchToken(token);
+      this.entries.forEach(entry => {
+        if (scores.has(entry)) return;
+        if (entry.type?.includes(token) || entry.tags.some(t => t.includes(token)) || entry.source === token) {
+          scores.set(entry, 0.5);
+        }
+      });
+
+      if (result === null) {
+        result = scores;
+        return;
+      }
+      const next = new Map();
+      result.forEach((score, entry) => {
+        if (scores.has(entry)) next.set(entry, score + scores.get(entry));
+      });
+      result = next;
+    });
+
+    result.forEach((score, entry) => {
+      let total = (score / tokens.length) * 100;
+      if (entry.name === phrase) total += 20;
+      else if (entry.name.startsWith(phrase)) total += 10;
+      result.set(entry, total);
+    });
+    return result;
+  }
+
+  /**
+   * Treffer für Suchbegriff und Filter (unsortiert)
+   * @param {Object} params - siehe search()
+   * @param {Set<string>} [exclude] - IDs, die übersprungen werden (z.B. durch User-Overrides ersetzt)
+   * @returns {Array<{ entry, score }>}
+   */
+  match(params, exclude) {
+    const scores = this.relevance(params.q);
+    const crMin = parseCRParam(params.crMin);
+    const crMax = parseCRParam(params.crMax);
+    const sizes = toList(params.size).map(s => SIZE_CODES[s] || s);
+    const types = toList(params.type);
+    const alignments = toList(params.alignment);
+    const environments = toList(params.environment);
+    const sources = toList(params.source);
+    const immunities = toList(params.immune);
+
+    const pool = scores ? [...scores.keys()] : this.entries;
+    return pool
+      .filter(entry => {
+        if (exclude?.has(entry.id)) return false;
+        if (crMin !== null && !(entry.cr >= crMin)) return false;
+        if (crMax !== null && !(entry.cr !== null && entry.cr <= crMax)) return false;
+        if (sizes.length > 0 && !sizes.includes(entry.size)) return false;
+        if (types.length > 0 && !types.includes(entry.type)) return false;
+        if (alignments.length > 0 && !alignments.some(a => a.split(' ').every(word => entry.alignment.includes(word)))) return false;
+        if (environments.length > 0 && !environments.some(e => entry.environments.includes(e))) return false;
+        if (sources.length > 0 && !sources.includes(entry.source)) return false;
+        if (params.legendary !== undefined && entry.legendary !== params.legendary) return false;
+        if (params.lair !== undefined && entry.lair !== params.lair) return false;
+        if (params.spellcaster !== undefined && entry.spellcaster !== params.spellcaster) return false;
+        if (immunities.length > 0 && !immunities.every(i => entry.immunities.has(i))) return false;
+        return true;
+      })
+      .map(entry => ({ entry, score: scores ? scores.get(entry) : 0 }));
+  }
+
+  /**
+   * Sucht, sortiert und paginiert
+   * @param {Object} params
+   * @param {string} [params.q] - Suchbegriff (tippfehlertolerant)
+   * @param {string|number} [params.crMin] - z.B. "1/4" oder 5
+   * @param {string|number} [params.crMax]
+   * @param {Array<string>|string} [params.size, params.type, params.alignment, params.environment, params.source, params.immune]
+   * @param {boolean} [params.legendary, params.lair, params.spellcaster]
+   * @param {string} [params.sort] - relevance (Standard mit Suchbegriff), name, cr, type, size, source
+   * @param {string} [params.order] - asc oder desc
+   * @param {number} [params.offset] - aus decodeCursor()
+   * @param {number} [params.limit] - Standard 50, max. 500
+   * @param {Object} [options]
+   * @param {MonsterSearchIndex} [options.extra] - Zusätzliche Monster (SRD, Homebrew, Overrides)
+   * @param {Function} [options.filter] - Zusätzlicher Filter auf das Monster, vor Sortierung und Limit
+   * @returns {{ items: Array<Object>, total: number, nextCursor: string|null, limit: number }}
+   */
+  search(params = {}, { extra, filter } = {}) {
+    const exclude = extra ? new Set(extra.entries.map(e => e.id)) : null;
+    const matches = [...this.match(params, exclude), ...(extra ? extra.match(params) : [])]
+      .filter(m => !filter || filter(m.entry.monster));
+
+    const sort = SORT_FIELDS.includes(params.sort) ? params.sort : (params.q ? 'relevance' : 'name');
+    const direction = params.order === 'desc' ? -1 : 1;
+    const byName = (a, b) => a.entry.name.localeCompare(b.entry.name) || a.entry.source.localeCompare(b.entry.source);
+    const compare = {
+      relevance: (a, b) => (b.score - a.score) * direction || byName(a, b),
+      name: (a, b) => byName(a, b) * direction,
+      cr: (a, b) => ((a.entry.cr ?? -1) - (b.entry.cr ?? -1)) * direction || byName(a, b),
+      type: (a, b) => (a.entry.type || '').localeCompare(b.entry.type || '') * direction || byName(a, b),
+      size: (a, b) => (SIZE_ORDER.indexOf(a.entry.size) - SIZE_ORDER.indexOf(b.entry.size)) * direction || byName(a, b),
+      source: (a, b) => a.entry.source.localeCompare(b.entry.source) * direction || byName(a, b)
+    }[sort];
+    matches.sort(compare);
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit ?? DEFAULT_LIMIT, 10) || DEFAULT_LIMIT));
+    const offset = params.offset || 0;
+    const page = matches.slice(offset, offset + limit);
+
+    return {
+      items: page.map(m => m.entry.monster),
+      total: matches.length,
+      nextCursor: offset + limit < matches.length ? encodeCursor(offset + limit) : null,
+      limit
+    };
+  }
+
+  /**
+   * Werte für Filter-Dropdowns (Typen, Größen, Quellen, Umgebungen, Immunitäten)
+   * @param {MonsterSearchIndex} [extra] - Zusätzliche Monster
+   */
+  facets(extra) {
+    const entries = extra ? [...this.entries, ...extra.entries] : this.entries;
+    const collect = (pick) => {
+      const values = new Set();
+      entries.forEach(entry => [].concat(pick(entry)).forEach(v => v && values.add(v)));
+      return [...values];
+    };
+    return {
+      types: collect(e => e.type).sort(),
+      sizes: collect(e => e.size).sort((a, b) => SIZE_ORDER.indexOf(a) - SIZE_ORDER.indexOf(b)),
+      sources: collect(e => e.sourceLabel).sort(),
+      environments: collect(e => e.environments).sort(),
+      immunities: collect(e => [...e.immunities]).sort()
+    };
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Player Companion
+ * Spieler übernehmen per Share Code ihren eigenen Charakter: sie sehen dessen exakte Werte
+ * (HP, Temp HP, Conditions, Concentration, Death Saves) und schicken Initiative, Schaden
+ * oder Heilung an den DM. Eingaben landen als "playerSubmissions" im Encounter und werden
+ * vom DM bestätigt (Action "resolveSubmission") oder automatisch übernommen.
+ */
+
+import { nanoid } from 'nanoid';
+import { CombatActionError } from './combatEngine.js';
+import { isPlayerCharacter } from '../../shared/combatants.js';
+import { playerView } from './playerView.js';
+
+export const SUBMISSION_TYPES = ['initiative', 'damage', 'heal'];
+
+// Erlaubte Werte je Eingabe - alles darüber hinaus ist ein Tippfehler
+export const SUBMISSION_LIMITS = {
+  initiative: { min: -10, max: 50 },
+  damage: { min: 0, max: 999 },
+  heal: { min: 0, max: 999 }
+};
+
+// Pending submissions per combatant - older ones of the same type are replaced
+const MAX_PENDING_PER_COMBATANT = 10;
+
+/**
+ * Charaktere, die per Share Code übernommen werden können (sichtbare PCs)
+ * @returns {Array<{ id, name, characterId }>}
+ */
+export function claimableCharacters(encounter) {
+  return Object.values(encounter?.combatants || {})
+    .filter(c => isPlayerCharacter(c) && c.visibleToPlayers !== false)
+    .map(c => ({ id: c.id, name: c.name, characterId: c.characterId || null }));
+}
+
+/**
+ * Combatant zu einem Claim - über die Charakter-ID, sonst Combatant-ID, sonst Name.
+ * So bleibt der Claim gültig, wenn der DM ein neues Encounter mit demselben Charakter öffnet.
+ */
+export function findClaimedCombatant(encounter, claim) {
+  if (!encounter || !claim) return null;
+  const pcs = Object.values(encounter.combatants || {}).filter(isPlayerCharacter);
+  return (claim.characterId && pcs.find(c => c.characterId === claim.characterId)) ||
+    pcs.find(c => c.id === claim.combatantId) ||
+    pcs.find(c => c.name?.toLowerCase() === claim.name?.toLowerCase()) ||
+    null;
+}
+
+/**
+ * Player View plus die vollständigen Werte des eigenen Charakters ("me")
+ * und der noch offenen Eingaben des Spielers
+ */
+export function companionView(encounter, claim) {
+  const view = playerView(encounter);
+  const combatant = findClaimedCombatant(encounter, claim);
+  if (!view || !combatant) return { ...view, me: null, pending: [] };
+
+  view.me = {
+    id: combatant.id,
+    name: combatant.name,
+    hp: combatant.hp ?? 0,
+    tempHP: combatant.tempHP || 0,
+    maxHP: (combatant.baseHP || 0) + (combatant.maxHPModifier || 0),
+    ac: combatant.ac ?? null,
+    initiative: combatant.initiative ?? null,
+    conditions: combatant.conditions || [],
+    concentration: Boolean(combatant.concentration),
+    deathSaves: { successes: 0, failures: 0, ...combatant.deathSaves },
+    isDying: Boolean(combatant.isDying),
+    isStable: Boolean(combatant.isStable),
+    isDead: Boolean(combatant.isDead)
+  };
+  view.pending = (encounter.playerSubmissions || []).filter(s => s.combatantId === combatant.id);
+  return view;
+}
+
+/**
+ * Prüft den Wert einer Spieler-Eingabe gegen SUBMISSION_LIMITS
+ * @param {string} type - 'initiative', 'damage' oder 'heal'
+ * @param {*} value - Eingegebener Wert
+ * @param {string} [field] - Feldname für die Fehlermeldung
+ * @returns {number} - Abgerundeter Wert
+ */
+export function requireSubmissionAmount(type, value, field = 'amount') {
+  const amount = Math.floor(Number(value));
+  const { min, max } = SUBMISSION_LIMITS[type];
+  if (value === null || value === '' || !Number.isFinite(amount) || amount < min || amount > max) {
+    throw new CombatActionError(`"${field}" muss eine Zahl zwischen ${min} und ${max} sein`);
+  }
+  return amount;
+}
+
+/**
+ * Prüft eine Eingabe des Spielers und baut daraus eine Submission
+ * @param {Object} combatant - Der übernommene Charakter
+ * @param {Object} body - { type: 'initiative'|'damage'|'heal', amount }
+ */
+export function createSubmission(combatant, body = {}) {
+  if (!SUBMISSION_TYPES.includes(body.type)) {
+    throw new CombatActionError(`Unbekannter Typ "${body.type}". Erlaubt: ${SUBMISSION_TYPES.join(', ')}`);
+  }
+  const amount = requireSubmissionAmount(body.type, body.amount);
+
+  return {
+    id: nanoid(10),
+    combatantId: combatant.id,
+    name: combatant.name,
+    type: body.type,
+    amount,
+    submittedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Fügt eine Submission zu den offenen Eingaben hinzu
+ * Eine neue Initiative ersetzt eine noch offene alte desselben Charakters.
+ * @returns {Array<Object>} - Neue Liste der offenen Eingaben
+ */
+export function addSubmission(submissions = [], submission) {
+  let next = submissions;
+  if (submission.type === 'initiative') {
+    next = next.filter(s => !(s.combatantId === submission.combatantId && s.type === 'initiative'));
+  }
+  const own = next.filter(s => s.combatantId === submission.combatantId);
+  if (own.length >= MAX_PENDING_PER_COMBATANT) {
+    next = next.filter(s => s !== own[0]);
+  }
+  return [...next, submission];
+}
@@ -0,0 +1,199 @@
+/**
+ * Player View
+ * Gekürzte Sicht auf einen Encounter für Player Screens und die Mobile App.
+ * Versteckte Combatants, Lair-Marker und DM-Felder (Stat Blocks, Notizen) verlassen den Server nicht.
+ * HP nur so genau, wie der DM es pro Seite (PCs/Monster) eingestellt hat: gar nicht, als Beschreibung,
+ * als Balken oder exakt.
+ */
+
+import { turnTimerLimit, turnTimerElapsed } from './combatEngine.js';
+import { isPlayerCharacter } from '../../shared/combatants.js';
+
+// Felder eines Combatants, die Spieler sehen dürfen
+const PUBLIC_COMBATANT_FIELDS = [
+  'id', 'name', 'initiative', 'sidekickOf', 'conditions', 'concentration', 'isDead', 'isStable'
+];
+
+// Felder des Encounters, die Spieler sehen dürfen
+const PUBLIC_ENCOUNTER_FIELDS = [
+  'id', 'name', 'round', 'combatStatus', 'playerScreenSettings', 'updatedAt'
+];
+
+export const HP_DISPLAY_MODES = ['hidden', 'descriptor', 'bar', 'exact'];
+
+// Combat log entries that trigger hit/heal/death animations on the player screen
+const FEEDBACK_ENTRY_COUNT = 10;
+
+function maxHPOf(combatant) {
+  return (combatant.baseHP || 0) + (combatant.maxHPModifier || 0);
+}
+
+/**
+ * HP-Anzeige für PCs bzw. Monster ("hpDisplay": { pc, monster })
+ * Ohne eigene Einstellung zeigt das alte "showBloodiedInPlayerView" den Zustand als Beschreibung.
+ * @returns {'hidden'|'descriptor'|'bar'|'exact'}
+ */
+export function hpDisplayMode(settings = {}, isPC) {
+  const mode = settings.hpDisplay?.[isPC ? 'pc' : 'monster'];
+  if (HP_DISPLAY_MODES.includes(mode)) return mode;
+  return settings.showBloodiedInPlayerView ? 'descriptor' : 'hidden';
+}
+
+/**
+ * HP als Zustand statt Zahl
+ * "bloodied" nur, wenn der DM HP für diese Seite zeigt.
+ * @returns {'healthy'|'bloodied'|'down'|'dead'}
+ */
+export function healthDescriptor(combatant, settings = {}) {
+  if (combatant.isDead) return 'dead';
+  const hp = combatant.hp ?? 0;
+  if (hp <= 0) return 'down';
+  const maxHP = maxHPOf(combatant);
+  const showBloodied = hpDisplayMode(settings, isPlayerCharacter(combatant)) !== 'hidden';
+  if (showBloodied && maxHP > 0 && hp < maxHP / 2) return 'bloodied';
+  return 'healthy';
+}
+
+/**
+ * Beschreibung für den Modus "descriptor"
+ * @returns {'Unhurt'|'Injured'|'Bloodied'|'Critical'|'Down'|'Dead'}
+ */
+export function hpLabel(combatant) {
+  if (combatant.isDead) return 'Dead';
+  const hp = combatant.hp ?? 0;
+  if (hp <= 0) return 'Down';
+  const maxHP = maxHPOf(combatant);
+  if (maxHP <= 0 || hp >= maxHP) return 'Unhurt';
+  if (hp >= maxHP / 2) return 'Injured';
+  if (hp >= maxHP / 4) return 'Bloodied';
+  return 'Critical';
+}
+
+/**
+ * HP-Felder je nach Modus - "hidden" gibt gar nichts preis
+ */
+function projectHP(combatant, mode) {
+  switch (mode) {
+    case 'descriptor':
+      return { hpLabel: hpLabel(combatant) };
+    case 'bar': {
+      const maxHP = maxHPOf(combatant);
+      return { hpPercent: maxHP > 0 ? Math.max(0, Math.min(100, Math.round(((combatant.hp ?? 0) / maxHP) * 100))) : 0 };
+    }
+    case 'exact':
+      return { hp: combatant.hp ?? 0, maxHP: maxHPOf(combatant), tempHP: combatant.tempHP || 0 };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Letzte Treffer, Heilungen und Tode aus dem Combat Log - für Animationen auf dem Player Screen.
+ * Beträge nur, wenn die HP dieser Seite ohnehin exakt angezeigt werden.
+ */
+function hpFeedback(encounter, visibleCombatants, settings) {
+  return (encounter.combatLog || [])
+    .filter(entry => ['damage', 'heal', 'death'].includes(entry.type) && visibleCombatants[entry.combatantId])
+    .slice(-FEEDBACK_ENTRY_COUNT)
+    .map(entry => {
+      const kind = entry.type === 'heal' ? 'heal' : entry.type === 'death' || entry.killed ? 'death' : 'hit';
+      const feedback = { id: entry.id, combatantId: entry.combatantId, kind };
+      const combatant = encounter.combatants[entry.combatantId];
+      if (entry.amount && combatant && hpDisplayMode(settings, isPlayerCharacter(combatant)) === 'exact') {
+        feedback.amount = entry.amount;
+      }
+      return feedback;
+    });
+}
+
+function isVisible(combatant) {
+  return Boolean(combatant) && combatant.visibleToPlayers !== false;
+}
+
+function projectCombatant(combatant, settings) {
+  const projected = {};
+  PUBLIC_COMBATANT_FIELDS.forEach(field => {
+    if (combatant[field] !== undefined) projected[field] = combatant[field];
+  });
+  projected.player = isPlayerCharacter(combatant);
+  projected.health = healthDescriptor(combatant, settings);
+  projected.hpDisplay = hpDisplayMode(settings, projected.player);
+  Object.assign(projected, projectHP(combatant, projected.hpDisplay));
+  projected.tokenUrl = combatant.tokenUrl || combatant.meta?.tokenUrl || null;
+  projected.imageUrl = combatant.imageUrl || combatant.meta?.imageUrl || null;
+  return projected;
+}
+
+/**
+ * Sichtbarer Zug: der aktive Combatant, oder - wenn er versteckt bzw. ein Lair-Marker ist -
+ * der letzte sichtbare davor (am Anfang der Runde: der letzte sichtbare der Reihenfolge)
+ * @returns {number} - Index in der sichtbaren Reihenfolge
+ */
+function visibleTurnIndex(encounter, visibleOrder) {
+  const order = encounter.initiativeOrder || [];
+  const turnIndex = encounter.turnIndex || 0;
+
+  for (let step = 0; step < order.length; step++) {
+    const id = order[(turnIndex - step + order.length) % order.length];
+    const index = visibleOrder.indexOf(id);
+    if (index !== -1) return index;
+  }
+  return 0;
+}
+
+/**
+ * Projiziert einen Encounter auf das, was Spieler sehen dürfen
+ * @param {Object} encounter - Vollständiger Encounter
+ * @returns {Object|null} - { id, name, round, turnIndex, initiativeOrder, combatants, ... }
+ */
+export function playerView(encounter) {
+  if (!encounter) return null;
+  const combatants = encounter.combatants || {};
+  const settings = encounter.playerScreenSettings || {};
+
+  const view = {};
+  PUBLIC_ENCOUNTER_FIELDS.forEach(field => {
+    if (encounter[field] !== undefined) view[field] = encounter[field];
+  });
+
+  // Lair markers are objects, hidden combatants are filtered out
+  const initiativeOrder = (encounter.initiativeOrder || [])
+    .filter(id => typeof id === 'string' && isVisible(combatants[id]));
+
+  view.initiativeOrder = initiativeOrder;
+  view.turnIndex = visibleTurnIndex(encounter, initiativeOrder);
+  view.combatants = Object.fromEntries(
+    Object.entries(combatants)
+      .filter(([, c]) => isVisible(c))
+      .map(([id, c]) => [id, projectCombatant(c, settings)])
+  );
+
+  if (settings.hpAnimations) {
+    view.hpFeedback = hpFeedback(encounter, view.combatants, settings);
+  }
+
+  // Turn timer - elapsed time instead of server timestamps, so the screen's clock doesn't matter.
+  // Hidden while a hidden combatant or the lair acts.
+  const timer = encounter.turnTimer;
+  if (encounter.turnTimerSettings?.enabled && timer && view.combatants[timer.combatantId]) {
+    view.turnTimer = {
+      combatantId: timer.combatantId,
+      mode: encounter.turnTimerSettings.mode,
+      limitSeconds: turnTimerLimit(encounter.turnTimerSettings, combatants[timer.combatantId]),
+      warningSeconds: encounter.turnTimerSettings.warningSeconds,
+      elapsedMs: turnTimerElapsed(timer, Date.now()),
+      paused: timer.pausedAt !== null
+    };
+  }
+
+  // Initiative collection: who still has to roll
+  const collection = encounter.initiativeCollection;
+  if (collection) {
+    const ids = collection.combatantIds.filter(id => view.combatants[id]);
+    view.initiativeCollection = {
+      waitingFor: ids.filter(id => collection.received?.[id] === undefined),
+      submitted: ids.filter(id => collection.received?.[id] !== undefined)
+    };
+  }
+  return view;
+}
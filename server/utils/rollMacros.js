@@ -0,0 +1,130 @@
+/**
+ * Roll Macros
+ * Saved rolls of the DM ("Fireball 8d6, DC 15 DEX", "Sneak Attack 3d6") - per user and per creature.
+ * A macro combines an optional attack roll, damage roll and saving throw DC.
+ * The client rolls them via rollDice, the server only validates and stores them (in the user settings).
+ */
+
+import { nanoid } from 'nanoid';
+
+export const SAVE_ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+const DAMAGE_TYPES = [
+  'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+  'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
+];
+
+const MAX_NAME_LENGTH = 60;
+const MAX_NOTATION_LENGTH = 100;
+const MAX_MACROS_PER_LIST = 50;
+const MAX_COMBATANT_KEYS = 500;
+const MAX_COMBATANT_KEY_LENGTH = 120;
+
+// Only characters that occur in dice notation - the client checks the actual grammar
+const NOTATION_PATTERN = /^[0-9dDkKhHlLrRoO!<>=%()+\-*/\sminax]+$/;
+
+export class RollMacroError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RollMacroError';
+    this.status = status;
+  }
+}
+
+function normalizeNotation(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const notation = String(value).trim();
+  if (notation.length > MAX_NOTATION_LENGTH || !NOTATION_PATTERN.test(notation)) {
+    throw new RollMacroError(`Invalid dice notation for "${field}": ${JSON.stringify(value)}`);
+  }
+  return notation;
+}
+
+/**
+ * Validates a single macro
+ * @param {Object} macro - { id?, name, attackBonus?, damage?, damageType?, save? }
+ * @returns {Object} - { id, name, attackBonus, damage, damageType, save }
+ */
+export function normalizeMacro(macro) {
+  if (typeof macro !== 'object' || macro === null || Array.isArray(macro)) {
+    throw new RollMacroError('Macro must be an object');
+  }
+
+  const name = typeof macro.name === 'string' ? macro.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  if (!name) {
+    throw new RollMacroError('"name" must not be empty');
+  }
+
+  let attackBonus = null;
+  if (macro.attackBonus !== undefined && macro.attackBonus !== null && macro.attackBonus !== '') {
+    attackBonus = Number(macro.attackBonus);
+    if (!Number.isInteger(attackBonus) || Math.abs(attackBonus) > 30) {
+      throw new RollMacroError(`Invalid attack bonus for "${name}": ${JSON.stringify(macro.attackBonus)}`);
+    }
+  }
+
+  const damage = normalizeNotation(macro.damage, 'damage');
+  const damageType = macro.damageType ? String(macro.damageType).toLowerCase() : null;
+  if (damageType && !DAMAGE_TYPES.includes(damageType)) {
+    throw new RollMacroError(`Unknown damage type "${macro.damageType}"`);
+  }
+
+  let save = null;
+  if (macro.save) {
+    const ability = String(macro.save.ability || '').toLowerCase();
+    const dc = Number(macro.save.dc);
+    if (!SAVE_ABILITIES.includes(ability) || !Number.isInteger(dc) || dc < 1 || dc > 40) {
+      throw new RollMacroError(`Invalid saving throw for "${name}": ${JSON.stringify(macro.save)}`);
+    }
+    save = { ability, dc };
+  }
+
+  if (attackBonus === null && !damage && !save) {
+    throw new RollMacroError(`"${name}" needs an attack bonus, damage or a saving throw`);
+  }
+
+  return {
+    id: typeof macro.id === 'string' && macro.id ? macro.id.slice(0, 40) : nanoid(),
+    name,
+    attackBonus,
+    damage,
+    damageType: damage ? damageType : null,
+    save
+  };
+}
+
+function normalizeMacroList(list, label) {
+  if (!Array.isArray(list)) {
+    throw new RollMacroError(`"${label}" must be an array`);
+  }
+  if (list.length > MAX_MACROS_PER_LIST) {
+    throw new RollMacroError(`At most ${MAX_MACROS_PER_LIST} macros per list are allowed`);
+  }
+  return list.map(normalizeMacro);
+}
+
+/**
+ * Validates all macros of a user
+ * @param {Object} body - { user: [macro], combatants: { [creature key]: [macro] } }
+ * @returns {Object} - Same shape, empty creature lists are dropped
+ */
+export function normalizeRollMacros(body = {}) {
+  const combatants = body.combatants ?? {};
+  if (typeof combatants !== 'object' || combatants === null || Array.isArray(combatants)) {
+    throw new RollMacroError('"combatants" must be an object');
+  }
+  const keys = Object.keys(combatants);
+  if (keys.some(key => key.length > MAX_COMBATANT_KEY_LENGTH)) {
+    throw new RollMacroError(`Creature keys may be at most ${MAX_COMBATANT_KEY_LENGTH} characters long`);
+  }
+  if (keys.length > MAX_COMBATANT_KEYS) {
+    throw new RollMacroError(`At most ${MAX_COMBATANT_KEYS} creatures with macros are allowed`);
+  }
+
+  const normalized = { user: normalizeMacroList(body.user ?? [], 'user'), combatants: {} };
+  keys.forEach(key => {
+    const macros = normalizeMacroList(combatants[key], `combatants.${key}`);
+    if (macros.length > 0) normalized.combatants[key] = macros;
+  });
+  return normalized;
+}
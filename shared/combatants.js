@@ -0,0 +1,44 @@
+/**
+ * Combatants
+ * Rules about combatants that the server (combat engine) and the client (rollers, timers) share.
+ * Plain ESM without dependencies - imported by server/utils and client/src alike.
+ */
+
+/**
+ * Whether a combatant is a player character
+ */
+export function isPlayerCharacter(combatant) {
+  return Boolean(
+    combatant && (
+      combatant.player ||
+      combatant.isPC ||
+      combatant.source === 'ddb-import' ||
+      combatant.source === 'player-character'
+    )
+  );
+}
+
+/**
+ * Player characters and their sidekicks - the players roll their own saves
+ */
+export function isPlayerSide(combatant) {
+  return Boolean(combatant && (isPlayerCharacter(combatant) || combatant.sidekickOf));
+}
+
+/**
+ * Save bonus from the stat block ("save": { wis: "+5" }), otherwise the ability modifier
+ */
+export function saveBonus(combatant, ability) {
+  const listed = parseInt(combatant.save?.[ability] ?? combatant.savingThrows?.[ability], 10);
+  if (Number.isFinite(listed)) return listed;
+  const score = combatant[ability] ?? combatant.abilities?.[ability] ?? 10;
+  return Math.floor((score - 10) / 2);
+}
+
+/**
+ * Magic Resistance trait - advantage on saves against magical effects
+ */
+export function hasMagicResistance(combatant) {
+  return (combatant.traits || combatant.trait || [])
+    .some(trait => /^magic resistance/i.test(trait?.name || trait?.n || ''));
+}
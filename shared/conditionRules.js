@@ -0,0 +1,323 @@
+/**
+ * Condition Rules
+ * Mechanical effects of conditions, exhaustion (2014/2024) and homebrew conditions.
+ * Used by the client (rolls, attack resolution, combatant rows) and the server (automatic NPC saves).
+ * Every function takes the rules explicitly: { customConditions, edition: '2024' | '2014' }.
+ *
+ * Effects of a condition:
+ *   attackRolls, attacksAgainst, meleeAttacksAgainst, rangedAttacksAgainst, abilityChecks: 'advantage' | 'disadvantage'
+ *   saveAdvantage, saveDisadvantage, autoFailSaves: ['str', 'dex', ...]
+ *   incapacitated, speedZero, meleeCritsAgainst, skipTurn: true
+ */
+
+import { hasMagicResistance } from './combatants.js';
+
+export const CONDITION_ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+export const MODE_EFFECTS = {
+  attackRolls: 'Own attack rolls',
+  attacksAgainst: 'Attacks against it',
+  meleeAttacksAgainst: 'Melee attacks against it',
+  rangedAttacksAgainst: 'Ranged attacks against it',
+  abilityChecks: 'Ability checks',
+};
+
+export const ABILITY_EFFECTS = {
+  saveAdvantage: 'Advantage on saves',
+  saveDisadvantage: 'Disadvantage on saves',
+  autoFailSaves: 'Automatically fails saves',
+};
+
+export const FLAG_EFFECTS = {
+  incapacitated: 'No actions or reactions',
+  speedZero: 'Speed 0',
+  meleeCritsAgainst: 'Melee hits against it are critical',
+  skipTurn: 'Skips its turns',
+};
+
+export const RULE_EDITIONS = ['2024', '2014'];
+
+export const DEFAULT_CONDITION_RULES = { customConditions: [], edition: '2024' };
+
+const STR_DEX = ['str', 'dex'];
+
+// 5e conditions - "effects2024" replaces "effects" under the 2024 rules where they differ
+const BUILTIN_CONDITIONS = {
+  blinded: {
+    name: 'Blinded',
+    effects: { attackRolls: 'disadvantage', attacksAgainst: 'advantage' },
+    reminder: 'Fails ability checks that require sight',
+  },
+  charmed: {
+    name: 'Charmed',
+    effects: {},
+    reminder: "Can't attack the charmer; the charmer has advantage on social checks against it",
+  },
+  deafened: {
+    name: 'Deafened',
+    effects: {},
+    reminder: 'Fails ability checks that require hearing',
+  },
+  frightened: {
+    name: 'Frightened',
+    effects: { attackRolls: 'disadvantage', abilityChecks: 'disadvantage' },
+    reminder: "Only while the source of fear is in sight; can't willingly move closer to it",
+  },
+  grappled: {
+    name: 'Grappled',
+    effects: { speedZero: true },
+    reminder: '2024: disadvantage on attacks against anyone but the grappler',
+  },
+  incapacitated: {
+    name: 'Incapacitated',
+    effects: { incapacitated: true },
+    reminder: "2024: can't concentrate or speak, disadvantage on initiative",
+  },
+  invisible: {
+    name: 'Invisible',
+    effects: { attackRolls: 'advantage', attacksAgainst: 'disadvantage' },
+  },
+  paralyzed: {
+    name: 'Paralyzed',
+    effects: { incapacitated: true, speedZero: true, autoFailSaves: STR_DEX, attacksAgainst: 'advantage', meleeCritsAgainst: true },
+  },
+  petrified: {
+    name: 'Petrified',
+    effects: { incapacitated: true, speedZero: true, autoFailSaves: STR_DEX, attacksAgainst: 'advantage' },
+    reminder: 'Resistance to all damage, immune to poison and disease',
+  },
+  poisoned: {
+    name: 'Poisoned',
+    effects: { attackRolls: 'disadvantage', abilityChecks: 'disadvantage' },
+  },
+  prone: {
+    name: 'Prone',
+    effects: { attackRolls: 'disadvantage', meleeAttacksAgainst: 'advantage', rangedAttacksAgainst: 'disadvantage' },
+    reminder: 'Only crawls; standing up costs half its speed',
+  },
+  restrained: {
+    name: 'Restrained',
+    effects: { speedZero: true, attackRolls: 'disadvantage', attacksAgainst: 'advantage', saveDisadvantage: ['dex'] },
+  },
+  stunned: {
+    name: 'Stunned',
+    effects: { incapacitated: true, speedZero: true, autoFailSaves: STR_DEX, attacksAgainst: 'advantage' },
+    effects2024: { incapacitated: true, autoFailSaves: STR_DEX, attacksAgainst: 'advantage' },
+  },
+  unconscious: {
+    name: 'Unconscious',
+    effects: { incapacitated: true, speedZero: true, autoFailSaves: STR_DEX, attacksAgainst: 'advantage', meleeCritsAgainst: true },
+    reminder: "Drops what it's holding and falls prone",
+  },
+};
+
+// Exhaustion 2014: cumulative effects per level
+const EXHAUSTION_2014 = [
+  { level: 1, effects: { abilityChecks: 'disadvantage' }, text: 'Disadvantage on ability checks' },
+  { level: 2, effects: {}, text: 'Speed halved' },
+  { level: 3, effects: { attackRolls: 'disadvantage', saveDisadvantage: CONDITION_ABILITIES }, text: 'Disadvantage on attack rolls and saves' },
+  { level: 4, effects: {}, text: 'Hit point maximum halved' },
+  { level: 5, effects: { speedZero: true }, text: 'Speed 0' },
+  { level: 6, effects: {}, text: 'Death' },
+];
+
+/**
+ * Definition of a condition by name (case-insensitive) - null for conditions without mechanics
+ * @returns {{ name, effects, reminder?, description?, custom? } | null}
+ */
+export function conditionDefinition(name, rules = DEFAULT_CONDITION_RULES) {
+  const key = String(name || '').toLowerCase();
+  const builtin = BUILTIN_CONDITIONS[key];
+  if (builtin) {
+    const effects = rules.edition === '2024' && builtin.effects2024 ? builtin.effects2024 : builtin.effects;
+    return { ...builtin, effects };
+  }
+  const custom = (rules.customConditions || []).find(c => c.name.toLowerCase() === key);
+  return custom ? { name: custom.name, effects: custom.effects || {}, description: custom.description, custom: true } : null;
+}
+
+/**
+ * Standard conditions (and exhaustion) can't be redefined as homebrew
+ */
+export function isBuiltinCondition(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return key === 'exhaustion' || Boolean(BUILTIN_CONDITIONS[key]);
+}
+
+/**
+ * Names of all conditions for suggestions - standard conditions first, then homebrew
+ */
+export function conditionNames(rules = DEFAULT_CONDITION_RULES) {
+  return [
+    ...Object.values(BUILTIN_CONDITIONS).map(c => c.name),
+    ...(rules.customConditions || []).map(c => c.name),
+  ];
+}
+
+/**
+ * Exhaustion level and its effects under the given rules
+ * 2024: every d20 test -2 per level, speed -5 ft per level; level 6 is death under both rules
+ */
+export function exhaustionEffects(level, rules = DEFAULT_CONDITION_RULES) {
+  const lvl = Math.max(0, Math.min(6, parseInt(level, 10) || 0));
+  if (lvl === 0) return null;
+
+  if (rules.edition === '2014') {
+    const reached = EXHAUSTION_2014.filter(entry => entry.level <= lvl);
+    const effects = {};
+    reached.forEach(entry => Object.assign(effects, entry.effects));
+    return { level: lvl, edition: '2014', effects, d20Penalty: 0, lines: reached.map(entry => entry.text) };
+  }
+
+  return {
+    level: lvl,
+    edition: '2024',
+    effects: {},
+    d20Penalty: 2 * lvl,
+    lines: lvl === 6 ? ['Death'] : [`-${2 * lvl} to every d20 test`, `Speed -${5 * lvl} ft.`],
+  };
+}
+
+// Conditions with their effects, exhaustion included as "Exhaustion N"
+function activeConditions(combatant, rules) {
+  const active = (combatant?.conditions || [])
+    .map(name => ({ name, definition: conditionDefinition(name, rules) }))
+    .filter(entry => entry.definition)
+    .map(entry => ({ name: entry.definition.name, effects: entry.definition.effects }));
+
+  const exhaustion = exhaustionEffects(combatant?.exhaustion, rules);
+  if (exhaustion) active.push({ name: `Exhaustion ${exhaustion.level}`, effects: exhaustion.effects, d20Penalty: exhaustion.d20Penalty });
+  return active;
+}
+
+/**
+ * Advantage and disadvantage cancel out - any number of each gives a normal roll
+ */
+export function combineRollModes(...modes) {
+  const advantage = modes.includes('advantage');
+  const disadvantage = modes.includes('disadvantage');
+  if (advantage && !disadvantage) return 'advantage';
+  if (disadvantage && !advantage) return 'disadvantage';
+  return 'normal';
+}
+
+/**
+ * How conditions change a d20 roll of a combatant
+ * @param {Object} combatant - Rolling combatant
+ * @param {Object} roll
+ * @param {string} roll.type - 'attack' | 'save' | 'check'
+ * @param {string} [roll.ability] - For saves and checks
+ * @param {Object} [roll.target] - Attacked combatant (attacks)
+ * @param {boolean} [roll.ranged] - Ranged attack (prone targets)
+ * @param {Object} [rules] - { customConditions, edition }
+ * @returns {{ rollMode, modifier, autoFail, autoCrit, reasons: Array<{ text, effect }> }}
+ */
+export function rollAdjustment(combatant, { type, ability = null, target = null, ranged = false }, rules = DEFAULT_CONDITION_RULES) {
+  const reasons = [];
+  let modifier = 0;
+  let autoFail = false;
+  let autoCrit = false;
+
+  activeConditions(combatant, rules).forEach(({ name, effects, d20Penalty }) => {
+    const text = `${combatant.name}: ${name}`;
+    if (type === 'attack' && effects.attackRolls) reasons.push({ text, effect: effects.attackRolls });
+    if (type === 'check' && effects.abilityChecks) reasons.push({ text, effect: effects.abilityChecks });
+    if (type === 'save' && ability) {
+      if (effects.autoFailSaves?.includes(ability)) {
+        autoFail = true;
+        reasons.push({ text, effect: 'auto-fail' });
+      }
+      if (effects.saveAdvantage?.includes(ability)) reasons.push({ text, effect: 'advantage' });
+      if (effects.saveDisadvantage?.includes(ability)) reasons.push({ text, effect: 'disadvantage' });
+    }
+    if (d20Penalty) {
+      modifier -= d20Penalty;
+      reasons.push({ text, effect: `-${d20Penalty}` });
+    }
+  });
+
+  if (type === 'attack' && target) {
+    activeConditions(target, rules).forEach(({ name, effects }) => {
+      const text = `${target.name}: ${name}`;
+      const against = ranged ? effects.rangedAttacksAgainst : effects.meleeAttacksAgainst;
+      if (effects.attacksAgainst) reasons.push({ text, effect: effects.attacksAgainst });
+      if (against) reasons.push({ text, effect: against });
+      if (!ranged && effects.meleeCritsAgainst) autoCrit = true;
+    });
+  }
+
+  return {
+    rollMode: combineRollModes(...reasons.map(r => r.effect)),
+    modifier,
+    autoFail,
+    autoCrit,
+    reasons,
+  };
+}
+
+/**
+ * Everything that changes a saving throw: conditions, exhaustion, homebrew save effects
+ * and Magic Resistance against magical effects (not for concentration saves)
+ * @param {Object} combatant - Saving combatant
+ * @param {string} ability - 'str' | 'dex' | ...
+ * @param {Object} [options]
+ * @param {boolean} [options.magical] - The effect is magical (Magic Resistance applies)
+ * @param {Object} [rules] - { customConditions, edition }
+ * @returns {{ rollMode, modifier, autoFail, reasons: Array<{ text, effect }> }}
+ */
+export function saveAdjustment(combatant, ability, { magical = false } = {}, rules = DEFAULT_CONDITION_RULES) {
+  const adjustment = rollAdjustment(combatant, { type: 'save', ability }, rules);
+  const reasons = magical && hasMagicResistance(combatant)
+    ? [{ text: `${combatant.name}: Magic Resistance`, effect: 'advantage' }, ...adjustment.reasons]
+    : adjustment.reasons;
+  return {
+    rollMode: combineRollModes(...reasons.map(r => r.effect)),
+    modifier: adjustment.modifier,
+    autoFail: adjustment.autoFail,
+    reasons,
+  };
+}
+
+/**
+ * Status of a combatant for the initiative list
+ * @returns {{ incapacitated: string[], speedZero: string[], skipTurn: string[], exhaustion, reminders: Array<{ name, text }> }}
+ */
+export function conditionStatus(combatant, rules = DEFAULT_CONDITION_RULES) {
+  const status = { incapacitated: [], speedZero: [], skipTurn: [], exhaustion: exhaustionEffects(combatant?.exhaustion, rules), reminders: [] };
+  activeConditions(combatant, rules).forEach(({ name, effects }) => {
+    Object.keys(FLAG_EFFECTS).forEach(flag => {
+      if (effects[flag] && status[flag]) status[flag].push(name);
+    });
+  });
+  (combatant?.conditions || []).forEach(name => {
+    const definition = conditionDefinition(name, rules);
+    if (definition?.reminder) status.reminders.push({ name: definition.name, text: definition.reminder });
+  });
+  return status;
+}
+
+/**
+ * Readable list of effects, e.g. ["Own attack rolls: disadvantage", "Speed 0"]
+ */
+export function describeEffects(effects = {}) {
+  const lines = [];
+  Object.entries(MODE_EFFECTS).forEach(([key, label]) => {
+    if (effects[key]) lines.push(`${label}: ${effects[key]}`);
+  });
+  Object.entries(ABILITY_EFFECTS).forEach(([key, label]) => {
+    if (effects[key]?.length) lines.push(`${label}: ${effects[key].map(a => a.toUpperCase()).join(', ')}`);
+  });
+  Object.entries(FLAG_EFFECTS).forEach(([key, label]) => {
+    if (effects[key]) lines.push(label);
+  });
+  return lines;
+}
+
+/**
+ * Effects and rules reminder of a condition by name
+ */
+export function describeConditionEffects(name, rules = DEFAULT_CONDITION_RULES) {
+  const definition = conditionDefinition(name, rules);
+  if (!definition) return [];
+  return definition.reminder ? [...describeEffects(definition.effects), definition.reminder] : describeEffects(definition.effects);
+}